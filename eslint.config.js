@@ -14,6 +14,13 @@ export default [
       "import/no-unresolved": "error"
     }
   },
+  {
+    files: ["tests/**/*.js"],
+    rules: {
+      // The resolver doesn't read package.json "exports" subpaths
+      "import/no-unresolved": ["error", { ignore: ["^@electric-sql/pglite/contrib/"] }]
+    }
+  },
   {
     files: ["scripts/**/*.js"],
     languageOptions: {
@@ -2,6 +2,16 @@ import { getSupabaseClient } from './supabase-client.js';
 import NavigationController from './navigation.js';
 import auth from './auth.js';
 import database from './database.js';
+import ParameterHistoryView from './parameterHistory.js';
+import ankiImportService, { defaultFieldMapping } from './ankiImport.js';
+import cardImportService from './cardImport.js';
+import cardMediaService from './cardMedia.js';
+import clozeNoteService from './cloze.js';
+import multipleChoiceService from './multipleChoice.js';
+import { CARD_MEDIA_CONFIG, MULTIPLE_CHOICE_CONFIG } from './config.js';
+
+// Card search treats a term of this form as a card ID
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 class AdminService {
     constructor(autoInitialize = true) {
@@ -681,10 +691,58 @@ class AdminService {
             this.searchCards();
         });
 
+        document.getElementById('cloze-search-button')?.addEventListener('click', () => {
+            this.searchClozeNotes();
+        });
+
+        document.getElementById('cloze-new')?.addEventListener('click', () => {
+            this.resetClozeForm();
+        });
+
+        document.getElementById('cloze-preview')?.addEventListener('click', () => {
+            this.previewClozeNote();
+        });
+
+        document.getElementById('cloze-save')?.addEventListener('click', () => {
+            this.saveClozeNote();
+        });
+
+        // Any edit invalidates the previewed cards
+        ['cloze-text', 'cloze-path', 'cloze-tags', 'cloze-public'].forEach(id => {
+            document.getElementById(id)?.addEventListener('input', () => {
+                this.clozePreview = null;
+                document.getElementById('cloze-save')?.classList.add('hidden');
+            });
+        });
+
         document.getElementById('update-user-tier')?.addEventListener('click', () => {
             this.updateUserTier();
         });
 
+        document.getElementById('load-parameter-history')?.addEventListener('click', () => {
+            this.loadUserParameterHistory();
+        });
+
+        document.getElementById('card-import-preview')?.addEventListener('click', () => {
+            this.previewCardImport();
+        });
+
+        document.getElementById('card-import-run')?.addEventListener('click', () => {
+            this.runCardImport();
+        });
+
+        document.getElementById('card-import-download-errors')?.addEventListener('click', () => {
+            this.downloadCardImportErrors();
+        });
+
+        document.getElementById('anki-import-preview')?.addEventListener('click', () => {
+            this.previewAnkiImport();
+        });
+
+        document.getElementById('anki-import-run')?.addEventListener('click', () => {
+            this.runAnkiImport();
+        });
+
         // Phase 1: Deck management actions disabled
         // document.getElementById('search-decks')?.addEventListener('click', () => {
         //     this.searchDecks();
@@ -1061,11 +1119,14 @@ class AdminService {
 
         try {
             const supabase = await this.getSupabase();
-            const { data: cards, error } = await supabase
+            let query = supabase
                 .from('card_templates')
-                .select('id, question, answer, subsection, tags, flagged_for_review, total_reviews, correct_reviews, incorrect_reviews, user_flag_count')
-                .or(`question.ilike.%${searchTerm}%,answer.ilike.%${searchTerm}%,tags.cs.{${searchTerm}}`)
-                .limit(10);
+                .select('id, question, answer, subsection, tags, flagged_for_review, total_reviews, correct_reviews, incorrect_reviews, user_flag_count, cloze_note_id, cloze_index, reverse_of, card_type, distractors');
+            // A card ID (e.g. from the study page's edit shortcut) finds that card
+            query = UUID_PATTERN.test(searchTerm)
+                ? query.eq('id', searchTerm)
+                : query.or(`question.ilike.%${searchTerm}%,answer.ilike.%${searchTerm}%,tags.cs.{${searchTerm}}`);
+            const { data: cards, error } = await query.limit(10);
 
             if (error) throw error;
 
@@ -1077,6 +1138,18 @@ class AdminService {
                 return;
             }
 
+            const { data: reverses, error: reverseError } = await supabase
+                .from('card_templates')
+                .select('id, reverse_of')
+                .in('reverse_of', cards.map(card => card.id));
+
+            if (reverseError) throw reverseError;
+            const reverseIds = new Map((reverses || []).map(reverse => [reverse.reverse_of, reverse.id]));
+            this.cardChoiceSettings = new Map(cards.map(card => [card.id, {
+                cardType: card.card_type || 'basic',
+                distractors: card.distractors || []
+            }]));
+
             container.innerHTML = cards.map(card => `
                 <div class="flagged-card">
                     <h4>Card ID: ${card.id}</h4>
@@ -1086,12 +1159,22 @@ class AdminService {
                     ${card.tags && card.tags.length > 0 ? `<p><strong>Tags:</strong> ${card.tags.map(t => this.escapeHtml(t)).join(', ')}</p>` : ''}
                     <p><strong>Reviews:</strong> Total: ${card.total_reviews || 0}, User Flags: ${card.user_flag_count || 0}</p>
                     <p><strong>Status:</strong> ${card.flagged_for_review ? 'Flagged' : 'Active'}</p>
+                    <p><strong>Type:</strong> ${card.card_type === 'multiple_choice' ? 'Multiple choice' : 'Basic'}</p>
+                    ${card.reverse_of ? `<p><strong>Reverse of:</strong> ${card.reverse_of}</p>` : ''}
+                    ${reverseIds.has(card.id) ? `<p><strong>Reverse card:</strong> ${reverseIds.get(card.id)}</p>` : ''}
                     <div class="card-actions">
                         ${!card.flagged_for_review ? 
                             `<button class="btn btn-danger" onclick="adminService.promptFlagCard('${card.id}')">Flag</button>` :
                             `<button class="btn btn-success" onclick="adminService.unflagCard('${card.id}')">Unflag</button>`
                         }
+                        <button class="btn btn-secondary" onclick="adminService.toggleCardMedia('${card.id}')">Media</button>
+                        <button class="btn btn-secondary" onclick="adminService.toggleCardChoices('${card.id}')">Multiple Choice</button>
+                        ${card.cloze_note_id ? `<button class="btn btn-secondary" onclick="adminService.editClozeNote('${card.cloze_note_id}')">Edit Cloze Note (c${card.cloze_index})</button>` : ''}
+                        ${!card.cloze_note_id && !card.reverse_of && !reverseIds.has(card.id) ?
+                            `<button class="btn btn-secondary" onclick="adminService.createReverseCard('${card.id}')">Create Reverse</button>` : ''}
                     </div>
+                    <div class="card-media-panel hidden" id="card-media-${card.id}"></div>
+                    <div class="card-choices-panel hidden" id="card-choices-${card.id}"></div>
                 </div>
             `).join('');
 
@@ -1104,6 +1187,20 @@ class AdminService {
         }
     }
 
+    /**
+     * Show the card named by ?card=<id> (opened from the study page)
+     */
+    async openCardFromUrl() {
+        const cardId = new URLSearchParams(window.location.search).get('card');
+        const searchInput = document.getElementById('card-search');
+        if (!cardId || !UUID_PATTERN.test(cardId) || !searchInput) return;
+
+        this.showSection('management');
+        searchInput.value = cardId;
+        await this.searchCards();
+        document.getElementById('card-search-results')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
     promptFlagCard(cardId) {
         const reason = prompt('Enter reason for flagging this card:');
         if (reason !== null) {
@@ -1117,6 +1214,315 @@ class AdminService {
         }
     }
 
+    /**
+     * List cloze notes matching the search box
+     */
+    async searchClozeNotes() {
+        const searchTerm = document.getElementById('cloze-search')?.value?.trim();
+        const container = document.getElementById('cloze-search-results');
+        if (!searchTerm || !container) return;
+
+        try {
+            const notes = await clozeNoteService.searchNotes(searchTerm);
+            if (notes.length === 0) {
+                container.innerHTML = '<p>No cloze notes found.</p>';
+                return;
+            }
+
+            container.innerHTML = `
+                <table class="subjects-table cloze-notes-table">
+                    <thead><tr><th>Text</th><th>Path</th><th></th></tr></thead>
+                    <tbody>
+                        ${notes.map(note => `
+                            <tr>
+                                <td>${this.escapeHtml(note.text.substring(0, 120))}</td>
+                                <td><span class="path-tag">${this.escapeHtml(String(note.path))}</span></td>
+                                <td><button class="btn btn-secondary btn-sm" onclick="adminService.editClozeNote('${note.id}')">Edit</button></td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Error searching cloze notes:', error);
+            container.innerHTML = '<p>Error searching cloze notes.</p>';
+        }
+    }
+
+    /**
+     * Load a cloze note into the editor
+     * @param {string} noteId - Cloze note ID
+     */
+    async editClozeNote(noteId) {
+        try {
+            const note = await clozeNoteService.getNote(noteId);
+            this.resetClozeForm();
+            this.clozeNoteId = note.id;
+            document.getElementById('cloze-text').value = note.text;
+            document.getElementById('cloze-path').value = String(note.path);
+            document.getElementById('cloze-tags').value = (note.tags || []).join('; ');
+            document.getElementById('cloze-public').checked = note.is_public === true;
+            document.getElementById('cloze-preview-results').innerHTML =
+                `<p class="text-muted">Editing a note with ${note.siblings.length} cards.</p>`;
+            document.getElementById('cloze-text').scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } catch (error) {
+            console.error('Error loading cloze note:', error);
+            this.showError(`Failed to load cloze note: ${error.message}`);
+        }
+    }
+
+    /**
+     * Clear the cloze editor for a new note
+     */
+    resetClozeForm() {
+        this.clozeNoteId = null;
+        this.clozePreview = null;
+        ['cloze-text', 'cloze-path', 'cloze-tags'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        const publicCheckbox = document.getElementById('cloze-public');
+        if (publicCheckbox) publicCheckbox.checked = false;
+        const results = document.getElementById('cloze-preview-results');
+        if (results) results.innerHTML = '';
+        document.getElementById('cloze-save')?.classList.add('hidden');
+    }
+
+    /**
+     * Validate the editor contents and show the cards the note generates
+     */
+    async previewClozeNote() {
+        const container = document.getElementById('cloze-preview-results');
+        const saveButton = document.getElementById('cloze-save');
+
+        try {
+            const preview = await clozeNoteService.previewNote({
+                id: this.clozeNoteId || null,
+                text: document.getElementById('cloze-text')?.value || '',
+                path: document.getElementById('cloze-path')?.value || '',
+                tags: document.getElementById('cloze-tags')?.value || '',
+                isPublic: document.getElementById('cloze-public')?.checked === true
+            });
+            this.clozePreview = preview;
+
+            const errors = preview.errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('');
+            const rows = preview.cards.map(card => `
+                <tr>
+                    <td>c${card.cloze_index}${preview.created.includes(card.cloze_index) ? ' (new)' : ''}</td>
+                    <td>${this.escapeHtml(card.question)}</td>
+                    <td>${this.escapeHtml(card.answer)}</td>
+                </tr>`).join('');
+
+            container.innerHTML = `
+                ${errors ? `<div class="alert alert-danger"><ul>${errors}</ul></div>` : ''}
+                ${preview.removed.length > 0 ? `
+                    <div class="alert alert-warning">
+                        ${preview.removed.map(index => `c${index}`).join(', ')} no longer appear in the text.
+                        Saving deletes those cards and their review progress.
+                    </div>` : ''}
+                ${rows ? `
+                    <table class="subjects-table cloze-notes-table">
+                        <thead><tr><th>Cloze</th><th>Question</th><th>Answer</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>` : ''}
+            `;
+            saveButton?.classList.toggle('hidden', preview.errors.length > 0);
+        } catch (error) {
+            console.error('Error previewing cloze note:', error);
+            container.innerHTML = `<p class="error-text">${this.escapeHtml(error.message || 'Failed to preview note')}</p>`;
+            saveButton?.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Save the previewed cloze note and its cards
+     */
+    async saveClozeNote() {
+        const preview = this.clozePreview;
+        const saveButton = document.getElementById('cloze-save');
+        if (!preview) return;
+
+        if (preview.removed.length > 0 &&
+            !confirm(`Delete the cards for ${preview.removed.map(index => `c${index}`).join(', ')} and their review progress?`)) {
+            return;
+        }
+
+        saveButton.disabled = true;
+        try {
+            const result = await clozeNoteService.saveNote(preview, preview.removed);
+            this.clozeNoteId = result.note_id;
+            this.clozePreview = null;
+            saveButton.classList.add('hidden');
+            this.showSuccess(`Cloze note saved: ${result.created} cards created, ${result.updated} updated, ${result.removed} removed.`);
+        } catch (error) {
+            console.error('Error saving cloze note:', error);
+            if (error.removedIndexes) {
+                // The note's cards changed since the preview: show the current removals
+                await this.previewClozeNote();
+                const indexes = error.removedIndexes.map(index => `c${index}`).join(', ');
+                this.showError(`Nothing was saved: saving would also delete ${indexes} (${error.learners} learners have progress on them). Check the preview and save again.`);
+            } else {
+                this.showError(`Failed to save cloze note: ${error.message}`);
+            }
+        } finally {
+            saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Show or hide a search result's multiple-choice settings
+     * @param {string} cardId - Card template ID
+     */
+    toggleCardChoices(cardId) {
+        const panel = document.getElementById(`card-choices-${cardId}`);
+        const settings = this.cardChoiceSettings?.get(cardId);
+        if (!panel || !settings) return;
+
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.innerHTML = `
+            <label class="card-choices-option">
+                <input type="checkbox" id="card-choices-enabled-${cardId}" ${settings.cardType === 'multiple_choice' ? 'checked' : ''}>
+                Show as multiple choice
+            </label>
+            <textarea class="form-input" id="card-choices-distractors-${cardId}" rows="4"
+                      placeholder="Wrong options, one per line (up to ${MULTIPLE_CHOICE_CONFIG.MAX_DISTRACTORS})">${this.escapeHtml(settings.distractors.join('\n'))}</textarea>
+            <p class="text-muted">Missing options are drawn from answers of other cards at the same path.</p>
+            <button class="btn btn-primary" onclick="adminService.saveCardChoices('${cardId}')">Save</button>
+        `;
+        panel.classList.remove('hidden');
+    }
+
+    /**
+     * Save the card type and distractors from a card's multiple-choice panel
+     * @param {string} cardId - Card template ID
+     */
+    async saveCardChoices(cardId) {
+        const enabled = document.getElementById(`card-choices-enabled-${cardId}`)?.checked === true;
+        const distractors = (document.getElementById(`card-choices-distractors-${cardId}`)?.value || '').split('\n');
+
+        try {
+            await multipleChoiceService.updateChoiceSettings(cardId, enabled ? 'multiple_choice' : 'basic', distractors);
+            this.showSuccess(enabled ? 'Card is now multiple choice.' : 'Card is now a basic card.');
+            this.searchCards();
+        } catch (error) {
+            console.error('Error saving multiple-choice settings:', error);
+            this.showError(`Failed to save multiple-choice settings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show or hide a search result's attachment panel
+     * @param {string} cardId - Card template ID
+     */
+    async toggleCardMedia(cardId) {
+        const panel = document.getElementById(`card-media-${cardId}`);
+        if (!panel) return;
+
+        if (!panel.classList.contains('hidden')) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        panel.classList.remove('hidden');
+        await this.loadCardMedia(cardId);
+    }
+
+    /**
+     * Render a card's attachments with delete buttons and an upload form
+     * @param {string} cardId - Card template ID
+     */
+    async loadCardMedia(cardId) {
+        const panel = document.getElementById(`card-media-${cardId}`);
+        if (!panel) return;
+
+        panel.innerHTML = '<p class="text-muted">Loading media...</p>';
+
+        try {
+            const byCard = await cardMediaService.getAttachments([cardId]);
+            const attachments = byCard.get(cardId) || { question: [], answer: [] };
+            this.cardMediaAttachments = this.cardMediaAttachments || new Map();
+            this.cardMediaAttachments.set(cardId, attachments);
+
+            const renderFace = face => {
+                const items = attachments[face];
+                if (items.length === 0) {
+                    return '<p class="text-muted">No attachments.</p>';
+                }
+                return items.map(attachment => `
+                    <div class="card-media-item">
+                        ${attachment.media_type === 'audio'
+                            ? `<audio controls preload="none" src="${this.escapeHtml(attachment.url)}"></audio>`
+                            : `<img src="${this.escapeHtml(attachment.url)}" alt="${this.escapeHtml(attachment.alt_text || '')}">`}
+                        <span class="text-muted">${this.escapeHtml(attachment.alt_text || attachment.mime_type)} (${Math.ceil(attachment.file_size / 1024)} KB)</span>
+                        <button class="btn btn-danger btn-sm" onclick="adminService.deleteCardMedia('${cardId}', '${attachment.id}')">Remove</button>
+                    </div>`).join('');
+            };
+
+            const accept = [...CARD_MEDIA_CONFIG.IMAGE_TYPES, ...CARD_MEDIA_CONFIG.AUDIO_TYPES].join(',');
+
+            panel.innerHTML = `
+                <h5>Question Media</h5>
+                ${renderFace('question')}
+                <h5>Answer Media</h5>
+                ${renderFace('answer')}
+                <div class="card-media-upload">
+                    <select class="form-select" id="card-media-face-${cardId}">
+                        <option value="question">Question</option>
+                        <option value="answer">Answer</option>
+                    </select>
+                    <input type="file" class="form-input" id="card-media-file-${cardId}" accept="${accept}">
+                    <input type="text" class="form-input" id="card-media-alt-${cardId}" placeholder="Description (for screen readers)" maxlength="${CARD_MEDIA_CONFIG.MAX_ALT_TEXT_LENGTH}">
+                    <button class="btn btn-primary" onclick="adminService.uploadCardMedia('${cardId}')">Upload</button>
+                </div>
+            `;
+        } catch (error) {
+            console.error('Error loading card media:', error);
+            panel.innerHTML = `<p class="error-text">${this.escapeHtml(error.message || 'Failed to load media')}</p>`;
+        }
+    }
+
+    /**
+     * Upload the file chosen in a card's media panel
+     * @param {string} cardId - Card template ID
+     */
+    async uploadCardMedia(cardId) {
+        const face = document.getElementById(`card-media-face-${cardId}`)?.value;
+        const file = document.getElementById(`card-media-file-${cardId}`)?.files?.[0];
+        const altText = document.getElementById(`card-media-alt-${cardId}`)?.value || '';
+
+        try {
+            await cardMediaService.uploadAttachment(cardId, face, file, altText);
+            this.showSuccess('Attachment uploaded.');
+            await this.loadCardMedia(cardId);
+        } catch (error) {
+            console.error('Error uploading card media:', error);
+            this.showError(`Upload failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove an attachment from a card after confirmation
+     * @param {string} cardId - Card template ID
+     * @param {string} attachmentId - Attachment ID
+     */
+    async deleteCardMedia(cardId, attachmentId) {
+        const attachments = this.cardMediaAttachments?.get(cardId);
+        const attachment = attachments && [...attachments.question, ...attachments.answer].find(item => item.id === attachmentId);
+        if (!attachment || !confirm('Remove this attachment?')) return;
+
+        try {
+            await cardMediaService.deleteAttachment(attachment);
+            this.showSuccess('Attachment removed.');
+            await this.loadCardMedia(cardId);
+        } catch (error) {
+            console.error('Error removing card media:', error);
+            this.showError(`Failed to remove attachment: ${error.message}`);
+        }
+    }
+
     async updateUserTier() {
         const email = document.getElementById('user-email')?.value?.trim();
         const tier = document.getElementById('user-tier')?.value;
@@ -1147,6 +1553,326 @@ class AdminService {
         }
     }
 
+    /**
+     * Show a user's FSRS parameter versions with restore actions
+     */
+    async loadUserParameterHistory() {
+        const email = document.getElementById('parameter-history-email')?.value?.trim();
+        const container = document.getElementById('admin-parameter-history');
+
+        if (!email || !container) {
+            alert('Please enter a user email.');
+            return;
+        }
+
+        try {
+            const supabase = await this.getSupabase();
+            const { data: profile, error } = await supabase
+                .from('profiles')
+                .select('id')
+                .eq('email', email)
+                .single();
+
+            if (error) throw error;
+
+            const view = new ParameterHistoryView(container, {
+                trigger: 'admin',
+                onRestored: (version) => this.showSuccess(`Restored ${email} to parameter version ${version}.`),
+                onError: (message) => this.showError(message)
+            });
+            await view.load(profile.id);
+        } catch (error) {
+            console.error('Error loading parameter history:', error);
+            this.showError('Failed to load parameter history. Please check the email and try again.');
+        }
+    }
+
+    /**
+     * Validate the selected CSV/TSV/JSON file and show the per-row report
+     */
+    async previewCardImport() {
+        const file = document.getElementById('card-import-file')?.files?.[0];
+        const container = document.getElementById('card-import-results');
+        const runButton = document.getElementById('card-import-run');
+        const errorsButton = document.getElementById('card-import-download-errors');
+
+        if (!file || !container) {
+            alert('Please choose a CSV, TSV or JSON file.');
+            return;
+        }
+
+        this.cardImportReport = null;
+        runButton?.classList.add('hidden');
+        errorsButton?.classList.add('hidden');
+        container.innerHTML = '<p class="text-muted">Validating file...</p>';
+
+        try {
+            const report = await cardImportService.previewImport(file);
+            this.cardImportReport = report;
+            this.renderCardImportReport(container, report);
+            runButton?.classList.toggle('hidden', report.valid.length === 0);
+            errorsButton?.classList.toggle('hidden', report.errors.length === 0);
+        } catch (error) {
+            console.error('Error validating card import:', error);
+            container.innerHTML = `<p class="error-text">${this.escapeHtml(error.message || 'Failed to read file')}</p>`;
+        }
+    }
+
+    /**
+     * Render import counts and the per-row error report
+     * @param {HTMLElement} container - Results container
+     * @param {Object} report - Report from cardImportService.previewImport
+     */
+    renderCardImportReport(container, report) {
+        const errorRows = report.errors.map(row => `
+            <tr>
+                <td>${row.rowNumber}</td>
+                <td>${row.errors.map(message => this.escapeHtml(message)).join('<br>')}</td>
+            </tr>`).join('');
+
+        container.innerHTML = `
+            <div class="summary-stats">
+                <div class="stat-card"><h4>Rows</h4><span>${report.totalRows}</span></div>
+                <div class="stat-card"><h4>New Cards</h4><span>${report.newCount}</span></div>
+                <div class="stat-card"><h4>Updates</h4><span>${report.updateCount}</span></div>
+                <div class="stat-card"><h4>Invalid Rows</h4><span>${report.errors.length}</span></div>
+            </div>
+            ${report.withoutExternalId > 0 ? `<div class="alert alert-info">${report.withoutExternalId} valid rows have no external_id and will be created again if this file is re-imported.</div>` : ''}
+            ${errorRows ? `
+                <table class="subjects-table card-import-table">
+                    <thead><tr><th>Row</th><th>Errors</th></tr></thead>
+                    <tbody>${errorRows}</tbody>
+                </table>` : '<p class="success-text">All rows are valid.</p>'}
+        `;
+    }
+
+    /**
+     * Download the per-row error report as CSV
+     */
+    downloadCardImportErrors() {
+        const report = this.cardImportReport;
+        if (!report || report.errors.length === 0) return;
+
+        const csvData = [['Row', 'Errors']];
+        report.errors.forEach(row => {
+            csvData.push([row.rowNumber, `"${row.errors.join(' | ').replace(/"/g, '""')}"`]);
+        });
+
+        const csvContent = csvData.map(row => row.join(',')).join('\n');
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${report.fileName.replace(/\.[^.]+$/, '')}-errors.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Write the valid rows of the validated file
+     */
+    async runCardImport() {
+        const report = this.cardImportReport;
+        const runButton = document.getElementById('card-import-run');
+        if (!report || report.valid.length === 0) return;
+
+        if (!confirm(`Import ${report.valid.length} rows (${report.newCount} new, ${report.updateCount} updates)?`)) {
+            return;
+        }
+
+        runButton.disabled = true;
+
+        try {
+            const result = await cardImportService.executeImport(report, (done, total) => {
+                runButton.textContent = `Importing ${done}/${total}...`;
+            });
+
+            if (result.failedBatches.length > 0) {
+                const failedRows = result.failedBatches.reduce((sum, batch) => sum + batch.rows.length, 0);
+                this.showError(`Imported ${result.written} rows; ${failedRows} rows failed (${result.failedBatches[0].error}). Re-run the import to retry.`);
+            } else {
+                this.showSuccess(`Imported ${result.written} rows from ${report.fileName}.`);
+                this.cardImportReport = null;
+                runButton.classList.add('hidden');
+                document.getElementById('card-import-download-errors')?.classList.add('hidden');
+                document.getElementById('card-import-results').innerHTML = '';
+            }
+        } catch (error) {
+            console.error('Error importing cards:', error);
+            this.showError(`Import failed: ${error.message}`);
+        } finally {
+            runButton.disabled = false;
+            runButton.textContent = 'Import Valid Rows';
+        }
+    }
+
+    /**
+     * Read the selected Anki package and show a dry-run preview
+     */
+    async previewAnkiImport() {
+        const file = document.getElementById('anki-import-file')?.files?.[0];
+        const container = document.getElementById('anki-import-results');
+
+        if (!file || !container) {
+            alert('Please choose an .apkg or .colpkg file.');
+            return;
+        }
+
+        this.ankiImportPlan = null;
+        document.getElementById('anki-import-run')?.classList.add('hidden');
+        container.innerHTML = '<p class="text-muted">Reading Anki package...</p>';
+
+        try {
+            this.ankiCollection = await ankiImportService.readPackage(file);
+            this.ankiFieldMappings = {};
+            Object.values(this.ankiCollection.models).forEach(model => {
+                this.ankiFieldMappings[model.id] = defaultFieldMapping(model);
+            });
+            await this.refreshAnkiImportPreview();
+        } catch (error) {
+            console.error('Error reading Anki package:', error);
+            container.innerHTML = `<p class="error-text">${this.escapeHtml(error.message || 'Failed to read Anki package')}</p>`;
+        }
+    }
+
+    /**
+     * Re-plan the loaded package with the current field mappings
+     */
+    async refreshAnkiImportPreview() {
+        const container = document.getElementById('anki-import-results');
+        const runButton = document.getElementById('anki-import-run');
+
+        try {
+            this.ankiImportPlan = await ankiImportService.previewImport(this.ankiCollection, this.ankiFieldMappings);
+            this.renderAnkiImportPreview(container, this.ankiImportPlan);
+            runButton?.classList.toggle('hidden', this.ankiImportPlan.cards.length === 0);
+        } catch (error) {
+            console.error('Error previewing Anki import:', error);
+            container.innerHTML = `<p class="error-text">${this.escapeHtml(error.message || 'Failed to preview import')}</p>`;
+        }
+    }
+
+    /**
+     * Render import counts, field mappings, planned subjects and conflicts
+     * @param {HTMLElement} container - Results container
+     * @param {Object} plan - Import plan from ankiImportService.previewImport
+     */
+    renderAnkiImportPreview(container, plan) {
+        const { counts } = plan;
+        const usedModels = new Set(this.ankiCollection.notes.map(note => note.modelId));
+        const models = Object.values(this.ankiCollection.models).filter(model => usedModels.has(model.id));
+
+        const fieldOptions = (model, selected) => model.fields
+            .map((field, index) => `<option value="${index}" ${index === selected ? 'selected' : ''}>${this.escapeHtml(field)}</option>`)
+            .join('');
+
+        const mappingRows = models.map(model => {
+            const mapping = this.ankiFieldMappings[model.id];
+            return `
+                <tr>
+                    <td>${this.escapeHtml(model.name)}</td>
+                    <td><select class="form-select anki-field-mapping" data-model-id="${model.id}" data-role="question">${fieldOptions(model, mapping.question)}</select></td>
+                    <td><select class="form-select anki-field-mapping" data-model-id="${model.id}" data-role="answer">${fieldOptions(model, mapping.answer)}</select></td>
+                </tr>`;
+        }).join('');
+
+        const subjectRows = plan.newSubjects.map(subject => `
+            <tr>
+                <td>${this.escapeHtml(subject.deckName)}</td>
+                <td><span class="path-tag">${subject.path}</span></td>
+            </tr>`).join('');
+
+        const conflictRows = plan.conflicts.map(conflict => `
+            <tr>
+                <td>${this.escapeHtml(conflict.deck)}</td>
+                <td>${this.escapeHtml(conflict.question.substring(0, 80)) || '—'}</td>
+                <td>${this.escapeHtml(conflict.reason)}</td>
+            </tr>`).join('');
+
+        const skipped = counts.notes - counts.toImport;
+        const warnings = [];
+        if (counts.withMedia > 0) warnings.push(`${counts.withMedia} cards reference images or audio; media files are not imported.`);
+        if (counts.nestedDecks > 0) warnings.push(`${counts.nestedDecks} decks are nested deeper than three levels and become path groups inside their level-3 subject.`);
+
+        container.innerHTML = `
+            <div class="summary-stats">
+                <div class="stat-card"><h4>Notes</h4><span>${counts.notes}</span></div>
+                <div class="stat-card"><h4>To Import</h4><span>${counts.toImport}</span></div>
+                <div class="stat-card"><h4>Skipped</h4><span>${skipped}</span></div>
+                <div class="stat-card"><h4>New Subjects</h4><span>${counts.newSubjects}</span></div>
+                <div class="stat-card"><h4>Existing Subjects</h4><span>${counts.matchedSubjects}</span></div>
+                <div class="stat-card"><h4>Tags</h4><span>${counts.tags}</span></div>
+            </div>
+            <p class="text-muted">
+                Skipped: ${counts.duplicatesExisting} already exist, ${counts.duplicatesInPackage} duplicated in the package,
+                ${counts.empty} with an empty question or answer, ${counts.cloze} cloze notes.
+            </p>
+            ${warnings.map(warning => `<div class="alert alert-info">${warning}</div>`).join('')}
+            <h4>Field Mapping</h4>
+            <table class="subjects-table anki-import-table">
+                <thead><tr><th>Note Type</th><th>Question</th><th>Answer</th></tr></thead>
+                <tbody>${mappingRows}</tbody>
+            </table>
+            ${subjectRows ? `
+                <h4>New Subjects</h4>
+                <table class="subjects-table anki-import-table">
+                    <thead><tr><th>Anki Deck</th><th>Path</th></tr></thead>
+                    <tbody>${subjectRows}</tbody>
+                </table>` : ''}
+            ${conflictRows ? `
+                <h4>Conflicts${skipped > plan.conflicts.length ? ` (first ${plan.conflicts.length} of ${skipped})` : ''}</h4>
+                <table class="subjects-table anki-import-table">
+                    <thead><tr><th>Anki Deck</th><th>Question</th><th>Reason</th></tr></thead>
+                    <tbody>${conflictRows}</tbody>
+                </table>` : ''}
+        `;
+
+        container.querySelectorAll('.anki-field-mapping').forEach(select => {
+            select.addEventListener('change', () => {
+                this.ankiFieldMappings[select.dataset.modelId][select.dataset.role] = parseInt(select.value);
+                this.refreshAnkiImportPreview();
+            });
+        });
+    }
+
+    /**
+     * Write the previewed Anki import after confirmation
+     */
+    async runAnkiImport() {
+        const plan = this.ankiImportPlan;
+        const runButton = document.getElementById('anki-import-run');
+        if (!plan || plan.cards.length === 0) return;
+
+        if (!confirm(`Import ${plan.cards.length} cards and create ${plan.newSubjects.length} subjects?`)) {
+            return;
+        }
+
+        const isPublic = document.getElementById('anki-import-public')?.checked === true;
+        runButton.disabled = true;
+
+        try {
+            const result = await ankiImportService.executeImport(plan, {
+                isPublic,
+                onProgress: (done, total) => {
+                    runButton.textContent = `Importing ${done}/${total}...`;
+                }
+            });
+            this.showSuccess(`Imported ${result.cardsCreated} cards into ${result.subjectsCreated} new subjects.`);
+            this.ankiImportPlan = null;
+            runButton.classList.add('hidden');
+            document.getElementById('anki-import-results').innerHTML = '';
+            this.loadSubjects();
+        } catch (error) {
+            console.error('Error importing Anki package:', error);
+            this.showError(`Import failed: ${error.message}. Preview again before retrying.`);
+        } finally {
+            runButton.disabled = false;
+            runButton.textContent = 'Import Cards';
+        }
+    }
+
     // New Analytics Methods
 
     showSection(sectionName) {
@@ -1269,7 +1995,8 @@ class AdminService {
                     is_active,
                     created_at,
                     creator_id,
-                    is_public
+                    is_public,
+                    create_reverse_cards
                 `)
                 .order('name');
 
@@ -1325,6 +2052,7 @@ class AdminService {
                 <th>Status</th>
                 <th>Cards</th>
                 <th>Public</th>
+                <th>Reverse Cards</th>
                 <th>Created</th>
                 <th>Actions</th>
             </tr>
@@ -1350,6 +2078,11 @@ class AdminService {
                 </td>
                 <td>${subject.card_count}</td>
                 <td>${subject.is_public ? 'Yes' : 'No'}</td>
+                <td>
+                    <input type="checkbox" class="subject-reverse-toggle" data-subject-id="${subject.id}"
+                           title="Also create a reverse card for every card in this subject"
+                           ${subject.create_reverse_cards ? 'checked' : ''}>
+                </td>
                 <td>${new Date(subject.created_at).toLocaleDateString()}</td>
                 <td>
                     <button class="btn btn-sm toggle-subject-btn ${subject.is_active ? 'btn-warning' : 'btn-success'}" 
@@ -1422,6 +2155,61 @@ class AdminService {
                 this.toggleSubjectStatus(subjectId, newStatus);
             });
         });
+
+        document.querySelectorAll('.subject-reverse-toggle').forEach(toggle => {
+            toggle.addEventListener('change', () => {
+                this.setSubjectReverseCards(toggle.dataset.subjectId, toggle.checked);
+            });
+        });
+    }
+
+    /**
+     * Turn a subject's reverse cards on or off. Turning it on also creates
+     * reverses for the subject's existing cards; turning it off keeps them.
+     * @param {string} subjectId - Subject ID
+     * @param {boolean} enabled - Whether cards in the subject get reverses
+     */
+    async setSubjectReverseCards(subjectId, enabled) {
+        try {
+            const supabase = await this.getSupabase();
+            const { data, error } = await supabase.rpc('set_subject_reverse_cards', {
+                p_subject_id: subjectId,
+                p_enabled: enabled
+            });
+
+            if (error) throw error;
+
+            this.showSuccess(enabled
+                ? `Reverse cards enabled; ${data.created} reverse card(s) created`
+                : 'Reverse cards disabled; existing reverse cards were kept');
+            this.loadSubjectsForManagement();
+        } catch (error) {
+            console.error('Error updating reverse cards:', error);
+            this.showError(`Failed to update reverse cards: ${error.message}`);
+            this.loadSubjectsForManagement();
+        }
+    }
+
+    /**
+     * Create the reverse (answer → question) of a card
+     * @param {string} cardId - Forward card ID
+     */
+    async createReverseCard(cardId) {
+        try {
+            const supabase = await this.getSupabase();
+            const { data, error } = await supabase.rpc('create_reverse_card', {
+                p_card_template_id: cardId
+            });
+
+            if (error) throw error;
+            if (!data.success) throw new Error(data.message);
+
+            this.showSuccess(data.created ? 'Reverse card created' : 'This card already has a reverse card');
+            this.searchCards();
+        } catch (error) {
+            console.error('Error creating reverse card:', error);
+            this.showError(`Failed to create reverse card: ${error.message}`);
+        }
     }
 
     async toggleSubjectStatus(subjectId, newStatus) {
@@ -2444,7 +3232,8 @@ class AdminService {
                     is_active,
                     created_at,
                     creator_id,
-                    is_public
+                    is_public,
+                    create_reverse_cards
                 `)
                 .or(`name.ilike.%${searchTerm}%,description.ilike.%${searchTerm}%`)
                 .order('name');
@@ -0,0 +1,561 @@
+/**
+ * Anki Package Importer
+ * Reads Anki .apkg/.colpkg packages (a zip holding a SQLite collection) in the
+ * browser and turns their notes into card_templates. Anki decks become
+ * subjects on numeric ltree paths, note fields map to question/answer and
+ * Anki tags are copied to card_templates.tags. Every import is planned first
+ * so admins can review counts and conflicts before anything is written.
+ */
+
+import { getSupabaseClient } from './supabase-client.js';
+
+// JSZip and sql.js are only needed on the admin page, so load them on demand
+const ANKI_LIBRARIES = {
+    jszip: 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js',
+    sqlJs: 'https://cdn.jsdelivr.net/npm/sql.js@1.10.3/dist/sql-wasm.js',
+    sqlJsDist: 'https://cdn.jsdelivr.net/npm/sql.js@1.10.3/dist/'
+};
+
+// Collection files in order of preference (anki21 is newer than anki2)
+const COLLECTION_FILES = ['collection.anki21', 'collection.anki2'];
+
+// Anki 2.1.50+ default export: zstd-compressed, not readable here
+const COMPRESSED_COLLECTION_FILE = 'collection.anki21b';
+
+const FIELD_SEPARATOR = '\x1f';
+
+// subjects live at path levels 1-3; deeper Anki decks become path-only groups
+const MAX_SUBJECT_DEPTH = 3;
+
+const INSERT_BATCH_SIZE = 500;
+const EXISTING_CARDS_PAGE_SIZE = 1000;
+
+// Maximum conflicts listed in a preview (counts always cover everything)
+const MAX_LISTED_CONFLICTS = 100;
+
+const CLOZE_PATTERN = /\{\{c\d+::/;
+const MEDIA_PATTERN = /<img\b|\[sound:/i;
+
+/**
+ * Convert Anki field HTML to the plain text stored in card_templates
+ * @param {string} html - Field content
+ * @returns {string} Plain text
+ */
+function ankiHtmlToText(html) {
+    return (html || '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(div|p|li|tr|h[1-6])>/gi, '\n')
+        .replace(/\[sound:[^\]]*\]/g, '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+        .replace(/&amp;/g, '&')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Run a query against a sql.js database and return plain row objects
+ * @param {Object} db - sql.js Database
+ * @param {string} sql - Query
+ * @returns {Array<Object>} Rows
+ */
+function queryRows(db, sql) {
+    const [result] = db.exec(sql);
+    if (!result) return [];
+    return result.values.map(values => {
+        const row = {};
+        result.columns.forEach((column, index) => {
+            row[column] = values[index];
+        });
+        return row;
+    });
+}
+
+/**
+ * Read note types, decks and notes from an open Anki collection.
+ * Handles both the legacy schema (models/decks as JSON in `col`) and the
+ * 2.1.28+ schema with separate notetypes/fields/decks tables.
+ * @param {Object} db - sql.js Database
+ * @returns {{models: Object, notes: Array<Object>}} Collection contents
+ */
+function readCollection(db) {
+    const tables = queryRows(db, "SELECT name FROM sqlite_master WHERE type = 'table'").map(row => row.name);
+    const rows = tables.includes('notetypes')
+        ? {
+            notetypes: queryRows(db, 'SELECT id, name FROM notetypes'),
+            fields: queryRows(db, 'SELECT ntid, ord, name FROM fields ORDER BY ntid, ord'),
+            decks: queryRows(db, 'SELECT id, name FROM decks')
+        }
+        : { col: queryRows(db, 'SELECT models, decks FROM col')[0] };
+
+    // A note's deck is the deck of its first card
+    rows.notes = queryRows(db, `
+        SELECT n.id, n.mid, n.flds, n.tags,
+               (SELECT c.did FROM cards c WHERE c.nid = n.id ORDER BY c.ord LIMIT 1) AS did
+        FROM notes n
+        ORDER BY n.id
+    `);
+
+    return collectionFromRows(rows);
+}
+
+/**
+ * Build collection contents from rows read out of an Anki collection.
+ * New-schema collections pass notetypes/fields/decks rows, legacy ones the
+ * `col` row; both pass notes rows (id, mid, flds, tags, did).
+ * @param {Object} rows - { notetypes, fields, decks } or { col }, plus { notes }
+ * @returns {{models: Object, notes: Array<Object>}} Collection contents
+ */
+function collectionFromRows(rows) {
+    const models = {};
+    const deckNames = {};
+
+    if (rows.notetypes) {
+        rows.notetypes.forEach(row => {
+            models[row.id] = { id: String(row.id), name: row.name, fields: [], isCloze: false };
+        });
+        (rows.fields || []).forEach(row => {
+            models[row.ntid]?.fields.push(row.name);
+        });
+        (rows.decks || []).forEach(row => {
+            deckNames[row.id] = row.name.split(FIELD_SEPARATOR);
+        });
+    } else {
+        const col = rows.col || {};
+        Object.values(JSON.parse(col.models || '{}')).forEach(model => {
+            models[model.id] = {
+                id: String(model.id),
+                name: model.name,
+                fields: [...model.flds].sort((a, b) => a.ord - b.ord).map(field => field.name),
+                isCloze: model.type === 1
+            };
+        });
+        Object.values(JSON.parse(col.decks || '{}')).forEach(deck => {
+            deckNames[deck.id] = deck.name.split('::');
+        });
+    }
+
+    const notes = rows.notes.map(row => ({
+        id: String(row.id),
+        modelId: String(row.mid),
+        fields: row.flds.split(FIELD_SEPARATOR),
+        tags: row.tags.trim() ? row.tags.trim().split(/\s+/) : [],
+        deckPath: (deckNames[row.did] || ['Default']).map(name => name.trim()).filter(Boolean)
+    }));
+
+    return { models, notes };
+}
+
+/**
+ * Default question/answer field indexes for a note type: fields named
+ * Front/Back (or Text/Back Extra for cloze types), else the first two
+ * @param {Object} model - Note type from readCollection
+ * @returns {{question: number, answer: number}} Field indexes
+ */
+function defaultFieldMapping(model) {
+    const find = (...names) => model.fields.findIndex(field => names.includes(field.toLowerCase()));
+    const question = find('front', 'question', 'text');
+    const answer = find('back', 'answer', 'back extra', 'extra');
+    return {
+        question: question >= 0 ? question : 0,
+        answer: answer >= 0 && answer !== question ? answer : Math.min(1, model.fields.length - 1)
+    };
+}
+
+/**
+ * Map notes to card drafts using per-note-type field mappings
+ * @param {{models: Object, notes: Array}} collection - Output of readCollection
+ * @param {Object} fieldMappings - { modelId: {question, answer} } overrides
+ * @returns {Array<Object>} Drafts with question, answer, deckPath, tags and issues
+ */
+function mapNotes(collection, fieldMappings = {}) {
+    return collection.notes.map(note => {
+        const model = collection.models[note.modelId] || { name: 'Unknown', fields: [], isCloze: false };
+        const mapping = fieldMappings[note.modelId] || defaultFieldMapping(model);
+        const rawQuestion = note.fields[mapping.question] || '';
+        const rawAnswer = note.fields[mapping.answer] || '';
+        const issues = [];
+
+        if (model.isCloze || CLOZE_PATTERN.test(rawQuestion)) issues.push('cloze');
+        if (MEDIA_PATTERN.test(rawQuestion) || MEDIA_PATTERN.test(rawAnswer)) issues.push('media');
+
+        return {
+            noteId: note.id,
+            modelName: model.name,
+            question: ankiHtmlToText(rawQuestion),
+            answer: ankiHtmlToText(rawAnswer),
+            deckPath: note.deckPath.length > 0 ? note.deckPath : ['Default'],
+            tags: note.tags,
+            issues
+        };
+    });
+}
+
+/**
+ * Normalize text for duplicate detection
+ * @param {string} text - Question text
+ * @returns {string} Lowercased, whitespace-collapsed text
+ */
+function normalizeQuestion(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Plan an import without touching the database.
+ * Anki decks are matched to existing subjects by name under the same parent,
+ * otherwise new subjects are planned on the next free numeric label. Decks
+ * nested deeper than three levels become path-only groups under their
+ * level-3 subject. Each card gets its own leaf label under its deck path.
+ * @param {Array<Object>} drafts - Output of mapNotes
+ * @param {Array<Object>} subjects - Existing subjects (id, name, path)
+ * @param {Array<Object>} existingCards - Existing card_templates (question, path, subject_id) under matched subjects
+ * @returns {Object} Plan with subjects to create, matched subject IDs, cards to insert, conflicts and counts
+ */
+function buildImportPlan(drafts, subjects, existingCards) {
+    const subjectsByPath = new Map(subjects.filter(s => s.path).map(s => [String(s.path), s]));
+    const childLabels = new Map();
+    const noteLabel = (path) => {
+        const parts = String(path).split('.');
+        const parent = parts.slice(0, -1).join('.');
+        const label = parseInt(parts[parts.length - 1], 10);
+        if (!Number.isNaN(label)) {
+            childLabels.set(parent, Math.max(childLabels.get(parent) || 0, label));
+        }
+    };
+    const allocateLabel = (parentPath) => {
+        const next = (childLabels.get(parentPath) || 0) + 1;
+        childLabels.set(parentPath, next);
+        return parentPath ? `${parentPath}.${next}` : String(next);
+    };
+
+    subjectsByPath.forEach((subject, path) => noteLabel(path));
+    existingCards.forEach(card => card.path && noteLabel(card.path));
+
+    const existingQuestions = new Set(existingCards
+        .filter(card => card.subject_id)
+        .map(card => `${card.subject_id}|${normalizeQuestion(card.question)}`));
+
+    const deckPaths = new Map();   // Anki deck name -> { path, subjectKey }
+    const newSubjects = [];        // { name, path, parentPath, deckName }
+    const matchedSubjects = new Set();
+    const conflicts = [];
+    const cards = [];
+    const packageQuestions = new Set();
+    const counts = {
+        notes: drafts.length,
+        toImport: 0,
+        duplicatesExisting: 0,
+        duplicatesInPackage: 0,
+        empty: 0,
+        cloze: 0,
+        withMedia: 0,
+        nestedDecks: 0
+    };
+
+    const addConflict = (draft, reason) => {
+        if (conflicts.length < MAX_LISTED_CONFLICTS) {
+            conflicts.push({ noteId: draft.noteId, deck: draft.deckPath.join('::'), question: draft.question, reason });
+        }
+    };
+
+    /**
+     * Resolve the ltree path for an Anki deck, planning subjects/groups as needed
+     * @returns {{path: string, subjectKey: string}} subjectKey is the subject id or planned path
+     */
+    const resolveDeck = (deckPath) => {
+        const deckName = deckPath.join('::');
+        if (deckPaths.has(deckName)) return deckPaths.get(deckName);
+
+        let parentPath = '';
+        let subjectKey = null;
+        deckPath.forEach((name, depth) => {
+            const prefix = deckPath.slice(0, depth + 1).join('::');
+            if (deckPaths.has(prefix)) {
+                ({ path: parentPath, subjectKey } = deckPaths.get(prefix));
+                return;
+            }
+
+            let path;
+            if (depth < MAX_SUBJECT_DEPTH) {
+                const existing = subjects.filter(subject => subject.path
+                    && subject.name.trim().toLowerCase() === name.toLowerCase()
+                    && String(subject.path).split('.').length === depth + 1
+                    && (depth === 0 || String(subject.path).startsWith(`${parentPath}.`)));
+                if (existing.length > 0) {
+                    path = String(existing[0].path);
+                    subjectKey = existing[0].id;
+                    matchedSubjects.add(existing[0].id);
+                } else {
+                    path = allocateLabel(parentPath);
+                    subjectKey = path;
+                    newSubjects.push({ name, path, parentPath: parentPath || null, deckName: prefix });
+                }
+            } else {
+                path = allocateLabel(parentPath);
+                counts.nestedDecks++;
+            }
+
+            deckPaths.set(prefix, { path, subjectKey });
+            parentPath = path;
+        });
+
+        return deckPaths.get(deckName);
+    };
+
+    drafts.forEach(draft => {
+        if (draft.issues.includes('cloze')) {
+            counts.cloze++;
+            addConflict(draft, 'Cloze notes are not supported');
+            return;
+        }
+        if (!draft.question || !draft.answer) {
+            counts.empty++;
+            addConflict(draft, 'Question or answer field is empty');
+            return;
+        }
+
+        const deck = resolveDeck(draft.deckPath);
+        const questionKey = `${deck.subjectKey}|${normalizeQuestion(draft.question)}`;
+
+        if (existingQuestions.has(questionKey)) {
+            counts.duplicatesExisting++;
+            addConflict(draft, 'A card with this question already exists in the subject');
+            return;
+        }
+        if (packageQuestions.has(questionKey)) {
+            counts.duplicatesInPackage++;
+            addConflict(draft, 'Duplicate question within the package');
+            return;
+        }
+        packageQuestions.add(questionKey);
+
+        if (draft.issues.includes('media')) counts.withMedia++;
+        counts.toImport++;
+        cards.push({
+            noteId: draft.noteId,
+            question: draft.question,
+            answer: draft.answer,
+            tags: draft.tags,
+            path: allocateLabel(deck.path),
+            subjectKey: deck.subjectKey
+        });
+    });
+
+    return {
+        counts: {
+            ...counts,
+            newSubjects: newSubjects.length,
+            matchedSubjects: matchedSubjects.size,
+            tags: new Set(cards.flatMap(card => card.tags)).size
+        },
+        newSubjects,
+        matchedSubjectIds: [...matchedSubjects],
+        cards,
+        conflicts
+    };
+}
+
+class AnkiImportService {
+    constructor() {
+        this.supabasePromise = getSupabaseClient();
+        this.scriptPromises = new Map();
+        this.sqlPromise = null;
+    }
+
+    async getSupabase() {
+        return await this.supabasePromise;
+    }
+
+    /**
+     * Load a classic script once
+     * @param {string} src - Script URL
+     * @returns {Promise<void>}
+     */
+    loadScript(src) {
+        if (!this.scriptPromises.has(src)) {
+            this.scriptPromises.set(src, new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = () => resolve();
+                script.onerror = () => reject(new Error(`Failed to load ${src}`));
+                document.head.appendChild(script);
+            }));
+        }
+        return this.scriptPromises.get(src);
+    }
+
+    /**
+     * Load JSZip and sql.js (with its WebAssembly binary)
+     * @returns {Promise<Object>} Initialized sql.js module
+     */
+    async loadLibraries() {
+        await Promise.all([
+            this.loadScript(ANKI_LIBRARIES.jszip),
+            this.loadScript(ANKI_LIBRARIES.sqlJs)
+        ]);
+        if (!this.sqlPromise) {
+            this.sqlPromise = window.initSqlJs({ locateFile: file => `${ANKI_LIBRARIES.sqlJsDist}${file}` });
+        }
+        return await this.sqlPromise;
+    }
+
+    /**
+     * Unzip a package and read its collection
+     * @param {File|Blob|ArrayBuffer} file - .apkg or .colpkg
+     * @returns {Promise<{models: Object, notes: Array}>} Collection contents
+     */
+    async readPackage(file) {
+        const SQL = await this.loadLibraries();
+        const zip = await window.JSZip.loadAsync(file);
+        const entryName = COLLECTION_FILES.find(name => zip.file(name));
+
+        if (zip.file(COMPRESSED_COLLECTION_FILE) && entryName !== 'collection.anki21') {
+            // Newer exports also contain a stub collection.anki2 that only
+            // holds an "update Anki" note, so it must not be imported
+            throw new Error('This package uses the compressed Anki 2.1.50+ format. Re-export it from Anki with "Support older Anki versions" enabled.');
+        }
+        if (!entryName) {
+            throw new Error('No Anki collection found in this file. Expected an .apkg or .colpkg package.');
+        }
+
+        const data = await zip.file(entryName).async('uint8array');
+        const db = new SQL.Database(data);
+        try {
+            const collection = readCollection(db);
+            console.log(`📦 Read ${collection.notes.length} notes from ${entryName}`);
+            return collection;
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Dry run: plan the import against the current subjects and cards
+     * @param {{models: Object, notes: Array}} collection - Output of readPackage
+     * @param {Object} fieldMappings - Per-note-type field overrides
+     * @returns {Promise<Object>} Import plan (see buildImportPlan)
+     */
+    async previewImport(collection, fieldMappings = {}) {
+        const supabase = await this.getSupabase();
+        const drafts = mapNotes(collection, fieldMappings);
+
+        const { data: subjects, error } = await supabase
+            .from('subjects')
+            .select('id, name, path, parent_id');
+
+        if (error) throw error;
+
+        // Plan once to learn which existing subjects are involved, then load
+        // their cards for duplicate detection and label allocation
+        const firstPass = buildImportPlan(drafts, subjects || [], []);
+        const existingCards = await this.getCardsForSubjects(firstPass.matchedSubjectIds);
+
+        return buildImportPlan(drafts, subjects || [], existingCards);
+    }
+
+    /**
+     * Load question/path of every card in the given subjects
+     * @param {Array<string>} subjectIds - Subject IDs
+     * @returns {Promise<Array<Object>>} Cards
+     */
+    async getCardsForSubjects(subjectIds) {
+        if (subjectIds.length === 0) return [];
+
+        const supabase = await this.getSupabase();
+        const cards = [];
+        for (;;) {
+            const { data, error } = await supabase
+                .from('card_templates')
+                .select('question, path, subject_id')
+                .in('subject_id', subjectIds)
+                .order('id')
+                .range(cards.length, cards.length + EXISTING_CARDS_PAGE_SIZE - 1);
+
+            if (error) throw error;
+            cards.push(...(data || []));
+            if (!data || data.length < EXISTING_CARDS_PAGE_SIZE) break;
+        }
+        return cards;
+    }
+
+    /**
+     * Write a previewed plan: subjects first (parents before children), then
+     * cards in batches
+     * @param {Object} plan - Output of previewImport
+     * @param {Object} options - Import options
+     * @param {boolean} options.isPublic - Make new subjects and cards public
+     * @param {Function} [options.onProgress] - Called with (cardsInserted, totalCards)
+     * @returns {Promise<{subjectsCreated: number, cardsCreated: number}>}
+     */
+    async executeImport(plan, options = {}) {
+        const supabase = await this.getSupabase();
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const isPublic = options.isPublic === true;
+        const subjectIds = new Map();
+        const byDepth = [...plan.newSubjects].sort((a, b) => a.path.split('.').length - b.path.split('.').length);
+
+        for (const subject of byDepth) {
+            const { data, error } = await supabase
+                .from('subjects')
+                .insert({
+                    name: subject.name,
+                    path: subject.path,
+                    parent_id: subject.parentPath ? subjectIds.get(subject.parentPath) || null : null,
+                    description: `Imported from Anki deck "${subject.deckName}"`,
+                    creator_id: user.id,
+                    is_public: isPublic,
+                    is_active: true
+                })
+                .select('id')
+                .single();
+
+            if (error) throw error;
+            subjectIds.set(subject.path, data.id);
+        }
+
+        // subjectKey is an existing subject id, or the path of a planned one
+        const rows = plan.cards.map(card => ({
+            question: card.question,
+            answer: card.answer,
+            path: card.path,
+            subject_id: subjectIds.get(card.subjectKey) || card.subjectKey,
+            tags: card.tags.length > 0 ? card.tags : null,
+            creator_id: user.id,
+            is_public: isPublic
+        }));
+
+        let cardsCreated = 0;
+        for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+            const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+            const { error } = await supabase.from('card_templates').insert(batch);
+            if (error) throw error;
+            cardsCreated += batch.length;
+            if (options.onProgress) options.onProgress(cardsCreated, rows.length);
+        }
+
+        console.log(`✅ Anki import created ${byDepth.length} subjects and ${cardsCreated} cards`);
+        return { subjectsCreated: byDepth.length, cardsCreated };
+    }
+}
+
+// Create and export singleton instance
+const ankiImportService = new AnkiImportService();
+
+export default ankiImportService;
+export {
+    AnkiImportService,
+    ankiHtmlToText,
+    readCollection,
+    collectionFromRows,
+    defaultFieldMapping,
+    mapNotes,
+    buildImportPlan
+};
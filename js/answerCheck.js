@@ -0,0 +1,142 @@
+/**
+ * Typed-answer checking
+ * Compares a typed answer with a card's answer character by character
+ * (optionally ignoring case and accents) and suggests a rating:
+ * exact = Good, minor typo = Hard, wrong = Again.
+ */
+
+import { RATING } from './fsrs.js';
+import { TYPED_ANSWER_CONFIG } from './config.js';
+
+/**
+ * Reduce a card answer's Markdown to the text a user would type
+ * @param {string} markdown - Card answer
+ * @returns {string} Plain text
+ */
+function plainAnswerText(markdown) {
+    return String(markdown || '')
+        .replace(/^```.*$/gm, '')
+        .replace(/^\s{0,3}(#{1,6}\s+|>\s?|[-*+]\s+|\d+\.\s+)/gm, '')
+        .replace(/\*\*|__|~~|`/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Comparison key for one character
+ * @param {string} char - Character
+ * @param {Object} options - { ignoreCase, ignoreAccents }
+ * @returns {string} Key
+ */
+function foldCharacter(char, options) {
+    let key = char;
+    if (options.ignoreAccents) key = key.normalize('NFD').replace(/\p{M}/gu, '');
+    if (options.ignoreCase) key = key.toLowerCase();
+    return key;
+}
+
+/**
+ * Align two strings with minimum edit distance and describe the alignment.
+ * Consecutive operations of the same type are merged.
+ * @param {string} expected - Correct answer
+ * @param {string} typed - User's answer
+ * @param {Object} options - { ignoreCase, ignoreAccents }
+ * @returns {{distance: number, diff: Array<{type: string, text: string}>}}
+ *   type is 'equal', 'missing' (expected, not typed) or 'extra' (typed, not expected)
+ */
+function diffAnswer(expected, typed, options = {}) {
+    const a = [...expected];
+    const b = [...typed];
+    const aKeys = a.map(char => foldCharacter(char, options));
+    const bKeys = b.map(char => foldCharacter(char, options));
+
+    // dist[i][j] = edit distance between a[0..i) and b[0..j)
+    const dist = Array.from({ length: a.length + 1 }, (_, i) => {
+        const row = new Array(b.length + 1).fill(0);
+        row[0] = i;
+        return row;
+    });
+    for (let j = 0; j <= b.length; j++) dist[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const substitution = dist[i - 1][j - 1] + (aKeys[i - 1] === bKeys[j - 1] ? 0 : 1);
+            dist[i][j] = Math.min(substitution, dist[i - 1][j] + 1, dist[i][j - 1] + 1);
+        }
+    }
+
+    // Walk back from the end, preferring matches
+    const ops = [];
+    let i = a.length;
+    let j = b.length;
+    while (i > 0 || j > 0) {
+        if (i > 0 && j > 0 && aKeys[i - 1] === bKeys[j - 1] && dist[i][j] === dist[i - 1][j - 1]) {
+            ops.push({ type: 'equal', text: a[--i] });
+            j--;
+        } else if (i > 0 && j > 0 && dist[i][j] === dist[i - 1][j - 1] + 1) {
+            // Substitution: show the typed character as extra and the expected one as missing
+            ops.push({ type: 'missing', text: a[--i] });
+            ops.push({ type: 'extra', text: b[--j] });
+        } else if (i > 0 && dist[i][j] === dist[i - 1][j] + 1) {
+            ops.push({ type: 'missing', text: a[--i] });
+        } else {
+            ops.push({ type: 'extra', text: b[--j] });
+        }
+    }
+
+    const diff = [];
+    ops.reverse().forEach(op => {
+        const last = diff[diff.length - 1];
+        if (last && last.type === op.type) {
+            last.text += op.text;
+        } else {
+            diff.push({ ...op });
+        }
+    });
+
+    return { distance: dist[a.length][b.length], diff };
+}
+
+/**
+ * Check a typed answer and suggest a rating
+ * @param {string} typed - User's answer
+ * @param {string} answer - Card answer (Markdown)
+ * @param {Object} options - { ignoreCase, ignoreAccents }
+ * @returns {{verdict: string, suggestedRating: number, distance: number, expected: string, diff: Array|null}}
+ *   verdict is 'exact', 'typo' or 'wrong'; diff is null for answers longer than MAX_DIFF_LENGTH
+ */
+function checkTypedAnswer(typed, answer, options = {}) {
+    const expected = plainAnswerText(answer);
+    const given = String(typed || '').replace(/\s+/g, ' ').trim();
+
+    let distance;
+    let diff = null;
+    if (expected.length > TYPED_ANSWER_CONFIG.MAX_DIFF_LENGTH || given.length > TYPED_ANSWER_CONFIG.MAX_DIFF_LENGTH) {
+        const fold = text => [...text].map(char => foldCharacter(char, options)).join('');
+        distance = fold(expected) === fold(given) ? 0 : Infinity;
+    } else {
+        ({ distance, diff } = diffAnswer(expected, given, options));
+    }
+
+    const typoLimit = Math.min(
+        Math.floor([...expected].length * TYPED_ANSWER_CONFIG.TYPO_RATIO),
+        TYPED_ANSWER_CONFIG.MAX_TYPO_DISTANCE
+    );
+
+    let verdict = 'wrong';
+    if (given && distance === 0) {
+        verdict = 'exact';
+    } else if (given && distance <= typoLimit) {
+        verdict = 'typo';
+    }
+
+    const suggestedRating = { exact: RATING.GOOD, typo: RATING.HARD, wrong: RATING.AGAIN }[verdict];
+    return { verdict, suggestedRating, distance, expected, diff };
+}
+
+export {
+    plainAnswerText,
+    diffAnswer,
+    checkTypedAnswer
+};
+
@@ -1,5 +1,5 @@
 import { getSupabaseClient } from './supabase-client.js';
-import { SESSION_CONFIG } from './config.js';
+import { SESSION_CONFIG, STUDY_PREFERENCES_DEFAULTS } from './config.js';
 import { handleError } from './errorHandler.js';
 import { validateEmail, validatePassword, sanitizeString } from './validator.js';
 
@@ -94,9 +94,10 @@ class AuthService {
                     id, email, display_name, user_tier, is_admin,
                     timezone, day_start_time,
                     daily_new_cards_limit, daily_review_limit,
+                    session_size, session_review_ratio,
                     reviews_today, last_review_date,
                     current_daily_streak, longest_daily_streak, last_streak_date, streak_freeze_count,
-                    created_at, updated_at
+                    study_preferences, created_at, updated_at
                 `)
                 .eq('id', user.id)
                 .single();
@@ -844,6 +845,68 @@ class AuthService {
         }
     }
 
+    /**
+     * Get the user's study preferences merged over the defaults
+     * @returns {Promise<Object>} Study preferences
+     */
+    async getStudyPreferences() {
+        const profile = await this.getUserProfile();
+        return { ...STUDY_PREFERENCES_DEFAULTS, ...(profile?.study_preferences || {}) };
+    }
+
+    /**
+     * Update some of the user's study preferences
+     * @param {Object} updates - Preference keys to change
+     * @returns {Promise<Object>} Saved study preferences
+     */
+    async updateStudyPreferences(updates) {
+        const supabase = await this.getSupabase();
+        const user = await this.getCurrentUser();
+        if (!user) throw new Error('No authenticated user');
+
+        const profile = await this.getUserProfile(true);
+        const studyPreferences = { ...(profile?.study_preferences || {}), ...updates };
+
+        const { error } = await supabase
+            .from('profiles')
+            .update({ study_preferences: studyPreferences })
+            .eq('id', user.id);
+
+        if (error) {
+            throw new Error('Failed to save study preferences');
+        }
+
+        await this.getUserProfile(true);
+        return { ...STUDY_PREFERENCES_DEFAULTS, ...studyPreferences };
+    }
+
+    /**
+     * Save the user's session length, review share and daily new-card limit
+     * (paid plan; enforced by update_session_settings)
+     * @param {Object} settings
+     * @param {number|null} settings.sessionSize - Cards per session, null for the default
+     * @param {number|null} settings.reviewRatio - Share of due cards (0-1), null for adaptive
+     * @param {number} settings.dailyNewCardsLimit - New cards per day
+     * @returns {Promise<Object>} Refreshed profile
+     */
+    async updateSessionSettings({ sessionSize, reviewRatio, dailyNewCardsLimit }) {
+        const supabase = await this.getSupabase();
+        const { data, error } = await supabase.rpc('update_session_settings', {
+            p_session_size: sessionSize,
+            p_review_ratio: reviewRatio,
+            p_daily_new_cards_limit: dailyNewCardsLimit
+        });
+
+        if (error) {
+            throw new Error('Failed to save session settings');
+        }
+        if (!data.success) {
+            throw new Error(data.message || 'Failed to save session settings');
+        }
+
+        return await this.getUserProfile(true);
+    }
+
     // Change user password
     async changePassword(currentPassword, newPassword) {
         try {
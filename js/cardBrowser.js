@@ -0,0 +1,107 @@
+/**
+ * Card Browser Service
+ * Data access for the learner card browser: the user's cards with filters
+ * and full-text search, their tags and one card's review timeline.
+ */
+
+import { getSupabaseClient } from './supabase-client.js';
+import { Validator } from './validator.js';
+
+const CARD_BROWSER_PAGE_SIZE = 50;
+
+const CARD_BROWSER_SORTS = ['due', 'relevance', 'lapses', 'difficulty', 'recent', 'path'];
+
+class CardBrowserService {
+    constructor() {
+        this.supabasePromise = getSupabaseClient();
+    }
+
+    async getSupabase() {
+        return await this.supabasePromise;
+    }
+
+    /**
+     * Search the user's cards
+     * @param {Object} filters - Empty values are ignored
+     * @param {string} [filters.query] - Full-text search of question and answer
+     * @param {string} [filters.path] - LTREE path; matches the path and below
+     * @param {Array<string>} [filters.states] - Card states
+     * @param {string} [filters.dueFrom] - Due on or after (ISO timestamp)
+     * @param {string} [filters.dueTo] - Due before (ISO timestamp)
+     * @param {number} [filters.minLapses] - Minimum lapses
+     * @param {number} [filters.minDifficulty] - Minimum difficulty (1-10)
+     * @param {number} [filters.maxDifficulty] - Maximum difficulty (1-10)
+     * @param {Array<string>} [filters.tags] - Cards must have all of these tags
+     * @param {string} [filters.sort='due'] - One of CARD_BROWSER_SORTS
+     * @param {number} [page=0] - Zero-based page
+     * @returns {Promise<{cards: Array, total: number}>}
+     */
+    async searchCards(filters = {}, page = 0) {
+        const path = filters.path?.trim();
+        if (path) Validator.validateLtreePath(path, 'card search');
+
+        const sort = CARD_BROWSER_SORTS.includes(filters.sort) ? filters.sort : 'due';
+        const supabase = await this.getSupabase();
+        const { data, error } = await supabase.rpc('search_user_cards', {
+            p_query: filters.query?.trim() || null,
+            p_path: path || null,
+            p_states: filters.states?.length ? filters.states : null,
+            p_due_from: filters.dueFrom || null,
+            p_due_to: filters.dueTo || null,
+            p_min_lapses: Number.isFinite(filters.minLapses) ? filters.minLapses : null,
+            p_min_difficulty: Number.isFinite(filters.minDifficulty) ? filters.minDifficulty : null,
+            p_max_difficulty: Number.isFinite(filters.maxDifficulty) ? filters.maxDifficulty : null,
+            p_tags: filters.tags?.length ? filters.tags : null,
+            p_sort: sort,
+            p_limit: CARD_BROWSER_PAGE_SIZE,
+            p_offset: page * CARD_BROWSER_PAGE_SIZE
+        });
+
+        if (error) {
+            console.error('Card search RPC error:', error);
+            throw new Error(`Failed to search cards: ${error.message}`);
+        }
+
+        const cards = data || [];
+        return {
+            cards,
+            total: cards.length > 0 ? Number(cards[0].total_count) : 0
+        };
+    }
+
+    /**
+     * Tags on the user's cards
+     * @returns {Promise<Array<{tag: string, card_count: number}>>}
+     */
+    async getTags() {
+        const supabase = await this.getSupabase();
+        const { data, error } = await supabase.rpc('get_user_card_tags');
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * A card's reviews, oldest first
+     * @param {string} cardTemplateId - Card template ID
+     * @returns {Promise<Array>} Reviews
+     */
+    async getReviewHistory(cardTemplateId) {
+        Validator.validateUUID(cardTemplateId, 'review history');
+
+        const supabase = await this.getSupabase();
+        const { data, error } = await supabase.rpc('get_card_review_history', {
+            p_card_template_id: cardTemplateId
+        });
+        if (error) {
+            console.error('Review history RPC error:', error);
+            throw new Error(`Failed to load review history: ${error.message}`);
+        }
+        return (data || []).reverse();
+    }
+}
+
+// Create and export singleton instance
+const cardBrowserService = new CardBrowserService();
+
+export default cardBrowserService;
+export { CardBrowserService, CARD_BROWSER_PAGE_SIZE, CARD_BROWSER_SORTS };
@@ -0,0 +1,513 @@
+// cardBrowserPage.js - Card browser page functionality
+
+import auth from './auth.js';
+import slideMenu from './slideMenu.js';
+import cardBrowserService, { CARD_BROWSER_PAGE_SIZE } from './cardBrowser.js';
+import cardScheduleService from './cardSchedule.js';
+import fsrsParametersService from './fsrsParameters.js';
+import { renderRetrievabilityChart } from './progressCharts.js';
+import { buildRetrievabilityCurve } from './retrievabilityCurve.js';
+import { renderRichText } from './richText.js';
+import { Validator } from './validator.js';
+
+const RATING_LABELS = ['Again', 'Hard', 'Good', 'Easy'];
+
+const STATE_LABELS = {
+    new: 'New',
+    learning: 'Learning',
+    review: 'Review',
+    relearning: 'Relearning',
+    buried: 'Buried',
+    suspended: 'Suspended'
+};
+
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Local date input value (YYYY-MM-DD) as the start of that day
+ * @param {string} value - Date input value
+ * @param {number} [addDays=0] - Days to add
+ * @returns {string|null} ISO timestamp
+ */
+function dayStart(value, addDays = 0) {
+    if (!value) return null;
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day + addDays).toISOString();
+}
+
+/**
+ * @param {string|null} value - Timestamp
+ * @returns {string} Short date, or an em dash
+ */
+function formatDate(value) {
+    if (!value) return '—';
+    return new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * @param {string|null} value - Timestamp
+ * @returns {string} Date and time, or an em dash
+ */
+function formatDateTime(value) {
+    if (!value) return '—';
+    return new Date(value).toLocaleString(undefined, { year: 'numeric', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * @param {number|null} days - Interval in days
+ * @returns {string} Readable interval
+ */
+function formatDays(days) {
+    const value = Number(days);
+    if (!Number.isFinite(value)) return '—';
+    if (value < 1) return `${Math.max(1, Math.round(value * 24 * 60))}m`;
+    if (value < 30) return `${Math.round(value)}d`;
+    if (value < 365) return `${(value / 30).toFixed(1)}mo`;
+    return `${(value / 365).toFixed(1)}y`;
+}
+
+/**
+ * Card text on one line for the list
+ * @param {string} text - Card text
+ * @param {number} [maxLength=140] - Maximum length
+ * @returns {string} Plain text
+ */
+function previewText(text, maxLength = 140) {
+    const line = String(text || '').replace(/\s+/g, ' ').trim();
+    return line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+}
+
+class CardBrowserPage {
+    constructor() {
+        this.currentUser = null;
+        this.page = 0;
+        this.total = 0;
+        this.cards = [];
+        this.selectedCard = null;
+        this.desiredRetention = 0.9;
+        this.searchTimer = null;
+        this.searchToken = 0;
+        this.drawerReturnFocus = null;
+    }
+
+    /**
+     * Initialize the card browser
+     */
+    async initialize() {
+        try {
+            this.currentUser = await auth.getCurrentUser();
+            if (!this.currentUser) {
+                auth.redirectToLogin();
+                return;
+            }
+
+            await slideMenu.initialize();
+
+            this.setupFilters();
+            this.setupDrawer();
+            this.loadTags();
+            this.loadDesiredRetention();
+
+            document.getElementById('card-browser-loading').classList.add('hidden');
+            document.getElementById('card-browser-content').classList.remove('hidden');
+
+            await this.search();
+        } catch (error) {
+            console.error('Error initializing card browser:', error);
+            this.showError('Failed to load the card browser');
+        }
+    }
+
+    /**
+     * Filters search as they change; text inputs wait for typing to pause
+     */
+    setupFilters() {
+        const form = document.getElementById('card-filters');
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.search();
+        });
+        form.addEventListener('change', () => this.search());
+        form.addEventListener('input', (e) => {
+            if (e.target.matches('input[type="search"], input[type="text"], input[type="number"]')) {
+                clearTimeout(this.searchTimer);
+                this.searchTimer = setTimeout(() => this.search(), SEARCH_DELAY_MS);
+            }
+        });
+        document.getElementById('card-filters-reset')?.addEventListener('click', () => {
+            form.reset();
+            this.search();
+        });
+
+        document.getElementById('card-page-prev')?.addEventListener('click', () => this.search(this.page - 1));
+        document.getElementById('card-page-next')?.addEventListener('click', () => this.search(this.page + 1));
+        document.getElementById('card-browser-retry-button')?.addEventListener('click', () => window.location.reload());
+    }
+
+    /**
+     * Fill the tag filter with the tags on the user's cards
+     */
+    async loadTags() {
+        const select = document.getElementById('card-tags');
+        if (!select) return;
+
+        try {
+            const tags = await cardBrowserService.getTags();
+            tags.forEach(({ tag, card_count }) => {
+                const option = document.createElement('option');
+                option.value = tag;
+                option.textContent = `${tag} (${card_count})`;
+                select.appendChild(option);
+            });
+            select.closest('.filter-field')?.classList.toggle('hidden', tags.length === 0);
+        } catch (error) {
+            console.warn('Could not load card tags:', error);
+        }
+    }
+
+    async loadDesiredRetention() {
+        try {
+            const params = await fsrsParametersService.getUserParameters(this.currentUser.id);
+            if (params?.desired_retention) this.desiredRetention = Number(params.desired_retention);
+        } catch (error) {
+            console.warn('Could not load desired retention:', error);
+        }
+    }
+
+    /**
+     * Read the filter form
+     * @returns {Object} Filters for cardBrowserService.searchCards
+     */
+    readFilters() {
+        const value = (id) => document.getElementById(id)?.value ?? '';
+        const number = (id) => (value(id) === '' ? null : Number(value(id)));
+
+        const query = value('card-search').trim();
+        let sort = value('card-sort') || 'due';
+        // Best matches first unless another order was picked
+        if (query && sort === 'due') sort = 'relevance';
+
+        return {
+            query,
+            path: value('card-path').trim(),
+            states: [...document.querySelectorAll('input[name="card-state"]:checked')].map(input => input.value),
+            dueFrom: dayStart(value('card-due-from')),
+            dueTo: dayStart(value('card-due-to'), 1),
+            minLapses: number('card-min-lapses'),
+            minDifficulty: number('card-min-difficulty'),
+            maxDifficulty: number('card-max-difficulty'),
+            tags: [...(document.getElementById('card-tags')?.selectedOptions || [])].map(option => option.value),
+            sort
+        };
+    }
+
+    /**
+     * Run the search and render a page of results
+     * @param {number} [page=0] - Zero-based page
+     */
+    async search(page = 0) {
+        clearTimeout(this.searchTimer);
+        const token = ++this.searchToken;
+        const status = document.getElementById('card-results-status');
+
+        let filters;
+        try {
+            filters = this.readFilters();
+        } catch (error) {
+            if (status) status.textContent = error.message;
+            return;
+        }
+
+        if (status) status.textContent = 'Searching...';
+
+        try {
+            const { cards, total } = await cardBrowserService.searchCards(filters, Math.max(page, 0));
+            // A newer search started while this one was running
+            if (token !== this.searchToken) return;
+
+            this.page = Math.max(page, 0);
+            this.cards = cards;
+            this.total = total;
+            this.renderResults();
+        } catch (error) {
+            if (token !== this.searchToken) return;
+            console.error('Error searching cards:', error);
+            if (status) status.textContent = error.message;
+        }
+    }
+
+    renderResults() {
+        const list = document.getElementById('card-list');
+        const status = document.getElementById('card-results-status');
+        const pager = document.getElementById('card-pager');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (status) {
+            if (this.total === 0) {
+                status.textContent = 'No cards match these filters.';
+            } else {
+                const first = this.page * CARD_BROWSER_PAGE_SIZE + 1;
+                const last = first + this.cards.length - 1;
+                status.textContent = `${first}–${last} of ${this.total} card${this.total === 1 ? '' : 's'}`;
+            }
+        }
+
+        this.cards.forEach(card => {
+            const row = document.createElement('tr');
+            row.className = 'card-row';
+            row.tabIndex = 0;
+            row.dataset.cardId = card.card_template_id;
+            row.innerHTML = `
+                <td class="card-row-question">${Validator.escapeHtml(previewText(card.question))}</td>
+                <td><span class="card-state-badge state-${Validator.escapeHtml(card.state)}">${Validator.escapeHtml(STATE_LABELS[card.state] || card.state)}</span></td>
+                <td>${Validator.escapeHtml(card.state === 'buried' ? formatDate(card.buried_until) : formatDate(card.due_at))}</td>
+                <td class="numeric">${card.lapses}</td>
+                <td class="numeric">${Number(card.difficulty).toFixed(1)}</td>
+                <td class="card-row-path">${Validator.escapeHtml(card.path || '—')}</td>
+            `;
+            row.addEventListener('click', () => this.openCard(card.card_template_id));
+            row.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.openCard(card.card_template_id);
+                }
+            });
+            list.appendChild(row);
+        });
+
+        if (pager) {
+            const pages = Math.ceil(this.total / CARD_BROWSER_PAGE_SIZE);
+            pager.classList.toggle('hidden', pages <= 1);
+            document.getElementById('card-page-prev').disabled = this.page === 0;
+            document.getElementById('card-page-next').disabled = this.page >= pages - 1;
+            document.getElementById('card-page-label').textContent = `Page ${this.page + 1} of ${Math.max(pages, 1)}`;
+        }
+    }
+
+    /**
+     * Wire up the drawer's close controls and card actions
+     */
+    setupDrawer() {
+        const drawer = document.getElementById('card-drawer');
+        if (!drawer) return;
+
+        document.getElementById('card-drawer-close')?.addEventListener('click', () => this.closeCard());
+        document.getElementById('card-drawer-backdrop')?.addEventListener('click', () => this.closeCard());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !drawer.classList.contains('hidden')) this.closeCard();
+        });
+
+        drawer.querySelectorAll('[data-card-action]').forEach(button => {
+            button.addEventListener('click', () => this.runAction(button.dataset.cardAction));
+        });
+        document.getElementById('drawer-due-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runAction('due', document.getElementById('drawer-due-date')?.value);
+        });
+    }
+
+    /**
+     * Open a card's drawer: content, schedule, retrievability and reviews
+     * @param {string} cardId - Card template ID
+     */
+    async openCard(cardId) {
+        const card = this.cards.find(c => c.card_template_id === cardId);
+        const drawer = document.getElementById('card-drawer');
+        if (!card || !drawer) return;
+
+        this.selectedCard = card;
+        if (drawer.classList.contains('hidden')) this.drawerReturnFocus = document.activeElement;
+        drawer.classList.remove('hidden');
+        document.getElementById('card-drawer-backdrop')?.classList.remove('hidden');
+
+        this.renderCardDetails(card);
+        document.getElementById('card-drawer-close')?.focus();
+
+        const [questionHtml, answerHtml] = await Promise.all([
+            renderRichText(card.question),
+            renderRichText(card.answer)
+        ]);
+        if (this.selectedCard !== card) return;
+        document.getElementById('drawer-question').innerHTML = questionHtml;
+        document.getElementById('drawer-answer').innerHTML = answerHtml;
+
+        await this.loadHistory(card);
+    }
+
+    closeCard() {
+        document.getElementById('card-drawer')?.classList.add('hidden');
+        document.getElementById('card-drawer-backdrop')?.classList.add('hidden');
+        this.selectedCard = null;
+        this.drawerReturnFocus?.focus?.();
+        this.drawerReturnFocus = null;
+    }
+
+    /**
+     * Schedule details and the actions that apply to the card's state
+     * @param {Object} card - Search result row
+     */
+    renderCardDetails(card) {
+        document.getElementById('drawer-question').textContent = card.question;
+        document.getElementById('drawer-answer').textContent = card.answer;
+
+        const details = [
+            ['State', STATE_LABELS[card.state] || card.state],
+            [card.state === 'buried' ? 'Buried until' : 'Due', formatDateTime(card.state === 'buried' ? card.buried_until : card.due_at)],
+            ['Stability', card.state === 'new' ? '—' : formatDays(card.stability)],
+            ['Difficulty', Number(card.difficulty).toFixed(2)],
+            ['Reviews', card.reps],
+            ['Lapses', card.lapses],
+            ['Last review', formatDateTime(card.last_reviewed_at)],
+            ['Subject', card.subject_name || '—'],
+            ['Path', card.path || '—'],
+            ['Tags', card.tags?.length ? card.tags.join(', ') : '—']
+        ];
+        document.getElementById('drawer-details').innerHTML = details
+            .map(([label, value]) => `<dt>${Validator.escapeHtml(label)}</dt><dd>${Validator.escapeHtml(String(value))}</dd>`)
+            .join('');
+
+        const isNew = card.state === 'new';
+        const isSuspended = card.state === 'suspended';
+        const show = (action, visible) => {
+            document.querySelector(`#card-drawer [data-card-action="${action}"]`)?.classList.toggle('hidden', !visible);
+        };
+        show('bury', !isSuspended && card.state !== 'buried');
+        show('suspend', !isSuspended);
+        show('unsuspend', isSuspended);
+        show('reset', !isNew);
+        document.getElementById('drawer-due-form')?.classList.toggle('hidden', isNew || isSuspended);
+
+        const dueInput = document.getElementById('drawer-due-date');
+        if (dueInput) {
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            dueInput.value = `${tomorrow.getFullYear()}-${String(tomorrow.getMonth() + 1).padStart(2, '0')}-${String(tomorrow.getDate()).padStart(2, '0')}`;
+        }
+        this.setActionStatus('');
+    }
+
+    /**
+     * Load the card's reviews into the timeline and retrievability chart
+     * @param {Object} card - Search result row
+     */
+    async loadHistory(card) {
+        const timeline = document.getElementById('drawer-reviews');
+        const chartContainer = document.getElementById('drawer-chart');
+        if (!timeline || !chartContainer) return;
+
+        timeline.innerHTML = '<li class="drawer-empty">Loading reviews...</li>';
+        // The chart's empty state replaces the canvas, so start from a fresh one
+        chartContainer.innerHTML = '<canvas id="retrievability-chart" height="180"></canvas>';
+
+        try {
+            const reviews = await cardBrowserService.getReviewHistory(card.card_template_id);
+            if (this.selectedCard !== card) return;
+
+            // Draw up to the due date, so the curve shows where the next review falls
+            const until = Math.max(Date.now(), card.due_at ? new Date(card.due_at).getTime() : 0);
+            // A card reset to new keeps its reviews but no longer has a memory state
+            const curve = card.state === 'new' ? [] : buildRetrievabilityCurve(reviews, { until });
+            renderRetrievabilityChart('retrievability-chart', curve, this.desiredRetention);
+
+            if (reviews.length === 0) {
+                timeline.innerHTML = '<li class="drawer-empty">No reviews yet.</li>';
+                return;
+            }
+
+            timeline.innerHTML = reviews.slice().reverse().map(review => `
+                <li class="review-entry">
+                    <span class="review-rating rating-${review.rating}">${RATING_LABELS[review.rating] || review.rating}</span>
+                    <span class="review-date">${Validator.escapeHtml(formatDateTime(review.reviewed_at))}</span>
+                    <span class="review-detail">${Validator.escapeHtml(`${STATE_LABELS[review.state_before] || review.state_before} → ${STATE_LABELS[review.state_after] || review.state_after} · next in ${formatDays(review.scheduled_days)} · stability ${formatDays(review.stability_after)} · ${(review.response_time_ms / 1000).toFixed(1)}s`)}</span>
+                </li>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading review history:', error);
+            if (this.selectedCard === card) {
+                timeline.innerHTML = `<li class="drawer-empty">${Validator.escapeHtml(error.message)}</li>`;
+            }
+        }
+    }
+
+    /**
+     * Apply a card action to the open card, then refresh the list
+     * @param {string} action - bury, suspend, unsuspend, reset or due
+     * @param {string} [dueDate] - YYYY-MM-DD for 'due'
+     */
+    async runAction(action, dueDate) {
+        const card = this.selectedCard;
+        if (!card) return;
+        if (action === 'reset' && !confirm('Reset this card to new? Its review schedule will be forgotten.')) return;
+
+        const buttons = document.querySelectorAll('#card-drawer .drawer-actions button, #card-drawer .drawer-actions input');
+        buttons.forEach(button => button.disabled = true);
+
+        try {
+            const id = card.card_template_id;
+            const messages = {
+                bury: 'Card buried until tomorrow.',
+                suspend: 'Card suspended.',
+                unsuspend: 'Card unsuspended.',
+                reset: 'Card reset to new.',
+                due: 'Due date updated.'
+            };
+            if (action === 'bury') await cardScheduleService.buryCard(id);
+            else if (action === 'suspend') await cardScheduleService.suspendCard(id);
+            else if (action === 'unsuspend') await cardScheduleService.unsuspendCard(id);
+            else if (action === 'reset') await cardScheduleService.resetCard(id);
+            else if (action === 'due') await cardScheduleService.setDueDate(id, dueDate);
+            else return;
+
+            await this.search(this.page);
+            const updated = this.cards.find(c => c.card_template_id === id);
+            if (updated && this.selectedCard === card) {
+                this.selectedCard = updated;
+                this.renderCardDetails(updated);
+                document.getElementById('drawer-question').innerHTML = await renderRichText(updated.question);
+                document.getElementById('drawer-answer').innerHTML = await renderRichText(updated.answer);
+                await this.loadHistory(updated);
+            }
+            this.setActionStatus(messages[action]);
+        } catch (error) {
+            console.error(`Error applying card action ${action}:`, error);
+            this.setActionStatus(error.message, true);
+        } finally {
+            buttons.forEach(button => button.disabled = false);
+        }
+    }
+
+    /**
+     * @param {string} message - Status text
+     * @param {boolean} [isError=false] - Show as an error
+     */
+    setActionStatus(message, isError = false) {
+        const status = document.getElementById('drawer-action-status');
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Show error state
+     */
+    showError(message) {
+        document.getElementById('card-browser-loading').classList.add('hidden');
+        document.getElementById('card-browser-content').classList.add('hidden');
+        document.getElementById('card-browser-error').classList.remove('hidden');
+
+        const errorMessage = document.getElementById('card-browser-error-message');
+        if (errorMessage) {
+            errorMessage.textContent = message;
+        }
+    }
+}
+
+// Initialize the card browser when DOM is loaded
+document.addEventListener('DOMContentLoaded', async () => {
+    const cardBrowserPage = new CardBrowserPage();
+    await cardBrowserPage.initialize();
+});
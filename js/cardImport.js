@@ -0,0 +1,360 @@
+/**
+ * Bulk Card Import
+ * Parses CSV, TSV or JSON files of card templates, validates every row with
+ * Validator and CARD_TEMPLATE_CONFIG, resolves paths against subjects.path
+ * and writes valid rows in batches. Rows carrying an external_id are upserted
+ * on card_templates.external_id, so re-running the same file is idempotent.
+ */
+
+import { getSupabaseClient } from './supabase-client.js';
+import { Validator } from './validator.js';
+import { CARD_TEMPLATE_CONFIG } from './config.js';
+
+const IMPORT_COLUMNS = ['question', 'answer', 'path', 'tags', 'is_public', 'external_id'];
+const REQUIRED_COLUMNS = ['question', 'answer', 'path'];
+
+// Tags inside a CSV/TSV cell are separated by semicolons
+const TAG_SEPARATOR = ';';
+
+const INSERT_BATCH_SIZE = 500;
+const LOOKUP_BATCH_SIZE = 200;
+
+// A card's subject is its deepest ancestor subject within these levels
+// (same rule as the card_templates_path_subject_consistency constraint)
+const MAX_SUBJECT_DEPTH = 3;
+
+const TRUE_VALUES = ['true', '1', 'yes', 'y'];
+const FALSE_VALUES = ['false', '0', 'no', 'n', ''];
+
+/**
+ * Parse delimited text (RFC 4180 quoting) into rows of cells
+ * @param {string} text - File content
+ * @param {string} delimiter - ',' or '\t'
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseDelimited(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse an import file into raw records keyed by column name
+ * @param {string} text - File content
+ * @param {string} fileName - Used to pick the format (.csv, .tsv/.txt, .json)
+ * @returns {Array<Object>} Records with a 1-based `rowNumber` (data rows)
+ * @throws {Error} If the file cannot be parsed or misses required columns
+ */
+function parseCardFile(text, fileName) {
+    const extension = fileName.toLowerCase().split('.').pop();
+    const content = text.replace(/^\uFEFF/, '');
+
+    if (extension === 'json') {
+        const parsed = JSON.parse(content);
+        const items = Array.isArray(parsed) ? parsed : parsed.cards;
+        if (!Array.isArray(items)) {
+            throw new Error('JSON import must be an array of cards or an object with a "cards" array.');
+        }
+        return items.map((item, index) => ({ rowNumber: index + 1, ...item }));
+    }
+
+    const delimiter = extension === 'csv' ? ',' : '\t';
+    const [header, ...rows] = parseDelimited(content, delimiter);
+    if (!header) {
+        throw new Error('The file is empty.');
+    }
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`Missing required column(s): ${missing.join(', ')}. Expected columns: ${IMPORT_COLUMNS.join(', ')}.`);
+    }
+
+    return rows.map((cells, index) => {
+        const record = { rowNumber: index + 1 };
+        columns.forEach((column, columnIndex) => {
+            if (IMPORT_COLUMNS.includes(column)) {
+                record[column] = cells[columnIndex] ?? '';
+            }
+        });
+        return record;
+    });
+}
+
+/**
+ * Normalize a tags value from a cell ("a;b") or JSON (["a", "b"])
+ * @param {any} value - Raw tags
+ * @returns {Array<string>} Tags
+ */
+function parseTags(value) {
+    if (Array.isArray(value)) return value.map(tag => String(tag).trim()).filter(Boolean);
+    if (value === null || value === undefined) return [];
+    return String(value).split(TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize an is_public value
+ * @param {any} value - Raw value
+ * @returns {boolean}
+ * @throws {Error} If the value is not a recognizable boolean
+ */
+function parseBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    const normalized = value === null || value === undefined ? '' : String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(normalized)) return true;
+    if (FALSE_VALUES.includes(normalized)) return false;
+    throw new Error(`is_public must be true or false, got "${value}".`);
+}
+
+/**
+ * Find the subject for a card path: the deepest subjects.path that equals
+ * the first 3, 2 or 1 labels of the card path
+ * @param {string} path - Card path
+ * @param {Map<string, Object>} subjectsByPath - Subjects keyed by path
+ * @returns {Object|null} Subject
+ */
+function resolveSubject(path, subjectsByPath) {
+    const labels = path.split('.');
+    for (let depth = Math.min(labels.length, MAX_SUBJECT_DEPTH); depth > 0; depth--) {
+        const subject = subjectsByPath.get(labels.slice(0, depth).join('.'));
+        if (subject) return subject;
+    }
+    return null;
+}
+
+/**
+ * Validate parsed records and build card_templates rows.
+ * Every problem with a row is reported, not just the first.
+ * @param {Array<Object>} records - Output of parseCardFile
+ * @param {Array<Object>} subjects - Subjects (id, path)
+ * @returns {{valid: Array<Object>, errors: Array<{rowNumber: number, errors: Array<string>}>}}
+ */
+function validateRecords(records, subjects) {
+    const subjectsByPath = new Map(subjects.filter(s => s.path).map(s => [String(s.path), s]));
+    const seenExternalIds = new Map();
+    const valid = [];
+    const errors = [];
+
+    records.forEach(record => {
+        const context = `row ${record.rowNumber}`;
+        const rowErrors = [];
+        const check = (fn) => {
+            try {
+                return fn();
+            } catch (error) {
+                rowErrors.push(error.message);
+                return undefined;
+            }
+        };
+
+        const question = typeof record.question === 'string' ? record.question.trim() : record.question;
+        const answer = typeof record.answer === 'string' ? record.answer.trim() : record.answer;
+        const path = typeof record.path === 'string' ? record.path.trim() : record.path;
+        const tags = parseTags(record.tags);
+        const externalId = record.external_id === null || record.external_id === undefined
+            ? ''
+            : String(record.external_id).trim();
+
+        check(() => Validator.validateCardText(question, CARD_TEMPLATE_CONFIG.MAX_QUESTION_LENGTH, 'Question', context));
+        check(() => Validator.validateCardText(answer, CARD_TEMPLATE_CONFIG.MAX_ANSWER_LENGTH, 'Answer', context));
+        check(() => Validator.validateTags(tags, CARD_TEMPLATE_CONFIG.MAX_TAGS, CARD_TEMPLATE_CONFIG.MAX_TAG_LENGTH, context));
+        const isPublic = check(() => parseBoolean(record.is_public));
+
+        let subject = null;
+        if (check(() => Validator.validateLtreePath(path, context))) {
+            subject = resolveSubject(path, subjectsByPath);
+            if (!subject) {
+                rowErrors.push(`No subject found for path "${path}".`);
+            }
+        }
+
+        if (externalId) {
+            if (seenExternalIds.has(externalId)) {
+                rowErrors.push(`external_id "${externalId}" is also used on row ${seenExternalIds.get(externalId)}.`);
+            } else {
+                seenExternalIds.set(externalId, record.rowNumber);
+            }
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push({ rowNumber: record.rowNumber, errors: rowErrors });
+            return;
+        }
+
+        valid.push({
+            rowNumber: record.rowNumber,
+            card: {
+                question,
+                answer,
+                path,
+                subject_id: subject.id,
+                tags: tags.length > 0 ? tags : null,
+                is_public: isPublic,
+                external_id: externalId || null
+            }
+        });
+    });
+
+    return { valid, errors };
+}
+
+class CardImportService {
+    constructor() {
+        this.supabasePromise = getSupabaseClient();
+    }
+
+    async getSupabase() {
+        return await this.supabasePromise;
+    }
+
+    /**
+     * Dry run: parse and validate a file and work out which rows would
+     * create new cards and which would update earlier imports
+     * @param {File} file - CSV, TSV or JSON file
+     * @returns {Promise<Object>} Report { fileName, totalRows, valid, errors, newCount, updateCount, withoutExternalId }
+     */
+    async previewImport(file) {
+        const supabase = await this.getSupabase();
+        const records = parseCardFile(await file.text(), file.name);
+
+        const { data: subjects, error } = await supabase
+            .from('subjects')
+            .select('id, path');
+
+        if (error) throw error;
+
+        const { valid, errors } = validateRecords(records, subjects || []);
+        const existingIds = await this.getExistingExternalIds(valid
+            .map(row => row.card.external_id)
+            .filter(Boolean));
+
+        valid.forEach(row => {
+            row.action = row.card.external_id && existingIds.has(row.card.external_id) ? 'update' : 'create';
+        });
+
+        return {
+            fileName: file.name,
+            totalRows: records.length,
+            valid,
+            errors,
+            newCount: valid.filter(row => row.action === 'create').length,
+            updateCount: valid.filter(row => row.action === 'update').length,
+            withoutExternalId: valid.filter(row => !row.card.external_id).length
+        };
+    }
+
+    /**
+     * Find which external IDs already exist in card_templates
+     * @param {Array<string>} externalIds - External IDs
+     * @returns {Promise<Set<string>>} Existing IDs
+     */
+    async getExistingExternalIds(externalIds) {
+        const supabase = await this.getSupabase();
+        const existing = new Set();
+
+        for (let i = 0; i < externalIds.length; i += LOOKUP_BATCH_SIZE) {
+            const { data, error } = await supabase
+                .from('card_templates')
+                .select('external_id')
+                .in('external_id', externalIds.slice(i, i + LOOKUP_BATCH_SIZE));
+
+            if (error) throw error;
+            data?.forEach(row => existing.add(row.external_id));
+        }
+
+        return existing;
+    }
+
+    /**
+     * Write the valid rows of a previewed report in batches. Rows with an
+     * external_id are upserted; rows without one are always inserted.
+     * @param {Object} report - Output of previewImport
+     * @param {Function} [onProgress] - Called with (rowsWritten, totalRows)
+     * @returns {Promise<{written: number, failedBatches: Array<{rows: Array<number>, error: string}>}>}
+     */
+    async executeImport(report, onProgress = null) {
+        const supabase = await this.getSupabase();
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('Not authenticated');
+
+        const keyed = report.valid.filter(row => row.card.external_id);
+        const unkeyed = report.valid.filter(row => !row.card.external_id);
+        const total = report.valid.length;
+        const failedBatches = [];
+        let written = 0;
+
+        const writeBatches = async (rows, write) => {
+            for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+                const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+                const { error } = await write(batch.map(row => ({ ...row.card, creator_id: user.id })));
+                if (error) {
+                    console.error('Error importing card batch:', error);
+                    failedBatches.push({ rows: batch.map(row => row.rowNumber), error: error.message });
+                } else {
+                    written += batch.length;
+                }
+                if (onProgress) onProgress(written, total);
+            }
+        };
+
+        await writeBatches(keyed, rows => supabase
+            .from('card_templates')
+            .upsert(rows, { onConflict: 'external_id' }));
+        await writeBatches(unkeyed, rows => supabase
+            .from('card_templates')
+            .insert(rows));
+
+        console.log(`✅ Card import wrote ${written} of ${total} rows from ${report.fileName}`);
+        return { written, failedBatches };
+    }
+}
+
+// Create and export singleton instance
+const cardImportService = new CardImportService();
+
+export default cardImportService;
+export {
+    CardImportService,
+    IMPORT_COLUMNS,
+    parseDelimited,
+    parseCardFile,
+    parseTags,
+    resolveSubject,
+    validateRecords
+};
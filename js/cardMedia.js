@@ -0,0 +1,318 @@
+/**
+ * Card Media Service
+ * Image and audio attachments on card faces. Files are stored in the
+ * card-media bucket and referenced from card_attachments. Upcoming cards'
+ * files are fetched ahead of time into blob URLs so showing or flipping a
+ * card never waits on the network.
+ */
+
+import { getSupabaseClient } from './supabase-client.js';
+import { Validator } from './validator.js';
+import { CARD_MEDIA_CONFIG } from './config.js';
+
+const ATTACHMENT_COLUMNS = 'id, card_template_id, face, media_type, storage_path, mime_type, file_size, alt_text, position, created_at';
+const LOOKUP_BATCH_SIZE = 200;
+
+// Only these URLs are placed in src attributes
+const SAFE_MEDIA_URL = /^(https?:|blob:)/i;
+
+/**
+ * Files in the Supabase storage bucket
+ */
+class SupabaseMediaStorage {
+    constructor(supabasePromise, bucket = CARD_MEDIA_CONFIG.BUCKET) {
+        this.supabasePromise = supabasePromise;
+        this.bucket = bucket;
+    }
+
+    async upload(path, file) {
+        const supabase = await this.supabasePromise;
+        const { error } = await supabase.storage
+            .from(this.bucket)
+            .upload(path, file, { contentType: file.type, upsert: false });
+        if (error) throw error;
+    }
+
+    async remove(path) {
+        const supabase = await this.supabasePromise;
+        const { error } = await supabase.storage.from(this.bucket).remove([path]);
+        if (error) throw error;
+    }
+
+    async getUrl(path) {
+        const supabase = await this.supabasePromise;
+        return supabase.storage.from(this.bucket).getPublicUrl(path).data.publicUrl;
+    }
+}
+
+/**
+ * In-memory stand-in for the bucket (local development and tests).
+ * Files live as blob URLs for the lifetime of the page.
+ */
+class LocalMediaStorage {
+    constructor() {
+        this.files = new Map();
+    }
+
+    async upload(path, file) {
+        if (this.files.has(path)) throw new Error(`File already exists: ${path}`);
+        this.files.set(path, URL.createObjectURL(file));
+    }
+
+    async remove(path) {
+        const url = this.files.get(path);
+        if (url) URL.revokeObjectURL(url);
+        this.files.delete(path);
+    }
+
+    async getUrl(path) {
+        return this.files.get(path) || null;
+    }
+}
+
+class CardMediaService {
+    constructor() {
+        this.supabasePromise = getSupabaseClient();
+        this.storage = new SupabaseMediaStorage(this.supabasePromise);
+
+        // Remote URL -> Promise of a blob URL, in insertion order for eviction
+        this.preloaded = new Map();
+    }
+
+    async getSupabase() {
+        return await this.supabasePromise;
+    }
+
+    /**
+     * Replace the file storage backend (e.g. with LocalMediaStorage)
+     * @param {Object} storage - Object with upload, remove and getUrl
+     */
+    useStorage(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Check a file against the allowed types and sizes
+     * @param {File} file - Image or audio file
+     * @returns {string} Media type ('image' or 'audio')
+     * @throws {Error} If the file is not accepted
+     */
+    validateFile(file) {
+        if (!file) throw new Error('Choose a file to attach.');
+
+        let mediaType = null;
+        let maxBytes = 0;
+        if (CARD_MEDIA_CONFIG.IMAGE_TYPES.includes(file.type)) {
+            mediaType = 'image';
+            maxBytes = CARD_MEDIA_CONFIG.MAX_IMAGE_BYTES;
+        } else if (CARD_MEDIA_CONFIG.AUDIO_TYPES.includes(file.type)) {
+            mediaType = 'audio';
+            maxBytes = CARD_MEDIA_CONFIG.MAX_AUDIO_BYTES;
+        } else {
+            throw new Error(`Unsupported file type "${file.type || 'unknown'}". Use an image (PNG, JPEG, GIF, WebP, SVG) or audio (MP3, OGG, WAV, WebM, M4A).`);
+        }
+
+        if (file.size > maxBytes) {
+            throw new Error(`${file.name} is ${(file.size / 1048576).toFixed(1)} MB; ${mediaType} attachments are limited to ${maxBytes / 1048576} MB.`);
+        }
+
+        return mediaType;
+    }
+
+    /**
+     * Load attachments for a set of cards, grouped by card and face
+     * @param {Array<string>} cardTemplateIds - Card template IDs
+     * @returns {Promise<Map<string, {question: Array, answer: Array}>>} Attachments with a `url`
+     */
+    async getAttachments(cardTemplateIds) {
+        const supabase = await this.getSupabase();
+        const ids = [...new Set(cardTemplateIds.filter(Boolean))];
+        const byCard = new Map();
+
+        for (let i = 0; i < ids.length; i += LOOKUP_BATCH_SIZE) {
+            const { data, error } = await supabase
+                .from('card_attachments')
+                .select(ATTACHMENT_COLUMNS)
+                .in('card_template_id', ids.slice(i, i + LOOKUP_BATCH_SIZE))
+                .order('position', { ascending: true });
+
+            if (error) throw error;
+
+            for (const attachment of data || []) {
+                if (!byCard.has(attachment.card_template_id)) {
+                    byCard.set(attachment.card_template_id, { question: [], answer: [] });
+                }
+                attachment.url = await this.storage.getUrl(attachment.storage_path);
+                byCard.get(attachment.card_template_id)[attachment.face].push(attachment);
+            }
+        }
+
+        return byCard;
+    }
+
+    /**
+     * Upload a file and attach it to a card face
+     * @param {string} cardTemplateId - Card template ID
+     * @param {string} face - 'question' or 'answer'
+     * @param {File} file - Image or audio file
+     * @param {string} altText - Description for screen readers
+     * @returns {Promise<Object>} Created attachment
+     */
+    async uploadAttachment(cardTemplateId, face, file, altText = '') {
+        if (!CARD_MEDIA_CONFIG.FACES.includes(face)) {
+            throw new Error(`Invalid card face: ${face}`);
+        }
+        const mediaType = this.validateFile(file);
+        const alt = altText.trim();
+        if (alt.length > CARD_MEDIA_CONFIG.MAX_ALT_TEXT_LENGTH) {
+            throw new Error(`Description must be ${CARD_MEDIA_CONFIG.MAX_ALT_TEXT_LENGTH} characters or less.`);
+        }
+
+        const supabase = await this.getSupabase();
+        const { data: existing, error: countError } = await supabase
+            .from('card_attachments')
+            .select('position')
+            .eq('card_template_id', cardTemplateId)
+            .eq('face', face);
+
+        if (countError) throw countError;
+        if ((existing || []).length >= CARD_MEDIA_CONFIG.MAX_ATTACHMENTS_PER_FACE) {
+            throw new Error(`A card face can have at most ${CARD_MEDIA_CONFIG.MAX_ATTACHMENTS_PER_FACE} attachments.`);
+        }
+
+        const extension = (file.name.split('.').pop() || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const path = `${cardTemplateId}/${face}/${crypto.randomUUID()}${extension ? `.${extension}` : ''}`;
+        await this.storage.upload(path, file);
+
+        const { data: { user } } = await supabase.auth.getUser();
+        const { data, error } = await supabase
+            .from('card_attachments')
+            .insert({
+                card_template_id: cardTemplateId,
+                face,
+                media_type: mediaType,
+                storage_path: path,
+                mime_type: file.type,
+                file_size: file.size,
+                alt_text: alt || null,
+                position: Math.max(-1, ...(existing || []).map(row => row.position)) + 1,
+                created_by: user?.id || null
+            })
+            .select(ATTACHMENT_COLUMNS)
+            .single();
+
+        if (error) {
+            // Don't leave an unreferenced file behind
+            await this.storage.remove(path).catch(removeError => console.warn('Failed to remove orphaned card media:', removeError));
+            throw error;
+        }
+
+        console.log(`📎 Attached ${mediaType} to ${face} of card ${cardTemplateId}`);
+        return { ...data, url: await this.storage.getUrl(path) };
+    }
+
+    /**
+     * Remove an attachment and its file
+     * @param {Object} attachment - Attachment row
+     */
+    async deleteAttachment(attachment) {
+        const supabase = await this.getSupabase();
+        const { error } = await supabase
+            .from('card_attachments')
+            .delete()
+            .eq('id', attachment.id);
+
+        if (error) throw error;
+
+        try {
+            await this.storage.remove(attachment.storage_path);
+        } catch (removeError) {
+            console.warn('Attachment deleted but its file could not be removed:', removeError);
+        }
+    }
+
+    /**
+     * Fetch attachment files into blob URLs ahead of display. Failures are
+     * ignored: display falls back to the remote URL.
+     * @param {Array<Object>} attachments - Attachments with a `url`
+     * @returns {Promise<void>}
+     */
+    async preloadAttachments(attachments) {
+        const loads = attachments
+            .filter(attachment => attachment.url && !attachment.url.startsWith('blob:') && !this.preloaded.has(attachment.url))
+            .map(attachment => {
+                const promise = fetch(attachment.url)
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.blob();
+                    })
+                    .then(blob => URL.createObjectURL(blob))
+                    .catch(error => {
+                        console.warn(`⚠️ Failed to preload ${attachment.url}:`, error.message);
+                        this.preloaded.delete(attachment.url);
+                        return null;
+                    });
+                promise.resolved = null;
+                promise.then(blobUrl => {
+                    promise.resolved = blobUrl;
+                });
+                this.preloaded.set(attachment.url, promise);
+                return promise;
+            });
+
+        this.evictPreloaded();
+        await Promise.all(loads);
+    }
+
+    /**
+     * Drop the oldest preloaded files beyond PRELOAD_CACHE_SIZE
+     */
+    evictPreloaded() {
+        while (this.preloaded.size > CARD_MEDIA_CONFIG.PRELOAD_CACHE_SIZE) {
+            const [url, promise] = this.preloaded.entries().next().value;
+            this.preloaded.delete(url);
+            promise.then(blobUrl => {
+                if (blobUrl) URL.revokeObjectURL(blobUrl);
+            });
+        }
+    }
+
+    /**
+     * URL to display an attachment from: the preloaded copy when ready
+     * @param {Object} attachment - Attachment with a `url`
+     * @returns {string|null} URL
+     */
+    getDisplayUrl(attachment) {
+        const url = this.preloaded.get(attachment.url)?.resolved || attachment.url;
+        return url && SAFE_MEDIA_URL.test(url) ? url : null;
+    }
+
+    /**
+     * Render a face's attachments as HTML
+     * @param {Array<Object>} attachments - Attachments of one face
+     * @returns {string} HTML (empty when there are none)
+     */
+    renderAttachments(attachments) {
+        const items = (attachments || []).map(attachment => {
+            const url = this.getDisplayUrl(attachment);
+            if (!url) return '';
+            const alt = Validator.escapeHtml(attachment.alt_text || '');
+            if (attachment.media_type === 'audio') {
+                return `<audio class="card-audio" controls preload="auto" src="${Validator.escapeHtml(url)}"${alt ? ` aria-label="${alt}"` : ''}></audio>`;
+            }
+            return `<img class="card-image" src="${Validator.escapeHtml(url)}" alt="${alt}">`;
+        }).join('');
+
+        return items ? `<div class="card-media">${items}</div>` : '';
+    }
+}
+
+// Create and export singleton instance
+const cardMediaService = new CardMediaService();
+
+export default cardMediaService;
+export {
+    CardMediaService,
+    SupabaseMediaStorage,
+    LocalMediaStorage
+};
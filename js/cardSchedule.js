@@ -0,0 +1,99 @@
+/**
+ * Card schedule actions
+ * Bury (until the user's next day start), suspend, reset to new and set a
+ * due date for one of the user's cards. Each action also takes the card out
+ * of the user's open sessions; buried cards come back in the first session
+ * created after the user's next day start.
+ */
+
+import { getSupabaseClient } from './supabase-client.js';
+
+class CardScheduleService {
+    constructor() {
+        this.supabasePromise = getSupabaseClient();
+    }
+
+    async getSupabase() {
+        return await this.supabasePromise;
+    }
+
+    /**
+     * Call a card action RPC and surface its failure message
+     * @param {string} name - RPC name
+     * @param {Object} params - RPC parameters
+     * @returns {Promise<Object>} RPC result
+     */
+    async runAction(name, params) {
+        const supabase = await this.getSupabase();
+        const { data, error } = await supabase.rpc(name, params);
+
+        if (error) {
+            console.error(`Card action ${name} RPC error:`, error);
+            throw new Error(`Failed to update card: ${error.message}`);
+        }
+        if (!data.success) {
+            const failure = new Error(data.message || 'Failed to update card');
+            failure.code = data.error;
+            throw failure;
+        }
+        return data;
+    }
+
+    /**
+     * Hide a card until the user's next day start
+     * @param {string} cardTemplateId - Card template ID
+     * @returns {Promise<Object>} { card_template_id, state, buried_until }
+     */
+    async buryCard(cardTemplateId) {
+        return this.runAction('bury_card', { p_card_template_id: cardTemplateId });
+    }
+
+    /**
+     * Hide a card until it is unsuspended
+     * @param {string} cardTemplateId - Card template ID
+     * @returns {Promise<Object>} { card_template_id, state }
+     */
+    async suspendCard(cardTemplateId) {
+        return this.runAction('suspend_card', { p_card_template_id: cardTemplateId });
+    }
+
+    /**
+     * Return a suspended card to the state it had
+     * @param {string} cardTemplateId - Card template ID
+     * @returns {Promise<Object>} { card_template_id, state }
+     */
+    async unsuspendCard(cardTemplateId) {
+        return this.runAction('unsuspend_card', { p_card_template_id: cardTemplateId });
+    }
+
+    /**
+     * Forget a card's schedule so it is studied as a new card again
+     * @param {string} cardTemplateId - Card template ID
+     * @returns {Promise<Object>} { card_template_id, state }
+     */
+    async resetCard(cardTemplateId) {
+        return this.runAction('reset_card_to_new', { p_card_template_id: cardTemplateId });
+    }
+
+    /**
+     * Move a card's next review to the start of a day
+     * @param {string} cardTemplateId - Card template ID
+     * @param {string} dueDate - Date as YYYY-MM-DD (the user's calendar day)
+     * @returns {Promise<Object>} { card_template_id, due_at }
+     */
+    async setDueDate(cardTemplateId, dueDate) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dueDate || '')) {
+            throw new Error('Choose a due date.');
+        }
+        return this.runAction('set_card_due_date', {
+            p_card_template_id: cardTemplateId,
+            p_due_date: dueDate
+        });
+    }
+}
+
+// Create and export singleton instance
+const cardScheduleService = new CardScheduleService();
+
+export default cardScheduleService;
+export { CardScheduleService };
@@ -0,0 +1,239 @@
+/**
+ * Cloze Notes
+ * A cloze note's text marks deletions as {{c1::answer}} or
+ * {{c1::answer::hint}}. Each distinct index becomes one card_templates row
+ * (a sibling) showing the other clozes and blanking the active one. Saving a
+ * note updates its siblings in place so their FSRS progress is kept.
+ */
+
+import { getSupabaseClient } from './supabase-client.js';
+import { Validator } from './validator.js';
+import { CARD_TEMPLATE_CONFIG } from './config.js';
+import { parseTags, resolveSubject } from './cardImport.js';
+
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+const BLANK = '...';
+
+/**
+ * Find the cloze deletions in a note's text
+ * @param {string} text - Note text
+ * @returns {Array<{index: number, answer: string, hint: string|null}>} Deletions in text order
+ */
+function parseCloze(text) {
+    return [...String(text || '').matchAll(CLOZE_PATTERN)].map(match => ({
+        index: parseInt(match[1], 10),
+        answer: match[2].trim(),
+        hint: match[3] !== undefined ? match[3].trim() || null : null
+    }));
+}
+
+/**
+ * Render one sibling of a note. Every deletion with the active index is
+ * blanked on the question (showing its hint if any) and emphasized on the
+ * answer; all other deletions show their answer text.
+ * @param {string} text - Note text
+ * @param {number} activeIndex - Cloze index the sibling tests
+ * @returns {{question: string, answer: string}} Markdown card text
+ */
+function renderClozeCard(text, activeIndex) {
+    const render = reveal => String(text).replace(CLOZE_PATTERN, (match, index, answer, hint) => {
+        if (parseInt(index, 10) !== activeIndex) return answer.trim();
+        if (reveal) return `**${answer.trim()}**`;
+        return `[${(hint && hint.trim()) || BLANK}]`;
+    });
+
+    return { question: render(false).trim(), answer: render(true).trim() };
+}
+
+/**
+ * Validate a note's text and build its sibling cards
+ * @param {string} text - Note text
+ * @returns {{cards: Array<{cloze_index: number, question: string, answer: string}>, errors: Array<string>}}
+ */
+function buildClozeCards(text) {
+    const errors = [];
+    const deletions = parseCloze(text);
+
+    if (typeof text !== 'string' || text.trim() === '') {
+        return { cards: [], errors: ['Cloze text is required.'] };
+    }
+    if (deletions.length === 0) {
+        return { cards: [], errors: ['Add at least one cloze, e.g. {{c1::answer}}.'] };
+    }
+
+    deletions.forEach(deletion => {
+        if (deletion.index < 1) errors.push(`c${deletion.index} is not a valid cloze number; start at c1.`);
+        if (!deletion.answer) errors.push(`c${deletion.index} has no answer text.`);
+    });
+
+    const indices = [...new Set(deletions.map(deletion => deletion.index))]
+        .filter(index => index >= 1)
+        .sort((a, b) => a - b);
+
+    const cards = indices.map(index => {
+        const card = renderClozeCard(text, index);
+        try {
+            Validator.validateCardText(card.question, CARD_TEMPLATE_CONFIG.MAX_QUESTION_LENGTH, 'Question', `cloze c${index}`);
+            Validator.validateCardText(card.answer, CARD_TEMPLATE_CONFIG.MAX_ANSWER_LENGTH, 'Answer', `cloze c${index}`);
+        } catch (error) {
+            errors.push(error.message);
+        }
+        return { cloze_index: index, ...card };
+    });
+
+    return { cards, errors };
+}
+
+class ClozeNoteService {
+    constructor() {
+        this.supabasePromise = getSupabaseClient();
+    }
+
+    async getSupabase() {
+        return await this.supabasePromise;
+    }
+
+    /**
+     * Search notes by text
+     * @param {string} searchTerm - Text to look for
+     * @returns {Promise<Array<Object>>} Notes, most recently edited first
+     */
+    async searchNotes(searchTerm) {
+        const supabase = await this.getSupabase();
+        const { data, error } = await supabase
+            .from('cloze_notes')
+            .select('id, text, path, tags, is_public, updated_at')
+            .ilike('text', `%${searchTerm}%`)
+            .order('updated_at', { ascending: false })
+            .limit(CARD_TEMPLATE_CONFIG.SEARCH_RESULTS_LIMIT);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Load a note with its sibling cards
+     * @param {string} noteId - Note ID
+     * @returns {Promise<Object>} Note with `siblings` ({id, cloze_index})
+     */
+    async getNote(noteId) {
+        const supabase = await this.getSupabase();
+        const { data: note, error } = await supabase
+            .from('cloze_notes')
+            .select('id, text, path, tags, is_public')
+            .eq('id', noteId)
+            .single();
+
+        if (error) throw error;
+
+        const { data: siblings, error: siblingsError } = await supabase
+            .from('card_templates')
+            .select('id, cloze_index')
+            .eq('cloze_note_id', noteId)
+            .order('cloze_index', { ascending: true });
+
+        if (siblingsError) throw siblingsError;
+        return { ...note, siblings: siblings || [] };
+    }
+
+    /**
+     * Dry run: validate a note and work out which siblings are created,
+     * updated in place or removed
+     * @param {Object} note - { id?, text, path, tags, isPublic }
+     * @returns {Promise<Object>} Preview { note, subject, cards, errors, created, updated, removed }
+     */
+    async previewNote(note) {
+        const supabase = await this.getSupabase();
+        const { cards, errors } = buildClozeCards(note.text);
+        const path = (note.path || '').trim();
+        const tags = parseTags(note.tags);
+        const context = 'cloze note';
+
+        try {
+            Validator.validateTags(tags, CARD_TEMPLATE_CONFIG.MAX_TAGS, CARD_TEMPLATE_CONFIG.MAX_TAG_LENGTH, context);
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        let subject = null;
+        try {
+            Validator.validateLtreePath(path, context);
+            const { data: subjects, error } = await supabase
+                .from('subjects')
+                .select('id, path');
+
+            if (error) throw error;
+            subject = resolveSubject(path, new Map((subjects || [])
+                .filter(s => s.path)
+                .map(s => [String(s.path), s])));
+            if (!subject) errors.push(`No subject found for path "${path}".`);
+        } catch (error) {
+            errors.push(error.message);
+        }
+
+        const existing = note.id ? (await this.getNote(note.id)).siblings.map(sibling => sibling.cloze_index) : [];
+        const indices = cards.map(card => card.cloze_index);
+
+        return {
+            note: { id: note.id || null, text: note.text, path, tags, isPublic: note.isPublic === true },
+            subject,
+            cards,
+            errors,
+            created: indices.filter(index => !existing.includes(index)),
+            updated: indices.filter(index => existing.includes(index)),
+            removed: existing.filter(index => !indices.includes(index))
+        };
+    }
+
+    /**
+     * Save a previewed note and its siblings in one transaction. Siblings
+     * whose index left the text are deleted (with learners' progress) only
+     * if their index is in confirmedRemoved; otherwise nothing is saved and
+     * the error carries the indexes that would go.
+     * @param {Object} preview - Output of previewNote (must have no errors)
+     * @param {Array<number>} [confirmedRemoved=[]] - Cloze indexes the admin agreed to delete
+     * @returns {Promise<{note_id: string, created: number, updated: number, removed: number}>}
+     * @throws {Error} With removedIndexes and learners when removal needs confirming
+     */
+    async saveNote(preview, confirmedRemoved = []) {
+        if (preview.errors.length > 0) {
+            throw new Error(preview.errors[0]);
+        }
+
+        const supabase = await this.getSupabase();
+        const { data, error } = await supabase.rpc('save_cloze_note', {
+            p_note_id: preview.note.id,
+            p_text: preview.note.text,
+            p_path: preview.note.path,
+            p_subject_id: preview.subject.id,
+            p_tags: preview.note.tags.length > 0 ? preview.note.tags : null,
+            p_is_public: preview.note.isPublic,
+            p_cards: preview.cards,
+            p_confirm_removed: confirmedRemoved
+        });
+
+        if (error) throw error;
+        if (!data.success) {
+            const saveError = new Error(data.message || 'Failed to save cloze note');
+            if (data.error === 'confirm_removal') {
+                saveError.removedIndexes = data.removed_indexes;
+                saveError.learners = data.learners;
+            }
+            throw saveError;
+        }
+
+        console.log(`✅ Saved cloze note ${data.note_id}: ${data.created} created, ${data.updated} updated, ${data.removed} removed`);
+        return data;
+    }
+}
+
+// Create and export singleton instance
+const clozeNoteService = new ClozeNoteService();
+
+export default clozeNoteService;
+export {
+    ClozeNoteService,
+    parseCloze,
+    renderClozeCard,
+    buildClozeCards
+};
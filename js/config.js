@@ -65,7 +65,13 @@ const SESSION_CONFIG = {
         free: 1,   // 1 session per day (10 cards total)
         paid: 999, // Unlimited sessions
         admin: 999 // Unlimited sessions
-    }
+    },
+
+    // Paid users' own session settings (profiles.session_size,
+    // session_review_ratio, daily_new_cards_limit)
+    MIN_CARDS_PER_SESSION: 5,
+    MAX_CARDS_PER_SESSION: 100,
+    MAX_DAILY_NEW_CARDS: 999
 };
 
 // Adaptive Session Configuration
@@ -227,6 +233,126 @@ const CARD_TEMPLATE_CONFIG = {
     MIN_REVIEWS_FOR_STATS: 10
 };
 
+// Card Media (image/audio attachments) Configuration
+const CARD_MEDIA_CONFIG = {
+    BUCKET: 'card-media',
+    FACES: ['question', 'answer'],
+
+    // Accepted files (the bucket enforces the same types and a 10 MB cap)
+    IMAGE_TYPES: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml'],
+    AUDIO_TYPES: ['audio/mpeg', 'audio/ogg', 'audio/wav', 'audio/webm', 'audio/mp4'],
+    MAX_IMAGE_BYTES: 5 * 1024 * 1024,
+    MAX_AUDIO_BYTES: 10 * 1024 * 1024,
+    MAX_ATTACHMENTS_PER_FACE: 4,
+    MAX_ALT_TEXT_LENGTH: 200,
+
+    // How many upcoming session cards to preload, and how many preloaded
+    // files to keep in memory
+    PRELOAD_AHEAD: 1,
+    PRELOAD_CACHE_SIZE: 40
+};
+
+// Study preferences (profiles.study_preferences) defaults
+const STUDY_PREFERENCES_DEFAULTS = {
+    // Type the answer before flipping
+    typed_answer: false,
+    typed_answer_ignore_case: true,
+    typed_answer_ignore_accents: true,
+    // Changed keyboard shortcuts only (action -> key), see KEYBOARD_SHORTCUT_DEFAULTS
+    keyboard_shortcuts: {},
+    // Lapses that make a card a leech (0 = off), and whether leeches are suspended.
+    // Applied by the database (apply_leech_policy), so keep the defaults in step.
+    leech_threshold: 8,
+    leech_auto_suspend: false,
+    // Card order of new sessions, see sessionOrder.js
+    session_order: 'shuffle',
+    new_card_order: 'mixed',
+    separate_related: false
+};
+
+// Study page keyboard shortcuts: action -> KeyboardEvent.key (letters lowercase).
+// rate_N presses the Nth visible rating button, or picks the Nth option of a
+// multiple-choice card.
+const KEYBOARD_SHORTCUT_DEFAULTS = {
+    flip: ' ',
+    rate_1: '1',
+    rate_2: '2',
+    rate_3: '3',
+    rate_4: '4',
+    undo: 'u',
+    flag: 'f',
+    edit: 'e',
+    help: '?'
+};
+
+// Typed-answer checking
+const TYPED_ANSWER_CONFIG = {
+    // A typed answer within this edit distance of the expected answer is a
+    // minor typo (suggests Hard): floor(length * TYPO_RATIO), capped
+    TYPO_RATIO: 0.2,
+    MAX_TYPO_DISTANCE: 3,
+
+    // Longer answers are compared without a character diff
+    MAX_DIFF_LENGTH: 500
+};
+
+// Multiple-choice cards
+const MULTIPLE_CHOICE_CONFIG = {
+    // Options shown per card (correct answer included)
+    OPTION_COUNT: 4,
+
+    // Distractors an admin can enter per card
+    MAX_DISTRACTORS: 8,
+
+    // Answers fetched from cards at the same path to draw distractors from
+    CANDIDATE_POOL_SIZE: 200
+};
+
+// Offline study (service worker + IndexedDB review queue)
+const OFFLINE_CONFIG = {
+    DB_NAME: 'nanotopic-offline',
+    DB_VERSION: 1,
+
+    // Service worker script, relative to the page
+    SERVICE_WORKER_URL: './sw.js',
+
+    // Retry interval for queued reviews while the browser reports online
+    SYNC_RETRY_MS: 30000,
+
+    // A cached session older than this isn't resumed offline
+    SESSION_MAX_AGE_MS: 24 * 60 * 60 * 1000
+};
+
+// Custom study sessions (create_custom_session RPC). Cram ratings are only
+// logged; the other types are normal reviews that update the FSRS schedule.
+const CUSTOM_SESSION_CONFIG = {
+    TYPES: {
+        cram: {
+            label: 'Cram',
+            description: 'Go through the cards under a path. Your schedule is not changed.',
+            updatesSchedule: false
+        },
+        review_ahead: {
+            label: 'Review ahead',
+            description: 'Review cards that fall due in the next few days.',
+            updatesSchedule: true
+        },
+        failed_today: {
+            label: 'Failed today',
+            description: 'Go over the cards you rated Again today.',
+            updatesSchedule: true
+        },
+        tag_filtered: {
+            label: 'Tagged cards',
+            description: 'Due and new cards with all of the chosen tags.',
+            updatesSchedule: true
+        }
+    },
+    MAX_CARDS: 20,
+    DEFAULT_DAYS_AHEAD: 3,
+    MAX_DAYS_AHEAD: 30
+};
+
 // Default export for easy importing (maintain backward compatibility)
 export default {
     // Legacy SESSION_CONFIG for backward compatibility
@@ -245,6 +371,13 @@ export default {
     LOADING_CONFIG,
     DECK_CONFIG,
     CARD_TEMPLATE_CONFIG,
+    CARD_MEDIA_CONFIG,
+    STUDY_PREFERENCES_DEFAULTS,
+    KEYBOARD_SHORTCUT_DEFAULTS,
+    TYPED_ANSWER_CONFIG,
+    MULTIPLE_CHOICE_CONFIG,
+    OFFLINE_CONFIG,
+    CUSTOM_SESSION_CONFIG,
     ADAPTIVE_SESSION_CONFIG
 };
 
@@ -264,5 +397,12 @@ export {
     CACHE_CONFIG,
     LOADING_CONFIG,
     DECK_CONFIG,
-    CARD_TEMPLATE_CONFIG
+    CARD_TEMPLATE_CONFIG,
+    CARD_MEDIA_CONFIG,
+    STUDY_PREFERENCES_DEFAULTS,
+    KEYBOARD_SHORTCUT_DEFAULTS,
+    TYPED_ANSWER_CONFIG,
+    MULTIPLE_CHOICE_CONFIG,
+    OFFLINE_CONFIG,
+    CUSTOM_SESSION_CONFIG
 };
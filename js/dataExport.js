@@ -0,0 +1,224 @@
+/**
+ * User Data Export
+ * Collects everything the app stores about a user's learning (profile
+ * settings, card states, review log, FSRS parameters and their history,
+ * streaks) into a versioned JSON archive, and converts the review log to the
+ * revlog CSV layout read by the FSRS optimizer tools.
+ */
+
+import { getSupabaseClient } from './supabase-client.js';
+
+// Bump when the archive layout changes so readers can tell formats apart
+const EXPORT_FORMAT_VERSION = 1;
+
+const EXPORT_PAGE_SIZE = 1000;
+
+// FSRS tools rate 1-4 (Again-Easy) where reviews.rating is 0-3
+const REVLOG_RATING_OFFSET = 1;
+
+// FSRS revlog review_state codes
+const REVLOG_STATES = {
+    new: 0,
+    learning: 1,
+    review: 2,
+    relearning: 3
+};
+
+const REVLOG_COLUMNS = [
+    'card_id',
+    'review_time',
+    'review_rating',
+    'review_state',
+    'review_duration',
+    'card_template_id'
+];
+
+/**
+ * Convert review rows to revlog CSV (card_id, review_time in epoch ms,
+ * review_rating 1-4, review_state 0-3, review_duration in ms). Cards are
+ * numbered in order of their first review; the template UUID is kept in a
+ * trailing column.
+ * @param {Array} reviews - reviews rows in chronological order
+ * @returns {string} CSV content
+ */
+function buildRevlogCsv(reviews) {
+    const cardIds = new Map();
+    const lines = [REVLOG_COLUMNS.join(',')];
+
+    reviews.forEach(review => {
+        if (!cardIds.has(review.card_template_id)) {
+            cardIds.set(review.card_template_id, cardIds.size + 1);
+        }
+
+        lines.push([
+            cardIds.get(review.card_template_id),
+            new Date(review.reviewed_at).getTime(),
+            review.rating + REVLOG_RATING_OFFSET,
+            REVLOG_STATES[review.state_before] ?? REVLOG_STATES.review,
+            review.response_time_ms,
+            review.card_template_id
+        ].join(','));
+    });
+
+    return lines.join('\n');
+}
+
+class DataExportService {
+    constructor() {
+        this.supabasePromise = getSupabaseClient();
+    }
+
+    async getSupabase() {
+        return await this.supabasePromise;
+    }
+
+    /**
+     * Read every row of a user's table, paging past the default row limit
+     * @param {string} table - Table name
+     * @param {string} userColumn - Column holding the user ID
+     * @param {string} userId - User ID
+     * @param {Array<string>} orderColumns - Columns giving a stable order
+     * @returns {Promise<Array>} Rows
+     */
+    async fetchAllRows(table, userColumn, userId, orderColumns) {
+        const supabase = await this.getSupabase();
+        const rows = [];
+
+        for (;;) {
+            let query = supabase
+                .from(table)
+                .select('*')
+                .eq(userColumn, userId);
+            orderColumns.forEach(column => {
+                query = query.order(column, { ascending: true });
+            });
+
+            const { data, error } = await query.range(rows.length, rows.length + EXPORT_PAGE_SIZE - 1);
+
+            if (error) throw error;
+            rows.push(...(data || []));
+            if (!data || data.length < EXPORT_PAGE_SIZE) break;
+        }
+
+        return rows;
+    }
+
+    /**
+     * Build the full export archive for a user
+     * @param {string} userId - User ID
+     * @param {Function} [onProgress] - Called with the name of the section being read
+     * @returns {Promise<Object>} Archive
+     */
+    async exportUserData(userId, onProgress = null) {
+        const supabase = await this.getSupabase();
+        const step = (name) => {
+            if (onProgress) onProgress(name);
+        };
+
+        step('profile');
+        const { data: profile, error: profileError } = await supabase
+            .from('profiles')
+            .select('*')
+            .eq('id', userId)
+            .single();
+
+        if (profileError) throw profileError;
+
+        step('fsrs_params');
+        const { data: fsrsParams, error: paramsError } = await supabase
+            .from('fsrs_params')
+            .select('*')
+            .eq('user_id', userId)
+            .maybeSingle();
+
+        if (paramsError) throw paramsError;
+
+        step('fsrs_param_history');
+        const fsrsParamHistory = await this.fetchAllRows('fsrs_param_history', 'user_id', userId, ['version']);
+
+        step('user_cards');
+        const userCards = await this.fetchAllRows('user_cards', 'user_id', userId, ['card_template_id']);
+
+        step('reviews');
+        const reviews = await this.fetchAllRows('reviews', 'user_id', userId, ['reviewed_at', 'id']);
+
+        step('streaks');
+        const streakHistory = await this.fetchAllRows('user_streak_history', 'user_id', userId, ['streak_date']);
+        const streakMilestones = await this.fetchAllRows('user_streak_milestones', 'user_id', userId, ['achieved_at']);
+
+        console.log(`✅ Exported ${reviews.length} reviews and ${userCards.length} cards for user ${userId}`);
+
+        return {
+            format: 'nanotopic-user-export',
+            format_version: EXPORT_FORMAT_VERSION,
+            exported_at: new Date().toISOString(),
+            user_id: userId,
+            profile,
+            fsrs_params: fsrsParams,
+            fsrs_param_history: fsrsParamHistory,
+            user_cards: userCards,
+            reviews,
+            streak_history: streakHistory,
+            streak_milestones: streakMilestones
+        };
+    }
+
+    /**
+     * Offer content to the browser as a file download
+     * @param {string} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} type - MIME type
+     */
+    downloadFile(content, fileName, type) {
+        const blob = new Blob([content], { type });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Export a user's data and download it as JSON, optionally with the
+     * review log as revlog CSV
+     * @param {string} userId - User ID
+     * @param {Object} options - Export options
+     * @param {boolean} [options.includeRevlogCsv] - Also download the review log CSV
+     * @param {Function} [options.onProgress] - Passed to exportUserData
+     * @returns {Promise<Object>} Archive
+     */
+    async downloadUserData(userId, { includeRevlogCsv = false, onProgress = null } = {}) {
+        const archive = await this.exportUserData(userId, onProgress);
+        const date = archive.exported_at.split('T')[0];
+
+        this.downloadFile(
+            JSON.stringify(archive, null, 2),
+            `nanotopic-data-${date}.json`,
+            'application/json;charset=utf-8;'
+        );
+
+        if (includeRevlogCsv) {
+            this.downloadFile(
+                buildRevlogCsv(archive.reviews),
+                `nanotopic-revlog-${date}.csv`,
+                'text/csv;charset=utf-8;'
+            );
+        }
+
+        return archive;
+    }
+}
+
+// Create and export singleton instance
+const dataExportService = new DataExportService();
+
+export default dataExportService;
+export {
+    DataExportService,
+    EXPORT_FORMAT_VERSION,
+    REVLOG_COLUMNS,
+    buildRevlogCsv
+};
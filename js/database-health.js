@@ -10,6 +10,7 @@ class DatabaseHealth {
             unassignedCards: [],
             flaggedContent: [],
             performanceIssues: [],
+            leechCards: [],
             subjectHealth: [],
             activityData: []
         };
@@ -59,6 +60,13 @@ class DatabaseHealth {
         document.getElementById('assign-all-cards')?.addEventListener('click', () => {
             this.autoAssignCards();
         });
+
+        // Leech report threshold
+        document.getElementById('leech-min-percent')?.addEventListener('change', async () => {
+            await this.loadLeechReport();
+            this.populateLeechTable();
+            this.updateTableCounts();
+        });
     }
 
     async loadInitialData() {
@@ -71,6 +79,7 @@ class DatabaseHealth {
                 this.loadUnassignedCards(),
                 this.loadFlaggedContent(),
                 this.loadPerformanceIssues(),
+                this.loadLeechReport(),
                 this.loadSubjectHealth(),
                 this.loadActivityData()
             ]);
@@ -356,6 +365,28 @@ class DatabaseHealth {
         console.log('[Database Health] Performance issues loaded:', this.data.performanceIssues.length);
     }
 
+    /**
+     * Cards that are leeches (see migration 42) for at least the chosen
+     * share of their learners, worst first
+     */
+    async loadLeechReport() {
+        console.log('[Database Health] Loading leech report...');
+        const minPercent = Number(document.getElementById('leech-min-percent')?.value) || 10;
+
+        const { data, error } = await this.supabase.rpc('get_leech_report', {
+            p_min_leech_percent: minPercent
+        });
+
+        if (error) {
+            console.error('Error loading leech report:', error);
+            this.data.leechCards = [];
+            return;
+        }
+
+        this.data.leechCards = data || [];
+        console.log('[Database Health] Leech cards loaded:', this.data.leechCards.length);
+    }
+
     async loadSubjectHealth() {
         console.log('[Database Health] Loading subject health...');
 
@@ -571,6 +602,8 @@ class DatabaseHealth {
             `${this.data.flaggedContent.length} items`;
         document.getElementById('performance-issues-count').textContent =
             `${this.data.performanceIssues.length} cards`;
+        document.getElementById('leech-cards-count').textContent =
+            `${this.data.leechCards.length} cards`;
         document.getElementById('subjects-health-count').textContent =
             `${this.data.subjectHealth.length} subjects`;
     }
@@ -579,6 +612,7 @@ class DatabaseHealth {
         this.populateUnassignedCardsTable();
         this.populateFlaggedContentTable();
         this.populatePerformanceTable();
+        this.populateLeechTable();
         this.populateSubjectsTable();
     }
 
@@ -659,6 +693,35 @@ class DatabaseHealth {
         `).join('');
     }
 
+    populateLeechTable() {
+        const tbody = document.getElementById('leech-body');
+        if (!tbody) return;
+
+        if (this.data.leechCards.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="no-data">✅ No cards are leeches for this share of learners</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = this.data.leechCards.map(card => `
+            <tr>
+                <td class="card-question">${this.escapeHtml(card.question?.substring(0, 80) || 'N/A')}${card.question?.length > 80 ? '...' : ''}</td>
+                <td>${this.escapeHtml(card.subject_name || 'Unknown')}</td>
+                <td>
+                    <span class="success-rate ${card.leech_percent >= 30 ? 'poor' : card.leech_percent >= 15 ? 'fair' : 'good'}">
+                        ${card.leech_percent}%
+                    </span>
+                </td>
+                <td>${card.leeches} / ${card.learners}</td>
+                <td>${card.average_lapses}</td>
+                <td>
+                    <a class="btn btn-warning btn-small" href="admin.html?card=${encodeURIComponent(card.card_template_id)}" target="_blank" rel="noopener">
+                        ✏️ Edit
+                    </a>
+                </td>
+            </tr>
+        `).join('');
+    }
+
     populateSubjectsTable() {
         const tbody = document.getElementById('subjects-body');
         if (!tbody) return;
@@ -1024,6 +1087,7 @@ class DatabaseHealth {
             unassignedCards: this.data.unassignedCards.length,
             flaggedContent: this.data.flaggedContent.length,
             performanceIssues: this.data.performanceIssues.length,
+            leechCards: this.data.leechCards.length,
             subjectHealth: this.data.subjectHealth.length
         };
 
@@ -936,14 +936,49 @@ class DatabaseService {
     }
 
     /**
-     * Calculate adaptive session ratios based on user stage and card availability
+     * Get the user's session settings. Only paid users and admins choose
+     * their own; everyone else gets the defaults (get_session_card_mix()
+     * applies the same rule server-side).
+     * @param {string} userId - The user's ID
+     * @returns {Promise<Object>} { canCustomize, sessionSize, reviewRatio, dailyNewCardsLimit }
+     */
+    async getSessionSettings(userId) {
+        try {
+            validateUserId(userId, 'getting session settings');
+
+            const supabase = await this.getSupabase();
+            const { data: profile, error } = await supabase
+                .from('profiles')
+                .select('user_tier, session_size, session_review_ratio, daily_new_cards_limit')
+                .eq('id', userId)
+                .single();
+
+            if (error) throw error;
+
+            const canCustomize = profile.user_tier === 'paid' || profile.user_tier === 'admin';
+            return {
+                canCustomize,
+                sessionSize: (canCustomize && profile.session_size) || SESSION_CONFIG.CARDS_PER_SESSION,
+                reviewRatio: canCustomize && profile.session_review_ratio !== null ? Number(profile.session_review_ratio) : null,
+                dailyNewCardsLimit: profile.daily_new_cards_limit
+            };
+        } catch (error) {
+            const handledError = handleError(error, 'getSessionSettings');
+            throw new Error(handledError.userMessage);
+        }
+    }
+
+    /**
+     * Calculate adaptive session ratios based on user stage and card availability.
+     * A review ratio the user chose replaces the stage-based ratios.
      * @param {string} learningStage - User's learning stage
      * @param {number} dueCardsAvailable - Number of due cards available
      * @param {number} newCardsAvailable - Number of new cards available
      * @param {number} sessionSize - Target session size
+     * @param {number|null} reviewRatio - User's share of due cards (0-1), null for adaptive
      * @returns {Object} Calculated ratios and limits
      */
-    calculateAdaptiveRatios(learningStage, dueCardsAvailable, newCardsAvailable, sessionSize = ADAPTIVE_SESSION_CONFIG.PREFER_SESSION_SIZE) {
+    calculateAdaptiveRatios(learningStage, dueCardsAvailable, newCardsAvailable, sessionSize = ADAPTIVE_SESSION_CONFIG.PREFER_SESSION_SIZE, reviewRatio = null) {
         const ratios = {
             stage: learningStage,
             sessionSize,
@@ -951,6 +986,18 @@ class DatabaseService {
             newCardsAvailable
         };
 
+        // The user's own mix
+        if (reviewRatio !== null) {
+            ratios.maxDue = Math.round(sessionSize * reviewRatio);
+            ratios.targetNew = sessionSize - ratios.maxDue;
+            ratios.actualDue = Math.min(ratios.maxDue, dueCardsAvailable);
+            ratios.actualNew = Math.min(ratios.targetNew, newCardsAvailable);
+            ratios.remaining = sessionSize - ratios.actualDue - ratios.actualNew;
+            ratios.maxFallback = Math.max(0, ratios.remaining);
+            ratios.ratioMode = 'user';
+            return ratios;
+        }
+
         // New users get 100% new cards
         if (learningStage === ADAPTIVE_SESSION_CONFIG.LEARNING_STAGES.NEW_USER) {
             ratios.maxDue = 0;
@@ -993,15 +1040,19 @@ class DatabaseService {
     /**
      * Get adaptive session cards with balanced due/new ratio based on user progression
      * @param {string} userId - The user's ID
-     * @param {number} sessionSize - Desired session size
+     * @param {number} sessionSize - Desired session size (defaults to the user's session length)
      * @returns {Promise<Object>} Session cards with metadata
      */
-    async getAdaptiveSessionCards(userId, sessionSize = ADAPTIVE_SESSION_CONFIG.PREFER_SESSION_SIZE) {
+    async getAdaptiveSessionCards(userId, sessionSize = null) {
         try {
             validateUserId(userId, 'getting adaptive session cards');
 
-            // Get user's learning stage
-            const userStage = await this.getUserLearningStage(userId);
+            // Get user's learning stage and session settings
+            const [userStage, settings] = await Promise.all([
+                this.getUserLearningStage(userId),
+                this.getSessionSettings(userId)
+            ]);
+            sessionSize = sessionSize ?? settings.sessionSize;
 
             // Get available card counts
             const [dueCards, newCards] = await Promise.all([
@@ -1014,7 +1065,8 @@ class DatabaseService {
                 userStage.stage,
                 dueCards.length,
                 newCards.length,
-                sessionSize
+                sessionSize,
+                settings.reviewRatio
             );
 
             // Select cards based on calculated ratios
@@ -1775,7 +1827,7 @@ class DatabaseService {
                     
                     if (optimizationStatus.shouldOptimize) {
                         // Trigger optimization in background (don't wait for completion)
-                        fsrsOptimizationService.optimizeUserParameters(user.id, { conservative: true })
+                        fsrsOptimizationService.optimizeUserParameters(user.id, { conservative: true, trigger: 'scheduled' })
                             .then(result => {
                                 if (result.success) {
                                     // Store optimization result for potential UI notification
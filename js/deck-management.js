@@ -1,4 +1,5 @@
 import { getSupabaseClient } from './supabase-client.js';
+import { renderRichText } from './richText.js';
 
 class DeckManager {
     constructor() {
@@ -11,6 +12,8 @@ class DeckManager {
         this.flaggedCards = [];
         this.selectedFlags = new Set();
         this.bulkResolutionAction = null;
+        this.cardEditPreviewTimer = null;
+        this.cardEditPreviewId = 0;
     }
 
     async initialize() {
@@ -103,6 +106,9 @@ class DeckManager {
         document.getElementById('cancel-card-edit').addEventListener('click', () => {
             document.getElementById('card-edit-modal').classList.add('hidden');
         });
+        ['edit-card-question', 'edit-card-answer'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.scheduleCardEditPreview());
+        });
 
         // Bulk resolution modal actions
         document.getElementById('confirm-bulk-resolution').addEventListener('click', () => this.confirmBulkResolution());
@@ -811,6 +817,29 @@ class DeckManager {
 
         modal.dataset.cardId = cardId;
         modal.classList.remove('hidden');
+        this.updateCardEditPreview();
+    }
+
+    scheduleCardEditPreview() {
+        clearTimeout(this.cardEditPreviewTimer);
+        this.cardEditPreviewTimer = setTimeout(() => this.updateCardEditPreview(), 200);
+    }
+
+    /**
+     * Render the question and answer being edited as they will appear on the card
+     */
+    async updateCardEditPreview() {
+        const renderId = ++this.cardEditPreviewId;
+
+        const [question, answer] = await Promise.all([
+            renderRichText(document.getElementById('edit-card-question').value),
+            renderRichText(document.getElementById('edit-card-answer').value)
+        ]);
+
+        // Ignore results of a render that a newer keystroke superseded
+        if (renderId !== this.cardEditPreviewId) return;
+        document.getElementById('edit-card-question-preview').innerHTML = question;
+        document.getElementById('edit-card-answer-preview').innerHTML = answer;
     }
 
     editFlaggedCard() {
@@ -3,6 +3,8 @@ import { getSupabaseClient } from './supabase-client.js';
 import NavigationController from './navigation.js';
 import slideMenu from './slideMenu.js';
 import { Validator } from './validator.js';
+import cardBrowserService from './cardBrowser.js';
+import { CUSTOM_SESSION_CONFIG } from './config.js';
 
 /**
  * Get available subjects with card counts for the current user
@@ -213,6 +215,126 @@ function updateStudyAllStats(stats) {
     if (newElement) newElement.textContent = stats.total_new;
 }
 
+// --- Custom Study ---
+
+/**
+ * Get the selected custom session type
+ * @returns {string|null} A key of CUSTOM_SESSION_CONFIG.TYPES
+ */
+function getCustomStudyType() {
+    return document.querySelector('input[name="custom-study-type"]:checked')?.value || null;
+}
+
+/**
+ * Show an error below the custom study form (empty message clears it)
+ * @param {string} message
+ */
+function showCustomStudyError(message) {
+    const error = document.getElementById('custom-study-error');
+    if (error) error.textContent = message;
+}
+
+/**
+ * Show the description and the fields the selected session type uses
+ */
+function updateCustomStudyFields() {
+    const type = getCustomStudyType();
+    const description = document.getElementById('custom-study-description');
+    if (description) description.textContent = CUSTOM_SESSION_CONFIG.TYPES[type]?.description || '';
+
+    document.querySelector('[data-custom-field="days"]')?.classList.toggle('hidden', type !== 'review_ahead');
+    document.querySelector('[data-custom-field="tags"]')?.classList.toggle('hidden', type !== 'tag_filtered');
+
+    const pathInput = document.getElementById('custom-study-path');
+    if (pathInput) pathInput.placeholder = type === 'cram' ? 'e.g. 1.7' : 'Optional, e.g. 1.7';
+    showCustomStudyError('');
+}
+
+/**
+ * Suggest the tags on the user's cards in the tags field
+ */
+async function loadCustomStudyTags() {
+    const list = document.getElementById('custom-study-tag-list');
+    if (!list) return;
+
+    try {
+        const tags = await cardBrowserService.getTags();
+        list.innerHTML = tags.map(({ tag }) => `<option value="${Validator.escapeHtml(tag)}"></option>`).join('');
+    } catch (error) {
+        console.warn('⚠️ Could not load card tags:', error.message);
+    }
+}
+
+/**
+ * Start the selected custom session on the study page
+ * @param {Event} event - Form submit event
+ */
+function startCustomStudy(event) {
+    event.preventDefault();
+    const type = getCustomStudyType();
+    if (!CUSTOM_SESSION_CONFIG.TYPES[type]) return;
+
+    const params = new URLSearchParams({ mode: type });
+    try {
+        const path = document.getElementById('custom-study-path')?.value.trim();
+        if (path || type === 'cram') {
+            Validator.validateLtreePath(path, 'custom study');
+            params.set('path', path);
+        }
+
+        if (type === 'review_ahead') {
+            const days = Number(document.getElementById('custom-study-days')?.value);
+            if (!Number.isInteger(days) || days < 1 || days > CUSTOM_SESSION_CONFIG.MAX_DAYS_AHEAD) {
+                throw new Error(`Choose between 1 and ${CUSTOM_SESSION_CONFIG.MAX_DAYS_AHEAD} days.`);
+            }
+            params.set('days', String(days));
+        }
+
+        if (type === 'tag_filtered') {
+            const tags = (document.getElementById('custom-study-tags')?.value || '')
+                .split(',')
+                .map(tag => tag.trim())
+                .filter(Boolean);
+            if (tags.length === 0) {
+                throw new Error('Enter at least one tag.');
+            }
+            params.set('tags', tags.join(','));
+        }
+    } catch (error) {
+        showCustomStudyError(error.message);
+        return;
+    }
+
+    window.location.href = `index.html?${params}`;
+}
+
+/**
+ * Render the custom session types and wire up the form
+ */
+function setupCustomStudy() {
+    const form = document.getElementById('custom-study-form');
+    const types = document.getElementById('custom-study-types');
+    if (!form || !types) return;
+
+    types.innerHTML = Object.entries(CUSTOM_SESSION_CONFIG.TYPES).map(([type, config], index) => `
+        <label class="custom-study-type">
+            <input type="radio" name="custom-study-type" value="${type}" ${index === 0 ? 'checked' : ''}>
+            ${Validator.escapeHtml(config.label)}
+        </label>
+    `).join('');
+
+    const daysInput = document.getElementById('custom-study-days');
+    if (daysInput) {
+        daysInput.max = String(CUSTOM_SESSION_CONFIG.MAX_DAYS_AHEAD);
+        daysInput.value = String(CUSTOM_SESSION_CONFIG.DEFAULT_DAYS_AHEAD);
+    }
+
+    types.addEventListener('change', updateCustomStudyFields);
+    form.addEventListener('submit', startCustomStudy);
+    updateCustomStudyFields();
+    loadCustomStudyTags();
+}
+
 // --- Deck Selection Page Logic ---
 
 // Deck selection state management
@@ -372,5 +494,6 @@ window.addEventListener('DOMContentLoaded', async () => {
     
     // Initialize deck selection functionality
     setupDeckSelectionEvents();
+    setupCustomStudy();
     loadDeckSelection();
 });
\ No newline at end of file
@@ -1,6 +1,8 @@
 /**
  * FSRS (Free Spaced Repetition Scheduler) Algorithm Implementation
- * Full implementation with parameter support
+ * Full FSRS-5 implementation with parameter support, including short-term
+ * (same-day) stability updates. Ratings use the 0-3 scale; FSRS papers use
+ * grades 1-4, so grade G = rating + 1 throughout.
  */
 
 // Constants for FSRS calculations - Updated to 0-3 scale (standard FSRS)
@@ -25,7 +27,25 @@ const CARD_STATE = {
 const FSRS_CONSTANTS = {
     FACTOR: 19/81,  // F = 19/81 (from FSRS paper)
     DECAY: -0.5,    // C = -0.5 (exponential decay constant)
-    DESIRED_RETENTION: 0.9  // Default desired retention rate
+    DESIRED_RETENTION: 0.9,  // Default desired retention rate
+    MIN_STABILITY: 0.01,     // Stability floor (days)
+    MAX_STABILITY: 36500,    // Stability ceiling (days)
+    MIN_DIFFICULTY: 1,       // Difficulty is clamped to [1, 10]
+    MAX_DIFFICULTY: 10
+};
+
+// Valid range for each FSRS-5 weight (same clamps the reference optimizer applies)
+const WEIGHT_BOUNDS = {
+    w0: { min: 0.01, max: 100 }, w1: { min: 0.01, max: 100 },
+    w2: { min: 0.01, max: 100 }, w3: { min: 0.01, max: 100 },
+    w4: { min: 1, max: 10 },     w5: { min: 0.001, max: 4 },
+    w6: { min: 0.001, max: 4 },  w7: { min: 0.001, max: 0.75 },
+    w8: { min: 0, max: 4.5 },    w9: { min: 0, max: 0.8 },
+    w10: { min: 0.001, max: 3.5 }, w11: { min: 0.001, max: 5 },
+    w12: { min: 0.001, max: 0.25 }, w13: { min: 0.001, max: 0.9 },
+    w14: { min: 0, max: 4 },     w15: { min: 0, max: 1 },
+    w16: { min: 1, max: 6 },     w17: { min: 0, max: 2 },
+    w18: { min: 0, max: 2 }
 };
 
 // Default parameters (used as fallback) - All 19 FSRS parameters
@@ -56,6 +76,26 @@ const DEFAULT_PARAMS = {
     desired_retention: 0.900 // 90% retention as DECIMAL(4,3)
 };
 
+/**
+ * Read a weight from params, falling back to the default when it is missing
+ * @param {Object} params - FSRS parameters
+ * @param {number} index - Weight index (0-18)
+ * @returns {number} Weight value
+ */
+function weight(params, index) {
+    const value = params?.[`w${index}`];
+    return typeof value === 'number' && !isNaN(value) ? value : DEFAULT_PARAMS[`w${index}`];
+}
+
+/**
+ * Clamp difficulty to the valid FSRS range [1, 10]
+ * @param {number} difficulty - Difficulty value
+ * @returns {number} Clamped difficulty
+ */
+function clampDifficulty(difficulty) {
+    return Math.min(Math.max(FSRS_CONSTANTS.MIN_DIFFICULTY, difficulty), FSRS_CONSTANTS.MAX_DIFFICULTY);
+}
+
 /**
  * Calculate retrievability based on elapsed time and stability
  * Formula: R(t) = (1 + F * (t/S))^C where F = 19/81, C = -0.5
@@ -70,31 +110,35 @@ function calculateRetrievability(elapsedTime, stability) {
 
 /**
  * Calculate stability for new cards based on rating
+ * Formula: S0(G) = w[G-1], floored at 0.1 days
  * @param {number} rating - User rating (0-3)
  * @param {Object} params - FSRS parameters
  * @returns {number} Initial stability
  */
 function calculateInitialStability(rating, params = DEFAULT_PARAMS) {
-    const w0 = typeof params.w0 === 'number' && !isNaN(params.w0) ? params.w0 : DEFAULT_PARAMS.w0;
-    const w1 = typeof params.w1 === 'number' && !isNaN(params.w1) ? params.w1 : DEFAULT_PARAMS.w1;
-    const w12 = typeof params.w12 === 'number' && !isNaN(params.w12) ? params.w12 : DEFAULT_PARAMS.w12;
-    return Math.max(w12, w0 + w1 * (rating - 2));
+    return Math.max(0.1, weight(params, rating));
+}
+
+/**
+ * Unclamped FSRS-5 initial difficulty, also used as the mean-reversion target
+ * Formula: D0(G) = w4 - e^(w5 * (G - 1)) + 1
+ * @param {number} rating - User rating (0-3)
+ * @param {Object} params - FSRS parameters
+ * @returns {number} Raw initial difficulty
+ */
+function rawInitialDifficulty(rating, params) {
+    return weight(params, 4) - Math.exp(weight(params, 5) * rating) + 1;
 }
 
 /**
  * Calculate difficulty for new cards based on rating
+ * Formula: D0(G) = w4 - e^(w5 * (G - 1)) + 1, clamped to [1, 10]
  * @param {number} rating - User rating (0-3)
  * @param {Object} params - FSRS parameters
  * @returns {number} Initial difficulty
  */
 function calculateInitialDifficulty(rating, params = DEFAULT_PARAMS) {
-    const w4 = typeof params.w4 === 'number' && !isNaN(params.w4) ? params.w4 : DEFAULT_PARAMS.w4;
-    const w5 = typeof params.w5 === 'number' && !isNaN(params.w5) ? params.w5 : DEFAULT_PARAMS.w5;
-    const w14 = typeof params.w14 === 'number' && !isNaN(params.w14) ? params.w14 : DEFAULT_PARAMS.w14;
-    const w15 = typeof params.w15 === 'number' && !isNaN(params.w15) ? params.w15 : DEFAULT_PARAMS.w15;
-    
-    const difficulty = w4 - (rating - 2) * w5;
-    return Math.min(Math.max(w14, difficulty), w15);
+    return clampDifficulty(rawInitialDifficulty(rating, params));
 }
 
 /**
@@ -106,12 +150,13 @@ function calculateInitialDifficulty(rating, params = DEFAULT_PARAMS) {
  * @returns {number} Interval in days
  */
 function calculateInterval(stability, desiredRetention = null, params = DEFAULT_PARAMS) {
-    const minInterval = params.minimum_interval_days || DEFAULT_PARAMS.minimum_interval_days;
-    const maxInterval = params.maximum_interval_days || DEFAULT_PARAMS.maximum_interval_days;
+    // ?? rather than ||, so a stored 0 is used as is, like COALESCE in fsrs_schedule_card
+    const minInterval = params.minimum_interval_days ?? DEFAULT_PARAMS.minimum_interval_days;
+    const maxInterval = params.maximum_interval_days ?? DEFAULT_PARAMS.maximum_interval_days;
     
     if (stability <= 0) return minInterval;
     
-    const retention = desiredRetention || params.desired_retention || DEFAULT_PARAMS.desired_retention;
+    const retention = desiredRetention ?? params.desired_retention ?? DEFAULT_PARAMS.desired_retention;
     
     // I(R_d) = (S / F) * (R_d^(1/C) - 1)
     const interval = (stability / FSRS_CONSTANTS.FACTOR) * (Math.pow(retention, 1 / FSRS_CONSTANTS.DECAY) - 1);
@@ -129,14 +174,10 @@ function calculateInterval(stability, desiredRetention = null, params = DEFAULT_
  * @returns {Object} - Next review date and updated metrics
  */
 function calculateNextReview(stability, difficulty, rating, params = DEFAULT_PARAMS, state = CARD_STATE.REVIEW) {
-    // Validate inputs - add fallback values to prevent NaN
-    const w12 = typeof params.w12 === 'number' && !isNaN(params.w12) ? params.w12 : DEFAULT_PARAMS.w12;
-    const w14 = typeof params.w14 === 'number' && !isNaN(params.w14) ? params.w14 : DEFAULT_PARAMS.w14;
-    const w15 = typeof params.w15 === 'number' && !isNaN(params.w15) ? params.w15 : DEFAULT_PARAMS.w15;
     const desired_retention = typeof params.desired_retention === 'number' && !isNaN(params.desired_retention) ? params.desired_retention : DEFAULT_PARAMS.desired_retention;
     
-    stability = Math.max(w12, stability);
-    difficulty = Math.min(Math.max(w14, difficulty), w15);
+    stability = Math.max(FSRS_CONSTANTS.MIN_STABILITY, stability);
+    difficulty = clampDifficulty(difficulty);
     
     // Calculate interval based on stability and desired retention
     const interval = calculateInterval(stability, desired_retention, params);
@@ -155,8 +196,62 @@ function calculateNextReview(stability, difficulty, rating, params = DEFAULT_PAR
 }
 
 /**
- * Update stability based on current value, difficulty, rating, and elapsed time
- * Uses the correct FSRS stability update formulas
+ * Stability after a successful long-term review
+ * Formula: S'r = S * (e^w8 * (11 - D) * S^-w9 * (e^(w10 * (1 - R)) - 1) * w15[Hard] * w16[Easy] + 1)
+ * @param {number} stability - Current stability
+ * @param {number} difficulty - Current difficulty
+ * @param {number} retrievability - Retrievability at review time
+ * @param {number} rating - User rating (1-3)
+ * @param {Object} params - FSRS parameters
+ * @returns {number} Recall stability
+ */
+function recallStability(stability, difficulty, retrievability, rating, params) {
+    const hardPenalty = rating === RATING.HARD ? weight(params, 15) : 1;
+    const easyBonus = rating === RATING.EASY ? weight(params, 16) : 1;
+    return stability * (
+        Math.exp(weight(params, 8)) *
+        (11 - difficulty) *
+        Math.pow(stability, -weight(params, 9)) *
+        (Math.exp(weight(params, 10) * (1 - retrievability)) - 1) *
+        hardPenalty *
+        easyBonus +
+        1
+    );
+}
+
+/**
+ * Stability after a lapse, never higher than the short-term penalty allows
+ * Formula: S'f = min(w11 * D^-w12 * ((S + 1)^w13 - 1) * e^(w14 * (1 - R)), S / e^(w17 * w18))
+ * @param {number} stability - Current stability
+ * @param {number} difficulty - Current difficulty
+ * @param {number} retrievability - Retrievability at review time
+ * @param {Object} params - FSRS parameters
+ * @returns {number} Forget stability
+ */
+function forgetStability(stability, difficulty, retrievability, params) {
+    const longTerm = weight(params, 11) *
+        Math.pow(difficulty, -weight(params, 12)) *
+        (Math.pow(stability + 1, weight(params, 13)) - 1) *
+        Math.exp(weight(params, 14) * (1 - retrievability));
+    return Math.min(longTerm, stability / Math.exp(weight(params, 17) * weight(params, 18)));
+}
+
+/**
+ * Stability after a same-day review
+ * Formula: S' = S * e^(w17 * (G - 3 + w18))
+ * @param {number} stability - Current stability
+ * @param {number} rating - User rating (0-3)
+ * @param {Object} params - FSRS parameters
+ * @returns {number} Short-term stability
+ */
+function shortTermStability(stability, rating, params) {
+    return stability * Math.exp(weight(params, 17) * (rating - 2 + weight(params, 18)));
+}
+
+/**
+ * Update stability based on current value, difficulty, rating, and elapsed time.
+ * Reviews less than a day apart use the FSRS-5 short-term formula; otherwise
+ * the recall or forget formula applies depending on the rating.
  * @param {number} currentStability - Current stability value
  * @param {number} difficulty - Current difficulty value
  * @param {number} rating - User rating (0-3)
@@ -165,95 +260,317 @@ function calculateNextReview(stability, difficulty, rating, params = DEFAULT_PAR
  * @returns {number} - Updated stability value
  */
 function updateStability(currentStability, difficulty, rating, elapsedDays = 0, params = DEFAULT_PARAMS) {
-    console.log('🔍 updateStability called with:', { currentStability, difficulty, rating, elapsedDays });
-    console.log('🔍 updateStability params check:', { w12: params.w12, w13: params.w13, w14: params.w14, w15: params.w15 });
-    
-    // Validate inputs - use modern FSRS defaults
-    const w8 = typeof params.w8 === 'number' && !isNaN(params.w8) ? params.w8 : DEFAULT_PARAMS.w8;
-    const w9 = typeof params.w9 === 'number' && !isNaN(params.w9) ? params.w9 : DEFAULT_PARAMS.w9;
-    const w10 = typeof params.w10 === 'number' && !isNaN(params.w10) ? params.w10 : DEFAULT_PARAMS.w10;
-    const w11 = typeof params.w11 === 'number' && !isNaN(params.w11) ? params.w11 : DEFAULT_PARAMS.w11;
-    const w12 = typeof params.w12 === 'number' && !isNaN(params.w12) ? params.w12 : DEFAULT_PARAMS.w12;
-    const w13 = typeof params.w13 === 'number' && !isNaN(params.w13) ? params.w13 : DEFAULT_PARAMS.w13;
-    const w14 = typeof params.w14 === 'number' && !isNaN(params.w14) ? params.w14 : DEFAULT_PARAMS.w14;
-    const w15 = typeof params.w15 === 'number' && !isNaN(params.w15) ? params.w15 : DEFAULT_PARAMS.w15;
-    const w16 = typeof params.w16 === 'number' && !isNaN(params.w16) ? params.w16 : DEFAULT_PARAMS.w16;
-    
-    currentStability = Math.max(w12, currentStability);
-    difficulty = Math.min(Math.max(w14, difficulty), w15);
+    currentStability = Math.max(FSRS_CONSTANTS.MIN_STABILITY, currentStability);
+    difficulty = clampDifficulty(difficulty);
     elapsedDays = Math.max(0, elapsedDays);
     
-    console.log('🔍 updateStability validated inputs:', { currentStability, difficulty, rating, elapsedDays });
-    
-    // Calculate retrievability based on elapsed time
-    const retrievability = elapsedDays > 0 ? calculateRetrievability(elapsedDays, currentStability) : 0.9;
-    
-    // FSRS stability update formulas based on rating
     let newStability;
-    
-    if (rating === RATING.AGAIN) {
-        // Failed review - stability decrease
-        // S' = S * w11 * (1 - retrievability) * ((11 - difficulty) / 10)
-        newStability = currentStability * w11 * (1 - retrievability) * ((11 - difficulty) / 10);
+    if (elapsedDays < 1) {
+        newStability = shortTermStability(currentStability, rating, params);
     } else {
-        // Successful review - stability increase
-        // Base stability increase factor
-        const stabilityIncrease = Math.exp(w8) * 
-            (11 - difficulty) * 
-            Math.pow(currentStability, w9) * 
-            (Math.exp(w10 * (1 - retrievability)) - 1);
-        
-        // Rating-specific multipliers
-        let ratingMultiplier;
-        switch (rating) {
-            case RATING.HARD: // 1
-                ratingMultiplier = w15;
-                break;
-            case RATING.GOOD: // 2
-                ratingMultiplier = 1;
-                break;
-            case RATING.EASY: // 3
-                ratingMultiplier = w16;
-                break;
-            default:
-                ratingMultiplier = 1;
-        }
-        
-        newStability = currentStability + stabilityIncrease * ratingMultiplier;
+        const retrievability = calculateRetrievability(elapsedDays, currentStability);
+        newStability = rating === RATING.AGAIN
+            ? forgetStability(currentStability, difficulty, retrievability, params)
+            : recallStability(currentStability, difficulty, retrievability, rating, params);
     }
     
-    // Apply stability bounds
-    const result = Math.min(Math.max(w12, newStability), w13);
-    console.log('🔍 updateStability result:', result);
-    return result;
+    return Math.min(Math.max(FSRS_CONSTANTS.MIN_STABILITY, newStability), FSRS_CONSTANTS.MAX_STABILITY);
 }
 
 /**
  * Update difficulty based on current value and rating
+ * Formula: D' = w7 * D0(Easy) + (1 - w7) * (D - w6 * (G - 3) * (10 - D) / 9)
+ * The (10 - D) / 9 term damps changes near the ceiling; w7 reverts towards
+ * the initial difficulty of an Easy first answer.
  * @param {number} currentDifficulty - Current difficulty value
  * @param {number} rating - User rating (0-3)
  * @param {Object} params - FSRS parameters
  * @returns {number} - Updated difficulty value
  */
 function updateDifficulty(currentDifficulty, rating, params = DEFAULT_PARAMS) {
-    console.log('🔍 updateDifficulty called with:', { currentDifficulty, rating });
-    console.log('🔍 updateDifficulty params check:', { w14: params.w14, w15: params.w15, w6: params.w6 });
-    
-    // Validate inputs - use modern FSRS defaults
-    const w6 = typeof params.w6 === 'number' && !isNaN(params.w6) ? params.w6 : DEFAULT_PARAMS.w6;
-    const w14 = typeof params.w14 === 'number' && !isNaN(params.w14) ? params.w14 : DEFAULT_PARAMS.w14;
-    const w15 = typeof params.w15 === 'number' && !isNaN(params.w15) ? params.w15 : DEFAULT_PARAMS.w15;
-    
-    currentDifficulty = Math.min(Math.max(w14, currentDifficulty), w15);
+    currentDifficulty = clampDifficulty(currentDifficulty);
     
-    // FSRS difficulty update formula using correct parameter w6
-    const difficultyAdjustment = w6 * (rating - 2);
-    const newDifficulty = currentDifficulty + difficultyAdjustment;
+    const delta = -weight(params, 6) * (rating - 2);
+    const damped = currentDifficulty + delta * (10 - currentDifficulty) / 9;
+    const w7 = weight(params, 7);
+    const reverted = w7 * rawInitialDifficulty(RATING.EASY, params) + (1 - w7) * damped;
     
-    // Apply difficulty bounds
-    const result = Math.min(Math.max(w14, newDifficulty), w15);
-    console.log('🔍 updateDifficulty result:', result);
-    return result;
+    return clampDifficulty(reverted);
+}
+
+// Milliseconds per minute/day, used by the scheduling state machine
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
+
+/**
+ * Resolve scheduling parameters, falling back to DEFAULT_PARAMS for any
+ * missing or null entry (fsrs_params columns are nullable in older rows)
+ * @param {Object} params - FSRS parameters
+ * @returns {Object} Complete parameter set
+ */
+function resolveParams(params = DEFAULT_PARAMS) {
+    const resolved = { ...DEFAULT_PARAMS };
+    Object.keys(params || {}).forEach(key => {
+        if (params[key] !== null && params[key] !== undefined) {
+            resolved[key] = params[key];
+        }
+    });
+    return resolved;
+}
+
+/**
+ * Work out which learning/relearning step a card is on.
+ * user_cards has no step column, so when the card does not carry an explicit
+ * `step` we infer it from the delay it was last scheduled with.
+ * @param {Object} card - Card state
+ * @param {Array<number>} steps - Step delays in minutes
+ * @returns {number} Zero-based step index
+ */
+function resolveStep(card, steps) {
+    if (Number.isInteger(card.step)) {
+        return Math.min(Math.max(0, card.step), Math.max(0, steps.length - 1));
+    }
+    if (!card.due_at || !card.last_reviewed_at || steps.length === 0) {
+        return 0;
+    }
+
+    const scheduledMinutes = (new Date(card.due_at) - new Date(card.last_reviewed_at)) / MS_PER_MINUTE;
+    let closest = 0;
+    steps.forEach((minutes, index) => {
+        if (Math.abs(minutes - scheduledMinutes) < Math.abs(steps[closest] - scheduledMinutes)) {
+            closest = index;
+        }
+    });
+    return closest;
+}
+
+/**
+ * Delay for a Hard answer on a learning step (Anki semantics): the first step
+ * waits halfway between the first two steps (or 1.5x a single step), later
+ * steps repeat their own delay
+ * @param {Array<number>} steps - Step delays in minutes
+ * @param {number} step - Current step index
+ * @returns {number} Delay in minutes
+ */
+function hardStepDelay(steps, step) {
+    if (step === 0) {
+        return steps.length > 1 ? (steps[0] + steps[1]) / 2 : steps[0] * 1.5;
+    }
+    return steps[step];
+}
+
+/**
+ * Compute the memory state (stability/difficulty) after a review
+ * @param {Object} card - Card state before the review
+ * @param {number} rating - User rating (0-3)
+ * @param {number} elapsedDays - Days since the last review
+ * @param {Object} params - Resolved FSRS parameters
+ * @returns {{stability: number, difficulty: number}} Next memory state
+ */
+function nextMemoryState(card, rating, elapsedDays, params) {
+    if (card.state === CARD_STATE.NEW) {
+        return {
+            stability: calculateInitialStability(rating, params),
+            difficulty: calculateInitialDifficulty(rating, params)
+        };
+    }
+
+    const stability = Number(card.stability);
+    const difficulty = Number(card.difficulty);
+    return {
+        stability: updateStability(stability, difficulty, rating, elapsedDays, params),
+        difficulty: updateDifficulty(difficulty, rating, params)
+    };
+}
+
+/**
+ * Review intervals for Hard/Good/Easy from a review-state card, kept in
+ * strictly increasing order so a better answer never schedules sooner
+ * @param {Object} card - Card state before the review
+ * @param {number} elapsedDays - Days since the last review
+ * @param {Object} params - Resolved FSRS parameters
+ * @returns {Object} Map of rating to { stability, difficulty, interval }
+ */
+function reviewOutcomes(card, elapsedDays, params) {
+    const outcomes = {};
+    [RATING.HARD, RATING.GOOD, RATING.EASY].forEach(rating => {
+        const memory = nextMemoryState(card, rating, elapsedDays, params);
+        outcomes[rating] = {
+            ...memory,
+            interval: calculateInterval(memory.stability, params.desired_retention, params)
+        };
+    });
+
+    const maxInterval = params.maximum_interval_days;
+    outcomes[RATING.HARD].interval = Math.min(outcomes[RATING.HARD].interval, outcomes[RATING.GOOD].interval);
+    outcomes[RATING.GOOD].interval = Math.min(Math.max(outcomes[RATING.GOOD].interval, outcomes[RATING.HARD].interval + 1), maxInterval);
+    outcomes[RATING.EASY].interval = Math.min(Math.max(outcomes[RATING.EASY].interval, outcomes[RATING.GOOD].interval + 1), maxInterval);
+    return outcomes;
+}
+
+/**
+ * Schedule a card: given its current state, a rating and the review time,
+ * return its next state. Drives the NEW -> LEARNING -> REVIEW -> RELEARNING
+ * state machine using the learning/relearning step arrays, graduating and
+ * easy intervals, and the lapse settings from fsrs_params.
+ *
+ * Pure and deterministic (no fuzz, no clock reads): the same inputs always
+ * produce the same output, so it is the reference for both the client
+ * preview and the record_review RPC.
+ *
+ * @param {Object} card - user_cards-shaped state: state, stability, difficulty,
+ *   due_at, last_reviewed_at, scheduled_days, reps, lapses and optionally step
+ * @param {number} rating - User rating (0-3)
+ * @param {Date|string|number} now - Time of the review
+ * @param {Object} params - FSRS parameters (missing entries use DEFAULT_PARAMS)
+ * @returns {Object} Next card state with state, stability, difficulty, due_at,
+ *   last_reviewed_at, elapsed_days, scheduled_days, reps, lapses and step
+ */
+function scheduleCard(card, rating, now, params = DEFAULT_PARAMS) {
+    if (![RATING.AGAIN, RATING.HARD, RATING.GOOD, RATING.EASY].includes(rating)) {
+        throw new Error(`Invalid rating: ${rating}`);
+    }
+
+    const state = card?.state || CARD_STATE.NEW;
+    if (state === CARD_STATE.BURIED || state === CARD_STATE.SUSPENDED) {
+        throw new Error(`Cannot schedule a ${state} card`);
+    }
+
+    const p = resolveParams(params);
+    const reviewTime = new Date(now);
+    if (isNaN(reviewTime.getTime())) {
+        throw new Error('Invalid review time');
+    }
+
+    const elapsedDays = state !== CARD_STATE.NEW && card.last_reviewed_at
+        ? Math.max(0, (reviewTime - new Date(card.last_reviewed_at)) / MS_PER_DAY)
+        : 0;
+    const current = { ...card, state };
+
+    let next;
+    if (state === CARD_STATE.REVIEW) {
+        next = scheduleReview(current, rating, elapsedDays, p);
+    } else {
+        next = scheduleStep(current, rating, elapsedDays, p);
+    }
+
+    const delayMs = next.unit === 'minutes' ? next.delay * MS_PER_MINUTE : next.delay * MS_PER_DAY;
+    return {
+        state: next.state,
+        stability: next.stability,
+        difficulty: next.difficulty,
+        due_at: new Date(reviewTime.getTime() + delayMs),
+        last_reviewed_at: reviewTime,
+        elapsed_days: elapsedDays,
+        scheduled_days: delayMs / MS_PER_DAY,
+        reps: (card.reps || 0) + 1,
+        lapses: (card.lapses || 0) + (next.lapsed ? 1 : 0),
+        step: next.step
+    };
+}
+
+/**
+ * State transition for a card in the REVIEW state
+ * @param {Object} card - Card state before the review
+ * @param {number} rating - User rating (0-3)
+ * @param {number} elapsedDays - Days since the last review
+ * @param {Object} p - Resolved FSRS parameters
+ * @returns {Object} Transition result
+ */
+function scheduleReview(card, rating, elapsedDays, p) {
+    if (rating !== RATING.AGAIN) {
+        const outcome = reviewOutcomes(card, elapsedDays, p)[rating];
+        return {
+            state: CARD_STATE.REVIEW,
+            stability: outcome.stability,
+            difficulty: outcome.difficulty,
+            delay: outcome.interval,
+            unit: 'days',
+            step: null,
+            lapsed: false
+        };
+    }
+
+    const memory = nextMemoryState(card, rating, elapsedDays, p);
+    const steps = p.relearning_steps_minutes || [];
+    if (steps.length > 0) {
+        return { state: CARD_STATE.RELEARNING, ...memory, delay: steps[0], unit: 'minutes', step: 0, lapsed: true };
+    }
+
+    // No relearning steps: the lapse interval is the previous interval scaled by
+    // lapse_multiplier, never longer than FSRS would schedule
+    const previousInterval = card.due_at && card.last_reviewed_at
+        ? (new Date(card.due_at) - new Date(card.last_reviewed_at)) / MS_PER_DAY
+        : Number(card.scheduled_days) || 0;
+    const fsrsInterval = calculateInterval(memory.stability, p.desired_retention, p);
+    const lapseInterval = Math.max(
+        p.lapse_minimum_interval_days,
+        Math.min(fsrsInterval, Math.round(previousInterval * p.lapse_multiplier))
+    );
+    return { state: CARD_STATE.REVIEW, ...memory, delay: lapseInterval, unit: 'days', step: null, lapsed: true };
+}
+
+/**
+ * State transition for a NEW, LEARNING or RELEARNING card
+ * @param {Object} card - Card state before the review
+ * @param {number} rating - User rating (0-3)
+ * @param {number} elapsedDays - Days since the last review
+ * @param {Object} p - Resolved FSRS parameters
+ * @returns {Object} Transition result
+ */
+function scheduleStep(card, rating, elapsedDays, p) {
+    const relearning = card.state === CARD_STATE.RELEARNING;
+    const steps = (relearning ? p.relearning_steps_minutes : p.learning_steps_minutes) || [];
+    const stepState = relearning ? CARD_STATE.RELEARNING : CARD_STATE.LEARNING;
+    const memory = nextMemoryState(card, rating, elapsedDays, p);
+    const step = card.state === CARD_STATE.NEW ? 0 : resolveStep(card, steps);
+
+    const graduate = (floorDays) => ({
+        state: CARD_STATE.REVIEW,
+        ...memory,
+        delay: Math.min(
+            Math.max(floorDays, calculateInterval(memory.stability, p.desired_retention, p)),
+            p.maximum_interval_days
+        ),
+        unit: 'days',
+        step: null,
+        lapsed: false
+    });
+    const graduatingFloor = relearning ? p.minimum_relearning_interval_days : p.graduating_interval_days;
+
+    if (steps.length === 0 || rating === RATING.EASY) {
+        return graduate(relearning ? p.minimum_relearning_interval_days : p.easy_interval_days);
+    }
+
+    switch (rating) {
+        case RATING.AGAIN:
+            return { state: stepState, ...memory, delay: steps[0], unit: 'minutes', step: 0, lapsed: false };
+        case RATING.HARD:
+            return { state: stepState, ...memory, delay: hardStepDelay(steps, step), unit: 'minutes', step, lapsed: false };
+        default: {
+            const nextStep = step + 1;
+            if (nextStep >= steps.length) {
+                return graduate(graduatingFloor);
+            }
+            return { state: stepState, ...memory, delay: steps[nextStep], unit: 'minutes', step: nextStep, lapsed: false };
+        }
+    }
+}
+
+/**
+ * Preview the outcome of every rating for a card, e.g. to label the rating
+ * buttons with the interval each one would schedule
+ * @param {Object} card - Card state (see scheduleCard)
+ * @param {Date|string|number} now - Time of the review
+ * @param {Object} params - FSRS parameters
+ * @returns {Object} Map of rating (0-3) to the scheduleCard result
+ */
+function previewRatings(card, now, params = DEFAULT_PARAMS) {
+    const preview = {};
+    Object.values(RATING).forEach(rating => {
+        preview[rating] = scheduleCard(card, rating, now, params);
+    });
+    return preview;
 }
 
 // Export functions for use in other modules
@@ -262,41 +579,14 @@ export {
     CARD_STATE,
     DEFAULT_PARAMS,
     FSRS_CONSTANTS,
+    WEIGHT_BOUNDS,
     calculateRetrievability,
     calculateInitialStability,
     calculateInitialDifficulty,
     calculateInterval,
     calculateNextReview,
     updateStability,
-    updateDifficulty
+    updateDifficulty,
+    scheduleCard,
+    previewRatings
 };
-
-/* Unit Tests (as comments for reference)
-test('calculateNextReview', () => {
-    const params = DEFAULT_PARAMS;
-    const result = calculateNextReview(1.0, 5.0, RATING.GOOD, params);
-    expect(result.interval).toBeGreaterThan(0);
-    expect(result.nextReviewDate).toBeInstanceOf(Date);
-});
-
-test('updateStability', () => {
-    const params = DEFAULT_PARAMS;
-    expect(updateStability(1.0, 5.0, RATING.AGAIN, 1, params)).toBeGreaterThan(0);
-    expect(updateStability(2.0, 5.0, RATING.GOOD, 1, params)).toBeGreaterThan(2.0);
-    expect(updateStability(2.0, 5.0, RATING.HARD, 1, params)).toBeLessThan(updateStability(2.0, 5.0, RATING.GOOD, 1, params));
-});
-
-test('updateDifficulty', () => {
-    const params = DEFAULT_PARAMS;
-    expect(updateDifficulty(5.0, RATING.AGAIN, params)).toBeGreaterThan(5.0);
-    expect(updateDifficulty(5.0, RATING.EASY, params)).toBeLessThan(5.0);
-    expect(updateDifficulty(1.0, RATING.HARD, params)).toBeGreaterThanOrEqual(params.w14);
-    expect(updateDifficulty(10.0, RATING.AGAIN, params)).toBeLessThanOrEqual(params.w15);
-});
-
-test('calculateInitialStability', () => {
-    const params = DEFAULT_PARAMS;
-    expect(calculateInitialStability(RATING.GOOD, params)).toBeGreaterThan(0);
-    expect(calculateInitialStability(RATING.EASY, params)).toBeGreaterThan(calculateInitialStability(RATING.HARD, params));
-});
-*/ 
\ No newline at end of file
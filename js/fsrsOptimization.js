@@ -6,6 +6,7 @@
 import { getSupabaseClient } from './supabase-client.js';
 import { calculateRetrievability, updateStability, updateDifficulty } from './fsrs.js';
 import fsrsParametersService from './fsrsParameters.js';
+import { optimizeWeights } from './fsrsOptimizer.js';
 
 class FSRSOptimizationService {
     constructor() {
@@ -15,11 +16,14 @@ class FSRSOptimizationService {
         // Optimization intervals (reviews between optimizations)
         this.OPTIMIZATION_INTERVALS = [100, 250, 500, 1000, 2000];
         
-        // Learning rate for gradient descent
+        // Learning rate for gradient descent (Adam step in normalized weight space)
         this.LEARNING_RATE = 0.01;
         
-        // Maximum parameter change per optimization
-        this.MAX_PARAM_CHANGE = 0.1;
+        // Most recent reviews replayed by the weight optimizer
+        this.MAX_REVIEWS_FOR_OPTIMIZATION = 10000;
+        
+        // Page size when loading review history
+        this.REVIEW_PAGE_SIZE = 1000;
     }
 
     /**
@@ -106,8 +110,10 @@ class FSRSOptimizationService {
             // Calculate parameter effectiveness scores
             const parameterScores = await this.calculateParameterEffectiveness(reviews);
             
-            // Generate optimization suggestions
-            const suggestions = await this.generateOptimizationSuggestions(metrics, predictionAnalysis, parameterScores);
+            // Fit weights to the full review history
+            const reviewHistory = await this.getReviewHistory(userId);
+            const currentParams = await fsrsParametersService.getUserParameters(userId);
+            const suggestions = await this.generateOptimizationSuggestions(reviewHistory, currentParams);
 
             return {
                 canOptimize: true,
@@ -141,12 +147,23 @@ class FSRSOptimizationService {
             // Get current parameters
             const currentParams = await fsrsParametersService.getUserParameters(userId);
             
+            if (!analysis.suggestions.fit) {
+                return { success: false, reason: analysis.suggestions.reasoning[0] };
+            }
+
             // Apply optimization suggestions
-            const optimizedParams = await this.applyOptimizationSuggestions(
+            const optimizedParams = this.applyOptimizationSuggestions(
                 currentParams, 
                 analysis.suggestions,
                 options
             );
+            if (optimizedParams === currentParams) {
+                return {
+                    success: false,
+                    reason: 'Fitted weights did not improve held-out log-loss',
+                    fit: analysis.suggestions.fit
+                };
+            }
 
             // Validate optimized parameters
             const validation = fsrsParametersService.validateParameters(optimizedParams);
@@ -158,17 +175,22 @@ class FSRSOptimizationService {
                 };
             }
 
-            // Update parameters in database
-            await fsrsParametersService.updateParameters(userId, optimizedParams);
+            // Update parameters in database (weights live in the JSONB column)
+            await fsrsParametersService.updateParameters(userId, {
+                weights: analysis.suggestions.weights,
+                last_optimization_at: new Date().toISOString()
+            });
 
             // Log optimization history
-            await this.logOptimizationHistory(userId, currentParams, optimizedParams, analysis);
+            const trigger = options.trigger || (options.scheduledOptimization ? 'scheduled' : 'manual');
+            await this.logOptimizationHistory(userId, currentParams, optimizedParams, analysis, trigger);
 
             return {
                 success: true,
                 oldParams: currentParams,
                 newParams: optimizedParams,
                 improvements: this.calculateImprovements(currentParams, optimizedParams),
+                fit: analysis.suggestions.fit,
                 confidence: analysis.confidence,
                 reviewsAnalyzed: analysis.totalReviews
             };
@@ -332,116 +354,182 @@ class FSRSOptimizationService {
     }
 
     /**
-     * Generate specific optimization suggestions based on analysis
-     * @param {Object} metrics - Performance metrics
-     * @param {Object} predictionAnalysis - Prediction accuracy analysis
-     * @param {Object} parameterScores - Parameter effectiveness scores
-     * @returns {Object} Optimization suggestions
+     * Generate optimization suggestions by fitting all 19 FSRS-5 weights to the
+     * user's review history (see js/fsrsOptimizer.js)
+     * @param {Array} reviewHistory - Review rows in chronological order
+     * @param {Object} currentParams - Current FSRS parameters
+     * @returns {Promise<Object>} Optimization suggestions, including the fitted weights and
+     *   before/after log-loss and RMSE on the training and held-out reviews
      */
-    generateOptimizationSuggestions(metrics, predictionAnalysis, parameterScores) {
+    async generateOptimizationSuggestions(reviewHistory, currentParams) {
         const suggestions = {
-            priority: 'medium',
+            priority: 'low',
             adjustments: {},
+            weights: null,
+            fit: null,
             reasoning: [],
             expectedImprovements: []
         };
 
-        // Suggest adjustments based on performance metrics
-        if (metrics.correctRate < 0.8) {
-            // Low success rate - decrease difficulty
-            suggestions.adjustments.w5 = -0.05; // Reduce difficulty impact
-            suggestions.adjustments.w11 = 0.02; // Increase difficulty decay
-            suggestions.reasoning.push('Low success rate detected - reducing difficulty impact');
-            suggestions.expectedImprovements.push('Higher success rate on reviews');
+        const result = await this.fitWeights(reviewHistory, currentParams, { learningRate: this.LEARNING_RATE });
+        if (!result.success) {
+            suggestions.reasoning.push(result.reason);
+            return suggestions;
         }
 
-        if (metrics.correctRate > 0.95) {
-            // Very high success rate - increase challenge
-            suggestions.adjustments.w5 = 0.03; // Increase difficulty impact
-            suggestions.adjustments.w8 = -0.1; // Reduce easy bonus
-            suggestions.reasoning.push('Very high success rate - increasing challenge');
-            suggestions.expectedImprovements.push('More optimal learning intervals');
-        }
+        suggestions.weights = result.weights;
+        suggestions.fit = {
+            before: result.before,
+            after: result.after,
+            epochs: result.epochs,
+            bestEpoch: result.bestEpoch,
+            stoppedEarly: result.stoppedEarly,
+            trainCards: result.trainCards,
+            testCards: result.testCards
+        };
 
-        // Adjust based on prediction accuracy
-        if (predictionAnalysis.overestimationBias > 0.2) {
-            // Overestimating performance - be more conservative
-            suggestions.adjustments.w1 = -0.05; // Reduce good rating bonus
-            suggestions.adjustments.w2 = -0.1; // Reduce easy rating bonus
-            suggestions.reasoning.push('Overestimating performance - being more conservative');
+        for (const [param, value] of Object.entries(result.weights)) {
+            const delta = value - currentParams[param];
+            if (Math.abs(delta) >= 1e-4) {
+                suggestions.adjustments[param] = delta;
+            }
         }
 
-        if (predictionAnalysis.underestimationBias > 0.2) {
-            // Underestimating performance - be more aggressive
-            suggestions.adjustments.w1 = 0.05; // Increase good rating bonus
-            suggestions.adjustments.w6 = 0.02; // Increase stability factor
-            suggestions.reasoning.push('Underestimating performance - being more aggressive');
-        }
+        // Judge the fit on held-out cards when there are any
+        const beforeLoss = result.before.test.count > 0 ? result.before.test : result.before.train;
+        const afterLoss = result.before.test.count > 0 ? result.after.test : result.after.train;
+        const relativeGain = (beforeLoss.logLoss - afterLoss.logLoss) / beforeLoss.logLoss;
 
-        // Adjust based on learning efficiency
-        if (metrics.learningEfficiency < 0.1) {
-            // Slow learning - boost stability gains
-            suggestions.adjustments.w0 = 0.05; // Increase initial stability
-            suggestions.adjustments.w1 = 0.08; // Increase good rating bonus
-            suggestions.reasoning.push('Slow learning detected - boosting stability gains');
-            suggestions.expectedImprovements.push('Faster learning progression');
+        suggestions.reasoning.push(
+            `Log-loss ${beforeLoss.logLoss.toFixed(4)} -> ${afterLoss.logLoss.toFixed(4)}, ` +
+            `RMSE ${beforeLoss.rmse.toFixed(4)} -> ${afterLoss.rmse.toFixed(4)} ` +
+            `on ${afterLoss.count} ${result.before.test.count > 0 ? 'held-out' : 'training'} reviews`
+        );
+        if (relativeGain > 0) {
+            suggestions.expectedImprovements.push('Recall predictions closer to your actual results');
         }
 
-        // Set priority based on number of issues
-        const issueCount = suggestions.reasoning.length;
-        if (issueCount >= 3) {
+        if (relativeGain >= 0.05) {
             suggestions.priority = 'high';
-        } else if (issueCount <= 1) {
-            suggestions.priority = 'low';
+        } else if (relativeGain >= 0.01) {
+            suggestions.priority = 'medium';
         }
 
         return suggestions;
     }
 
+    /**
+     * Fit weights in a Web Worker so the page stays responsive. Without
+     * worker support (or if the worker fails to start) the fit runs on this
+     * thread, where optimizeWeights() pauses regularly to let the page update.
+     * @param {Array} reviewHistory - Review rows in chronological order
+     * @param {Object} currentParams - Current FSRS parameters
+     * @param {Object} options - Overrides for OPTIMIZER_DEFAULTS
+     * @returns {Promise<Object>} optimizeWeights() result
+     */
+    fitWeights(reviewHistory, currentParams, options) {
+        if (typeof Worker === 'undefined') {
+            return optimizeWeights(reviewHistory, currentParams, options);
+        }
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('./fsrsOptimizerWorker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (event) => {
+                worker.terminate();
+                if (event.data.error) {
+                    reject(new Error(event.data.error));
+                } else {
+                    resolve(event.data.result);
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                worker.terminate();
+                console.warn('⚠️ Optimizer worker failed, fitting on the main thread:', event.message);
+                optimizeWeights(reviewHistory, currentParams, options).then(resolve, reject);
+            };
+            worker.postMessage({ reviews: reviewHistory, params: currentParams, options });
+        });
+    }
+
     /**
      * Apply optimization suggestions to current parameters
      * @param {Object} currentParams - Current FSRS parameters
      * @param {Object} suggestions - Optimization suggestions
      * @param {Object} options - Options for applying suggestions
-     * @returns {Object} Optimized parameters
+     * @param {boolean} options.conservative - Only adopt weights that improved the
+     *   held-out log-loss (default true)
+     * @returns {Object} Optimized parameters, or currentParams itself when the
+     *   fitted weights are not adopted
      */
     applyOptimizationSuggestions(currentParams, suggestions, options = {}) {
-        const optimizedParams = { ...currentParams };
         const conservativeMode = options.conservative !== false; // Default to conservative
+        const fit = suggestions.fit;
+        if (!fit || !suggestions.weights) {
+            return currentParams;
+        }
 
-        for (const [param, adjustment] of Object.entries(suggestions.adjustments)) {
-            if (optimizedParams.hasOwnProperty(param)) {
-                // Apply adjustment with optional scaling
-                const scaledAdjustment = conservativeMode ? adjustment * 0.5 : adjustment;
-                
-                // Ensure adjustment doesn't exceed maximum change
-                const clampedAdjustment = Math.max(
-                    -this.MAX_PARAM_CHANGE,
-                    Math.min(this.MAX_PARAM_CHANGE, scaledAdjustment)
-                );
-                
-                optimizedParams[param] = currentParams[param] + clampedAdjustment;
-            }
+        const heldOut = fit.before.test.count > 0 ? 'test' : 'train';
+        const improved = fit.after[heldOut].logLoss < fit.before[heldOut].logLoss;
+        if (conservativeMode && !improved) {
+            return currentParams;
         }
 
-        return optimizedParams;
+        return { ...currentParams, ...suggestions.weights };
     }
 
     /**
-     * Log optimization history for tracking and analysis
+     * Log optimization history as a versioned snapshot in fsrs_param_history
      * @param {string} userId - User ID
      * @param {Object} oldParams - Parameters before optimization
      * @param {Object} newParams - Parameters after optimization
      * @param {Object} analysis - Performance analysis that drove optimization
+     * @param {string} trigger - 'manual', 'scheduled' or 'admin'
      */
-    async logOptimizationHistory(userId, oldParams, newParams, analysis) {
+    async logOptimizationHistory(userId, oldParams, newParams, analysis, trigger = 'manual') {
         try {
-            // For now, just log to console. In future, store in database table
+            await fsrsParametersService.recordParameterChange(userId, {
+                trigger,
+                oldWeights: fsrsParametersService.extractWeights(oldParams),
+                newWeights: fsrsParametersService.extractWeights(newParams),
+                metrics: {
+                    fit: analysis.suggestions.fit,
+                    performance: analysis.metrics
+                },
+                confidence: analysis.confidence,
+                reviewsAnalyzed: analysis.totalReviews
+            });
         } catch (error) {
             console.error('Error logging optimization history:', error);
         }
     }
 
+    /**
+     * Load a user's review history in chronological order for the optimizer,
+     * keeping the most recent MAX_REVIEWS_FOR_OPTIMIZATION reviews
+     * @param {string} userId - User ID
+     * @returns {Promise<Array>} Review rows
+     */
+    async getReviewHistory(userId) {
+        const supabase = await this.getSupabase();
+        const reviews = [];
+
+        while (reviews.length < this.MAX_REVIEWS_FOR_OPTIMIZATION) {
+            const { data, error } = await supabase
+                .from('reviews')
+                .select('card_template_id, rating, elapsed_days, state_before, reviewed_at')
+                .eq('user_id', userId)
+                .order('reviewed_at', { ascending: false })
+                .range(reviews.length, reviews.length + this.REVIEW_PAGE_SIZE - 1);
+
+            if (error) throw error;
+            reviews.push(...(data || []));
+            if (!data || data.length < this.REVIEW_PAGE_SIZE) break;
+        }
+
+        return reviews.reverse();
+    }
+
     // Helper methods
     shouldOptimizeParameters(totalReviews, daysSinceUpdate) {
         return totalReviews >= this.MIN_REVIEWS_FOR_OPTIMIZATION && 
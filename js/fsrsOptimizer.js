@@ -0,0 +1,317 @@
+/**
+ * FSRS-5 Parameter Optimizer
+ * Fits all 19 FSRS-5 weights to a user's review log by minimizing the
+ * log-loss of predicted retrievability. Each card's history is replayed
+ * through the same formulas as js/fsrs.js, gradients are taken by finite
+ * differences and applied with Adam, so it runs in the browser or in Node
+ * without any numeric library or GPU. A fit replays the whole log ~40 times
+ * per epoch, so the app runs it in a Web Worker (js/fsrsOptimizerWorker.js);
+ * optimizeWeights() also pauses every few milliseconds so that running it on
+ * the main thread does not freeze the page.
+ */
+
+import {
+    RATING,
+    CARD_STATE,
+    DEFAULT_PARAMS,
+    WEIGHT_BOUNDS,
+    calculateRetrievability,
+    calculateInitialStability,
+    calculateInitialDifficulty,
+    updateStability,
+    updateDifficulty
+} from './fsrs.js';
+
+const WEIGHT_KEYS = Object.keys(WEIGHT_BOUNDS);
+
+// Default optimizer settings
+const OPTIMIZER_DEFAULTS = {
+    learningRate: 0.01,      // Adam step size in normalized weight space (0-1 per weight)
+    maxEpochs: 200,          // Hard cap on full passes over the training set
+    patience: 10,            // Epochs without held-out improvement before stopping
+    minDelta: 1e-5,          // Smallest log-loss decrease that counts as improvement
+    testFraction: 0.2,       // Share of cards held out for early stopping and reporting
+    gradientStep: 1e-4,      // Finite-difference step in normalized weight space
+    minSamples: 20,          // Minimum training predictions needed to fit anything
+    yieldEveryMs: 16         // Longest stretch of work before letting other tasks run
+};
+
+// Predictions are clipped away from 0/1 so log-loss stays finite
+const PROBABILITY_EPSILON = 1e-6;
+
+/**
+ * Group review rows into per-card histories in review order.
+ * Only cards whose first logged review was made in the NEW state can be
+ * replayed from scratch; cards with truncated history are skipped.
+ * @param {Array} reviews - Rows from the reviews table (card_template_id,
+ *   rating, elapsed_days, state_before, reviewed_at)
+ * @returns {Array<{cardId: string, reviews: Array<{rating: number, elapsedDays: number}>}>}
+ */
+function buildTrainingSet(reviews) {
+    const byCard = new Map();
+    (reviews || []).forEach(review => {
+        if (!byCard.has(review.card_template_id)) {
+            byCard.set(review.card_template_id, []);
+        }
+        byCard.get(review.card_template_id).push(review);
+    });
+
+    const histories = [];
+    byCard.forEach((cardReviews, cardId) => {
+        cardReviews.sort((a, b) => new Date(a.reviewed_at) - new Date(b.reviewed_at));
+        if (cardReviews[0].state_before !== CARD_STATE.NEW) return;
+
+        histories.push({
+            cardId,
+            reviews: cardReviews.map(review => ({
+                rating: Number(review.rating),
+                elapsedDays: Math.max(0, Number(review.elapsed_days) || 0)
+            }))
+        });
+    });
+    return histories;
+}
+
+/**
+ * Deterministically split histories into train and test sets by card ID, so
+ * every review of a card lands on the same side and reruns are reproducible
+ * @param {Array} histories - Output of buildTrainingSet
+ * @param {number} testFraction - Share of cards to hold out (0-1)
+ * @returns {{train: Array, test: Array}} Split histories
+ */
+function splitHistories(histories, testFraction = OPTIMIZER_DEFAULTS.testFraction) {
+    const train = [];
+    const test = [];
+    histories.forEach(history => {
+        const bucket = (hashString(String(history.cardId)) % 1000) / 1000;
+        (bucket < testFraction ? test : train).push(history);
+    });
+    return { train, test };
+}
+
+/**
+ * Replay every history with the given weights and score the retrievability
+ * predicted at each review that happened at least a day after the previous
+ * one (same-day reviews update the memory state but are not predicted).
+ * @param {Array} histories - Output of buildTrainingSet
+ * @param {Object} params - FSRS parameters (w0-w18)
+ * @returns {{logLoss: number|null, rmse: number|null, count: number}} Fit metrics
+ */
+function evaluateWeights(histories, params = DEFAULT_PARAMS) {
+    let logLoss = 0;
+    let squaredError = 0;
+    let count = 0;
+
+    histories.forEach(({ reviews }) => {
+        let stability = calculateInitialStability(reviews[0].rating, params);
+        let difficulty = calculateInitialDifficulty(reviews[0].rating, params);
+
+        for (let i = 1; i < reviews.length; i++) {
+            const { rating, elapsedDays } = reviews[i];
+
+            if (elapsedDays >= 1) {
+                const predicted = Math.min(
+                    Math.max(calculateRetrievability(elapsedDays, stability), PROBABILITY_EPSILON),
+                    1 - PROBABILITY_EPSILON
+                );
+                const recalled = rating === RATING.AGAIN ? 0 : 1;
+                logLoss -= recalled * Math.log(predicted) + (1 - recalled) * Math.log(1 - predicted);
+                squaredError += (predicted - recalled) ** 2;
+                count++;
+            }
+
+            stability = updateStability(stability, difficulty, rating, elapsedDays, params);
+            difficulty = updateDifficulty(difficulty, rating, params);
+        }
+    });
+
+    if (count === 0) {
+        return { logLoss: null, rmse: null, count };
+    }
+    return {
+        logLoss: logLoss / count,
+        rmse: Math.sqrt(squaredError / count),
+        count
+    };
+}
+
+/**
+ * Fit FSRS-5 weights to a review log.
+ * Full-batch Adam on the training cards; after each epoch the held-out cards
+ * are scored and the best weights seen so far are kept. Training stops once
+ * the held-out log-loss has not improved for `patience` epochs.
+ * @param {Array} reviews - Rows from the reviews table
+ * @param {Object} initialParams - Starting FSRS parameters (w0-w18)
+ * @param {Object} options - Overrides for OPTIMIZER_DEFAULTS
+ * @returns {Promise<Object>} { success, weights, before, after, epochs, bestEpoch,
+ *   stoppedEarly, trainCards, testCards } where before/after hold
+ *   { train, test } metrics from evaluateWeights, or { success: false, reason }
+ */
+async function optimizeWeights(reviews, initialParams = DEFAULT_PARAMS, options = {}) {
+    const opts = { ...OPTIMIZER_DEFAULTS, ...options };
+    const pause = createPauser(opts.yieldEveryMs);
+    const histories = buildTrainingSet(reviews);
+    const { train, test } = splitHistories(histories, opts.testFraction);
+
+    const initialWeights = toWeights(initialParams);
+    const before = {
+        train: evaluateWeights(train, initialWeights),
+        test: evaluateWeights(test, initialWeights)
+    };
+
+    if (before.train.count < opts.minSamples) {
+        return {
+            success: false,
+            reason: `Need at least ${opts.minSamples} predictable reviews, have ${before.train.count}`
+        };
+    }
+
+    // Early stopping falls back to the training loss when nothing was held out
+    const validation = before.test.count > 0 ? test : train;
+    const lossAt = (set, x) => evaluateWeights(set, denormalize(x)).logLoss;
+
+    let x = normalize(initialWeights);
+    const m = new Array(x.length).fill(0);
+    const v = new Array(x.length).fill(0);
+    const beta1 = 0.9;
+    const beta2 = 0.999;
+
+    let best = { x: x.slice(), loss: lossAt(validation, x), epoch: 0 };
+    let staleEpochs = 0;
+    let epoch = 0;
+    let stoppedEarly = false;
+
+    while (epoch < opts.maxEpochs) {
+        epoch++;
+        const gradient = await numericalGradient(train, x, opts.gradientStep, pause);
+
+        x = x.map((value, k) => {
+            m[k] = beta1 * m[k] + (1 - beta1) * gradient[k];
+            v[k] = beta2 * v[k] + (1 - beta2) * gradient[k] ** 2;
+            const mHat = m[k] / (1 - beta1 ** epoch);
+            const vHat = v[k] / (1 - beta2 ** epoch);
+            return clampUnit(value - opts.learningRate * mHat / (Math.sqrt(vHat) + 1e-8));
+        });
+
+        const loss = lossAt(validation, x);
+        await pause();
+        if (loss < best.loss - opts.minDelta) {
+            best = { x: x.slice(), loss, epoch };
+            staleEpochs = 0;
+        } else if (++staleEpochs >= opts.patience) {
+            stoppedEarly = true;
+            break;
+        }
+    }
+
+    const weights = denormalize(best.x);
+    return {
+        success: true,
+        weights,
+        before,
+        after: {
+            train: evaluateWeights(train, weights),
+            test: evaluateWeights(test, weights)
+        },
+        epochs: epoch,
+        bestEpoch: best.epoch,
+        stoppedEarly,
+        trainCards: train.length,
+        testCards: test.length
+    };
+}
+
+/**
+ * Central-difference gradient of the training log-loss in normalized space,
+ * falling back to a one-sided difference at the weight bounds
+ * @param {Array} histories - Training histories
+ * @param {Array<number>} x - Normalized weights
+ * @param {number} step - Finite-difference step
+ * @param {Function} pause - From createPauser, awaited after each weight
+ * @returns {Promise<Array<number>>} Gradient
+ */
+async function numericalGradient(histories, x, step, pause) {
+    const gradient = [];
+    for (let k = 0; k < x.length; k++) {
+        const lower = clampUnit(x[k] - step);
+        const upper = clampUnit(x[k] + step);
+        const xLower = x.slice();
+        const xUpper = x.slice();
+        xLower[k] = lower;
+        xUpper[k] = upper;
+        const lossLower = evaluateWeights(histories, denormalize(xLower)).logLoss;
+        const lossUpper = evaluateWeights(histories, denormalize(xUpper)).logLoss;
+        gradient.push((lossUpper - lossLower) / (upper - lower));
+        await pause();
+    }
+    return gradient;
+}
+
+/**
+ * Make a pause function: awaiting it yields to the event loop once
+ * `intervalMs` have passed since the last yield, and returns at once otherwise
+ * @param {number} intervalMs - Longest stretch of work between yields
+ * @returns {Function} Async pause function
+ */
+function createPauser(intervalMs) {
+    let lastYield = Date.now();
+    return async () => {
+        if (Date.now() - lastYield < intervalMs) return;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        lastYield = Date.now();
+    };
+}
+
+/**
+ * Extract w0-w18 from a parameter object, clamped to WEIGHT_BOUNDS
+ * @param {Object} params - FSRS parameters
+ * @returns {Object} Weights keyed w0-w18
+ */
+function toWeights(params) {
+    const weights = {};
+    WEIGHT_KEYS.forEach(key => {
+        const value = typeof params?.[key] === 'number' && !isNaN(params[key]) ? params[key] : DEFAULT_PARAMS[key];
+        weights[key] = Math.min(Math.max(value, WEIGHT_BOUNDS[key].min), WEIGHT_BOUNDS[key].max);
+    });
+    return weights;
+}
+
+// Map weights to [0, 1] by their bounds so one step size suits all of them
+function normalize(weights) {
+    return WEIGHT_KEYS.map(key => {
+        const { min, max } = WEIGHT_BOUNDS[key];
+        return (weights[key] - min) / (max - min);
+    });
+}
+
+function denormalize(x) {
+    const weights = {};
+    WEIGHT_KEYS.forEach((key, k) => {
+        const { min, max } = WEIGHT_BOUNDS[key];
+        weights[key] = min + x[k] * (max - min);
+    });
+    return weights;
+}
+
+function clampUnit(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
+
+// 32-bit FNV-1a string hash for the deterministic train/test split
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export {
+    OPTIMIZER_DEFAULTS,
+    buildTrainingSet,
+    splitHistories,
+    evaluateWeights,
+    optimizeWeights
+};
+
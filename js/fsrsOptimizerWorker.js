@@ -0,0 +1,18 @@
+/**
+ * FSRS Optimizer Worker
+ * Runs optimizeWeights() off the main thread. Receives
+ * { reviews, params, options } and posts back { result } or { error }.
+ */
+
+import { optimizeWeights } from './fsrsOptimizer.js';
+
+self.onmessage = async (event) => {
+    const { reviews, params, options } = event.data;
+    try {
+        // Nothing else runs on this thread, so no pauses
+        const result = await optimizeWeights(reviews, params, { ...options, yieldEveryMs: Infinity });
+        self.postMessage({ result });
+    } catch (error) {
+        self.postMessage({ error: error.message });
+    }
+};
@@ -3,6 +3,8 @@
  * Manages loading, caching, and updating of user-specific FSRS algorithm parameters
  */
 
+import { WEIGHT_BOUNDS } from './fsrs.js';
+
 class FSRSParametersService {
     constructor() {
         // In-memory cache for FSRS parameters
@@ -186,6 +188,110 @@ class FSRSParametersService {
         this.cache.clear();
     }
 
+    /**
+     * Extract the FSRS weights (w0-w18) from a formatted parameter object
+     * @param {Object} params - Formatted FSRS parameters
+     * @returns {Object} Weights keyed w0-w18, as stored in the weights JSONB column
+     */
+    extractWeights(params) {
+        const weights = {};
+        for (let i = 0; i <= 18; i++) {
+            weights[`w${i}`] = params?.[`w${i}`] ?? this.defaultParams.weights[`w${i}`];
+        }
+        return weights;
+    }
+
+    /**
+     * Record a weight change as a new version in fsrs_param_history
+     * @param {string} userId - User ID
+     * @param {Object} change - Change details
+     * @param {string} change.trigger - 'manual', 'scheduled' or 'admin'
+     * @param {Object} change.oldWeights - Weights before the change
+     * @param {Object} change.newWeights - Weights after the change
+     * @param {Object} [change.metrics] - Optimizer fit report and performance metrics
+     * @param {number} [change.confidence] - Optimization confidence (0-1)
+     * @param {number} [change.reviewsAnalyzed] - Reviews the optimizer looked at
+     * @param {number} [change.restoredFromVersion] - Version being restored, if any
+     * @returns {Promise<Object>} Inserted history row (with its assigned version)
+     */
+    async recordParameterChange(userId, change) {
+        const supabase = await this.getSupabase();
+        const { data, error } = await supabase
+            .from('fsrs_param_history')
+            .insert({
+                user_id: userId,
+                trigger_type: change.trigger,
+                old_weights: change.oldWeights,
+                new_weights: change.newWeights,
+                metrics: change.metrics ?? null,
+                confidence: change.confidence ?? null,
+                reviews_analyzed: change.reviewsAnalyzed ?? null,
+                restored_from_version: change.restoredFromVersion ?? null
+            })
+            .select()
+            .single();
+
+        if (error) throw error;
+        return data;
+    }
+
+    /**
+     * Get a user's parameter versions, newest first
+     * @param {string} userId - User ID
+     * @param {number} limit - Maximum number of versions to return
+     * @returns {Promise<Array>} fsrs_param_history rows
+     */
+    async getParameterHistory(userId, limit = 50) {
+        const supabase = await this.getSupabase();
+        const { data, error } = await supabase
+            .from('fsrs_param_history')
+            .select('id, version, trigger_type, restored_from_version, old_weights, new_weights, metrics, confidence, reviews_analyzed, created_by, created_at')
+            .eq('user_id', userId)
+            .order('version', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+        return data || [];
+    }
+
+    /**
+     * Restore an earlier weight set and record the restore as a new version.
+     * Version 0 is the weight set in place before the first recorded change.
+     * @param {string} userId - User ID
+     * @param {number} version - Version to restore
+     * @param {string} trigger - 'manual' (the user) or 'admin'
+     * @returns {Promise<Object>} Updated parameters
+     */
+    async restoreParameterVersion(userId, version, trigger = 'manual') {
+        const supabase = await this.getSupabase();
+        const { data: entry, error } = await supabase
+            .from('fsrs_param_history')
+            .select('version, old_weights, new_weights')
+            .eq('user_id', userId)
+            .eq('version', Math.max(version, 1))
+            .single();
+
+        if (error) throw error;
+        const weights = version === 0 ? entry.old_weights : entry.new_weights;
+
+        this.clearCache(userId);
+        const currentParams = await this.getUserParameters(userId);
+        const validation = this.validateParameters({ ...currentParams, ...weights });
+        if (!validation.isValid) {
+            throw new Error(`Cannot restore version ${version}: ${validation.errors.join(', ')}`);
+        }
+
+        const updatedParams = await this.updateParameters(userId, { weights });
+        await this.recordParameterChange(userId, {
+            trigger,
+            oldWeights: this.extractWeights(currentParams),
+            newWeights: weights,
+            restoredFromVersion: version
+        });
+
+        return updatedParams;
+    }
+
     /**
      * Format database parameters into a clean object
      * @param {Object} dbParams - Raw parameters from database
@@ -193,36 +299,36 @@ class FSRSParametersService {
      */
     formatParameters(dbParams) {
         // Extract JSONB weights and merge with other parameters
-        const weights = dbParams.weights || {};
+        const weights = dbParams.weights ?? {};
         return {
             // FSRS weights (w0-w18) from JSONB
-            w0: weights.w0 || 0.4872, w1: weights.w1 || 1.4003, w2: weights.w2 || 3.1145,
-            w3: weights.w3 || 15.69, w4: weights.w4 || 7.1434, w5: weights.w5 || 0.6477,
-            w6: weights.w6 || 1.0007, w7: weights.w7 || 0.0674, w8: weights.w8 || 1.6597,
-            w9: weights.w9 || 0.1712, w10: weights.w10 || 1.1178, w11: weights.w11 || 2.0225,
-            w12: weights.w12 || 0.0904, w13: weights.w13 || 0.3025, w14: weights.w14 || 2.1214,
-            w15: weights.w15 || 0.2498, w16: weights.w16 || 2.9466, w17: weights.w17 || 0.4891,
-            w18: weights.w18 || 0.6468,
+            w0: weights.w0 ?? 0.4872, w1: weights.w1 ?? 1.4003, w2: weights.w2 ?? 3.1145,
+            w3: weights.w3 ?? 15.69, w4: weights.w4 ?? 7.1434, w5: weights.w5 ?? 0.6477,
+            w6: weights.w6 ?? 1.0007, w7: weights.w7 ?? 0.0674, w8: weights.w8 ?? 1.6597,
+            w9: weights.w9 ?? 0.1712, w10: weights.w10 ?? 1.1178, w11: weights.w11 ?? 2.0225,
+            w12: weights.w12 ?? 0.0904, w13: weights.w13 ?? 0.3025, w14: weights.w14 ?? 2.1214,
+            w15: weights.w15 ?? 0.2498, w16: weights.w16 ?? 2.9466, w17: weights.w17 ?? 0.4891,
+            w18: weights.w18 ?? 0.6468,
             
             // Learning configuration
-            learning_steps_minutes: dbParams.learning_steps_minutes || [1, 10],
-            graduating_interval_days: dbParams.graduating_interval_days || 1,
-            easy_interval_days: dbParams.easy_interval_days || 4,
-            maximum_interval_days: dbParams.maximum_interval_days || 36500,
-            minimum_interval_days: dbParams.minimum_interval_days || 1,
-            desired_retention: dbParams.desired_retention || 0.9,
+            learning_steps_minutes: dbParams.learning_steps_minutes ?? [1, 10],
+            graduating_interval_days: dbParams.graduating_interval_days ?? 1,
+            easy_interval_days: dbParams.easy_interval_days ?? 4,
+            maximum_interval_days: dbParams.maximum_interval_days ?? 36500,
+            minimum_interval_days: dbParams.minimum_interval_days ?? 1,
+            desired_retention: dbParams.desired_retention ?? 0.9,
             
             // Daily limits (nullable overrides)
             new_cards_per_day: dbParams.new_cards_per_day,
             reviews_per_day: dbParams.reviews_per_day,
             
             // Relearning configuration
-            relearning_steps_minutes: dbParams.relearning_steps_minutes || [10],
-            minimum_relearning_interval_days: dbParams.minimum_relearning_interval_days || 1,
+            relearning_steps_minutes: dbParams.relearning_steps_minutes ?? [10],
+            minimum_relearning_interval_days: dbParams.minimum_relearning_interval_days ?? 1,
             
             // Lapse configuration
-            lapse_minimum_interval_days: dbParams.lapse_minimum_interval_days || 1,
-            lapse_multiplier: dbParams.lapse_multiplier || 0.5
+            lapse_minimum_interval_days: dbParams.lapse_minimum_interval_days ?? 1,
+            lapse_multiplier: dbParams.lapse_multiplier ?? 0.5
         };
     }
 
@@ -259,31 +365,10 @@ class FSRSParametersService {
     validateParameters(params) {
         const errors = [];
         
-        // Define reasonable bounds for FSRS weights (allowing negative values)
-        const weightBounds = {
-            w0: { min: -10.0, max: 10.0 },
-            w1: { min: -10.0, max: 10.0 },
-            w2: { min: -10.0, max: 10.0 },
-            w3: { min: -50.0, max: 50.0 },
-            w4: { min: -50.0, max: 50.0 },
-            w5: { min: -5.0, max: 5.0 },
-            w6: { min: -5.0, max: 5.0 },
-            w7: { min: -1.0, max: 1.0 },
-            w8: { min: -10.0, max: 10.0 },
-            w9: { min: -1.0, max: 1.0 },
-            w10: { min: -1.0, max: 1.0 },
-            w11: { min: -5.0, max: 5.0 },
-            w12: { min: 0.0, max: 1.0 },      // Min stability must be non-negative
-            w13: { min: 1.0, max: 1000.0 },  // Max stability must be reasonable
-            w14: { min: 0.1, max: 20.0 },    // Min difficulty must be positive
-            w15: { min: 1.0, max: 100.0 },   // Max difficulty must be reasonable
-            w16: { min: -10.0, max: 10.0 }
-        };
-        
-        // Check FSRS weights (w0-w16)
-        for (let i = 0; i <= 16; i++) {
+        // Check FSRS-5 weights (w0-w18) against the ranges the algorithm accepts
+        for (let i = 0; i <= 18; i++) {
             const weight = params[`w${i}`];
-            const bounds = weightBounds[`w${i}`];
+            const bounds = WEIGHT_BOUNDS[`w${i}`];
             
             if (typeof weight !== 'number' || isNaN(weight)) {
                 errors.push(`w${i} must be a valid number`);
@@ -292,15 +377,6 @@ class FSRSParametersService {
             }
         }
         
-        // Check boundary constraints
-        if (params.w12 >= params.w13) {
-            errors.push('Minimum stability (w12) must be less than maximum stability (w13)');
-        }
-        
-        if (params.w14 >= params.w15) {
-            errors.push('Minimum difficulty (w14) must be less than maximum difficulty (w15)');
-        }
-        
         // Check intervals
         if (params.minimum_interval_days >= params.maximum_interval_days) {
             errors.push('Minimum interval must be less than maximum interval');
@@ -410,11 +410,31 @@ class FSRSSchedulerService {
         };
     }
 
+    /**
+     * Store a scheduled optimization run summary in fsrs_optimization_runs.
+     * Per-user weight changes are versioned in fsrs_param_history by
+     * fsrsOptimizationService.logOptimizationHistory.
+     * @param {Object} results - Results from runScheduledOptimization
+     */
     async logScheduledOptimization(results) {
-        // Log optimization results for tracking and analysis
+        try {
+            const supabase = await this.getSupabase();
+            const { error } = await supabase
+                .from('fsrs_optimization_runs')
+                .insert({
+                    started_at: results.startTime,
+                    finished_at: results.endTime,
+                    total_users: results.totalUsers,
+                    optimized_users: results.optimizedUsers,
+                    skipped_users: results.skippedUsers,
+                    error_users: results.errorUsers,
+                    details: results.details
+                });
 
-        // In production, store this in a dedicated logging table
-        // for historical tracking and optimization effectiveness analysis
+            if (error) throw error;
+        } catch (error) {
+            console.error('Error logging scheduled optimization run:', error);
+        }
     }
 
     delay(ms) {
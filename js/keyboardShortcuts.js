@@ -0,0 +1,170 @@
+/**
+ * Study page keyboard shortcuts
+ * Each study action has one key. The defaults live in config.js; a user's
+ * changes are stored in profiles.study_preferences.keyboard_shortcuts and
+ * merged over them. Keys are KeyboardEvent.key values with letters
+ * lowercased, so a binding doesn't depend on Caps Lock.
+ */
+
+import { KEYBOARD_SHORTCUT_DEFAULTS } from './config.js';
+
+// Actions in display order, with their help text
+const SHORTCUT_ACTIONS = [
+    { action: 'flip', label: 'Flip the card' },
+    { action: 'rate_1', label: 'First rating button (Again) / option 1' },
+    { action: 'rate_2', label: 'Second rating button (Hard, or Known) / option 2' },
+    { action: 'rate_3', label: 'Third rating button (Good) / option 3' },
+    { action: 'rate_4', label: 'Fourth rating button (Easy) / option 4' },
+    { action: 'undo', label: 'Undo the last rating' },
+    { action: 'flag', label: 'Report the card' },
+    { action: 'edit', label: 'Open the card in admin (admins only)' },
+    { action: 'help', label: 'Show or hide this help' }
+];
+
+// Keys that can't be bound: they move focus, close dialogs or type nothing
+const RESERVED_KEYS = new Set(['tab', 'escape', 'enter', 'shift', 'control', 'alt', 'meta', 'capslock', 'dead', 'unidentified']);
+
+/**
+ * Normalize a KeyboardEvent.key value for comparison
+ * @param {string} key - Key value
+ * @returns {string} Normalized key
+ */
+function normalizeKey(key) {
+    if (key === 'Spacebar') return ' ';
+    return key.length === 1 ? key.toLowerCase() : key;
+}
+
+/**
+ * Key of a keydown event, or null if it is a modifier combination or a key
+ * that can't be bound (shortcuts must not override browser/OS shortcuts)
+ * @param {KeyboardEvent} event - keydown event
+ * @returns {string|null} Normalized key
+ */
+function keyFromEvent(event) {
+    if (!event.key || event.ctrlKey || event.metaKey || event.altKey) return null;
+    const key = normalizeKey(event.key);
+    return isBindableKey(key) ? key : null;
+}
+
+/**
+ * @param {string} key - Normalized key
+ * @returns {boolean} Whether the key may be used as a shortcut
+ */
+function isBindableKey(key) {
+    return typeof key === 'string' && key.length > 0 && key.length <= 20 &&
+        !RESERVED_KEYS.has(key.toLowerCase());
+}
+
+/**
+ * Merge a user's changed shortcuts over the defaults. Unknown actions and
+ * unusable keys are ignored.
+ * @param {Object} overrides - action -> key (profiles.study_preferences.keyboard_shortcuts)
+ * @returns {Object} action -> key for every action
+ */
+function resolveShortcuts(overrides = {}) {
+    const shortcuts = { ...KEYBOARD_SHORTCUT_DEFAULTS };
+    Object.entries(overrides || {}).forEach(([action, key]) => {
+        if (!(action in KEYBOARD_SHORTCUT_DEFAULTS) || typeof key !== 'string') return;
+        const normalized = normalizeKey(key);
+        if (isBindableKey(normalized)) shortcuts[action] = normalized;
+    });
+    return shortcuts;
+}
+
+/**
+ * Only the shortcuts that differ from the defaults, for saving
+ * @param {Object} shortcuts - action -> key
+ * @returns {Object} action -> key
+ */
+function changedShortcuts(shortcuts) {
+    const changed = {};
+    Object.entries(shortcuts).forEach(([action, key]) => {
+        if (action in KEYBOARD_SHORTCUT_DEFAULTS && key !== KEYBOARD_SHORTCUT_DEFAULTS[action]) {
+            changed[action] = key;
+        }
+    });
+    return changed;
+}
+
+/**
+ * @param {Object} shortcuts - action -> key
+ * @param {string} key - Normalized key
+ * @returns {string|null} Action bound to the key (the first, in display order)
+ */
+function actionForKey(shortcuts, key) {
+    const match = SHORTCUT_ACTIONS.find(({ action }) => shortcuts[action] === key);
+    return match ? match.action : null;
+}
+
+/**
+ * Another action already using a key, if any
+ * @param {Object} shortcuts - action -> key
+ * @param {string} action - Action being changed
+ * @param {string} key - Normalized key
+ * @returns {string|null} Conflicting action
+ */
+function findShortcutConflict(shortcuts, action, key) {
+    const match = SHORTCUT_ACTIONS.find(entry => entry.action !== action && shortcuts[entry.action] === key);
+    return match ? match.action : null;
+}
+
+/**
+ * Display name of a key ("Space", "U", "ArrowLeft")
+ * @param {string} key - Normalized key
+ * @returns {string} Label
+ */
+function formatShortcutKey(key) {
+    if (key === ' ') return 'Space';
+    return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * Whether key presses on this element are text input rather than shortcuts
+ * @param {EventTarget|null} target - Event target
+ * @returns {boolean}
+ */
+function isTypingTarget(target) {
+    if (!target || !target.tagName) return false;
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Route a study-page keydown to an action. Shortcuts are off while typing
+ * an answer and while a dialog is open; the help overlay only listens for
+ * the keys that close it.
+ * @param {KeyboardEvent} event - keydown event
+ * @param {Object} shortcuts - action -> key
+ * @param {Object} context - Page state
+ * @param {boolean} context.helpOpen - Whether the shortcut help is showing
+ * @param {boolean} context.dialogOpen - Whether another dialog is showing
+ * @returns {string|null} Action, 'close_help', or null to leave the key alone
+ */
+function shortcutActionForEvent(event, shortcuts, { helpOpen = false, dialogOpen = false } = {}) {
+    if (event.repeat) return null;
+    const key = keyFromEvent(event);
+
+    if (helpOpen) {
+        return event.key === 'Escape' || key === shortcuts.help ? 'close_help' : null;
+    }
+    if (dialogOpen || isTypingTarget(event.target)) return null;
+
+    // Ctrl/Cmd+Z undoes too
+    if ((event.ctrlKey || event.metaKey) && !event.altKey && !event.shiftKey && event.key?.toLowerCase() === 'z') {
+        return 'undo';
+    }
+
+    return key ? actionForKey(shortcuts, key) : null;
+}
+
+export {
+    SHORTCUT_ACTIONS,
+    keyFromEvent,
+    resolveShortcuts,
+    changedShortcuts,
+    actionForKey,
+    findShortcutConflict,
+    formatShortcutKey,
+    isTypingTarget,
+    shortcutActionForEvent
+};
+
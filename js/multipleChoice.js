@@ -0,0 +1,179 @@
+/**
+ * Multiple-choice cards
+ * A multiple_choice card shows its answer among distractors: the card's own
+ * distractors first, topped up with answers of other cards at the same path.
+ * arrangeChoices orders candidates and options with a per-card session seed
+ * so a resumed session shows the same choices. Picking grades the card:
+ * correct = Good, wrong = Again.
+ */
+
+import { getSupabaseClient } from './supabase-client.js';
+import { RATING } from './fsrs.js';
+import { seededShuffle } from './sessionOrder.js';
+import { MULTIPLE_CHOICE_CONFIG } from './config.js';
+
+/**
+ * Comparison key for an option, so "Paris" and " paris " count as the same
+ * @param {string} text - Option text
+ * @returns {string} Key
+ */
+function choiceKey(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Build a card's options: the answer, then stored distractors, then
+ * candidates, skipping blanks and duplicates of earlier options
+ * @param {string} answer - Correct answer
+ * @param {Array<string>} distractors - Admin-entered distractors
+ * @param {Array<string>} candidates - Answers of other cards, in draw order
+ * @param {number} count - Number of options wanted
+ * @returns {Array<{text: string, correct: boolean}>} Unshuffled options, correct first
+ */
+function buildChoices(answer, distractors = [], candidates = [], count = MULTIPLE_CHOICE_CONFIG.OPTION_COUNT) {
+    const options = [{ text: answer, correct: true }];
+    const seen = new Set([choiceKey(answer)]);
+
+    for (const text of [...distractors, ...candidates]) {
+        if (options.length >= count) break;
+        const key = choiceKey(text);
+        if (!key || seen.has(key)) continue;
+        seen.add(key);
+        options.push({ text, correct: false });
+    }
+
+    return options;
+}
+
+/**
+ * Options as shown for a card: candidates drawn in seeded order, then the
+ * built options shuffled with the same seed, so the same seed always gives
+ * the same choices in the same order
+ * @param {string} answer - Correct answer
+ * @param {Array<string>} distractors - Admin-entered distractors
+ * @param {Array<string>} candidates - Answers of other cards
+ * @param {string} seed - Per-card seed
+ * @param {number} count - Number of options wanted
+ * @returns {Array<{text: string, correct: boolean}>} Shuffled options
+ */
+function arrangeChoices(answer, distractors, candidates, seed, count = MULTIPLE_CHOICE_CONFIG.OPTION_COUNT) {
+    const options = buildChoices(answer, distractors, seededShuffle(candidates, `${seed}:candidates`), count);
+    return seededShuffle(options, `${seed}:options`);
+}
+
+/**
+ * Rating recorded for a choice
+ * @param {boolean} correct - Whether the chosen option was the answer
+ * @returns {number} RATING.GOOD or RATING.AGAIN
+ */
+function ratingForChoice(correct) {
+    return correct ? RATING.GOOD : RATING.AGAIN;
+}
+
+class MultipleChoiceService {
+    constructor() {
+        this.supabasePromise = null;
+    }
+
+    async getSupabase() {
+        if (!this.supabasePromise) {
+            this.supabasePromise = getSupabaseClient();
+        }
+        return await this.supabasePromise;
+    }
+
+    /**
+     * Load the multiple-choice settings of the given cards
+     * @param {Array<string>} cardIds - Card template IDs
+     * @returns {Promise<Map<string, Object>>} Multiple-choice cards only:
+     *   id -> { distractors, path, sibling_group }
+     */
+    async getChoiceCards(cardIds) {
+        const byCard = new Map();
+        if (!cardIds || cardIds.length === 0) return byCard;
+
+        const supabase = await this.getSupabase();
+        const { data, error } = await supabase
+            .from('card_templates')
+            .select('id, distractors, path, sibling_group')
+            .in('id', cardIds)
+            .eq('card_type', 'multiple_choice');
+
+        if (error) throw error;
+
+        (data || []).forEach(card => {
+            byCard.set(card.id, {
+                distractors: card.distractors || [],
+                path: card.path ? String(card.path) : null,
+                sibling_group: card.sibling_group
+            });
+        });
+        return byCard;
+    }
+
+    /**
+     * Load answers of cards at the given paths to draw distractors from
+     * @param {Array<string>} paths - ltree paths
+     * @returns {Promise<Map<string, Array<{id: string, answer: string, sibling_group: string}>>>}
+     *   path -> answers in a stable (id) order
+     */
+    async getPathAnswers(paths) {
+        const byPath = new Map();
+        const uniquePaths = [...new Set((paths || []).filter(Boolean))];
+        if (uniquePaths.length === 0) return byPath;
+
+        const supabase = await this.getSupabase();
+        const { data, error } = await supabase
+            .from('card_templates')
+            .select('id, answer, path, sibling_group')
+            .in('path', uniquePaths)
+            .eq('flagged_for_review', false)
+            .order('id', { ascending: true })
+            .limit(MULTIPLE_CHOICE_CONFIG.CANDIDATE_POOL_SIZE);
+
+        if (error) throw error;
+
+        (data || []).forEach(card => {
+            const path = String(card.path);
+            if (!byPath.has(path)) byPath.set(path, []);
+            byPath.get(path).push({ id: card.id, answer: card.answer, sibling_group: card.sibling_group });
+        });
+        return byPath;
+    }
+
+    /**
+     * Set a card's type and distractors
+     * @param {string} cardId - Card template ID
+     * @param {string} cardType - 'basic' or 'multiple_choice'
+     * @param {Array<string>} distractors - Wrong options (may be empty)
+     */
+    async updateChoiceSettings(cardId, cardType, distractors) {
+        const cleaned = [...new Set(distractors.map(text => text.trim()).filter(Boolean))];
+        if (cleaned.length > MULTIPLE_CHOICE_CONFIG.MAX_DISTRACTORS) {
+            throw new Error(`At most ${MULTIPLE_CHOICE_CONFIG.MAX_DISTRACTORS} distractors are allowed.`);
+        }
+
+        const supabase = await this.getSupabase();
+        const { error } = await supabase
+            .from('card_templates')
+            .update({
+                card_type: cardType,
+                distractors: cleaned.length > 0 ? cleaned : null
+            })
+            .eq('id', cardId);
+
+        if (error) throw error;
+    }
+}
+
+// Create and export singleton instance
+const multipleChoiceService = new MultipleChoiceService();
+
+export default multipleChoiceService;
+export {
+    MultipleChoiceService,
+    buildChoices,
+    arrangeChoices,
+    ratingForChoice
+};
+
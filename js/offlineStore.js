@@ -0,0 +1,176 @@
+/**
+ * Offline study storage
+ * IndexedDB holds a copy of the current study session, so it can continue
+ * without a connection, and the queue of ratings made while offline, in the
+ * order they were made. Where IndexedDB is unavailable (some private
+ * browsing modes) everything is kept in memory: a dropped connection is
+ * still survived, a reload is not.
+ */
+
+import { OFFLINE_CONFIG } from './config.js';
+
+const SESSIONS_STORE = 'sessions';
+const REVIEWS_STORE = 'pending_reviews';
+
+class OfflineStore {
+    constructor() {
+        this.dbPromise = null;
+        this.memory = {
+            sessions: new Map(),
+            reviews: new Map(),
+            nextReviewId: 1
+        };
+    }
+
+    /**
+     * Open (and on first use create) the database
+     * @returns {Promise<IDBDatabase|null>} Database, or null to use memory
+     */
+    async getDb() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+
+                let request;
+                try {
+                    request = indexedDB.open(OFFLINE_CONFIG.DB_NAME, OFFLINE_CONFIG.DB_VERSION);
+                } catch (error) {
+                    console.warn('⚠️ OfflineStore: IndexedDB unavailable, using memory:', error.message);
+                    resolve(null);
+                    return;
+                }
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+                        db.createObjectStore(SESSIONS_STORE, { keyPath: 'userId' });
+                    }
+                    if (!db.objectStoreNames.contains(REVIEWS_STORE)) {
+                        const reviews = db.createObjectStore(REVIEWS_STORE, { keyPath: 'id', autoIncrement: true });
+                        reviews.createIndex('userId', 'userId');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('⚠️ OfflineStore: IndexedDB unavailable, using memory:', request.error?.message);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request in a transaction and resolve with its result once committed
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (store) => IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async run(storeName, mode, makeRequest) {
+        const db = await this.getDb();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Keep a copy of the user's current session
+     * @param {string} userId - User ID
+     * @param {Object} snapshot - Serializable session state
+     */
+    async saveSession(userId, snapshot) {
+        const record = { userId, savedAt: new Date().toISOString(), ...snapshot };
+        if (!(await this.getDb())) {
+            this.memory.sessions.set(userId, record);
+            return;
+        }
+        await this.run(SESSIONS_STORE, 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * @param {string} userId - User ID
+     * @returns {Promise<Object|null>} Saved session snapshot
+     */
+    async getSession(userId) {
+        if (!(await this.getDb())) {
+            return this.memory.sessions.get(userId) || null;
+        }
+        return (await this.run(SESSIONS_STORE, 'readonly', store => store.get(userId))) || null;
+    }
+
+    /**
+     * @param {string} userId - User ID
+     */
+    async deleteSession(userId) {
+        if (!(await this.getDb())) {
+            this.memory.sessions.delete(userId);
+            return;
+        }
+        await this.run(SESSIONS_STORE, 'readwrite', store => store.delete(userId));
+    }
+
+    /**
+     * Queue a rating for replay
+     * @param {Object} review - { userId, sessionId, cardTemplateId, rating, responseTime, reviewedAt }
+     * @returns {Promise<number>} Queue ID (increasing in rating order)
+     */
+    async enqueueReview(review) {
+        if (!(await this.getDb())) {
+            const id = this.memory.nextReviewId++;
+            this.memory.reviews.set(id, { ...review, id });
+            return id;
+        }
+        return this.run(REVIEWS_STORE, 'readwrite', store => store.add(review));
+    }
+
+    /**
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<Object>>} Queued reviews, oldest first
+     */
+    async getQueuedReviews(userId) {
+        let reviews;
+        if (!(await this.getDb())) {
+            reviews = [...this.memory.reviews.values()].filter(review => review.userId === userId);
+        } else {
+            reviews = await this.run(REVIEWS_STORE, 'readonly', store => store.index('userId').getAll(userId));
+        }
+        return (reviews || []).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Replace a queued rating's record, e.g. to mark or clear a sync failure
+     * @param {Object} review - Queued review, with its queue ID
+     */
+    async updateQueuedReview(review) {
+        if (!(await this.getDb())) {
+            this.memory.reviews.set(review.id, { ...review });
+            return;
+        }
+        await this.run(REVIEWS_STORE, 'readwrite', store => store.put(review));
+    }
+
+    /**
+     * @param {number} id - Queue ID
+     */
+    async removeQueuedReview(id) {
+        if (!(await this.getDb())) {
+            this.memory.reviews.delete(id);
+            return;
+        }
+        await this.run(REVIEWS_STORE, 'readwrite', store => store.delete(id));
+    }
+}
+
+// Create and export singleton instance
+const offlineStore = new OfflineStore();
+
+export default offlineStore;
+export { OfflineStore };
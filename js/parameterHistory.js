@@ -0,0 +1,155 @@
+/**
+ * Parameter History View
+ * Renders a user's FSRS parameter versions (fsrs_param_history) as a table
+ * with a restore action per version. Shared by the profile and admin pages.
+ */
+
+import fsrsParametersService from './fsrsParameters.js';
+
+const TRIGGER_LABELS = {
+    manual: 'Manual',
+    scheduled: 'Scheduled',
+    admin: 'Admin'
+};
+
+class ParameterHistoryView {
+    /**
+     * @param {HTMLElement} container - Element to render into
+     * @param {Object} options - View options
+     * @param {string} options.trigger - Trigger recorded for restores ('manual' or 'admin')
+     * @param {Function} [options.onRestored] - Called with the restored version
+     * @param {Function} [options.onError] - Called with an error message
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.trigger = options.trigger || 'manual';
+        this.onRestored = options.onRestored || null;
+        this.onError = options.onError || null;
+        this.userId = null;
+        this.history = [];
+    }
+
+    /**
+     * Load and render the history for a user
+     * @param {string} userId - User ID
+     */
+    async load(userId) {
+        this.userId = userId;
+        this.container.innerHTML = '<p class="parameter-history-empty">Loading parameter history...</p>';
+
+        try {
+            this.history = await fsrsParametersService.getParameterHistory(userId);
+            this.render();
+        } catch (error) {
+            console.error('Error loading parameter history:', error);
+            this.container.innerHTML = '<p class="parameter-history-empty">Failed to load parameter history.</p>';
+        }
+    }
+
+    /**
+     * Render the version table. The newest version is the active one; the
+     * weights from before the first recorded change are listed as version 0.
+     */
+    render() {
+        if (this.history.length === 0) {
+            this.container.innerHTML = '<p class="parameter-history-empty">Your scheduling parameters have not been changed yet.</p>';
+            return;
+        }
+
+        const currentVersion = this.history[0].version;
+        const oldest = this.history[this.history.length - 1];
+        const rows = this.history.map(entry => this.renderRow(entry, currentVersion));
+        if (oldest.version === 1) {
+            rows.push(`
+                <tr>
+                    <td>v0</td>
+                    <td>—</td>
+                    <td>Original</td>
+                    <td>—</td>
+                    <td>—</td>
+                    <td><button class="btn btn-secondary parameter-restore" data-version="0">Restore</button></td>
+                </tr>`);
+        }
+
+        this.container.innerHTML = `
+            <table class="parameter-history-table">
+                <thead>
+                    <tr>
+                        <th>Version</th>
+                        <th>Date</th>
+                        <th>Trigger</th>
+                        <th>Log-loss</th>
+                        <th>Confidence</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>`;
+
+        this.container.querySelectorAll('.parameter-restore').forEach(button => {
+            button.addEventListener('click', () => this.restore(parseInt(button.dataset.version)));
+        });
+    }
+
+    /**
+     * Render a single version row
+     * @param {Object} entry - fsrs_param_history row
+     * @param {number} currentVersion - Active version
+     * @returns {string} Table row HTML
+     */
+    renderRow(entry, currentVersion) {
+        const trigger = TRIGGER_LABELS[entry.trigger_type] || entry.trigger_type;
+        const source = entry.restored_from_version !== null && entry.restored_from_version !== undefined
+            ? `${trigger} (restored v${entry.restored_from_version})`
+            : trigger;
+        const action = entry.version === currentVersion
+            ? '<span class="parameter-history-current">Current</span>'
+            : `<button class="btn btn-secondary parameter-restore" data-version="${entry.version}">Restore</button>`;
+
+        return `
+            <tr>
+                <td>v${entry.version}</td>
+                <td>${new Date(entry.created_at).toLocaleDateString()}</td>
+                <td>${source}</td>
+                <td>${this.formatLogLoss(entry.metrics?.fit)}</td>
+                <td>${entry.confidence !== null && entry.confidence !== undefined ? `${Math.round(entry.confidence * 100)}%` : '—'}</td>
+                <td>${action}</td>
+            </tr>`;
+    }
+
+    /**
+     * Format the optimizer's held-out log-loss change for a version
+     * @param {Object} fit - Fit report from the optimizer
+     * @returns {string} "before → after" or a dash
+     */
+    formatLogLoss(fit) {
+        if (!fit?.before || !fit?.after) return '—';
+        const set = fit.before.test?.count > 0 ? 'test' : 'train';
+        const before = fit.before[set]?.logLoss;
+        const after = fit.after[set]?.logLoss;
+        if (typeof before !== 'number' || typeof after !== 'number') return '—';
+        return `${before.toFixed(4)} → ${after.toFixed(4)}`;
+    }
+
+    /**
+     * Restore a version after confirmation, then reload the history
+     * @param {number} version - Version to restore
+     */
+    async restore(version) {
+        if (!confirm(`Restore scheduling parameters from version ${version}?`)) {
+            return;
+        }
+
+        try {
+            await fsrsParametersService.restoreParameterVersion(this.userId, version, this.trigger);
+            if (this.onRestored) this.onRestored(version);
+            await this.load(this.userId);
+        } catch (error) {
+            console.error('Error restoring parameter version:', error);
+            if (this.onError) this.onError(error.message || 'Failed to restore parameters');
+        }
+    }
+}
+
+export default ParameterHistoryView;
+export { ParameterHistoryView };
@@ -3,6 +3,11 @@
 import auth from './auth.js';
 import slideMenu from './slideMenu.js';
 import { getSupabaseClient } from './supabase-client.js';
+import ParameterHistoryView from './parameterHistory.js';
+import dataExportService from './dataExport.js';
+import reviewHistoryImportService from './reviewHistoryImport.js';
+import { SESSION_CONFIG } from './config.js';
+import { SHORTCUT_ACTIONS, keyFromEvent, resolveShortcuts, changedShortcuts, findShortcutConflict, formatShortcutKey } from './keyboardShortcuts.js';
 
 class ProfileManager {
     constructor() {
@@ -12,6 +17,9 @@ class ProfileManager {
         this.isLoading = false;
         this.hasUnsavedChanges = false;
         this.originalFormData = {};
+        this.parameterHistoryView = null;
+        this.reviewImportPlan = null;
+        this.keyboardShortcuts = resolveShortcuts();
     }
 
     /**
@@ -44,6 +52,14 @@ class ProfileManager {
             // Show profile content
             this.showProfileContent();
 
+            // Study preferences save as soon as they change
+            this.setupStudyPreferences();
+            this.setupSessionSettings();
+            this.setupKeyboardShortcuts();
+
+            // Load FSRS parameter versions (renders its own loading state)
+            this.loadParameterHistory();
+
         } catch (error) {
             console.error('Error initializing profile page:', error);
             this.showError('Failed to load profile page');
@@ -72,6 +88,21 @@ class ProfileManager {
         }
     }
 
+    /**
+     * Load the user's FSRS parameter version history
+     */
+    async loadParameterHistory() {
+        const container = document.getElementById('parameter-history');
+        if (!container) return;
+
+        this.parameterHistoryView = new ParameterHistoryView(container, {
+            trigger: 'manual',
+            onRestored: (version) => this.showSuccessMessage(`Restored scheduling parameters from version ${version}.`),
+            onError: (message) => this.showErrorMessage(message)
+        });
+        await this.parameterHistoryView.load(this.currentUser.id);
+    }
+
     /**
      * Populate form with user data
      */
@@ -191,6 +222,9 @@ class ProfileManager {
         const cancelButton = document.getElementById('cancel-button');
         const changePasswordButton = document.getElementById('change-password-button');
         const deleteAccountButton = document.getElementById('delete-account-button');
+        const exportDataButton = document.getElementById('export-data-button');
+        const reviewImportPreviewButton = document.getElementById('review-import-preview');
+        const reviewImportRunButton = document.getElementById('review-import-run');
 
         // Form submission
         form.addEventListener('submit', (e) => {
@@ -232,6 +266,26 @@ class ProfileManager {
             });
         }
 
+        // Data export button
+        if (exportDataButton) {
+            exportDataButton.addEventListener('click', () => {
+                this.handleDataExport();
+            });
+        }
+
+        // Review history import buttons
+        if (reviewImportPreviewButton) {
+            reviewImportPreviewButton.addEventListener('click', () => {
+                this.previewReviewImport();
+            });
+        }
+
+        if (reviewImportRunButton) {
+            reviewImportRunButton.addEventListener('click', () => {
+                this.runReviewImport();
+            });
+        }
+
         // Prevent leaving with unsaved changes
         window.addEventListener('beforeunload', (e) => {
             if (this.hasUnsavedChanges) {
@@ -241,6 +295,342 @@ class ProfileManager {
         });
     }
 
+    /**
+     * Show the user's study preferences and save each change immediately
+     */
+    async setupStudyPreferences() {
+        const status = document.getElementById('study-preferences-status');
+        const checkboxes = document.querySelectorAll('.study-preferences-section input[data-preference]');
+        const preferences = await auth.getStudyPreferences();
+
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = preferences[checkbox.dataset.preference] === true;
+            checkbox.addEventListener('change', async () => {
+                checkbox.disabled = true;
+                try {
+                    await auth.updateStudyPreferences({ [checkbox.dataset.preference]: checkbox.checked });
+                    status.textContent = 'Saved.';
+                } catch (error) {
+                    console.error('Error saving study preferences:', error);
+                    checkbox.checked = !checkbox.checked;
+                    status.textContent = '';
+                    this.showErrorMessage('Failed to save your study preferences. Please try again.');
+                } finally {
+                    checkbox.disabled = false;
+                }
+            });
+        });
+
+        document.querySelectorAll('.study-preferences-section input[data-preference-number]').forEach(input => {
+            const key = input.dataset.preferenceNumber;
+            let saved = preferences[key];
+            input.value = saved;
+            input.addEventListener('change', async () => {
+                const value = Number(input.value);
+                if (input.value === '' || !Number.isInteger(value) || value < Number(input.min) || value > Number(input.max)) {
+                    input.value = saved;
+                    this.showErrorMessage(`Enter a whole number from ${input.min} to ${input.max}.`);
+                    return;
+                }
+
+                input.disabled = true;
+                try {
+                    await auth.updateStudyPreferences({ [key]: value });
+                    saved = value;
+                    status.textContent = 'Saved.';
+                } catch (error) {
+                    console.error('Error saving study preferences:', error);
+                    input.value = saved;
+                    status.textContent = '';
+                    this.showErrorMessage('Failed to save your study preferences. Please try again.');
+                } finally {
+                    input.disabled = false;
+                }
+            });
+        });
+
+        document.querySelectorAll('.study-preferences-section select[data-preference-select]').forEach(select => {
+            const key = select.dataset.preferenceSelect;
+            let saved = preferences[key];
+            select.value = saved;
+            select.addEventListener('change', async () => {
+                select.disabled = true;
+                try {
+                    await auth.updateStudyPreferences({ [key]: select.value });
+                    saved = select.value;
+                    status.textContent = 'Saved.';
+                } catch (error) {
+                    console.error('Error saving study preferences:', error);
+                    select.value = saved;
+                    status.textContent = '';
+                    this.showErrorMessage('Failed to save your study preferences. Please try again.');
+                } finally {
+                    select.disabled = false;
+                }
+            });
+        });
+    }
+
+    /**
+     * Show the session length, review share and daily new-card limit. Paid
+     * users can change them; each change is saved immediately.
+     */
+    setupSessionSettings() {
+        const sizeInput = document.getElementById('session-size');
+        const ratioSelect = document.getElementById('session-review-ratio');
+        const newCardsInput = document.getElementById('session-new-cards');
+        const status = document.getElementById('session-settings-status');
+        if (!sizeInput || !ratioSelect || !newCardsInput) return;
+
+        const controls = [sizeInput, ratioSelect, newCardsInput];
+        const canCustomize = this.userProfile.user_tier === 'paid' || this.userProfile.user_tier === 'admin';
+        document.getElementById('session-settings-note')?.classList.toggle('hidden', canCustomize);
+
+        const showSettings = (profile) => {
+            sizeInput.value = profile.session_size ?? '';
+            ratioSelect.value = profile.session_review_ratio == null ? '' : String(Number(profile.session_review_ratio));
+            newCardsInput.value = profile.daily_new_cards_limit;
+        };
+        showSettings(this.userProfile);
+
+        const isWholeNumber = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+        controls.forEach(control => {
+            control.disabled = !canCustomize;
+            control.addEventListener('change', async () => {
+                const sessionSize = sizeInput.value === '' ? null : Number(sizeInput.value);
+                const dailyNewCardsLimit = Number(newCardsInput.value);
+
+                if (sessionSize !== null && !isWholeNumber(sessionSize, SESSION_CONFIG.MIN_CARDS_PER_SESSION, SESSION_CONFIG.MAX_CARDS_PER_SESSION)) {
+                    showSettings(this.userProfile);
+                    this.showErrorMessage(`Cards per session must be a whole number from ${SESSION_CONFIG.MIN_CARDS_PER_SESSION} to ${SESSION_CONFIG.MAX_CARDS_PER_SESSION}, or empty for the default.`);
+                    return;
+                }
+                if (newCardsInput.value === '' || !isWholeNumber(dailyNewCardsLimit, 0, SESSION_CONFIG.MAX_DAILY_NEW_CARDS)) {
+                    showSettings(this.userProfile);
+                    this.showErrorMessage(`New cards per day must be a whole number from 0 to ${SESSION_CONFIG.MAX_DAILY_NEW_CARDS}.`);
+                    return;
+                }
+
+                controls.forEach(input => { input.disabled = true; });
+                try {
+                    this.userProfile = await auth.updateSessionSettings({
+                        sessionSize,
+                        reviewRatio: ratioSelect.value === '' ? null : Number(ratioSelect.value),
+                        dailyNewCardsLimit
+                    });
+                    status.textContent = 'Saved.';
+                } catch (error) {
+                    console.error('Error saving session settings:', error);
+                    showSettings(this.userProfile);
+                    status.textContent = '';
+                    this.showErrorMessage(error.message || 'Failed to save your session settings. Please try again.');
+                } finally {
+                    controls.forEach(input => { input.disabled = false; });
+                }
+            });
+        });
+    }
+
+    /**
+     * Show the study page keyboard shortcuts; each change is saved immediately
+     */
+    async setupKeyboardShortcuts() {
+        const resetButton = document.getElementById('reset-shortcuts-button');
+        const preferences = await auth.getStudyPreferences();
+        this.keyboardShortcuts = resolveShortcuts(preferences.keyboard_shortcuts);
+        this.renderKeyboardShortcuts();
+
+        if (resetButton) {
+            resetButton.addEventListener('click', () => {
+                this.saveKeyboardShortcuts(resolveShortcuts());
+            });
+        }
+    }
+
+    renderKeyboardShortcuts() {
+        const container = document.getElementById('keyboard-shortcuts');
+        if (!container) return;
+
+        container.replaceChildren(...SHORTCUT_ACTIONS.map(({ action, label }) => {
+            const row = document.createElement('div');
+            row.className = 'keyboard-shortcut-row';
+
+            const labelElement = document.createElement('span');
+            labelElement.className = 'keyboard-shortcut-label';
+            labelElement.textContent = label;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'keyboard-shortcut-key';
+            button.dataset.action = action;
+            button.textContent = formatShortcutKey(this.keyboardShortcuts[action]);
+            button.addEventListener('click', () => this.captureShortcut(button));
+
+            row.append(labelElement, button);
+            return row;
+        }));
+    }
+
+    /**
+     * Wait for the next key press and bind it to the button's action.
+     * Escape cancels; keys in use by another action are refused.
+     * @param {HTMLButtonElement} button - Key button of the action
+     */
+    captureShortcut(button) {
+        const status = document.getElementById('keyboard-shortcuts-status');
+        const action = button.dataset.action;
+        button.textContent = 'Press a key...';
+        button.classList.add('capturing');
+
+        const onKeyDown = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            document.removeEventListener('keydown', onKeyDown, true);
+            button.classList.remove('capturing');
+
+            if (event.key === 'Escape') {
+                button.textContent = formatShortcutKey(this.keyboardShortcuts[action]);
+                return;
+            }
+
+            const key = keyFromEvent(event);
+            const conflict = key ? findShortcutConflict(this.keyboardShortcuts, action, key) : null;
+            if (!key || conflict) {
+                button.textContent = formatShortcutKey(this.keyboardShortcuts[action]);
+                status.textContent = key
+                    ? `${formatShortcutKey(key)} is already used for "${SHORTCUT_ACTIONS.find(entry => entry.action === conflict).label}".`
+                    : 'That key can\'t be used as a shortcut.';
+                return;
+            }
+
+            this.saveKeyboardShortcuts({ ...this.keyboardShortcuts, [action]: key });
+        };
+        document.addEventListener('keydown', onKeyDown, true);
+    }
+
+    /**
+     * @param {Object} shortcuts - action -> key for every action
+     */
+    async saveKeyboardShortcuts(shortcuts) {
+        const status = document.getElementById('keyboard-shortcuts-status');
+        try {
+            await auth.updateStudyPreferences({ keyboard_shortcuts: changedShortcuts(shortcuts) });
+            this.keyboardShortcuts = shortcuts;
+            status.textContent = 'Saved.';
+        } catch (error) {
+            console.error('Error saving keyboard shortcuts:', error);
+            status.textContent = '';
+            this.showErrorMessage('Failed to save your keyboard shortcuts. Please try again.');
+        }
+        this.renderKeyboardShortcuts();
+    }
+
+    /**
+     * Download the user's data archive (and optionally the review log CSV)
+     */
+    async handleDataExport() {
+        const button = document.getElementById('export-data-button');
+        const status = document.getElementById('export-data-status');
+        const includeRevlogCsv = document.getElementById('export-revlog-csv')?.checked || false;
+
+        button.disabled = true;
+        try {
+            const archive = await dataExportService.downloadUserData(this.currentUser.id, {
+                includeRevlogCsv,
+                onProgress: (section) => {
+                    status.textContent = `Reading ${section.replace(/_/g, ' ')}...`;
+                }
+            });
+            status.textContent = `Exported ${archive.reviews.length} reviews and ${archive.user_cards.length} cards.`;
+        } catch (error) {
+            console.error('Error exporting user data:', error);
+            status.textContent = '';
+            this.showErrorMessage('Failed to export your data. Please try again.');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Check a review log file and show what would be imported
+     */
+    async previewReviewImport() {
+        const file = document.getElementById('review-import-file')?.files?.[0];
+        const results = document.getElementById('review-import-results');
+        const runButton = document.getElementById('review-import-run');
+
+        this.reviewImportPlan = null;
+        runButton.classList.add('hidden');
+        if (!file) {
+            results.textContent = 'Choose a review log file first.';
+            return;
+        }
+
+        results.textContent = 'Checking file...';
+        try {
+            const plan = await reviewHistoryImportService.previewImport(file, this.currentUser.id);
+            const reviews = plan.cards.reduce((sum, card) => sum + card.reviews.length, 0);
+            const lines = [
+                `${plan.reviewCount} reviews read; ${plan.cards.length} cards (${reviews} reviews) ready to import.`
+            ];
+            if (plan.alreadyReviewed > 0) lines.push(`${plan.alreadyReviewed} cards already have review history or a schedule here and will be skipped.`);
+            if (plan.unmatched.length > 0) lines.push(`${plan.unmatched.length} cards could not be matched to a card here.`);
+            if (plan.rowErrors.length > 0) lines.push(`${plan.rowErrors.length} rows were invalid (first: row ${plan.rowErrors[0].rowNumber}, ${plan.rowErrors[0].errors[0]})`);
+            if (plan.skipped > 0) lines.push(`${plan.skipped} manual reschedule entries were ignored.`);
+
+            results.replaceChildren(...lines.map(line => {
+                const paragraph = document.createElement('p');
+                paragraph.className = 'field-help';
+                paragraph.textContent = line;
+                return paragraph;
+            }));
+            this.reviewImportPlan = plan;
+            runButton.classList.toggle('hidden', plan.cards.length === 0);
+        } catch (error) {
+            console.error('Error reading review log:', error);
+            results.textContent = '';
+            this.showErrorMessage(error.message || 'Failed to read the review log.');
+        }
+    }
+
+    /**
+     * Replay the checked review log into the user's card progress
+     */
+    async runReviewImport() {
+        const plan = this.reviewImportPlan;
+        const runButton = document.getElementById('review-import-run');
+        const results = document.getElementById('review-import-results');
+        if (!plan) return;
+
+        if (!confirm(`Import review history for ${plan.cards.length} cards? Their current progress will be replaced.`)) {
+            return;
+        }
+
+        runButton.disabled = true;
+        try {
+            const result = await reviewHistoryImportService.executeImport(plan, this.currentUser.id, (done, total) => {
+                results.textContent = `Importing ${done}/${total} cards...`;
+            });
+
+            results.textContent = '';
+            const skipped = result.skipped > 0 ? ` ${result.skipped} cards were skipped: they were studied here since the check.` : '';
+            if (result.failedBatches.length > 0) {
+                const failed = result.failedBatches.reduce((sum, batch) => sum + batch.cards, 0);
+                this.showErrorMessage(`Imported ${result.cards} cards; ${failed} failed (${result.failedBatches[0].error}). Check the file again to retry.${skipped}`);
+            } else {
+                this.showSuccessMessage(`Imported ${result.reviews} reviews for ${result.cards} cards.${skipped}`);
+            }
+            this.reviewImportPlan = null;
+            runButton.classList.add('hidden');
+        } catch (error) {
+            console.error('Error importing review history:', error);
+            this.showErrorMessage(error.message || 'Failed to import review history.');
+        } finally {
+            runButton.disabled = false;
+        }
+    }
+
     /**
      * Handle form submission
      */
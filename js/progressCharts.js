@@ -566,6 +566,96 @@ export function renderLearningCurveChart(canvasId, data) {
     });
 }
 
+/**
+ * Render desired-retention simulator chart: average daily study time per
+ * candidate retention (bars) against study time per retained card (line)
+ * @param {string} canvasId
+ * @param {Object} simulation - {results: [{retention, averageDailyReviews, averageDailyMinutes, expectedRetained, minutesPerRetainedCard}], currentRetention, suggested}, or {unavailable: true} if it failed to load
+ */
+export function renderRetentionSimulatorChart(canvasId, simulation) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    destroyChart(canvasId);
+
+    if (simulation?.unavailable) {
+        showEmptyState(canvas, progressCopy.getEmptyStateCopy('retentionSimulatorUnavailable'));
+        return;
+    }
+
+    const data = simulation?.results;
+    if (!data || data.length === 0) {
+        showEmptyState(canvas, progressCopy.getEmptyStateCopy('retentionSimulator'));
+        return;
+    }
+
+    const barColor = (d) => {
+        if (d.retention === simulation.suggested) return CHART_COLORS.success;
+        if (d.retention === simulation.currentRetention) return CHART_COLORS.primary;
+        return CHART_COLORS.gray;
+    };
+
+    const ctx = canvas.getContext('2d');
+    new window.Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: data.map(d => `${Math.round(d.retention * 100)}%`),
+            datasets: [{
+                type: 'bar',
+                label: 'Minutes per Day',
+                data: data.map(d => Math.round(d.averageDailyMinutes * 10) / 10),
+                backgroundColor: data.map(barColor),
+                yAxisID: 'y'
+            }, {
+                type: 'line',
+                label: 'Seconds per Retained Card',
+                data: data.map(d => d.minutesPerRetainedCard === null ? null : Math.round(d.minutesPerRetainedCard * 600) / 10),
+                borderColor: CHART_COLORS.warning,
+                backgroundColor: CHART_COLORS.warning,
+                tension: 0.3,
+                pointRadius: 3,
+                yAxisID: 'y1'
+            }]
+        },
+        options: {
+            ...CHART_DEFAULTS,
+            scales: {
+                x: {
+                    ...CHART_DEFAULTS.scales.x,
+                    title: { display: true, text: 'Desired Retention', color: CHART_COLORS.text }
+                },
+                y: {
+                    ...CHART_DEFAULTS.scales.y,
+                    beginAtZero: true,
+                    title: { display: true, text: 'Minutes per Day', color: CHART_COLORS.text }
+                },
+                y1: {
+                    ...CHART_DEFAULTS.scales.y,
+                    position: 'right',
+                    beginAtZero: true,
+                    grid: { drawOnChartArea: false },
+                    title: { display: true, text: 'Seconds per Retained Card', color: CHART_COLORS.text }
+                }
+            },
+            plugins: {
+                ...CHART_DEFAULTS.plugins,
+                tooltip: {
+                    ...CHART_DEFAULTS.plugins.tooltip,
+                    callbacks: {
+                        afterBody: (items) => {
+                            const point = data[items[0].dataIndex];
+                            return [
+                                `Reviews per day: ${Math.round(point.averageDailyReviews)}`,
+                                `Retained after ${simulation.days} days: ${Math.round(point.expectedRetained)} of ${simulation.cardCount}`
+                            ];
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
 /**
  * Show empty state message in canvas
  * @param {HTMLCanvasElement} canvas
@@ -576,6 +666,81 @@ function showEmptyState(canvas, message) {
     container.innerHTML = `<p class="empty-state-message">${message}</p>`;
 }
 
+/**
+ * Render one card's estimated retrievability over time (card browser)
+ * @param {string} canvasId
+ * @param {Array} points - [{at, retrievability, review}] from buildRetrievabilityCurve
+ * @param {number} [desiredRetention] - Target retention, drawn as a reference line
+ */
+export function renderRetrievabilityChart(canvasId, points, desiredRetention = 0.9) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    destroyChart(canvasId);
+
+    if (!points || points.length === 0) {
+        showEmptyState(canvas, progressCopy.getEmptyStateCopy('retrievability'));
+        return;
+    }
+
+    const first = points[0].at;
+    const last = points[points.length - 1].at;
+    const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+    const ctx = canvas.getContext('2d');
+    new window.Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: [
+                {
+                    label: 'Retrievability',
+                    data: points.map(p => ({ x: p.at, y: Math.round(p.retrievability * 1000) / 10 })),
+                    borderColor: CHART_COLORS.primary,
+                    backgroundColor: 'rgba(0, 122, 255, 0.1)',
+                    fill: true,
+                    pointRadius: points.map(p => (p.review ? 3 : 0)),
+                    tension: 0.2
+                },
+                {
+                    label: 'Target',
+                    data: [{ x: first, y: desiredRetention * 100 }, { x: last, y: desiredRetention * 100 }],
+                    borderColor: CHART_COLORS.success,
+                    borderDash: [5, 5],
+                    borderWidth: 1,
+                    pointRadius: 0
+                }
+            ]
+        },
+        options: {
+            ...CHART_DEFAULTS,
+            scales: {
+                x: {
+                    ...CHART_DEFAULTS.scales.x,
+                    type: 'linear',
+                    min: first,
+                    max: last,
+                    ticks: { ...CHART_DEFAULTS.scales.x.ticks, maxTicksLimit: 6, callback: formatDate }
+                },
+                y: {
+                    ...CHART_DEFAULTS.scales.y,
+                    min: 0,
+                    max: 100,
+                    title: { display: true, text: 'Recall probability (%)', color: CHART_COLORS.text }
+                }
+            },
+            plugins: {
+                ...CHART_DEFAULTS.plugins,
+                tooltip: {
+                    ...CHART_DEFAULTS.plugins.tooltip,
+                    callbacks: {
+                        title: (items) => items.length ? formatDate(items[0].parsed.x) : ''
+                    }
+                }
+            }
+        }
+    });
+}
+
 /**
  * Render a simple sparkline in a small canvas
  * @param {string} canvasId
@@ -631,5 +796,7 @@ export default {
     renderSessionRatingsChart,
     renderSubjectMasteryChart,
     renderLearningCurveChart,
+    renderRetentionSimulatorChart,
+    renderRetrievabilityChart,
     renderSparkline
 };
@@ -259,6 +259,35 @@ export function getLearningCurveCopy(data) {
     }
 }
 
+/**
+ * Generate copy for the desired-retention simulator
+ * @param {Object} simulation - Output of getRetentionSimulation
+ * @returns {string}
+ */
+export function getRetentionSimulatorCopy(simulation) {
+    if (simulation?.unavailable) {
+        return getEmptyStateCopy('retentionSimulatorUnavailable');
+    }
+    if (!simulation || !simulation.results || simulation.results.length === 0 || simulation.suggested === null) {
+        return `Review some cards to see how your retention target affects your workload.`;
+    }
+
+    const current = simulation.results.find(r => r.retention === simulation.currentRetention);
+    const suggested = simulation.results.find(r => r.retention === simulation.suggested);
+    const suggestedPct = Math.round(simulation.suggested * 100);
+
+    if (!current || simulation.suggested === simulation.currentRetention) {
+        return `Your <strong>${suggestedPct}%</strong> target already gives the least study time per remembered card.`;
+    }
+
+    const minutesDelta = Math.round((suggested.averageDailyMinutes - current.averageDailyMinutes) * 10) / 10;
+    const retainedDelta = Math.round(suggested.expectedRetained - current.expectedRetained);
+    const minutesText = minutesDelta <= 0 ? `${Math.abs(minutesDelta)} min/day less` : `${minutesDelta} min/day more`;
+    const retainedText = retainedDelta >= 0 ? `${retainedDelta} more` : `${Math.abs(retainedDelta)} fewer`;
+
+    return `A <strong>${suggestedPct}%</strong> target is the most efficient: <strong>${minutesText}</strong> than your current ${Math.round(simulation.currentRetention * 100)}%, with ${retainedText} cards remembered after ${simulation.days} days.`;
+}
+
 /**
  * Generate empty state copy
  * @param {string} chartType - Type of chart
@@ -274,7 +303,10 @@ export function getEmptyStateCopy(chartType) {
         difficultyAccuracy: `Need at least 20 reviews per subject to show this chart.`,
         sessionRatings: `Complete a session to see rating breakdowns.`,
         subjectMastery: `Study cards from multiple subjects to see mastery breakdown.`,
-        learningCurve: `Need more review history to show your forgetting curve.`
+        learningCurve: `Need more review history to show your forgetting curve.`,
+        retentionSimulator: `Review some cards to see how your retention target affects your workload.`,
+        retentionSimulatorUnavailable: `The retention simulator couldn't be loaded. Refresh to try again.`,
+        retrievability: `Review this card to see how well you are likely to remember it.`
     };
 
     return messages[chartType] || `Keep studying to unlock this insight.`;
@@ -293,5 +325,6 @@ export default {
     getSessionRatingCopy,
     getSubjectMasteryCopy,
     getLearningCurveCopy,
+    getRetentionSimulatorCopy,
     getEmptyStateCopy
 };
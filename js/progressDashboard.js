@@ -108,7 +108,8 @@ class ProgressDashboard {
                 difficultyAccuracy,
                 sessionRatings,
                 subjectMastery,
-                learningCurve
+                learningCurve,
+                retentionSimulation
             ] = await Promise.all([
                 progressData.getRetentionRate(this.userId, this.timeWindow >= 30 ? 7 : this.timeWindow),
                 progressData.getStreakData(this.userId),
@@ -124,7 +125,12 @@ class ProgressDashboard {
                 progressData.getDifficultyAccuracyBySubject(this.userId, this.timeWindow),
                 progressData.getSessionRatings(this.userId, 10),
                 progressData.getSubjectMastery(this.userId, this.timeWindow),
-                progressData.getLearningCurve(this.userId)
+                progressData.getLearningCurve(this.userId),
+                // The simulator is optional; if it fails the rest still renders
+                progressData.getRetentionSimulation(this.userId, 365).catch(error => {
+                    console.error('Error loading retention simulation:', error);
+                    return { unavailable: true };
+                })
             ]);
 
             // Update KPI cards
@@ -147,7 +153,8 @@ class ProgressDashboard {
                 difficultyAccuracy,
                 sessionRatings,
                 subjectMastery,
-                learningCurve
+                learningCurve,
+                retentionSimulation
             });
 
             this.showDashboardContent();
@@ -312,6 +319,13 @@ class ProgressDashboard {
             learningCurveCopy.innerHTML = progressCopy.getLearningCurveCopy(data.learningCurve);
         }
         progressCharts.renderLearningCurveChart('learning-curve-chart', data.learningCurve);
+
+        // Desired-retention simulator
+        const retentionSimulatorCopy = document.getElementById('retention-simulator-copy');
+        if (retentionSimulatorCopy) {
+            retentionSimulatorCopy.innerHTML = progressCopy.getRetentionSimulatorCopy(data.retentionSimulation);
+        }
+        progressCharts.renderRetentionSimulatorChart('retention-simulator-chart', data.retentionSimulation);
     }
 
     /**
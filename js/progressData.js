@@ -1,4 +1,6 @@
 import { getSupabaseClient } from './supabase-client.js';
+import fsrsParametersService from './fsrsParameters.js';
+import { simulateRetentionTargets } from './retentionSimulator.js';
 
 /**
  * Progress Data Module
@@ -735,6 +737,55 @@ export async function getLearningCurve(userId) {
         .filter(b => b.sampleSize >= 5); // Only show bins with enough data
 }
 
+/**
+ * Simulate the user's current cards forward under candidate desired-retention
+ * targets. The forgotten-review time factor comes from the user's own recent
+ * reviews (Again answers vs the rest) when there are enough of them.
+ * @param {string} userId
+ * @param {number} days - Forecast horizon
+ * @returns {Promise<{days: number, cardCount: number, currentRetention: number, results: Array, suggested: number|null}>}
+ */
+export async function getRetentionSimulation(userId, days = 365) {
+    const supabase = await getSupabaseClient();
+    const pageSize = 1000;
+    const cards = [];
+
+    // user_cards can exceed the default row limit, so page through it
+    for (;;) {
+        const { data, error } = await supabase
+            .from('user_cards')
+            .select('state, stability, difficulty, due_at, last_reviewed_at, average_response_time_ms')
+            .eq('user_id', userId)
+            .in('state', ['learning', 'review', 'relearning', 'buried'])
+            .range(cards.length, cards.length + pageSize - 1);
+
+        if (error) throw error;
+        cards.push(...(data || []));
+        if (!data || data.length < pageSize) break;
+    }
+
+    const { data: reviews, error: reviewsError } = await supabase
+        .from('reviews')
+        .select('rating, response_time_ms')
+        .eq('user_id', userId)
+        .gt('response_time_ms', 0)
+        .order('reviewed_at', { ascending: false })
+        .limit(pageSize);
+
+    if (reviewsError) throw reviewsError;
+
+    const getAverage = (values) => values.reduce((sum, r) => sum + r.response_time_ms, 0) / values.length;
+    const forgotten = reviews?.filter(r => r.rating === 0) || [];
+    const recalled = reviews?.filter(r => r.rating > 0) || [];
+    const options = { days };
+    if (forgotten.length >= 10 && recalled.length >= 10) {
+        options.forgetTimeFactor = Math.min(5, Math.max(1, getAverage(forgotten) / getAverage(recalled)));
+    }
+
+    const params = await fsrsParametersService.getUserParameters(userId);
+    return simulateRetentionTargets(cards, params, options);
+}
+
 export default {
     getRetentionRate,
     getStreakData,
@@ -750,5 +801,6 @@ export default {
     getDifficultyAccuracyBySubject,
     getSessionRatings,
     getSubjectMastery,
-    getLearningCurve
+    getLearningCurve,
+    getRetentionSimulation
 };
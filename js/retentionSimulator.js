@@ -0,0 +1,201 @@
+/**
+ * Desired-Retention Simulator
+ * Replays a user's current card population forward a number of days under
+ * candidate desired-retention targets and reports the review load, study time
+ * and expected number of retained cards for each. Recall outcomes are drawn
+ * from each card's FSRS-5 retrievability with a seeded generator, so the same
+ * inputs always give the same forecast and every target sees the same draws.
+ */
+
+import {
+    RATING,
+    CARD_STATE,
+    DEFAULT_PARAMS,
+    FSRS_CONSTANTS,
+    calculateRetrievability,
+    calculateInterval,
+    updateStability,
+    updateDifficulty
+} from './fsrs.js';
+
+// Default simulator settings
+const SIMULATOR_DEFAULTS = {
+    days: 365,                 // Forecast horizon
+    retentionTargets: [0.70, 0.75, 0.80, 0.83, 0.85, 0.87, 0.90, 0.92, 0.94, 0.95, 0.97],
+    defaultResponseTimeMs: 5000, // Used when neither the card nor the user has a timing
+    forgetTimeFactor: 2,       // A failed review takes this many times a card's average time
+    seed: 42
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Cards in these states have no memory state or are excluded from review
+const SKIPPED_STATES = [CARD_STATE.NEW, CARD_STATE.SUSPENDED];
+
+/**
+ * Small seeded PRNG (mulberry32) returning floats in [0, 1)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Convert user_cards rows into simulation state relative to `now`.
+ * Days are counted from `now`; overdue cards are due on day 0.
+ * @param {Array} cards - user_cards rows (state, stability, difficulty, due_at, last_reviewed_at, average_response_time_ms)
+ * @param {Date} now - Simulation start
+ * @param {number} defaultResponseTimeMs - Fallback review time
+ * @returns {Array<Object>} Simulation cards
+ */
+function prepareCards(cards, now, defaultResponseTimeMs) {
+    const timed = cards.filter(card => card.average_response_time_ms > 0);
+    const userAverageMs = timed.length > 0
+        ? timed.reduce((sum, card) => sum + card.average_response_time_ms, 0) / timed.length
+        : defaultResponseTimeMs;
+
+    return cards
+        .filter(card => !SKIPPED_STATES.includes(card.state) && card.stability > 0)
+        .map(card => {
+            const dueDay = card.due_at
+                ? Math.max(0, Math.floor((new Date(card.due_at).getTime() - now.getTime()) / MS_PER_DAY))
+                : 0;
+            const lastDay = card.last_reviewed_at
+                ? Math.min(0, (new Date(card.last_reviewed_at).getTime() - now.getTime()) / MS_PER_DAY)
+                : 0;
+            return {
+                stability: card.stability,
+                difficulty: card.difficulty || DEFAULT_PARAMS.w4,
+                dueDay,
+                lastDay,
+                responseTimeMs: card.average_response_time_ms > 0 ? card.average_response_time_ms : userAverageMs
+            };
+        });
+}
+
+/**
+ * Simulate one desired-retention target.
+ * A recalled review is rated Good; a forgotten one is rated Again and then
+ * walks through the relearning steps the same day, each costing another
+ * review. Failed reviews are slower than successful ones, so the Again
+ * answer is timed at forgetTimeFactor times the card's average. The next
+ * interval always comes from calculateInterval with the candidate retention.
+ * @param {Array<Object>} cards - Output of prepareCards
+ * @param {number} retention - Candidate desired retention
+ * @param {Object} params - FSRS parameters
+ * @param {Object} settings - days, seed and forgetTimeFactor
+ * @returns {Object} Per-target result
+ */
+function simulateRetention(cards, retention, params, settings) {
+    const { days, seed, forgetTimeFactor } = settings;
+    const random = createRandom(seed);
+    const relearningSteps = (params.relearning_steps_minutes || DEFAULT_PARAMS.relearning_steps_minutes).length;
+    const dailyReviews = new Array(days).fill(0);
+    const dailyMinutes = new Array(days).fill(0);
+    let lapses = 0;
+    let retained = 0;
+
+    cards.forEach(source => {
+        let { stability, difficulty, dueDay, lastDay } = source;
+        const minutesPerReview = source.responseTimeMs / 60000;
+
+        while (dueDay < days) {
+            const elapsed = Math.max(0, dueDay - lastDay);
+            const recalled = random() < calculateRetrievability(elapsed, stability);
+            let reviews = 1;
+            let minutes = minutesPerReview;
+
+            if (recalled) {
+                stability = updateStability(stability, difficulty, RATING.GOOD, elapsed, params);
+                difficulty = updateDifficulty(difficulty, RATING.GOOD, params);
+            } else {
+                lapses++;
+                stability = updateStability(stability, difficulty, RATING.AGAIN, elapsed, params);
+                difficulty = updateDifficulty(difficulty, RATING.AGAIN, params);
+                minutes = minutesPerReview * forgetTimeFactor;
+                for (let step = 0; step < relearningSteps; step++) {
+                    stability = updateStability(stability, difficulty, RATING.GOOD, 0, params);
+                    difficulty = updateDifficulty(difficulty, RATING.GOOD, params);
+                    reviews++;
+                    minutes += minutesPerReview;
+                }
+            }
+
+            dailyReviews[dueDay] += reviews;
+            dailyMinutes[dueDay] += minutes;
+            lastDay = dueDay;
+            // At least a day: the simulation steps in whole days
+            dueDay += Math.max(1, calculateInterval(stability, retention, params));
+        }
+
+        retained += calculateRetrievability(Math.max(0, days - lastDay), stability);
+    });
+
+    const totalReviews = dailyReviews.reduce((sum, count) => sum + count, 0);
+    const totalMinutes = dailyMinutes.reduce((sum, minutes) => sum + minutes, 0);
+
+    return {
+        retention,
+        totalReviews,
+        totalMinutes,
+        averageDailyReviews: totalReviews / days,
+        averageDailyMinutes: totalMinutes / days,
+        dailyReviews,
+        dailyMinutes,
+        lapses,
+        expectedRetained: retained,
+        minutesPerRetainedCard: retained > 0 ? totalMinutes / retained : null,
+        reviewsPerRetainedCard: retained > 0 ? totalReviews / retained : null
+    };
+}
+
+/**
+ * Forecast workload and retained cards for each candidate retention target
+ * and suggest the target with the least study time per retained card.
+ * @param {Array} cards - user_cards rows
+ * @param {Object} params - FSRS parameters (weights flattened as w0-w18)
+ * @param {Object} options - Overrides for SIMULATOR_DEFAULTS plus `now`
+ * @returns {Object} { days, cardCount, currentRetention, results, suggested }
+ */
+function simulateRetentionTargets(cards, params = DEFAULT_PARAMS, options = {}) {
+    const settings = { ...SIMULATOR_DEFAULTS, ...options };
+    const fsrsParams = { ...DEFAULT_PARAMS, ...params };
+    const now = options.now || new Date();
+    const currentRetention = Number(fsrsParams.desired_retention) || FSRS_CONSTANTS.DESIRED_RETENTION;
+
+    const targets = [...new Set([...settings.retentionTargets, currentRetention])]
+        .filter(target => target > 0 && target < 1)
+        .sort((a, b) => a - b);
+    const simCards = prepareCards(cards || [], now, settings.defaultResponseTimeMs);
+
+    if (simCards.length === 0) {
+        return { days: settings.days, cardCount: 0, currentRetention, results: [], suggested: null };
+    }
+
+    const results = targets.map(target => simulateRetention(simCards, target, fsrsParams, settings));
+    const suggested = results
+        .filter(result => result.minutesPerRetainedCard !== null)
+        .reduce((best, result) => (!best || result.minutesPerRetainedCard < best.minutesPerRetainedCard ? result : best), null);
+
+    return {
+        days: settings.days,
+        cardCount: simCards.length,
+        currentRetention,
+        results,
+        suggested: suggested ? suggested.retention : null
+    };
+}
+
+export {
+    SIMULATOR_DEFAULTS,
+    simulateRetentionTargets
+};
+
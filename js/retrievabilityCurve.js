@@ -0,0 +1,51 @@
+/**
+ * Retrievability Curve
+ * Rebuilds a card's estimated recall probability over time from its review
+ * timeline. After each review the card decays with the stability that review
+ * produced (FSRS forgetting curve); the next review starts a new segment.
+ */
+
+import { calculateRetrievability } from './fsrs.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {Array<Object>} reviews - Reviews with reviewed_at and stability_after, in any order
+ * @param {Object} [options]
+ * @param {Date|string|number} [options.until=new Date()] - End of the curve (e.g. now, or the due date to project to)
+ * @param {number} [options.samplesPerSegment=16] - Points drawn between two reviews
+ * @returns {Array<{at: number, retrievability: number, review: boolean}>} Points in time order (at = epoch ms)
+ */
+function buildRetrievabilityCurve(reviews, options = {}) {
+    const until = new Date(options.until ?? Date.now()).getTime();
+    const samples = Math.max(1, Math.floor(options.samplesPerSegment ?? 16));
+
+    const timeline = (reviews || [])
+        .map(review => ({
+            at: new Date(review.reviewed_at).getTime(),
+            stability: Number(review.stability_after)
+        }))
+        .filter(review => Number.isFinite(review.at) && review.stability > 0)
+        .sort((a, b) => a.at - b.at);
+
+    const points = [];
+    timeline.forEach((review, index) => {
+        const end = index + 1 < timeline.length ? timeline[index + 1].at : Math.max(until, review.at);
+        points.push({ at: review.at, retrievability: 1, review: true });
+
+        for (let step = 1; step <= samples; step++) {
+            const at = review.at + ((end - review.at) * step) / samples;
+            if (at <= review.at) break;
+            points.push({
+                at,
+                retrievability: calculateRetrievability((at - review.at) / MS_PER_DAY, review.stability),
+                review: false
+            });
+        }
+    });
+
+    return points;
+}
+
+export { buildRetrievabilityCurve };
+
@@ -0,0 +1,512 @@
+/**
+ * Review History Import
+ * Reads a review log exported from another SRS (FSRS revlog CSV, Anki revlog
+ * CSV) or from this app's "Download My Data" archive, matches each source card
+ * to a card template by card_template_id, external_id or question content
+ * hash, and replays the history through scheduleCard so every user_cards row
+ * gets the FSRS state it would have had here. The replayed reviews are written
+ * to `reviews`, giving the optimizer real history to fit.
+ */
+
+import { getSupabaseClient } from './supabase-client.js';
+import { CARD_STATE, RATING, DEFAULT_PARAMS, scheduleCard } from './fsrs.js';
+import { parseDelimited } from './cardImport.js';
+import fsrsParametersService from './fsrsParameters.js';
+
+const LOOKUP_BATCH_SIZE = 200;
+const WRITE_BATCH_SIZE = 500;
+
+// reviews.response_time_ms must be positive; 1 ms marks an unknown duration
+// and is left out of average_response_time_ms
+const UNKNOWN_RESPONSE_TIME_MS = 1;
+
+// Epoch values below this are seconds rather than milliseconds
+const EPOCH_MS_THRESHOLD = 1e11;
+
+// Anki revlog `type` values at or above this are manual reschedules, not reviews
+const ANKI_MANUAL_TYPE = 4;
+
+// State a card has before its first imported review (same as initializeUserProgress)
+const NEW_CARD = {
+    state: CARD_STATE.NEW,
+    stability: 0,
+    difficulty: 5,
+    due_at: null,
+    last_reviewed_at: null,
+    scheduled_days: 0,
+    reps: 0,
+    lapses: 0
+};
+
+/**
+ * Normalize question text for content hashing. Must match
+ * card_template_content_hash() in migration 32.
+ * @param {string} text - Question text
+ * @returns {string} Lowercased text with whitespace runs collapsed and trimmed
+ */
+function normalizeContent(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/[ \t\n\r\f\v]+/g, ' ')
+        .replace(/^ +| +$/g, '');
+}
+
+/**
+ * SHA-256 hex digest of the normalized question
+ * @param {string} text - Question text
+ * @returns {Promise<string>} Hash
+ */
+async function hashContent(text) {
+    const bytes = new TextEncoder().encode(normalizeContent(text));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Parse a review time given as epoch (ms or s) or an ISO string
+ * @param {any} value - Raw value
+ * @returns {Date|null} Review time
+ */
+function parseReviewTime(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const epoch = Number(text);
+        return new Date(epoch < EPOCH_MS_THRESHOLD ? epoch * 1000 : epoch);
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Build review entries from CSV rows. Accepts the FSRS revlog layout
+ * (card_id, review_time, review_rating 1-4, review_duration) and Anki's revlog
+ * table (id = review time in ms, cid, ease 1-4, time, type). Either may carry
+ * card_template_id, external_id or question columns to identify the card;
+ * otherwise the source card ID is tried as an external_id.
+ * @param {Array<Array<string>>} rows - Header row followed by data rows
+ * @returns {{entries: Array<Object>, errors: Array<Object>, skipped: number}}
+ */
+function parseRevlogRows(rows) {
+    const [header, ...dataRows] = rows;
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    const has = (name) => columns.includes(name);
+    const isAnki = has('cid') && has('ease');
+
+    if (!isAnki && !(has('review_time') && has('review_rating'))) {
+        throw new Error('Unrecognized review log: expected FSRS revlog columns (card_id, review_time, review_rating, review_duration) or Anki revlog columns (id, cid, ease, time, type).');
+    }
+
+    const entries = [];
+    const errors = [];
+    let skipped = 0;
+
+    dataRows.forEach((cells, index) => {
+        const rowNumber = index + 1;
+        const row = {};
+        columns.forEach((column, columnIndex) => {
+            row[column] = (cells[columnIndex] ?? '').trim();
+        });
+
+        const rawGrade = isAnki ? row.ease : row.review_rating;
+        const grade = rawGrade === '' ? NaN : Number(rawGrade);
+        if (grade === 0 || (isAnki && Number(row.type) >= ANKI_MANUAL_TYPE)) {
+            skipped++;
+            return;
+        }
+
+        const rowErrors = [];
+        const reviewedAt = parseReviewTime(isAnki ? row.id : row.review_time);
+        if (!reviewedAt) rowErrors.push('Invalid review time.');
+        if (!Number.isInteger(grade) || grade < 1 || grade > 4) rowErrors.push(`Rating must be 1-4, got "${rawGrade}".`);
+
+        const sourceId = isAnki ? row.cid : row.card_id;
+        const key = {
+            templateId: row.card_template_id || null,
+            externalId: row.external_id || sourceId || null,
+            question: row.question || null
+        };
+        if (!key.templateId && !key.externalId && !key.question) {
+            rowErrors.push('No card identifier (card_id, card_template_id, external_id or question).');
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push({ rowNumber, errors: rowErrors });
+            return;
+        }
+
+        const duration = Number(isAnki ? row.time : row.review_duration);
+        entries.push({
+            sourceId: sourceId || key.templateId || key.externalId || key.question,
+            key,
+            reviewedAt,
+            rating: grade - 1,
+            responseTimeMs: duration > 0 ? Math.round(duration) : null
+        });
+    });
+
+    return { entries, errors, skipped };
+}
+
+/**
+ * Build review entries from a "Download My Data" archive
+ * @param {Object} archive - Parsed JSON archive
+ * @returns {{entries: Array<Object>, errors: Array<Object>, skipped: number}}
+ */
+function parseExportArchive(archive) {
+    if (archive?.format !== 'nanotopic-user-export' || !Array.isArray(archive.reviews)) {
+        throw new Error('JSON file is not a nanotopic data export.');
+    }
+
+    const entries = [];
+    const errors = [];
+
+    archive.reviews.forEach((review, index) => {
+        const reviewedAt = parseReviewTime(review.reviewed_at);
+        if (!reviewedAt || !review.card_template_id || ![0, 1, 2, 3].includes(review.rating)) {
+            errors.push({ rowNumber: index + 1, errors: ['Review is missing card_template_id, reviewed_at or a 0-3 rating.'] });
+            return;
+        }
+        entries.push({
+            sourceId: review.card_template_id,
+            key: { templateId: review.card_template_id, externalId: null, question: null },
+            reviewedAt,
+            rating: review.rating,
+            responseTimeMs: review.response_time_ms > 0 ? review.response_time_ms : null
+        });
+    });
+
+    return { entries, errors, skipped: 0 };
+}
+
+/**
+ * Parse a review log file
+ * @param {string} text - File content
+ * @param {string} fileName - Used to pick the format (.json, .csv, .tsv/.txt)
+ * @returns {{format: string, entries: Array<Object>, errors: Array<Object>, skipped: number}}
+ */
+function parseReviewLog(text, fileName) {
+    const extension = fileName.toLowerCase().split('.').pop();
+    const content = text.replace(/^\uFEFF/, '');
+
+    if (extension === 'json') {
+        return { format: 'export', ...parseExportArchive(JSON.parse(content)) };
+    }
+
+    const rows = parseDelimited(content, extension === 'csv' ? ',' : '\t');
+    return { format: 'revlog', ...parseRevlogRows(rows) };
+}
+
+/**
+ * Group entries into per-card histories in chronological order
+ * @param {Array<Object>} entries - Parsed entries
+ * @returns {Array<{sourceId: string, key: Object, reviews: Array<Object>}>} Histories
+ */
+function groupHistories(entries) {
+    const histories = new Map();
+
+    entries.forEach(entry => {
+        if (!histories.has(entry.sourceId)) {
+            histories.set(entry.sourceId, { sourceId: entry.sourceId, key: { ...entry.key }, reviews: [] });
+        }
+        const history = histories.get(entry.sourceId);
+        // Any row of a card may carry its identifiers
+        history.key.templateId = history.key.templateId || entry.key.templateId;
+        history.key.question = history.key.question || entry.key.question;
+        history.reviews.push(entry);
+    });
+
+    return [...histories.values()].map(history => ({
+        ...history,
+        reviews: history.reviews.sort((a, b) => a.reviewedAt - b.reviewedAt)
+    }));
+}
+
+/**
+ * Replay a card's review history through the scheduler
+ * @param {Array<Object>} reviews - Chronological entries (reviewedAt, rating, responseTimeMs)
+ * @param {Object} params - FSRS parameters
+ * @returns {{card: Object, reviews: Array<Object>}} Final user_cards state and
+ *   reviews rows (without user_id and card_template_id)
+ */
+function replayReviewHistory(reviews, params = DEFAULT_PARAMS) {
+    let card = { ...NEW_CARD };
+    const rows = [];
+    let correct = 0;
+    let timedTotal = 0;
+    let timedCount = 0;
+
+    reviews.forEach(review => {
+        const next = scheduleCard(card, review.rating, review.reviewedAt, params);
+
+        rows.push({
+            reviewed_at: review.reviewedAt.toISOString(),
+            response_time_ms: review.responseTimeMs || UNKNOWN_RESPONSE_TIME_MS,
+            rating: review.rating,
+            state_before: card.state,
+            stability_before: card.stability,
+            difficulty_before: card.difficulty,
+            due_at_before: card.due_at ? new Date(card.due_at).toISOString() : null,
+            state_after: next.state,
+            stability_after: next.stability,
+            difficulty_after: next.difficulty,
+            due_at_after: next.due_at.toISOString(),
+            elapsed_days: next.elapsed_days,
+            scheduled_days: next.scheduled_days,
+            reps_before: card.reps,
+            lapses_before: card.lapses
+        });
+
+        if (review.rating > RATING.AGAIN) correct++;
+        if (review.responseTimeMs) {
+            timedTotal += review.responseTimeMs;
+            timedCount++;
+        }
+        card = next;
+    });
+
+    const last = reviews[reviews.length - 1];
+    return {
+        card: {
+            state: card.state,
+            stability: card.stability,
+            difficulty: card.difficulty,
+            due_at: card.due_at.toISOString(),
+            last_reviewed_at: card.last_reviewed_at.toISOString(),
+            elapsed_days: card.elapsed_days,
+            scheduled_days: card.scheduled_days,
+            reps: card.reps,
+            lapses: card.lapses,
+            last_rating: last.rating,
+            total_reviews: reviews.length,
+            correct_reviews: correct,
+            incorrect_reviews: reviews.length - correct,
+            average_response_time_ms: timedCount > 0 ? Math.round(timedTotal / timedCount) : 0
+        },
+        reviews: rows
+    };
+}
+
+class ReviewHistoryImportService {
+    constructor() {
+        this.supabasePromise = getSupabaseClient();
+    }
+
+    async getSupabase() {
+        return await this.supabasePromise;
+    }
+
+    /**
+     * Look up card templates by one column in batches
+     * @param {string} column - 'id', 'external_id' or 'content_hash'
+     * @param {Array<string>} values - Values to match
+     * @returns {Promise<Array>} Rows (id plus the column)
+     */
+    async findTemplates(column, values) {
+        const supabase = await this.getSupabase();
+        const unique = [...new Set(values)];
+        const rows = [];
+
+        for (let i = 0; i < unique.length; i += LOOKUP_BATCH_SIZE) {
+            const { data, error } = await supabase
+                .from('card_templates')
+                .select(column === 'id' ? 'id' : `id, ${column}`)
+                .in(column, unique.slice(i, i + LOOKUP_BATCH_SIZE));
+
+            if (error) throw error;
+            rows.push(...(data || []));
+        }
+
+        return rows;
+    }
+
+    /**
+     * Find which templates the user already has review history or a
+     * schedule for (a user_cards row that isn't new, also while held). The
+     * import leaves these alone; import_review_history checks again.
+     * @param {string} userId - User ID
+     * @param {Array<string>} templateIds - Template IDs
+     * @returns {Promise<Set<string>>} Template IDs to skip
+     */
+    async getScheduledTemplateIds(userId, templateIds) {
+        const supabase = await this.getSupabase();
+        const scheduled = new Set();
+
+        for (let i = 0; i < templateIds.length; i += LOOKUP_BATCH_SIZE) {
+            const batch = templateIds.slice(i, i + LOOKUP_BATCH_SIZE);
+            const [reviews, cards] = await Promise.all([
+                supabase
+                    .from('reviews')
+                    .select('card_template_id')
+                    .eq('user_id', userId)
+                    .in('card_template_id', batch),
+                supabase
+                    .from('user_cards')
+                    .select('card_template_id, state, resume_state')
+                    .eq('user_id', userId)
+                    .in('card_template_id', batch)
+            ]);
+
+            if (reviews.error) throw reviews.error;
+            if (cards.error) throw cards.error;
+            reviews.data?.forEach(row => scheduled.add(row.card_template_id));
+            cards.data?.forEach(row => {
+                if ((row.resume_state || row.state) !== CARD_STATE.NEW) scheduled.add(row.card_template_id);
+            });
+        }
+
+        return scheduled;
+    }
+
+    /**
+     * Dry run: parse the file and match its cards. Cards the user already has
+     * review history or a schedule for are left alone, so an import can be
+     * re-run safely and never overwrites progress made here.
+     * @param {File} file - Review log
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Plan { fileName, format, reviewCount, cards, unmatched, alreadyReviewed, rowErrors, skipped }
+     */
+    async previewImport(file, userId) {
+        const { format, entries, errors, skipped } = parseReviewLog(await file.text(), file.name);
+        const histories = groupHistories(entries);
+
+        // Resolve identifiers in order of precedence: template ID, external ID, content hash
+        for (const history of histories) {
+            if (history.key.question) {
+                history.key.contentHash = await hashContent(history.key.question);
+            }
+        }
+
+        const byId = new Set((await this.findTemplates('id', histories
+            .map(h => h.key.templateId).filter(Boolean))).map(row => row.id));
+        const byExternalId = new Map((await this.findTemplates('external_id', histories
+            .map(h => h.key.externalId).filter(Boolean))).map(row => [row.external_id, row.id]));
+        const byHash = new Map();
+        (await this.findTemplates('content_hash', histories
+            .map(h => h.key.contentHash).filter(Boolean))).forEach(row => {
+            byHash.set(row.content_hash, [...(byHash.get(row.content_hash) || []), row.id]);
+        });
+
+        const cards = [];
+        const unmatched = [];
+        const claimed = new Map();
+
+        histories.forEach(history => {
+            const { templateId, externalId, contentHash } = history.key;
+            let matchedId = null;
+            let matchedBy = null;
+
+            if (templateId && byId.has(templateId)) {
+                matchedId = templateId;
+                matchedBy = 'card_template_id';
+            } else if (externalId && byExternalId.has(externalId)) {
+                matchedId = byExternalId.get(externalId);
+                matchedBy = 'external_id';
+            } else if (contentHash && byHash.get(contentHash)?.length === 1) {
+                matchedId = byHash.get(contentHash)[0];
+                matchedBy = 'content';
+            }
+
+            if (!matchedId) {
+                const reason = contentHash && byHash.get(contentHash)?.length > 1
+                    ? 'Question matches more than one card'
+                    : 'No matching card';
+                unmatched.push({ sourceId: history.sourceId, reviews: history.reviews.length, reason });
+            } else if (claimed.has(matchedId)) {
+                unmatched.push({ sourceId: history.sourceId, reviews: history.reviews.length, reason: `Same card as source card ${claimed.get(matchedId)}` });
+            } else {
+                claimed.set(matchedId, history.sourceId);
+                cards.push({ templateId: matchedId, matchedBy, sourceId: history.sourceId, reviews: history.reviews });
+            }
+        });
+
+        const scheduled = await this.getScheduledTemplateIds(userId, cards.map(card => card.templateId));
+
+        return {
+            fileName: file.name,
+            format,
+            reviewCount: entries.length,
+            cards: cards.filter(card => !scheduled.has(card.templateId)),
+            unmatched,
+            alreadyReviewed: cards.filter(card => scheduled.has(card.templateId)).length,
+            rowErrors: errors,
+            skipped
+        };
+    }
+
+    /**
+     * Replay the matched histories and write them with import_review_history,
+     * whole cards at a time in calls of about WRITE_BATCH_SIZE reviews. Each
+     * call writes its cards' user_cards rows and reviews in one transaction,
+     * so a failed call leaves its cards untouched for the next run. Cards
+     * that got a schedule or reviews here since the preview are skipped.
+     * @param {Object} plan - Output of previewImport
+     * @param {string} userId - User ID
+     * @param {Function} [onProgress] - Called with (cardsDone, totalCards)
+     * @returns {Promise<{cards: number, reviews: number, skipped: number, failedBatches: Array<{cards: number, error: string}>}>}
+     */
+    async executeImport(plan, userId, onProgress = null) {
+        const supabase = await this.getSupabase();
+        const params = await fsrsParametersService.getUserParameters(userId);
+        const failedBatches = [];
+        let cardsWritten = 0;
+        let reviewsWritten = 0;
+        let skipped = 0;
+        let cardsDone = 0;
+
+        let group = [];
+        let groupReviews = 0;
+        const flush = async () => {
+            if (group.length === 0) return;
+            const { data, error } = await supabase.rpc('import_review_history', {
+                p_cards: group.map(replay => ({
+                    card_template_id: replay.templateId,
+                    card: replay.card,
+                    reviews: replay.reviews
+                }))
+            });
+
+            const failure = error?.message || (data?.success ? null : data?.message || 'Import failed');
+            if (failure) {
+                console.error('Error importing review batch:', error || data);
+                failedBatches.push({ cards: group.length, error: failure });
+            } else {
+                cardsWritten += data.cards;
+                reviewsWritten += data.reviews;
+                skipped += data.skipped.length;
+            }
+            cardsDone += group.length;
+            if (onProgress) onProgress(cardsDone, plan.cards.length);
+            group = [];
+            groupReviews = 0;
+        };
+
+        for (const card of plan.cards) {
+            const replay = { templateId: card.templateId, ...replayReviewHistory(card.reviews, params) };
+            if (groupReviews > 0 && groupReviews + replay.reviews.length > WRITE_BATCH_SIZE) {
+                await flush();
+            }
+            group.push(replay);
+            groupReviews += replay.reviews.length;
+        }
+        await flush();
+
+        console.log(`✅ Imported review history for ${cardsWritten} cards (${reviewsWritten} reviews) from ${plan.fileName}`);
+        return { cards: cardsWritten, reviews: reviewsWritten, skipped, failedBatches };
+    }
+}
+
+// Create and export singleton instance
+const reviewHistoryImportService = new ReviewHistoryImportService();
+
+export default reviewHistoryImportService;
+export {
+    ReviewHistoryImportService,
+    normalizeContent,
+    hashContent,
+    parseReviewLog,
+    groupHistories,
+    replayReviewHistory
+};
@@ -0,0 +1,423 @@
+/**
+ * Rich Text Rendering for card faces
+ * Turns card question/answer text into HTML: a Markdown subset (emphasis,
+ * links, lists, tables, blockquotes, headings), KaTeX math ($...$, $$...$$,
+ * chemistry via \ce{}) and fenced code with highlight.js. User text is always
+ * escaped before any markup is added, and the final HTML passes through an
+ * allowlist sanitizer, so card content can never inject markup of its own.
+ * KaTeX and highlight.js load from the CDN only for cards that need them.
+ */
+
+import { Validator } from './validator.js';
+
+const RICH_TEXT_LIBRARIES = {
+    katex: 'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.js',
+    katexCss: 'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/katex.min.css',
+    mhchem: 'https://cdn.jsdelivr.net/npm/katex@0.16.11/dist/contrib/mhchem.min.js',
+    hljs: 'https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.9.0/highlight.min.js',
+    hljsCss: 'https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.9.0/styles/github-dark.min.css'
+};
+
+// Elements kept by the sanitizer, with the attributes each may carry
+// (beyond GLOBAL_ATTRIBUTES). KaTeX emits the MathML and SVG entries.
+const ALLOWED_TAGS = {
+    p: [], br: [], strong: [], em: [], del: [], code: [], pre: [], span: ['style'], div: [],
+    ul: [], ol: [], li: [], blockquote: [], hr: [], h3: [], h4: [], h5: [], sup: [], sub: [],
+    table: [], thead: [], tbody: [], tr: [], th: [], td: [],
+    a: ['href', 'title'],
+    math: ['xmlns', 'display'], semantics: [], annotation: ['encoding'], mrow: [],
+    mi: ['mathvariant'], mn: ['mathvariant'], mtext: ['mathvariant'], ms: [],
+    mo: ['stretchy', 'fence', 'separator', 'lspace', 'rspace', 'minsize', 'maxsize', 'accent', 'movablelimits'],
+    mspace: ['width'], msup: [], msub: [], msubsup: [], mfrac: ['linethickness'], msqrt: [], mroot: [],
+    mover: ['accent'], munder: ['accentunder'], munderover: [], mstyle: ['scriptlevel', 'displaystyle'],
+    mpadded: ['width', 'height', 'depth', 'lspace', 'voffset'], mphantom: [], menclose: ['notation'],
+    mtable: ['columnalign', 'rowspacing', 'columnspacing', 'rowlines', 'columnlines'], mtr: [], mtd: ['columnalign'],
+    svg: ['xmlns', 'width', 'height', 'viewbox', 'preserveaspectratio', 'style'],
+    path: ['d'], line: ['x1', 'y1', 'x2', 'y2', 'stroke-width']
+};
+const GLOBAL_ATTRIBUTES = ['class', 'aria-hidden'];
+
+// Removed together with their content; any other unknown element is unwrapped
+const DROPPED_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'title', 'foreignobject']);
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+const UNSAFE_STYLE = /url\s*\(|expression\s*\(|@import|javascript:/i;
+
+// Placeholders for already-rendered fragments (NUL never survives input cleanup)
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+// Math delimiters; a backslash-escaped \$ never opens math, and a closing $
+// followed by a digit is a price ($5 and $10), not math
+const DISPLAY_MATH = /(?<!\\)\$\$([\s\S]+?)\$\$/g;
+const INLINE_MATH = /(?<!\\)\$(?=\S)([^$\n]*?[^\s\\])\$(?!\d)/g;
+const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const HORIZONTAL_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+const escape = (text) => Validator.escapeHtml(text);
+
+/**
+ * Render TeX with KaTeX, or show the source when KaTeX is unavailable
+ * @param {string} tex - TeX source
+ * @param {boolean} display - Display mode ($$...$$)
+ * @param {Object|null} katex - KaTeX library
+ * @returns {string} HTML
+ */
+function renderMath(tex, display, katex) {
+    if (katex) {
+        return katex.renderToString(tex, {
+            displayMode: display,
+            throwOnError: false,
+            trust: false,
+            strict: 'ignore'
+        });
+    }
+    return `<code class="math-source">${escape(display ? `$$${tex}$$` : `$${tex}$`)}</code>`;
+}
+
+/**
+ * Render a fenced code block, highlighted when the language is known
+ * @param {string} code - Code
+ * @param {string} language - Fence language (may be empty)
+ * @param {Object|null} hljs - highlight.js library
+ * @returns {string} HTML
+ */
+function renderCodeBlock(code, language, hljs) {
+    const lang = language.toLowerCase();
+    if (hljs && lang && hljs.getLanguage(lang)) {
+        const highlighted = hljs.highlight(code, { language: lang, ignoreIllegals: true }).value;
+        return `<pre><code class="hljs language-${escape(lang)}">${highlighted}</code></pre>`;
+    }
+    return `<pre><code class="hljs">${escape(code)}</code></pre>`;
+}
+
+/**
+ * Render inline Markdown: code spans, math, backslash escapes, links,
+ * bold, italic and strikethrough
+ * @param {string} text - One block of text
+ * @param {Object} renderers - { katex, hljs }
+ * @returns {string} HTML
+ */
+function renderInline(text, renderers) {
+    const fragments = [];
+    const stash = (html) => `\u0000${fragments.push(html) - 1}\u0000`;
+
+    let html = text
+        .replace(/(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g, (_, ticks, code) => stash(`<code>${escape(code)}</code>`))
+        .replace(DISPLAY_MATH, (_, tex) => stash(renderMath(tex.trim(), true, renderers.katex)))
+        .replace(INLINE_MATH, (_, tex) => stash(renderMath(tex, false, renderers.katex)))
+        .replace(/\\([\\`*_~$[\]()#|>-])/g, (_, char) => stash(escape(char)));
+
+    html = escape(html)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => (SAFE_URL.test(href)
+            ? `<a href="${stash(href)}">${label}</a>`
+            : match))
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    return html.replace(PLACEHOLDER, (_, index) => fragments[index]);
+}
+
+/**
+ * Split a table row into cells. Outer pipes are optional; pipes that are
+ * escaped or inside a code span do not split.
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cell text
+ */
+function splitTableRow(line) {
+    const text = line.trim().replace(/^\|/, '');
+    const cells = [];
+    let cell = '';
+    let inCode = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && i + 1 < text.length) {
+            cell += char + text[++i];
+        } else if (char === '`') {
+            inCode = !inCode;
+            cell += char;
+        } else if (char === '|' && !inCode) {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell.trim()) cells.push(cell);
+
+    return cells.map(value => value.trim());
+}
+
+/**
+ * Render a GFM-style table
+ * @param {Array<string>} lines - Header, separator and body rows
+ * @param {Object} renderers - { katex, hljs }
+ * @returns {string} HTML
+ */
+function renderTable(lines, renderers) {
+    const [headerLine, separatorLine, ...bodyLines] = lines;
+    const alignments = splitTableRow(separatorLine).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'align-center';
+        if (cell.endsWith(':')) return 'align-right';
+        return '';
+    });
+    const renderRow = (line, tag) => `<tr>${splitTableRow(line).map((cell, index) => {
+        const align = alignments[index] ? ` class="${alignments[index]}"` : '';
+        return `<${tag}${align}>${renderInline(cell, renderers)}</${tag}>`;
+    }).join('')}</tr>`;
+
+    return `<table><thead>${renderRow(headerLine, 'th')}</thead>`
+        + `<tbody>${bodyLines.map(line => renderRow(line, 'td')).join('')}</tbody></table>`;
+}
+
+/**
+ * Render Markdown to HTML (unsanitized; use renderRichText for display)
+ * @param {string} source - Card text
+ * @param {Object} renderers - { katex, hljs }; missing libraries fall back to plain output
+ * @returns {string} HTML
+ */
+function renderMarkdown(source, renderers = {}) {
+    const lines = String(source ?? '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    const isBlockStart = (line, next) => FENCE.test(line) || /^\s*\$\$/.test(line) || /^\s*#{1,6}\s/.test(line)
+        || LIST_ITEM.test(line) || /^\s*>/.test(line) || HORIZONTAL_RULE.test(line)
+        || (line.includes('|') && next !== undefined && TABLE_SEPARATOR.test(next));
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i++]);
+            }
+            i++;
+            blocks.push(renderCodeBlock(code.join('\n'), fence[2], renderers.hljs));
+            continue;
+        }
+
+        if (/^\s*\$\$/.test(line)) {
+            const trimmed = line.trim();
+            let tex;
+            if (trimmed.length > 4 && trimmed.endsWith('$$')) {
+                tex = trimmed.slice(2, -2);
+                i++;
+            } else {
+                const body = [trimmed.slice(2)];
+                i++;
+                while (i < lines.length && !lines[i].trim().endsWith('$$')) {
+                    body.push(lines[i++]);
+                }
+                if (i < lines.length) body.push(lines[i++].trim().slice(0, -2));
+                tex = body.join('\n');
+            }
+            blocks.push(`<div class="math-display">${renderMath(tex.trim(), true, renderers.katex)}</div>`);
+            continue;
+        }
+
+        const heading = line.match(/^\s*(#{1,6})\s+(.*)$/);
+        if (heading) {
+            // Card faces are small: # to ### map onto h3 to h5
+            const level = Math.min(heading[1].length + 2, 5);
+            blocks.push(`<h${level}>${renderInline(heading[2], renderers)}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (HORIZONTAL_RULE.test(line)) {
+            blocks.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1])) {
+            const table = [line, lines[i + 1]];
+            i += 2;
+            while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                table.push(lines[i++]);
+            }
+            blocks.push(renderTable(table, renderers));
+            continue;
+        }
+
+        if (/^\s*>/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quote.push(lines[i++].replace(/^\s*>\s?/, ''));
+            }
+            blocks.push(`<blockquote>${renderMarkdown(quote.join('\n'), renderers)}</blockquote>`);
+            continue;
+        }
+
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            const ordered = /\d/.test(item[1]);
+            const items = [];
+            while (i < lines.length && lines[i].trim()) {
+                const next = lines[i].match(LIST_ITEM);
+                if (next && /\d/.test(next[1]) === ordered) {
+                    items.push([next[2]]);
+                } else if (!next && items.length > 0 && !isBlockStart(lines[i], lines[i + 1])) {
+                    // Continuation line of the previous item
+                    items[items.length - 1].push(lines[i].trim());
+                } else {
+                    break;
+                }
+                i++;
+            }
+            const tag = ordered ? 'ol' : 'ul';
+            blocks.push(`<${tag}>${items.map(parts => `<li>${parts.map(part => renderInline(part, renderers)).join('<br>')}</li>`).join('')}</${tag}>`);
+            continue;
+        }
+
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i], lines[i + 1]))) {
+            paragraph.push(lines[i++]);
+        }
+        blocks.push(`<p>${paragraph.map(part => renderInline(part, renderers)).join('<br>')}</p>`);
+    }
+
+    return blocks.join('');
+}
+
+/**
+ * Check whether an attribute may stay on an element
+ * @param {string} tag - Lowercase tag name
+ * @param {string} name - Lowercase attribute name
+ * @param {string} value - Attribute value
+ * @returns {boolean}
+ */
+function isAllowedAttribute(tag, name, value) {
+    if (!GLOBAL_ATTRIBUTES.includes(name) && !ALLOWED_TAGS[tag].includes(name)) return false;
+    if (name === 'href') return SAFE_URL.test(value.trim());
+    if (name === 'style') return !UNSAFE_STYLE.test(value);
+    return true;
+}
+
+/**
+ * Remove every element and attribute outside the allowlist, in place
+ * @param {Node} parent - Node whose children are sanitized
+ */
+function sanitizeChildren(parent) {
+    [...parent.childNodes].forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) return;
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+
+        const tag = node.localName.toLowerCase();
+        if (DROPPED_TAGS.has(tag)) {
+            node.remove();
+            return;
+        }
+
+        sanitizeChildren(node);
+        if (!ALLOWED_TAGS[tag]) {
+            node.replaceWith(...node.childNodes);
+            return;
+        }
+
+        [...node.attributes].forEach(attribute => {
+            if (!isAllowedAttribute(tag, attribute.name.toLowerCase(), attribute.value)) {
+                node.removeAttribute(attribute.name);
+            }
+        });
+        if (tag === 'a') {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        }
+    });
+}
+
+/**
+ * Sanitize HTML against the allowlist. Parsing happens in an inert template,
+ * so nothing in the input runs or loads.
+ * @param {string} html - HTML
+ * @returns {string} Sanitized HTML
+ */
+function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeChildren(template.content);
+    return template.innerHTML;
+}
+
+const libraryPromises = new Map();
+
+/**
+ * Load a classic script or stylesheet once
+ * @param {string} url - Library URL
+ * @returns {Promise<void>}
+ */
+function loadLibrary(url) {
+    if (!libraryPromises.has(url)) {
+        libraryPromises.set(url, new Promise((resolve, reject) => {
+            const element = url.endsWith('.css') ? document.createElement('link') : document.createElement('script');
+            if (url.endsWith('.css')) {
+                element.rel = 'stylesheet';
+                element.href = url;
+            } else {
+                element.src = url;
+            }
+            element.onload = () => resolve();
+            element.onerror = () => reject(new Error(`Failed to load ${url}`));
+            document.head.appendChild(element);
+        }));
+    }
+    return libraryPromises.get(url);
+}
+
+/**
+ * Load the renderers a text needs. A failed load only costs the fallback
+ * rendering (TeX source, unhighlighted code).
+ * @param {string} text - Card text
+ * @returns {Promise<Object>} { katex, hljs }
+ */
+async function loadRenderers(text) {
+    const source = String(text ?? '');
+    const loads = [];
+
+    if (source.includes('$')) {
+        loads.push(Promise.all([loadLibrary(RICH_TEXT_LIBRARIES.katexCss), loadLibrary(RICH_TEXT_LIBRARIES.katex)])
+            .then(() => loadLibrary(RICH_TEXT_LIBRARIES.mhchem)));
+    }
+    if (/^\s*(```|~~~)/m.test(source)) {
+        loads.push(Promise.all([loadLibrary(RICH_TEXT_LIBRARIES.hljsCss), loadLibrary(RICH_TEXT_LIBRARIES.hljs)]));
+    }
+
+    const results = await Promise.allSettled(loads);
+    results.filter(result => result.status === 'rejected')
+        .forEach(result => console.warn('⚠️ Rich text renderer unavailable:', result.reason?.message));
+
+    return { katex: window.katex || null, hljs: window.hljs || null };
+}
+
+/**
+ * Render card text to sanitized HTML for display
+ * @param {string} text - Card question or answer
+ * @returns {Promise<string>} Safe HTML
+ */
+async function renderRichText(text) {
+    const renderers = await loadRenderers(text);
+    return sanitizeHtml(renderMarkdown(text, renderers));
+}
+
+export {
+    renderRichText,
+    renderMarkdown,
+    sanitizeHtml
+};
@@ -1,16 +1,22 @@
 // Import required modules
-import { RATING, calculateNextReview, updateStability, updateDifficulty } from './fsrs.js';
+import { RATING, calculateNextReview, updateStability, updateDifficulty, previewRatings } from './fsrs.js';
 import database from './database.js';
 import auth from './auth.js';
 import SessionManager from './sessionManager.js';
 import ServerSessionManager from './serverSessionManager.js';
-import { SESSION_CONFIG } from './config.js';
+import { SESSION_CONFIG, CARD_MEDIA_CONFIG, STUDY_PREFERENCES_DEFAULTS, OFFLINE_CONFIG, CUSTOM_SESSION_CONFIG } from './config.js';
 import NavigationController from './navigation.js';
 import slideMenu from './slideMenu.js';
 import { handleError } from './errorHandler.js';
 import { getSupabaseClient } from './supabase-client.js';
 import { Validator } from './validator.js';
+import { renderRichText } from './richText.js';
+import cardMediaService from './cardMedia.js';
+import { checkTypedAnswer } from './answerCheck.js';
+import { ratingForChoice } from './multipleChoice.js';
 import TimerManager from './timerManager.js';
+import cardScheduleService from './cardSchedule.js';
+import { SHORTCUT_ACTIONS, resolveShortcuts, formatShortcutKey, shortcutActionForEvent } from './keyboardShortcuts.js';
 import './spinner.js'; // Centralized spinner system
 
 // Supabase client instance
@@ -29,6 +35,7 @@ async function checkAndShowAdminNav(userId) {
             .single();
 
         if (!error && profile && profile.user_tier === 'admin') {
+            appState.isAdmin = true;
             const adminNavLink = document.getElementById('admin-nav-link');
             if (adminNavLink) {
                 adminNavLink.classList.remove('hidden');
@@ -88,7 +95,13 @@ const appState = {
     isCompleted: false,      // Track if session is completed
     cardInnerClickHandler: null, // Store reference to card-inner click handler
     forceNewSession: false, // Flag to force new session creation
-    navigationController: null // Navigation controller for hamburger menu
+    navigationController: null, // Navigation controller for hamburger menu
+    fsrsParams: null, // User's FSRS parameters, used for rating interval previews
+    studyPreferences: { ...STUDY_PREFERENCES_DEFAULTS }, // profiles.study_preferences
+    typedAnswer: null, // Result of checking the typed answer for the current card
+    multipleChoice: null, // Chosen option and its rating for the current multiple-choice card
+    keyboardShortcuts: resolveShortcuts(), // action -> key, from study preferences
+    isAdmin: false // Enables the edit shortcut
 };
 
 /**
@@ -584,8 +597,6 @@ async function displayCurrentCard() {
         }
 
     const currentCard = appState.currentCard;
-    // Start timing for active viewing
-    appState.cardTimer.start(); // Track active viewing time
 
     // Robust check for card data
     if (!currentCard || typeof currentCard.cards?.question !== 'string' || typeof currentCard.cards?.answer !== 'string') {
@@ -630,13 +641,34 @@ async function displayCurrentCard() {
     const ratingButtons = document.querySelectorAll('.rating-button');
     const flagCardButton = document.getElementById('flag-overlay-button');
     
+    // Card text is Markdown/math/code rendered to sanitized HTML
+    const [questionHtml, answerHtml] = await Promise.all([
+        renderRichText(currentCard.cards.question),
+        renderRichText(currentCard.cards.answer)
+    ]);
+    const attachments = currentCard.cards.attachments || {};
+    const questionMedia = cardMediaService.renderAttachments(attachments.question);
+    const answerMedia = cardMediaService.renderAttachments(attachments.answer);
+    const choicesHtml = isMultipleChoiceCard() ? await renderChoiceOptions(currentCard.cards.choices) : '';
+
     // Batch content updates
-    const frontContent = `<div class="last-seen-indicator" id="last-seen-front">Last seen: ${Validator.escapeHtml(lastSeenText)}</div><div class="subject-label">${Validator.escapeHtml(subjectName)}</div><p>${Validator.escapeHtml(currentCard.cards.question)}</p>${progressInfo || ''}`;
-    const backContent = `<div class="last-seen-indicator" id="last-seen-back">Last seen: ${Validator.escapeHtml(lastSeenText)}</div><div class="subject-label">${Validator.escapeHtml(subjectName)}</div><p>${Validator.escapeHtml(currentCard.cards.answer)}</p>`;
+    const frontContent = `<div class="last-seen-indicator" id="last-seen-front">Last seen: ${Validator.escapeHtml(lastSeenText)}</div><div class="subject-label">${Validator.escapeHtml(subjectName)}</div><div class="rich-text card-text">${questionHtml}</div>${questionMedia}${choicesHtml}${progressInfo || ''}`;
+    const backContent = `<div class="last-seen-indicator" id="last-seen-back">Last seen: ${Validator.escapeHtml(lastSeenText)}</div><div class="subject-label">${Validator.escapeHtml(subjectName)}</div><div class="rich-text card-text">${answerHtml}</div>${answerMedia}`;
     
     // Update content in one batch
     cardFront.innerHTML = frontContent;
     cardBack.innerHTML = backContent;
+
+    // Using audio controls shouldn't flip the card
+    card.querySelectorAll('.card-media audio').forEach(audio => {
+        audio.addEventListener('click', event => event.stopPropagation());
+    });
+    cardFront.querySelectorAll('.choice-option').forEach(button => {
+        button.addEventListener('click', handleChoice);
+    });
+
+    // Fetch the next card's media while this one is studied
+    preloadUpcomingMedia();
     
     // Reset card state and update UI in one batch
     if (card) {
@@ -653,10 +685,12 @@ async function displayCurrentCard() {
     
     // Batch all button state changes
     if (flipButton && ratingButtonsDiv && controls) {
-        flipButton.classList.remove('hidden');
+        flipButton.classList.toggle('hidden', isTypedAnswerMode() || isMultipleChoiceCard());
         ratingButtonsDiv.classList.add('hidden');
         controls.classList.add('flip-only');
     }
+    resetTypedAnswer();
+    resetMultipleChoice();
     
     // Enable rating buttons
     ratingButtons.forEach(btn => btn.disabled = false);
@@ -665,6 +699,10 @@ async function displayCurrentCard() {
     updateProgress().catch(error => {
         console.warn('Failed to update progress:', error);
     });
+    updateUndoButton();
+    updateCardActionsButton();
+    updateSessionModeBadge();
+    announceQuestion();
     
     // Flag visibility controlled by CSS based on card reveal state now
     
@@ -678,12 +716,33 @@ async function displayCurrentCard() {
     }
 
     showContent(true);
+
+    // Start timing once the card is on screen, not while its text renders
+    appState.cardTimer.start(); // Track active viewing time
     
     } finally {
         displayCurrentCardInProgress = false;
     }
 }
 
+/**
+ * Preload attachments of the next session card(s) in the background
+ */
+function preloadUpcomingMedia() {
+    const manager = appState.sessionManager;
+    if (!manager || typeof manager.getUpcomingCards !== 'function') {
+        return;
+    }
+
+    const upcoming = manager.getUpcomingCards(CARD_MEDIA_CONFIG.PRELOAD_AHEAD)
+        .flatMap(card => [...(card.attachments?.question || []), ...(card.attachments?.answer || [])]);
+    if (upcoming.length > 0) {
+        cardMediaService.preloadAttachments(upcoming).catch(error => {
+            console.warn('Failed to preload card media:', error);
+        });
+    }
+}
+
 /**
  * Handle session completion - submit batch and show appropriate UI
  */
@@ -717,8 +776,13 @@ async function handleSessionComplete() {
             await appState.dbService.submitBatchReviews(sessionData);
         }
         
-        // Clear the session
-        appState.sessionManager.clearSession();
+        // Server sessions stay loaded until the user moves on, so the last
+        // rating can still be undone from the completion screen
+        if (appState.sessionManager instanceof ServerSessionManager) {
+            appState.sessionManager.uncacheSession();
+        } else {
+            appState.sessionManager.clearSession();
+        }
         
         // Clear subject cache to prevent memory leaks
         clearSubjectCache();
@@ -726,6 +790,7 @@ async function handleSessionComplete() {
         // Show completion UI with session data
         showContent(true);
         await showSessionCompleteMessage(sessionData);
+        announce('Session complete.');
         
     } catch (error) {
         console.error('Failed to submit session:', error);
@@ -743,16 +808,28 @@ function generateRatingChart(sessionData) {
         return '<div class="rating-chart"><p>No rating data available</p></div>';
     }
 
-    // Count final ratings for each card (using ratings 1 and 3)
-    const ratingCounts = { 1: 0, 3: 0 };
-    const ratingLabels = { 1: 'Again', 3: 'Known' };
-    const ratingColors = { 1: '#dc3545', 3: '#28a745' };
+    // Count final ratings for each card (flip mode rates 1 and 3; typed-answer
+    // mode uses all four). Multiple-choice cards rate 0 or 2, which flip mode
+    // counts as Again and Known.
+    const typedMode = appState.studyPreferences?.typed_answer === true;
+    const flipBuckets = { 0: 1, 2: 3 };
+    const chartRatings = typedMode ? [0, 1, 2, 3] : [1, 3];
+    const ratingCounts = Object.fromEntries(chartRatings.map(rating => [rating, 0]));
+    const ratingLabels = typedMode
+        ? { 0: 'Again', 1: 'Hard', 2: 'Good', 3: 'Easy' }
+        : { 1: 'Again', 3: 'Known' };
+    const ratingColors = typedMode
+        ? { 0: '#dc3545', 1: '#ffc107', 2: '#28a745', 3: '#007AFF' }
+        : { 1: '#dc3545', 3: '#28a745' };
 
     // Analyze ratings for each card
     for (const [cardId, ratings] of Object.entries(sessionData.ratings)) {
         if (ratings && ratings.length > 0) {
             // Get the final rating for this card (last rating in the array)
-            const finalRating = ratings[ratings.length - 1].rating;
+            let finalRating = ratings[ratings.length - 1].rating;
+            if (!typedMode && flipBuckets[finalRating] !== undefined) {
+                finalRating = flipBuckets[finalRating];
+            }
             if (ratingCounts[finalRating] !== undefined) {
                 ratingCounts[finalRating]++;
             }
@@ -768,7 +845,7 @@ function generateRatingChart(sessionData) {
     // Generate chart HTML
     let chartHTML = '<div class="rating-chart"><h3>Session Ratings</h3>';
     
-    for (const rating of [1, 3]) {
+    for (const rating of chartRatings) {
         const count = ratingCounts[rating];
         const percentage = totalCards > 0 ? (count / totalCards) * 100 : 0;
         const color = ratingColors[rating];
@@ -984,6 +1061,12 @@ async function showSessionCompleteMessage(sessionData) {
     const ratingChart = generateRatingChart(sessionData);
     const scheduleChart = generateReviewScheduleChart(sessionData);
     const reviewSummary = generateReviewSummary(sessionData);
+
+    // The last rating can still be undone until the user moves on
+    const manager = appState.sessionManager;
+    const undoAction = typeof manager?.canUndo === 'function' && manager.canUndo()
+        ? '<button id="completion-undo-button" class="nav-button">↶ Undo last rating</button>'
+        : '';
     
     // Get user tier to show appropriate message
     try {
@@ -1006,6 +1089,7 @@ async function showSessionCompleteMessage(sessionData) {
                                 ${scheduleChart}
                                 ${reviewSummary}
                             </div>
+                            ${undoAction ? `<div class="session-actions">${undoAction}</div>` : ''}
                         </div>
                     </div>
                 `;
@@ -1024,6 +1108,7 @@ async function showSessionCompleteMessage(sessionData) {
                             </div>
                             
                             <div class="session-actions">
+                                ${undoAction}
                                 <button id="new-session-button" class="nav-button">Start New Session</button>
                                 <!-- Phase 1: Deck selection disabled -->
                             </div>
@@ -1076,11 +1161,18 @@ async function showSessionCompleteMessage(sessionData) {
                             ${scheduleChart}
                             ${reviewSummary}
                         </div>
+                        ${undoAction ? `<div class="session-actions">${undoAction}</div>` : ''}
                     </div>
                 </div>
             `;
         }
     }
+
+    document.getElementById('completion-undo-button')?.addEventListener('click', (event) => {
+        event.preventDefault();
+        event.currentTarget.disabled = true;
+        handleUndo();
+    });
 }
 
 /**
@@ -1170,8 +1262,10 @@ async function loadSession() {
         console.log(`  - Is legacy session: ${isLegacySession}`);
         console.log(`  - Should force new session: ${shouldForceNewSession}`);
         
-        // Try to load existing session from storage first (only if session type matches)
-        if (!shouldForceNewSession && appState.sessionManager.loadSession()) {
+        // Try to load existing session from storage first (only if session type matches);
+        // without a connection, continue the session cached on this device
+        if (!shouldForceNewSession && (appState.sessionManager.loadSession() ||
+            await appState.sessionManager.restoreOfflineSession(appState.user.id, appState.dbService))) {
             console.log(`💾 Found existing session in storage`);
             // Session loaded from storage, get current card
             appState.currentCard = appState.sessionManager.getCurrentCard();
@@ -1230,10 +1324,20 @@ async function loadSession() {
         const urlParams = new URLSearchParams(window.location.search);
         const subjectPath = urlParams.get('subject');
         const deckId = urlParams.get('deck');
+        const mode = urlParams.get('mode');
 
-        // Deck-specific sessions take priority over subject filtering
+        // Custom sessions (from deck selection) come first, then deck-specific
+        // sessions take priority over subject filtering
         let sessionOptions = {};
-        if (deckId) {
+        if (mode && CUSTOM_SESSION_CONFIG.TYPES[mode]) {
+            sessionOptions = {
+                mode,
+                path: urlParams.get('path'),
+                daysAhead: Number(urlParams.get('days')) || null,
+                tags: (urlParams.get('tags') || '').split(',').map(tag => tag.trim()).filter(Boolean)
+            };
+            console.log(`🎯 Creating ${mode} session`, sessionOptions);
+        } else if (deckId) {
             sessionOptions = { deckId };
             console.log(`🎯 Creating deck-specific session for deck: ${deckId}`);
         } else if (subjectPath) {
@@ -1246,8 +1350,12 @@ async function loadSession() {
             
             // Phase 6: Shuffle and finalize session order if newly created
             if (appState.sessionManager.sessionData?.status === 'created') {
-                console.log('🔀 New session created - shuffling and finalizing order');
-                await appState.sessionManager.shuffleAndFinalize(true);
+                console.log('🔀 New session created - ordering and finalizing');
+                await appState.sessionManager.shuffleAndFinalize(true, {
+                    strategy: appState.studyPreferences.session_order,
+                    newCards: appState.studyPreferences.new_card_order,
+                    separateRelated: appState.studyPreferences.separate_related === true
+                });
                 console.log('✅ Session order finalized');
             } else if (appState.sessionManager.sessionData?.status === 'active') {
                 console.log('📋 Resuming active session with existing order');
@@ -1396,12 +1504,21 @@ async function initializeApp() {
 
         // Initialize FSRS parameters for the user
         try {
-            await database.getUserFSRSParameters(user.id);
+            appState.fsrsParams = await database.getUserFSRSParameters(user.id);
         } catch (error) {
             console.error('Error initializing FSRS parameters:', error);
             // Continue even if FSRS parameter initialization fails
         }
 
+        // Load study preferences (typed-answer mode, ...)
+        try {
+            appState.studyPreferences = await auth.getStudyPreferences();
+            appState.keyboardShortcuts = resolveShortcuts(appState.studyPreferences.keyboard_shortcuts);
+        } catch (error) {
+            console.error('Error loading study preferences:', error);
+            // Continue with the defaults
+        }
+
         // Initialize streak UI for milestone notifications only
         try {
             const { default: streakUI } = await import('./streakUI.js');
@@ -1423,6 +1540,10 @@ async function initializeApp() {
 
         // Set up event listeners first
         setupEventListeners();
+        setupOfflineSupport();
+        setupKeyboardShortcuts();
+        setupCardActions();
+        appState.sessionManager.onLeech = showLeechNotice;
         
         // Load session (this will handle its own state transitions)
         await loadSession();
@@ -1432,6 +1553,89 @@ async function initializeApp() {
     }
 }
 
+/**
+ * Register the service worker that keeps the app shell available offline
+ * and show ratings that are waiting to sync
+ */
+function setupOfflineSupport() {
+    appState.sessionManager.onSyncStatusChange = updateSyncBadge;
+    appState.sessionManager.onSyncFailed = showSyncFailedNotice;
+    updateSyncBadge({
+        pending: appState.sessionManager.pendingReviewCount,
+        failed: appState.sessionManager.failedReviewCount,
+        offline: !navigator.onLine
+    });
+    document.getElementById('sync-badge')?.addEventListener('click', handleFailedReviews);
+
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.register(OFFLINE_CONFIG.SERVICE_WORKER_URL)
+        .then(() => navigator.serviceWorker.ready)
+        .then(registration => {
+            // Files loaded before the worker took control aren't cached yet
+            const urls = performance.getEntriesByType('resource').map(entry => entry.name);
+            registration.active?.postMessage({ type: 'CACHE_URLS', urls: [window.location.href, ...urls] });
+        })
+        .catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+}
+
+/**
+ * Show whether the app is offline, how many ratings are waiting to sync and
+ * how many the server turned down (clicking the badge handles those)
+ * @param {{pending: number, failed: number, offline: boolean}} status - Sync status
+ */
+function updateSyncBadge({ pending, failed = 0, offline }) {
+    const badge = document.getElementById('sync-badge');
+    if (!badge) return;
+
+    const count = n => `${n} review${n === 1 ? '' : 's'}`;
+    let text = '';
+    if (offline) {
+        text = pending > 0 ? `Offline · ${count(pending)} waiting to sync` : 'Offline';
+    } else if (pending > 0) {
+        text = `Syncing ${count(pending)}...`;
+    }
+    if (failed > 0) {
+        text = `${text ? `${text} · ` : ''}${count(failed)} not saved`;
+    }
+
+    badge.textContent = text;
+    badge.classList.toggle('hidden', !text);
+    badge.classList.toggle('sync-badge-offline', offline);
+    badge.classList.toggle('sync-badge-failed', failed > 0);
+    badge.title = failed > 0 ? 'Click to retry or discard the ratings that were not saved' : '';
+}
+
+/**
+ * Tell the user queued ratings were turned down by the server
+ * @param {{count: number, reasons: Array<string>}} failure - Sync failure
+ */
+function showSyncFailedNotice({ count, reasons }) {
+    const message = `${count} offline rating${count === 1 ? ' was' : 's were'} not saved: ${reasons.join('; ')}. ` +
+        'They are kept on this device; click the sync badge to retry or discard them.';
+    window.streakUI?.showToast(message, 'error');
+    announce(message);
+}
+
+/**
+ * Retry or discard the ratings the server turned down
+ */
+async function handleFailedReviews() {
+    const manager = appState.sessionManager;
+    const failed = await manager.getFailedReviews();
+    if (failed.length === 0) return;
+
+    const reasons = [...new Set(failed.map(review => review.failure.message || review.failure.error))];
+    const summary = `${failed.length} rating${failed.length === 1 ? '' : 's'} made offline could not be saved (${reasons.join('; ')}).`;
+    if (confirm(`${summary}\n\nTry sending ${failed.length === 1 ? 'it' : 'them'} again?`)) {
+        await manager.retryFailedReviews();
+    } else if (confirm(`Discard ${failed.length === 1 ? 'this rating' : 'these ratings'}? This cannot be undone.`)) {
+        await manager.discardFailedReviews();
+    }
+}
+
 // Debounce utility
 function debounce(fn, delay) {
     let timeout;
@@ -1451,7 +1655,12 @@ function setupEventListeners() {
     const cardInner = document.querySelector('.card-inner');
     const flagCardButton = document.getElementById('flag-overlay-button');
     const primaryControls = document.querySelector('.primary-controls');
-
+    const typedAnswerForm = document.getElementById('typed-answer-form');
+    const typedRatingButtons = document.getElementById('typed-rating-buttons');
+    const choiceRatingButtons = document.getElementById('choice-rating-buttons');
+    const undoButton = document.getElementById('undo-button');
+    const cardActionsButton = document.getElementById('card-actions-button');
+    const card = document.querySelector('.card');
 
     // Add event listeners
     if (flipButton) {
@@ -1467,9 +1676,33 @@ function setupEventListeners() {
             btn.addEventListener('click', debounce(handleRating, 200));
         });
     }
+    if (typedAnswerForm) {
+        typedAnswerForm.addEventListener('submit', handleTypedAnswerSubmit);
+    }
+    if (typedRatingButtons) {
+        typedRatingButtons.querySelectorAll('.rating-button').forEach(btn => {
+            btn.addEventListener('click', debounce(handleRating, 200));
+        });
+    }
+    if (choiceRatingButtons) {
+        choiceRatingButtons.querySelectorAll('.rating-button').forEach(btn => {
+            btn.addEventListener('click', debounce(handleRating, 200));
+        });
+    }
     if (flagCardButton) {
         flagCardButton.addEventListener('click', handleFlagCard);
     }
+    if (undoButton) {
+        undoButton.addEventListener('click', handleUndo);
+    }
+    if (cardActionsButton) {
+        cardActionsButton.addEventListener('click', openCardActions);
+    }
+    if (card) {
+        // Keep screen readers on the face that is showing
+        new MutationObserver(() => syncCardFaces(card)).observe(card, { attributes: true, attributeFilter: ['class'] });
+        syncCardFaces(card);
+    }
     // Add retry and logout handlers
     if (retryButton) {
         retryButton.addEventListener('click', loadSession);
@@ -1638,11 +1871,30 @@ function handleFlip() {
         return;
     }
 
+    // Multiple-choice cards are revealed by choosing an option
+    if (isMultipleChoiceCard()) {
+        if (appState.multipleChoice) {
+            card.classList.toggle('revealed');
+        }
+        return;
+    }
+
+    // Typed-answer mode reveals the card by checking the answer
+    if (isTypedAnswerMode()) {
+        if (appState.typedAnswer) {
+            card.classList.toggle('revealed');
+        } else {
+            document.getElementById('typed-answer-input')?.focus();
+        }
+        return;
+    }
+
     card.classList.toggle('revealed');
     
     // Flag overlay visibility is controlled by CSS based on card reveal state
     if (card.classList.contains('revealed')) {
         // Show rating buttons, hide flip button
+        updateRatingPreviews();
         ratingButtons.classList.remove('hidden');
         flipButton.classList.add('hidden');
         controls.classList.remove('flip-only');
@@ -1654,12 +1906,219 @@ function handleFlip() {
     }
 }
 
+/**
+ * Label each rating button with the interval it would schedule for the
+ * current card, using the same scheduleCard() math as record_review
+ */
+function updateRatingPreviews() {
+    let preview = null;
+    try {
+        preview = previewRatings(appState.currentCard, new Date(), appState.fsrsParams || undefined);
+    } catch (error) {
+        console.warn('Failed to preview rating intervals:', error);
+    }
+
+    document.querySelectorAll('.rating-button').forEach(btn => {
+        let label = btn.querySelector('.rating-interval');
+        const outcome = preview?.[parseInt(btn.dataset.rating)];
+        if (!outcome) {
+            if (label) label.remove();
+            return;
+        }
+        if (!label) {
+            label = document.createElement('span');
+            label.className = 'rating-interval';
+            btn.appendChild(label);
+        }
+        label.textContent = formatInterval(outcome.scheduled_days);
+    });
+}
+
+/**
+ * Whether the user types answers before flipping
+ * @returns {boolean}
+ */
+function isTypedAnswerMode() {
+    return appState.studyPreferences?.typed_answer === true && !isMultipleChoiceCard();
+}
+
+/**
+ * Prepare the typed-answer controls for a new card
+ */
+function resetTypedAnswer() {
+    appState.typedAnswer = null;
+    hideTypedAnswerControls();
+    if (!isTypedAnswerMode()) return;
+
+    const form = document.getElementById('typed-answer-form');
+    const input = document.getElementById('typed-answer-input');
+    form?.classList.remove('hidden');
+    if (input) {
+        input.value = '';
+        input.disabled = false;
+        input.focus();
+    }
+}
+
+/**
+ * Hide the typed-answer form and its rating buttons
+ */
+function hideTypedAnswerControls() {
+    document.getElementById('typed-answer-form')?.classList.add('hidden');
+    const typedRatingButtons = document.getElementById('typed-rating-buttons');
+    if (typedRatingButtons) {
+        typedRatingButtons.classList.add('hidden');
+        typedRatingButtons.querySelectorAll('.rating-button').forEach(btn => btn.classList.remove('suggested'));
+    }
+}
+
+/**
+ * Check the typed answer, show the diff on the back of the card and
+ * suggest a rating. Response time is measured up to this point.
+ * @param {Event} event - Form submit event
+ */
+function handleTypedAnswerSubmit(event) {
+    event.preventDefault();
+    if (appState.isCompleted || !appState.currentCard || appState.typedAnswer) return;
+
+    const input = document.getElementById('typed-answer-input');
+    const card = document.querySelector('.card');
+    const cardBack = document.querySelector('.card-back');
+    const controls = document.querySelector('.controls');
+    const typedRatingButtons = document.getElementById('typed-rating-buttons');
+    if (!input || !card || !cardBack || !typedRatingButtons) return;
+
+    const typed = input.value;
+    const result = checkTypedAnswer(typed, appState.currentCard.cards.answer, {
+        ignoreCase: appState.studyPreferences.typed_answer_ignore_case,
+        ignoreAccents: appState.studyPreferences.typed_answer_ignore_accents
+    });
+    appState.typedAnswer = { ...result, typed, responseTime: appState.cardTimer.stop() };
+
+    cardBack.insertAdjacentHTML('beforeend', renderTypedAnswerResult(appState.typedAnswer));
+    card.classList.add('revealed');
+
+    input.disabled = true;
+    document.getElementById('typed-answer-form')?.classList.add('hidden');
+    controls?.classList.remove('flip-only');
+    updateRatingPreviews();
+    typedRatingButtons.classList.remove('hidden');
+
+    // Highlight the suggestion; Enter accepts it, any other button overrides it
+    const suggested = typedRatingButtons.querySelector(`.rating-button[data-rating="${result.suggestedRating}"]`);
+    if (suggested) {
+        suggested.classList.add('suggested');
+        suggested.focus();
+    }
+}
+
+/**
+ * HTML for the typed-answer verdict and character diff
+ * @param {Object} result - Output of checkTypedAnswer plus `typed`
+ * @returns {string} HTML
+ */
+function renderTypedAnswerResult(result) {
+    const verdicts = { exact: 'Correct', typo: 'Almost - minor typo', wrong: 'Not quite' };
+
+    let detail;
+    if (!result.typed.trim()) {
+        detail = '<div class="typed-answer-diff">No answer typed.</div>';
+    } else if (result.diff) {
+        detail = `<div class="typed-answer-diff">${result.diff
+            .map(part => `<span class="diff-${part.type}">${Validator.escapeHtml(part.text)}</span>`)
+            .join('')}</div>`;
+    } else {
+        detail = `<div class="typed-answer-diff">You typed: ${Validator.escapeHtml(result.typed)}</div>`;
+    }
+
+    return `<div class="typed-answer-result typed-answer-${result.verdict}"><div class="typed-answer-verdict">${verdicts[result.verdict]}</div>${detail}</div>`;
+}
+
+/**
+ * Whether the current card is answered by picking an option
+ * @returns {boolean}
+ */
+function isMultipleChoiceCard() {
+    return Array.isArray(appState.currentCard?.cards?.choices);
+}
+
+/**
+ * HTML for a multiple-choice card's options
+ * @param {Array<{text: string, correct: boolean}>} choices - Options in display order
+ * @returns {Promise<string>} HTML
+ */
+async function renderChoiceOptions(choices) {
+    const optionsHtml = await Promise.all(choices.map(choice => renderRichText(choice.text)));
+    return `<div class="choice-options">${optionsHtml
+        .map((html, index) => `<button type="button" class="choice-option" data-choice="${index}"><span class="rich-text">${html}</span></button>`)
+        .join('')}</div>`;
+}
+
+/**
+ * Prepare the multiple-choice controls for a new card
+ */
+function resetMultipleChoice() {
+    appState.multipleChoice = null;
+    hideChoiceControls();
+}
+
+/**
+ * Hide the button that records a multiple-choice result
+ */
+function hideChoiceControls() {
+    document.getElementById('choice-rating-buttons')?.classList.add('hidden');
+}
+
+/**
+ * Grade the chosen option, mark the correct one and offer to record the
+ * result. Only the first choice counts; response time is measured up to it.
+ * @param {Event} event - Option click event
+ */
+function handleChoice(event) {
+    // Choosing shouldn't also flip the card
+    event.stopPropagation();
+    if (appState.isCompleted || !isMultipleChoiceCard() || appState.multipleChoice) return;
+
+    const button = event.currentTarget;
+    const choices = appState.currentCard.cards.choices;
+    const chosen = choices[parseInt(button.dataset.choice)];
+    if (!chosen) return;
+
+    const rating = ratingForChoice(chosen.correct);
+    appState.multipleChoice = { correct: chosen.correct, rating, responseTime: appState.cardTimer.stop() };
+
+    document.querySelectorAll('.choice-option').forEach(option => {
+        const choice = choices[parseInt(option.dataset.choice)];
+        option.disabled = true;
+        option.classList.toggle('choice-correct', choice.correct);
+        option.classList.toggle('choice-wrong', option === button && !choice.correct);
+    });
+
+    const card = document.querySelector('.card');
+    const cardBack = document.querySelector('.card-back');
+    const controls = document.querySelector('.controls');
+    const choiceRatingButtons = document.getElementById('choice-rating-buttons');
+    const continueButton = document.getElementById('choice-continue');
+    if (!card || !cardBack || !choiceRatingButtons || !continueButton) return;
+
+    cardBack.insertAdjacentHTML('beforeend', `<div class="choice-result ${chosen.correct ? 'choice-result-correct' : 'choice-result-wrong'}">${chosen.correct ? 'Correct' : 'Not quite'}</div>`);
+    card.classList.add('revealed');
+
+    continueButton.dataset.rating = String(rating);
+    continueButton.textContent = chosen.correct ? 'Continue (Good)' : 'Continue (Again)';
+    continueButton.classList.toggle('rating-good', chosen.correct);
+    continueButton.classList.toggle('rating-again', !chosen.correct);
+    controls?.classList.remove('flip-only');
+    choiceRatingButtons.classList.remove('hidden');
+    continueButton.focus();
+}
+
 async function handleRating(event) {
-    const button = event.target;
+    const button = event.target.closest('.rating-button') || event.target;
     const rating = parseInt(button.dataset.rating);
     
     try {
-        if (!rating || !appState.currentCard) return;
+        if (Number.isNaN(rating) || !appState.currentCard) return;
 
         // Defensive logging for card_template_id and user_id
         const cardId = appState.currentCard.card_template_id;
@@ -1672,7 +2131,7 @@ async function handleRating(event) {
 
         // Disable rating buttons while processing (visual feedback)
         const ratingButtons = document.querySelectorAll('.rating-button');
-        const ratingButtonsContainer = document.getElementById('rating-buttons');
+        const ratingButtonsContainer = button.closest('.rating-buttons');
         const flagCardButton = document.getElementById('flag-overlay-button');
         
         // Use CSS class for better performance and visual feedback
@@ -1682,8 +2141,9 @@ async function handleRating(event) {
         ratingButtons.forEach(btn => btn.disabled = true);
         if (flagCardButton) flagCardButton.disabled = true;
 
-        // Get active viewing time from timer
-        const responseTime = appState.cardTimer.stop();
+        // Get active viewing time from timer (typed answers and choices stop it when submitted)
+        const answered = appState.typedAnswer || appState.multipleChoice;
+        const responseTime = answered ? answered.responseTime : appState.cardTimer.stop();
 
         // Record the rating using server-side session manager
         try {
@@ -1703,6 +2163,7 @@ async function handleRating(event) {
 
         // Increment session reviewed count
         appState.sessionReviewedCount++;
+        announce(`Rated ${ratingButtonLabel(button)}.`);
         
         // Track milestone for cards reviewed (only for ratings 1, 2, 3 - Hard/Good/Easy) - non-blocking
         if (rating >= 1 && typeof window.streakUI !== 'undefined') {
@@ -1773,7 +2234,7 @@ async function handleRating(event) {
         
         // Re-enable rating buttons on error
         const ratingButtons = document.querySelectorAll('.rating-button');
-        const ratingButtonsContainer = document.getElementById('rating-buttons');
+        const ratingButtonsContainer = button.closest('.rating-buttons');
         
         if (ratingButtonsContainer) {
             ratingButtonsContainer.classList.remove('processing');
@@ -1782,6 +2243,448 @@ async function handleRating(event) {
     }
 }
 
+/**
+ * Show the Undo button while the session has a rating that can be undone
+ */
+function updateUndoButton() {
+    const undoButton = document.getElementById('undo-button');
+    if (!undoButton) return;
+
+    const manager = appState.sessionManager;
+    const canUndo = !appState.isCompleted && typeof manager?.canUndo === 'function' && manager.canUndo();
+    undoButton.classList.toggle('hidden', !canUndo);
+    undoButton.disabled = false;
+    undoButton.title = `Undo last rating (${formatShortcutKey(appState.keyboardShortcuts.undo)})`;
+}
+
+/**
+ * Undo the last rating and show its card again
+ */
+async function handleUndo() {
+    const manager = appState.sessionManager;
+    if (typeof manager?.canUndo !== 'function' || !manager.canUndo()) return;
+    // Wait for a rating that is still being saved
+    if (document.querySelector('.rating-buttons.processing')) return;
+
+    const undoButton = document.getElementById('undo-button');
+    if (undoButton) undoButton.disabled = true;
+
+    try {
+        if (!(await manager.undoLastRating())) return;
+
+        appState.sessionReviewedCount = Math.max(appState.sessionReviewedCount - 1, 0);
+        announce('Rating undone.');
+        appState.currentCard = manager.getCurrentCard();
+        if (appState.currentCard) {
+            if (appState.isCompleted) {
+                // Back from the completion screen to the last card
+                appState.isCompleted = false;
+                restoreCardStructure();
+            }
+            await displayCurrentCard();
+        }
+    } catch (error) {
+        console.error('Error undoing rating:', error);
+        alert(error.message || 'Failed to undo your last rating. Please try again.');
+        const completionUndoButton = document.getElementById('completion-undo-button');
+        if (completionUndoButton) completionUndoButton.disabled = false;
+    } finally {
+        updateUndoButton();
+    }
+}
+
+/**
+ * Wire up the card actions dialog (it sits outside #content, so once)
+ */
+function setupCardActions() {
+    const modal = document.getElementById('card-actions-modal');
+    const dueForm = document.getElementById('card-due-form');
+    if (!modal) return;
+
+    document.getElementById('card-actions-close')?.addEventListener('click', closeCardActions);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeCardActions();
+    });
+    modal.querySelectorAll('[data-card-action]').forEach(button => {
+        button.addEventListener('click', () => handleCardAction(button.dataset.cardAction));
+    });
+    dueForm?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleCardAction('due', document.getElementById('card-due-date')?.value);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && !modal.classList.contains('hidden')) {
+            closeCardActions();
+        }
+    });
+}
+
+/**
+ * Tell the user a card they just rated has become a leech
+ * @param {Object} leech - { cardTemplateId, lapses, suspended }
+ */
+function showLeechNotice({ lapses, suspended }) {
+    const message = suspended
+        ? `Leech: you have forgotten this card ${lapses} times, so it has been suspended. Unsuspend it on the Cards page.`
+        : `Leech: you have forgotten this card ${lapses} times. Consider rewriting or suspending it.`;
+    window.streakUI?.showToast(message, 'info');
+    announce(message);
+}
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toDateInputValue(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Show the card actions button while a card is being studied in a server
+ * session (the actions change the user's schedule, so they need one)
+ */
+function updateCardActionsButton() {
+    const button = document.getElementById('card-actions-button');
+    if (!button) return;
+    const manager = appState.sessionManager;
+    button.classList.toggle('hidden', appState.isCompleted || typeof manager?.removeCurrentCard !== 'function');
+}
+
+/**
+ * Label custom study sessions, and say when their ratings leave the
+ * schedule unchanged (cram)
+ */
+function updateSessionModeBadge() {
+    const badge = document.getElementById('session-mode-badge');
+    if (!badge) return;
+    const mode = appState.sessionManager?.getSessionMode?.();
+    const type = mode ? CUSTOM_SESSION_CONFIG.TYPES[mode] : null;
+    badge.classList.toggle('hidden', !type || appState.isCompleted);
+    if (!type) return;
+
+    badge.textContent = type.updatesSchedule ? type.label : `${type.label} · schedule unchanged`;
+    badge.title = type.description;
+}
+
+/**
+ * Open the bury / suspend / reset / set due date dialog for the current card
+ */
+function openCardActions() {
+    if (appState.isCompleted || !appState.currentCard) return;
+
+    const modal = document.getElementById('card-actions-modal');
+    const dueInput = document.getElementById('card-due-date');
+    if (!modal) return;
+
+    // Cards never studied have no schedule to reset or move
+    const isNew = (appState.currentCard.state || 'new') === 'new';
+    modal.querySelector('[data-card-action="reset"]')?.classList.toggle('hidden', isNew);
+    document.getElementById('card-due-form')?.classList.toggle('hidden', isNew);
+
+    if (dueInput) {
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        dueInput.min = toDateInputValue(new Date());
+        dueInput.value = toDateInputValue(tomorrow);
+    }
+
+    modal.classList.remove('hidden');
+    modal.querySelector('[data-card-action="bury"]')?.focus();
+}
+
+function closeCardActions() {
+    document.getElementById('card-actions-modal')?.classList.add('hidden');
+}
+
+/**
+ * Apply a card action to the current card and move on to the next card
+ * @param {string} action - 'bury', 'suspend', 'reset' or 'due'
+ * @param {string} [dueDate] - YYYY-MM-DD for 'due'
+ */
+async function handleCardAction(action, dueDate) {
+    const cardId = appState.currentCard?.card_template_id;
+    const manager = appState.sessionManager;
+    if (!cardId || appState.isCompleted || typeof manager?.removeCurrentCard !== 'function') return;
+
+    if (!navigator.onLine) {
+        alert('Card actions need a connection. Please try again when you are back online.');
+        return;
+    }
+    if (action === 'reset' && !confirm('Reset this card to new? Its review schedule will be forgotten.')) {
+        return;
+    }
+
+    const modal = document.getElementById('card-actions-modal');
+    const controls = modal ? modal.querySelectorAll('button, input') : [];
+    controls.forEach(control => control.disabled = true);
+
+    try {
+        let message;
+        let leavesSession = true;
+        if (action === 'bury') {
+            await cardScheduleService.buryCard(cardId);
+            message = 'Card buried until tomorrow.';
+        } else if (action === 'suspend') {
+            await cardScheduleService.suspendCard(cardId);
+            message = 'Card suspended.';
+        } else if (action === 'reset') {
+            await cardScheduleService.resetCard(cardId);
+            message = 'Card reset to new.';
+        } else if (action === 'due') {
+            const result = await cardScheduleService.setDueDate(cardId, dueDate);
+            // A due date of today keeps the card in this session
+            leavesSession = new Date(result.due_at) > new Date();
+            message = `Card moved to ${new Date(result.due_at).toLocaleDateString()}.`;
+        } else {
+            return;
+        }
+
+        closeCardActions();
+        announce(message);
+
+        if (!leavesSession) return;
+        await manager.removeCurrentCard();
+        if (manager.isSessionComplete()) {
+            await handleSessionComplete();
+            return;
+        }
+
+        appState.currentCard = manager.getCurrentCard();
+        if (appState.currentCard) {
+            await displayCurrentCard();
+        }
+    } catch (error) {
+        console.error(`Error applying card action ${action}:`, error);
+        alert(error.message || 'Failed to update the card. Please try again.');
+    } finally {
+        controls.forEach(control => control.disabled = false);
+    }
+}
+
+// Element focused before the help overlay opened
+let shortcutHelpReturnFocus = null;
+
+/**
+ * Keyboard layer for the study page, using the bindings from the user's
+ * study preferences. Registered once: setupEventListeners runs again
+ * whenever the card markup is rebuilt.
+ */
+function setupKeyboardShortcuts() {
+    document.addEventListener('keydown', handleShortcutKey);
+
+    const helpModal = document.getElementById('shortcut-help-modal');
+    document.getElementById('shortcut-help-close')?.addEventListener('click', () => toggleShortcutHelp(false));
+    helpModal?.addEventListener('click', (e) => {
+        if (e.target === helpModal) toggleShortcutHelp(false);
+    });
+}
+
+/**
+ * Run the study action bound to a key (see shortcutActionForEvent)
+ * @param {KeyboardEvent} e - keydown event
+ */
+function handleShortcutKey(e) {
+    const action = shortcutActionForEvent(e, appState.keyboardShortcuts, {
+        helpOpen: isShortcutHelpOpen(),
+        // The flag and card action dialogs have their own keys
+        dialogOpen: Boolean(document.querySelector('.modal:not(.hidden)'))
+    });
+    if (!action) return;
+
+    if (action === 'close_help') {
+        e.preventDefault();
+        toggleShortcutHelp(false);
+        return;
+    }
+
+    // Ctrl/Cmd+Z undoes on any screen
+    if (action === 'undo' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        handleUndo();
+        return;
+    }
+
+    if (runShortcutAction(action)) {
+        e.preventDefault();
+    }
+}
+
+/**
+ * @param {string} action - Shortcut action
+ * @returns {boolean} Whether the key was used (and its default should be prevented)
+ */
+function runShortcutAction(action) {
+    if (action === 'help') {
+        toggleShortcutHelp(true);
+        return true;
+    }
+
+    // Outside a card (completion and limit screens) keys keep their normal meaning
+    if (appState.isCompleted || !appState.currentCard) return false;
+
+    switch (action) {
+        case 'flip':
+            handleFlip();
+            return true;
+        case 'undo':
+            handleUndo();
+            return true;
+        case 'flag':
+            handleFlagCard();
+            return true;
+        case 'edit':
+            if (!appState.isAdmin) return false;
+            openCardInAdmin();
+            return true;
+        default:
+            return action.startsWith('rate_') && pressRatingShortcut(parseInt(action.slice('rate_'.length)));
+    }
+}
+
+/**
+ * Press the Nth visible rating button, or pick the Nth option of an
+ * unanswered multiple-choice card
+ * @param {number} position - 1-based position
+ * @returns {boolean} Whether a button was pressed
+ */
+function pressRatingShortcut(position) {
+    let buttons;
+    if (isMultipleChoiceCard() && !appState.multipleChoice) {
+        buttons = document.querySelectorAll('.card-front .choice-option');
+    } else {
+        const container = document.querySelector('.rating-buttons:not(.hidden):not(.processing)');
+        buttons = container ? container.querySelectorAll('.rating-button') : [];
+    }
+
+    const button = buttons[position - 1];
+    if (!button || button.disabled) return false;
+    button.click();
+    return true;
+}
+
+/**
+ * Open the current card in the admin card search (in a new tab, so the
+ * session stays open)
+ */
+function openCardInAdmin() {
+    const cardId = appState.currentCard?.card_template_id;
+    if (!cardId) return;
+    window.open(`${getBaseUrl()}admin.html?card=${encodeURIComponent(cardId)}`, '_blank', 'noopener');
+}
+
+/**
+ * @returns {boolean} Whether the shortcut help overlay is showing
+ */
+function isShortcutHelpOpen() {
+    const modal = document.getElementById('shortcut-help-modal');
+    return Boolean(modal && !modal.classList.contains('hidden'));
+}
+
+/**
+ * Show or hide the list of keyboard shortcuts
+ * @param {boolean} show - Whether to show it
+ */
+function toggleShortcutHelp(show) {
+    const modal = document.getElementById('shortcut-help-modal');
+    const list = document.getElementById('shortcut-help-list');
+    if (!modal || !list) return;
+
+    if (show) {
+        list.innerHTML = SHORTCUT_ACTIONS
+            .filter(({ action }) => action !== 'edit' || appState.isAdmin)
+            .map(({ action, label }) => `<dt><kbd>${Validator.escapeHtml(formatShortcutKey(appState.keyboardShortcuts[action]))}</kbd></dt><dd>${Validator.escapeHtml(label)}</dd>`)
+            .join('');
+        shortcutHelpReturnFocus = document.activeElement;
+        modal.classList.remove('hidden');
+        document.getElementById('shortcut-help-close')?.focus();
+    } else {
+        modal.classList.add('hidden');
+        shortcutHelpReturnFocus?.focus?.();
+        shortcutHelpReturnFocus = null;
+    }
+}
+
+// Messages announced close together are read out as one, so "Rated Good."
+// isn't cut off by the next question
+const ANNOUNCE_DELAY_MS = 150;
+let pendingAnnouncements = [];
+let announceTimer = null;
+
+/**
+ * Read a message out to screen readers (polite live region)
+ * @param {string} message - Text to announce
+ */
+function announce(message) {
+    if (!message) return;
+    pendingAnnouncements.push(message);
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+        const announcer = document.getElementById('sr-announcer');
+        if (announcer) announcer.textContent = pendingAnnouncements.join(' ');
+        pendingAnnouncements = [];
+    }, ANNOUNCE_DELAY_MS);
+}
+
+/**
+ * Readable text of a card face: the card text and any answer verdict
+ * @param {Element|null} face - .card-front or .card-back
+ * @returns {string} Text
+ */
+function cardFaceText(face) {
+    if (!face) return '';
+    return [...face.querySelectorAll('.card-text, .typed-answer-verdict, .choice-result')]
+        .map(element => element.textContent.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('. ');
+}
+
+/**
+ * Announce the current card's question (and options)
+ */
+function announceQuestion() {
+    let message = `Question: ${cardFaceText(document.querySelector('.card-front'))}`;
+    const options = document.querySelectorAll('.card-front .choice-option');
+    if (options.length > 0) {
+        message += `. Options: ${[...options].map((option, index) => `${index + 1}: ${option.textContent.trim()}`).join('; ')}`;
+    }
+    announce(message);
+}
+
+/**
+ * Hide the face that isn't showing from screen readers, and read out the
+ * answer when the card is revealed
+ * @param {Element} card - .card element
+ */
+function syncCardFaces(card) {
+    const revealed = card.classList.contains('revealed');
+    const back = card.querySelector('.card-back');
+    card.querySelector('.card-front')?.setAttribute('aria-hidden', String(revealed));
+    back?.setAttribute('aria-hidden', String(!revealed));
+
+    const face = revealed ? 'back' : 'front';
+    if (card.dataset.face === face) return;
+    card.dataset.face = face;
+    if (revealed && !appState.isCompleted) {
+        announce(`Answer: ${cardFaceText(back)}`);
+    }
+}
+
+/**
+ * Name of a rating button without its interval preview ("Good")
+ * @param {Element} button - Rating button
+ * @returns {string} Label
+ */
+function ratingButtonLabel(button) {
+    return [...button.childNodes]
+        .filter(node => node.nodeType === Node.TEXT_NODE)
+        .map(node => node.textContent)
+        .join('')
+        .trim();
+}
+
 /**
  * Format time difference into human-readable "time ago" string
  * @param {string|Date|null} lastReviewDate - Last review date
@@ -1822,6 +2725,25 @@ function formatTimeAgo(lastReviewDate) {
     }
 }
 
+/**
+ * Format a scheduling interval as a compact label ("10m", "3d", "2.1mo")
+ * @param {number} days - Interval in days
+ * @returns {string} Formatted interval
+ */
+function formatInterval(days) {
+    const minutes = days * 24 * 60;
+    if (minutes < 60) {
+        return `${Math.max(1, Math.round(minutes))}m`;
+    } else if (minutes < 24 * 60) {
+        return `${Math.round(minutes / 60)}h`;
+    } else if (days < 30) {
+        return `${Math.round(days)}d`;
+    } else if (days < 365) {
+        return `${(days / 30).toFixed(1)}mo`;
+    }
+    return `${(days / 365).toFixed(1)}y`;
+}
+
 function updateCardDisplay(card) {
     const frontContent = document.querySelector('.card-front p');
     const backContent = document.querySelector('.card-back p');
@@ -1857,6 +2779,9 @@ function restoreCardStructure() {
                     <div class="progress-fill" id="progress-fill"></div>
                 </div>
                 <div class="progress-text hidden" id="progress-text">Card 1</div>
+                <button id="undo-button" class="undo-button hidden" title="Undo last rating (U)" aria-label="Undo last rating">↶ Undo</button>
+                <button id="card-actions-button" class="card-actions-button hidden" title="Card actions" aria-label="Card actions" aria-haspopup="dialog">⋯</button>
+                <span id="session-mode-badge" class="session-mode-badge hidden"></span>
             </div>
             <div class="card">
                 <div class="card-inner">
@@ -1874,11 +2799,24 @@ function restoreCardStructure() {
             <div class="controls">
                 <div class="primary-controls">
                     <button id="flip-button" class="nav-button">Flip</button>
+                    <form id="typed-answer-form" class="typed-answer-form hidden" autocomplete="off">
+                        <input type="text" id="typed-answer-input" class="typed-answer-input" placeholder="Type your answer..." aria-label="Your answer" autocapitalize="off" spellcheck="false">
+                        <button type="submit" class="nav-button">Check</button>
+                    </form>
                 </div>
                 <div id="rating-buttons" class="rating-buttons hidden">
                     <button id="rate-again" class="rating-button rating-again" data-rating="1">Again</button>
                     <button id="rate-known" class="rating-button rating-known" data-rating="3">Known</button>
                 </div>
+                <div id="typed-rating-buttons" class="rating-buttons typed-rating-buttons hidden">
+                    <button class="rating-button rating-again" data-rating="0">Again</button>
+                    <button class="rating-button rating-hard" data-rating="1">Hard</button>
+                    <button class="rating-button rating-good" data-rating="2">Good</button>
+                    <button class="rating-button rating-easy" data-rating="3">Easy</button>
+                </div>
+                <div id="choice-rating-buttons" class="rating-buttons choice-rating-buttons hidden">
+                    <button id="choice-continue" class="rating-button" data-rating="">Continue</button>
+                </div>
             </div>
         `;
         
@@ -1937,6 +2875,9 @@ function showNoMoreCardsMessage() {
     if (ratingButtons) {
         ratingButtons.classList.add('hidden');
     }
+
+    hideTypedAnswerControls();
+    hideChoiceControls();
     
     if (progressDiv) {
         progressDiv.classList.add('hidden');
@@ -1993,6 +2934,9 @@ function showDailyLimitMessage(limitInfo) {
     if (ratingButtons) {
         ratingButtons.classList.add('hidden');
     }
+
+    hideTypedAnswerControls();
+    hideChoiceControls();
     
     if (progressDiv) {
         progressDiv.classList.add('hidden');
@@ -3,14 +3,58 @@
  * Replaces client-side session logic with server RPC calls for daily cap enforcement
  */
 
+import cardMediaService from './cardMedia.js';
+import multipleChoiceService, { arrangeChoices } from './multipleChoice.js';
+import offlineStore from './offlineStore.js';
+import { orderSessionCards } from './sessionOrder.js';
+import { MULTIPLE_CHOICE_CONFIG, OFFLINE_CONFIG, CUSTOM_SESSION_CONFIG } from './config.js';
+
 const DEBUG = false;
 
+/**
+ * Whether the browser currently reports no connection
+ * @returns {boolean}
+ */
+function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+}
+
+/**
+ * Whether a failed request never reached the server
+ * @param {Object} error - Error or Supabase error object
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+    return isOffline() || /failed to fetch|networkerror|load failed|network request failed/i.test(error?.message || '');
+}
+
 class ServerSessionManager {
     constructor() {
         this.sessionData = null;
         this.currentSessionId = null;
         this.userId = null;
         this.dbService = null;
+
+        // Offline review queue
+        this.syncUserId = null; // Outlives clearSession so queued reviews still sync
+        this.pendingReviewCount = 0;
+        this.failedReviewCount = 0; // Turned down by the server, kept until retried or discarded
+        this.syncPromise = null;
+        this.syncRetryTimer = null;
+        this.onSyncStatusChange = null; // ({ pending, failed, offline }) => void
+        this.onSyncFailed = null; // ({ count, reasons }) => void
+        this.onLeech = null; // ({ cardTemplateId, lapses, suspended }) => void
+
+        // Most recent rating of this session, while it can still be undone
+        this.lastRating = null;
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => {
+                this.notifySyncStatus();
+                this.syncPendingReviews();
+            });
+            window.addEventListener('offline', () => this.notifySyncStatus());
+        }
     }
 
     /**
@@ -21,24 +65,39 @@ class ServerSessionManager {
      * @param {string} options.deckId - Optional deck ID for filtering cards by specific deck
      * @param {string} options.subjectPath - Optional subject path for filtering
      * @param {string} options.type - Session type (daily_free, general_unlimited, subject_specific, deck_specific)
+     * @param {string} options.mode - Custom session type (a key of CUSTOM_SESSION_CONFIG.TYPES);
+     *   starts a custom session instead of the daily one
+     * @param {string} options.path - Custom sessions: LTREE path (required for cram)
+     * @param {number} options.daysAhead - review_ahead: days to look ahead
+     * @param {Array<string>} options.tags - tag_filtered: cards must have all of these tags
      * @returns {Promise<boolean>} Success status
      */
     async initializeSession(userId, dbService, options = {}) {
         try {
             this.userId = userId;
             this.dbService = dbService;
+            this.syncUserId = userId;
             
             console.log(`🚀 ServerSessionManager: Initializing session for user ${userId}`,
+                options.mode ? `in mode: ${options.mode}` :
                 options.deckId ? `with deck: ${options.deckId}` :
                 options.subjectPath ? `with subject path: ${options.subjectPath}` : '');
 
             // Call server RPC to get or create session with deck and subject path support
             const supabase = await dbService.getSupabase();
-            const { data, error } = await supabase.rpc('get_or_create_user_session', {
-                p_user_id: userId,
-                p_deck_id: options.deckId || null,
-                p_subject_path: options.subjectPath || null
-            });
+            const { data, error } = options.mode
+                ? await supabase.rpc('create_custom_session', {
+                    p_session_type: options.mode,
+                    p_path: options.path || null,
+                    p_days_ahead: options.daysAhead ?? null,
+                    p_tags: options.tags?.length ? options.tags : null,
+                    p_max_cards: CUSTOM_SESSION_CONFIG.MAX_CARDS
+                })
+                : await supabase.rpc('get_or_create_user_session', {
+                    p_user_id: userId,
+                    p_deck_id: options.deckId || null,
+                    p_subject_path: options.subjectPath || null
+                });
 
             if (error) {
                 console.error('Server session RPC error:', error);
@@ -70,6 +129,7 @@ class ServerSessionManager {
                 currentCardIndex: data.current_index || 0,
                 submittedCount: data.submitted_count || 0,
                 sessionType: data.session_type,
+                sessionOptions: data.session_options || {},
                 isNewSession: data.is_new_session,
                 status: data.status || 'created', // Phase 4: Track session status
                 seed: data.seed, // Phase 4: Deterministic seed for resumability
@@ -89,6 +149,11 @@ class ServerSessionManager {
                 await this.loadRatingsFromReviews();
             }
 
+            await this.loadAttachments();
+            await this.loadChoices();
+            await this.cacheSession();
+            await this.refreshPendingReviewCount();
+
             console.log(`✅ ServerSessionManager: Session initialized with ${this.sessionData.cards.length} cards (status: ${this.sessionData.status})`);
             console.log(`📊 Current progress: ${this.sessionData.submittedCount}/${this.sessionData.totalCardsInSession}`);
             
@@ -100,7 +165,9 @@ class ServerSessionManager {
     }
 
     /**
-     * Record a rating using server-side RPC with daily cap enforcement
+     * Record a rating using server-side RPC with daily cap enforcement.
+     * Without a connection the rating is queued on the device and the
+     * session moves on; queued ratings are replayed in order once online.
      * @param {number} rating - Rating value (0-3).
      * @param {number} responseTime - Response time in milliseconds.
      * @returns {Promise<boolean>} Success status.
@@ -117,21 +184,31 @@ class ServerSessionManager {
             return false;
         }
 
+        const review = {
+            userId: this.userId,
+            sessionId: this.currentSessionId,
+            cardTemplateId: currentCard.card_template_id,
+            rating,
+            responseTime,
+            reviewedAt: new Date().toISOString()
+        };
+
         try {
             console.log(`📝 ServerSessionManager: Recording rating ${rating} for card ${currentCard.card_template_id}`);
-            
-            // Call Phase 5 record_review RPC
-            const supabase = await this.dbService.getSupabase();
-            const { data, error } = await supabase.rpc('record_review', {
-                p_session_id: this.currentSessionId,
-                p_card_template_id: currentCard.card_template_id,
-                p_rating: rating,
-                p_response_time_ms: responseTime
-            });
 
-            if (error) {
-                console.error('Server record_review RPC error:', error);
-                throw new Error(`Failed to record review: ${error.message}`);
+            // Earlier queued ratings must reach the server first, so queue behind them
+            if (this.pendingReviewCount > 0 || isOffline()) {
+                await this.queueReview(review);
+                return true;
+            }
+
+            let data;
+            try {
+                data = await this.sendReview(review);
+            } catch (error) {
+                if (!error.offline) throw error;
+                await this.queueReview(review);
+                return true;
             }
 
             if (!data.success) {
@@ -154,34 +231,9 @@ class ServerSessionManager {
                 throw new Error(data.message || 'Failed to record review');
             }
 
-            // Update local session data with server response
-            if (data.session_progress) {
-                this.sessionData.submittedCount = data.session_progress.submitted_count;
-                this.sessionData.currentCardIndex = Math.min(
-                    this.sessionData.currentCardIndex + 1, 
-                    this.sessionData.totalCardsInSession - 1
-                );
-                
-                // Mark session as complete if all cards are done
-                if (data.session_progress.completed) {
-                    this.sessionData.isComplete = true;
-                }
-            }
-            
-            // Track rating locally for UI display purposes
-            const cardId = String(currentCard.card_template_id);
-            if (!this.sessionData.ratings[cardId]) {
-                this.sessionData.ratings[cardId] = [];
-            }
-            this.sessionData.ratings[cardId].push({
-                rating: rating,
-                responseTime: responseTime,
-                timestamp: new Date().toISOString()
-            });
-            
-            // Mark card as completed locally for UI consistency
-            this.sessionData.completedCards.add(cardId);
-            
+            await this.applyRating(review, data.session_progress);
+            this.notifyLeech(review, data);
+
             console.log(`✅ ServerSessionManager: Answer recorded. Progress: ${this.sessionData.submittedCount}/${this.sessionData.totalCardsInSession}`);
             
             return true;
@@ -192,11 +244,399 @@ class ServerSessionManager {
     }
 
     /**
-     * Shuffle cards locally and finalize session order on server
-     * @param {boolean} enableShuffle - Whether to shuffle cards locally (default: true)
+     * Whether the most recent rating of this session can be undone
+     * @returns {boolean}
+     */
+    canUndo() {
+        return Boolean(this.lastRating && this.sessionData &&
+            this.lastRating.review.sessionId === this.currentSessionId);
+    }
+
+    /**
+     * Undo the most recent rating and step back to its card. Only that one
+     * rating can be undone. A rating still queued offline is taken out of the
+     * queue; one the server has is reverted by undo_last_review.
+     * @returns {Promise<boolean>} True if a rating was undone
+     */
+    async undoLastRating() {
+        if (!this.canUndo()) return false;
+        const { review, previousIndex } = this.lastRating;
+
+        // Let a running sync finish so we know whether the rating reached the server
+        if (this.syncPromise) await this.syncPromise;
+
+        const stillQueued = review.queueId !== undefined &&
+            (await offlineStore.getQueuedReviews(this.syncUserId)).some(queued => queued.id === review.queueId);
+
+        if (stillQueued) {
+            await offlineStore.removeQueuedReview(review.queueId);
+            await this.refreshPendingReviewCount();
+        } else {
+            const supabase = await this.dbService.getSupabase();
+            const { data, error } = await supabase.rpc('undo_last_review', {
+                p_session_id: this.currentSessionId
+            });
+
+            if (error) {
+                console.error('Server undo_last_review RPC error:', error);
+                throw new Error(`Failed to undo review: ${error.message}`);
+            }
+            if (!data.success) {
+                throw new Error(data.message || 'Failed to undo review');
+            }
+        }
+
+        this.sessionData.submittedCount = Math.max(this.sessionData.submittedCount - 1, 0);
+        this.sessionData.currentCardIndex = previousIndex;
+        this.sessionData.isComplete = false;
+
+        const cardId = String(review.cardTemplateId);
+        const ratings = this.sessionData.ratings[cardId];
+        ratings?.pop();
+        if (!ratings || ratings.length === 0) {
+            delete this.sessionData.ratings[cardId];
+            this.sessionData.completedCards.delete(cardId);
+        }
+
+        this.lastRating = null;
+        await this.cacheSession();
+
+        console.log(`↩️ ServerSessionManager: Undid rating ${review.rating} for card ${review.cardTemplateId}`);
+        return true;
+    }
+
+    /**
+     * Take the current card out of the local session after a card action
+     * (bury, suspend, reset, later due date) removed it on the server
+     * @returns {Promise<boolean>} True if a card was removed
+     */
+    async removeCurrentCard() {
+        if (!this.sessionData) return false;
+        const index = this.sessionData.currentCardIndex;
+        if (index >= this.sessionData.cards.length) return false;
+
+        const [removed] = this.sessionData.cards.splice(index, 1);
+        this.sessionData.totalCardsInSession = Math.max(this.sessionData.totalCardsInSession - 1, 0);
+        this.sessionData.currentCardIndex = Math.max(Math.min(index, this.sessionData.totalCardsInSession - 1), 0);
+        if (this.sessionData.submittedCount >= this.sessionData.totalCardsInSession) {
+            this.sessionData.isComplete = true;
+        }
+        await this.cacheSession();
+
+        console.log(`🗂️ ServerSessionManager: Removed card ${removed.card_template_id} from the session`);
+        return true;
+    }
+
+    /**
+     * Send one review to the record_review RPC
+     * @param {Object} review - { sessionId, cardTemplateId, rating, responseTime, reviewedAt }
+     * @returns {Promise<Object>} RPC result
+     * @throws {Error} With `offline: true` when the request never reached the server
+     */
+    async sendReview(review) {
+        try {
+            const supabase = await this.dbService.getSupabase();
+            const { data, error } = await supabase.rpc('record_review', {
+                p_session_id: review.sessionId,
+                p_card_template_id: review.cardTemplateId,
+                p_rating: review.rating,
+                p_response_time_ms: review.responseTime,
+                p_reviewed_at: review.reviewedAt
+            });
+
+            if (error) {
+                console.error('Server record_review RPC error:', error);
+                const rpcError = new Error(`Failed to record review: ${error.message}`);
+                rpcError.offline = isNetworkError(error);
+                throw rpcError;
+            }
+
+            return data;
+        } catch (error) {
+            if (error.offline === undefined) error.offline = isNetworkError(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move the local session past a recorded (or queued) rating
+     * @param {Object} review - The rating
+     * @param {Object|null} progress - Server session_progress, null when queued
+     */
+    async applyRating(review, progress) {
+        this.lastRating = { review, previousIndex: this.sessionData.currentCardIndex };
+        const submittedCount = progress ? progress.submitted_count : this.sessionData.submittedCount + 1;
+
+        this.sessionData.submittedCount = submittedCount;
+        this.sessionData.currentCardIndex = Math.min(
+            this.sessionData.currentCardIndex + 1, 
+            this.sessionData.totalCardsInSession - 1
+        );
+
+        // Mark session as complete if all cards are done
+        if (progress ? progress.completed : submittedCount >= this.sessionData.totalCardsInSession) {
+            this.sessionData.isComplete = true;
+        }
+
+        // Track rating locally for UI display purposes
+        const cardId = String(review.cardTemplateId);
+        if (!this.sessionData.ratings[cardId]) {
+            this.sessionData.ratings[cardId] = [];
+        }
+        this.sessionData.ratings[cardId].push({
+            rating: review.rating,
+            responseTime: review.responseTime,
+            timestamp: review.reviewedAt
+        });
+
+        // Mark card as completed locally for UI consistency
+        this.sessionData.completedCards.add(cardId);
+
+        await this.cacheSession();
+    }
+
+    /**
+     * Queue a rating made without a connection and continue the session
+     * @param {Object} review - The rating
+     */
+    async queueReview(review) {
+        const queueId = await offlineStore.enqueueReview(review);
+        this.pendingReviewCount++;
+        await this.applyRating({ ...review, queueId }, null);
+        this.notifySyncStatus();
+
+        console.log(`📴 ServerSessionManager: Rating queued offline (${this.pendingReviewCount} pending)`);
+        if (!isOffline()) {
+            this.scheduleSync();
+        }
+    }
+
+    /**
+     * Replay queued ratings in the order they were made. Stops at the first
+     * network failure and retries later. A rating is removed from the queue
+     * only once the server has it (recorded now, or review_already_exists);
+     * one the server turns down (e.g. daily limit reached, session gone)
+     * stays queued, marked failed, until the user retries or discards it.
+     * @returns {Promise<void>}
+     */
+    async syncPendingReviews() {
+        if (this.syncPromise || !this.syncUserId || !this.dbService) {
+            return this.syncPromise;
+        }
+
+        this.syncPromise = (async () => {
+            let synced = 0;
+            const failures = [];
+            let paused = false;
+
+            // Re-read the queue so ratings queued during the sync go out too
+            let queued = await this.getUnsentReviews();
+            while (queued.length > 0 && !paused) {
+                for (const review of queued) {
+                    let data;
+                    try {
+                        data = await this.sendReview(review);
+                    } catch (error) {
+                        console.warn('⚠️ ServerSessionManager: Review sync paused:', error.message);
+                        this.scheduleSync();
+                        paused = true;
+                        break;
+                    }
+
+                    if (!data.success && data.error !== 'review_already_exists') {
+                        console.warn(`⚠️ ServerSessionManager: Server turned down queued review for card ${review.cardTemplateId}: ${data.message || data.error}`);
+                        const failure = { error: data.error, message: data.message || null, failedAt: new Date().toISOString() };
+                        await offlineStore.updateQueuedReview({ ...review, failure });
+                        failures.push(failure);
+                        continue;
+                    }
+
+                    this.notifyLeech(review, data);
+                    await offlineStore.removeQueuedReview(review.id);
+                    synced++;
+                }
+                if (!paused) {
+                    queued = await this.getUnsentReviews();
+                }
+            }
+
+            if (synced > 0) {
+                console.log(`🔄 ServerSessionManager: Synced ${synced} queued reviews`);
+            }
+            await this.refreshPendingReviewCount();
+
+            if (failures.length > 0 && typeof this.onSyncFailed === 'function') {
+                this.onSyncFailed({
+                    count: failures.length,
+                    reasons: [...new Set(failures.map(failure => failure.message || failure.error))]
+                });
+            }
+        })().catch(error => {
+            console.error('Failed to sync queued reviews:', error);
+        }).finally(() => {
+            this.syncPromise = null;
+        });
+
+        return this.syncPromise;
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Queued reviews not yet turned down by the server, oldest first
+     */
+    async getUnsentReviews() {
+        return (await offlineStore.getQueuedReviews(this.syncUserId)).filter(review => !review.failure);
+    }
+
+    /**
+     * @returns {Promise<Array<Object>>} Queued reviews the server turned down, oldest first
+     */
+    async getFailedReviews() {
+        if (!this.syncUserId) return [];
+        return (await offlineStore.getQueuedReviews(this.syncUserId)).filter(review => review.failure);
+    }
+
+    /**
+     * Send ratings the server turned down again (e.g. after the daily
+     * limit reset)
+     * @returns {Promise<void>}
+     */
+    async retryFailedReviews() {
+        if (this.syncPromise) await this.syncPromise;
+        for (const review of await this.getFailedReviews()) {
+            const { failure, ...unmarked } = review;
+            console.log(`🔁 ServerSessionManager: Retrying review for card ${review.cardTemplateId} (${failure.error})`);
+            await offlineStore.updateQueuedReview(unmarked);
+        }
+        await this.refreshPendingReviewCount();
+        await this.syncPendingReviews();
+    }
+
+    /**
+     * Delete ratings the server turned down, once the user gives up on them
+     * @returns {Promise<void>}
+     */
+    async discardFailedReviews() {
+        for (const review of await this.getFailedReviews()) {
+            console.warn(`🗑️ ServerSessionManager: Discarded review for card ${review.cardTemplateId} (${review.failure.error})`);
+            await offlineStore.removeQueuedReview(review.id);
+        }
+        await this.refreshPendingReviewCount();
+    }
+
+    /**
+     * Tell the UI when a recorded review made its card a leech
+     * @param {Object} review - The rating
+     * @param {Object} data - record_review result
+     */
+    notifyLeech(review, data) {
+        if (!data.success || !data.leech) return;
+        console.log(`🩸 ServerSessionManager: Card ${review.cardTemplateId} is now a leech (${data.leech.lapses} lapses)`);
+        if (typeof this.onLeech === 'function') {
+            this.onLeech({
+                cardTemplateId: review.cardTemplateId,
+                lapses: data.leech.lapses,
+                suspended: data.leech.suspended
+            });
+        }
+    }
+
+    /**
+     * Try syncing again after OFFLINE_CONFIG.SYNC_RETRY_MS
+     */
+    scheduleSync() {
+        if (this.syncRetryTimer) return;
+        this.syncRetryTimer = setTimeout(() => {
+            this.syncRetryTimer = null;
+            if (!isOffline()) this.syncPendingReviews();
+        }, OFFLINE_CONFIG.SYNC_RETRY_MS);
+    }
+
+    /**
+     * Re-read the number of queued ratings and start syncing them if online
+     */
+    async refreshPendingReviewCount() {
+        if (!this.syncUserId) return;
+        try {
+            const queued = await offlineStore.getQueuedReviews(this.syncUserId);
+            this.failedReviewCount = queued.filter(review => review.failure).length;
+            this.pendingReviewCount = queued.length - this.failedReviewCount;
+        } catch (error) {
+            console.warn('⚠️ ServerSessionManager: Failed to read queued reviews:', error.message);
+        }
+        this.notifySyncStatus();
+
+        if (this.pendingReviewCount > 0 && !isOffline() && !this.syncPromise) {
+            this.syncPendingReviews();
+        }
+    }
+
+    /**
+     * Tell the UI how many ratings are waiting to sync, and how many the
+     * server turned down
+     */
+    notifySyncStatus() {
+        if (typeof this.onSyncStatusChange === 'function') {
+            this.onSyncStatusChange({ pending: this.pendingReviewCount, failed: this.failedReviewCount, offline: isOffline() });
+        }
+    }
+
+    /**
+     * Keep a copy of the session on the device so it can continue offline
+     */
+    async cacheSession() {
+        if (!this.userId || !this.sessionData) return;
+        try {
+            await offlineStore.saveSession(this.userId, {
+                sessionId: this.currentSessionId,
+                sessionData: { ...this.sessionData, completedCards: [...this.sessionData.completedCards] }
+            });
+        } catch (error) {
+            console.warn('⚠️ ServerSessionManager: Failed to cache session for offline use:', error.message);
+        }
+    }
+
+    /**
+     * Continue the session cached on the device. Only used without a
+     * connection; online, get_or_create_user_session resumes sessions.
+     * @param {string} userId - The user's ID
+     * @param {Object} dbService - Database service instance
+     * @returns {Promise<boolean>} True if an unfinished session was restored
+     */
+    async restoreOfflineSession(userId, dbService) {
+        if (!isOffline()) return false;
+
+        try {
+            const saved = await offlineStore.getSession(userId);
+            const savedData = saved?.sessionData;
+            if (!savedData || savedData.submittedCount >= savedData.totalCardsInSession) {
+                return false;
+            }
+            if (Date.now() - new Date(saved.savedAt).getTime() > OFFLINE_CONFIG.SESSION_MAX_AGE_MS) {
+                return false;
+            }
+
+            this.userId = userId;
+            this.dbService = dbService;
+            this.syncUserId = userId;
+            this.currentSessionId = saved.sessionId;
+            this.sessionData = { ...savedData, completedCards: new Set(savedData.completedCards) };
+            await this.refreshPendingReviewCount();
+
+            console.log(`📴 ServerSessionManager: Continuing cached session offline (${savedData.submittedCount}/${savedData.totalCardsInSession})`);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ ServerSessionManager: Failed to restore cached session:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Order a new session's cards locally and finalize the order on the server
+     * @param {boolean} enableShuffle - Whether to reorder the cards (default: true)
+     * @param {Object} [orderOptions] - strategy, newCards and separateRelated, see orderSessionCards()
      * @returns {Promise<boolean>} Success status
      */
-    async shuffleAndFinalize(enableShuffle = true) {
+    async shuffleAndFinalize(enableShuffle = true, orderOptions = {}) {
         if (!this.currentSessionId || !this.sessionData) {
             console.error('No active session for finalizing order');
             return false;
@@ -208,24 +648,18 @@ class ServerSessionManager {
         }
 
         try {
-            console.log(`🔀 ServerSessionManager: ${enableShuffle ? 'Shuffling and ' : ''}finalizing session order`);
-            
-            // Get card IDs in current order
-            const cardIds = this.sessionData.cards.map(card => card.card_template_id);
-            
-            // Optionally shuffle the card order locally
-            let finalOrder = [...cardIds];
+            console.log(`🔀 ServerSessionManager: ${enableShuffle ? 'Ordering and ' : ''}finalizing session order`);
+
             if (enableShuffle) {
-                // Use the session seed for deterministic shuffling
-                if (this.sessionData.seed) {
-                    finalOrder = this.deterministicShuffle(cardIds, this.sessionData.seed);
-                } else {
-                    // Fallback to random shuffle
-                    finalOrder = this.randomShuffle(cardIds);
-                }
-                console.log(`🎲 Shuffled ${cardIds.length} cards using ${this.sessionData.seed ? 'deterministic' : 'random'} method`);
+                // The session seed keeps the order reproducible
+                this.sessionData.cards = orderSessionCards(this.sessionData.cards, {
+                    ...orderOptions,
+                    seed: this.sessionData.seed || this.currentSessionId
+                });
+                console.log(`🎲 Ordered ${this.sessionData.cards.length} cards (${orderOptions.strategy || 'shuffle'})`);
             }
-            
+            const finalOrder = this.sessionData.cards.map(card => card.card_template_id);
+
             // Call server RPC to finalize session order
             const supabase = await this.dbService.getSupabase();
             const { data, error } = await supabase.rpc('finalize_session_order', {
@@ -244,6 +678,7 @@ class ServerSessionManager {
 
             // Update session status to active
             this.sessionData.status = 'active';
+            await this.cacheSession();
             
             console.log(`✅ ServerSessionManager: Session order finalized and activated`);
             
@@ -254,56 +689,6 @@ class ServerSessionManager {
         }
     }
 
-    /**
-     * Deterministic shuffle using session seed for reproducible card order
-     * @param {Array} array - Array to shuffle
-     * @param {string} seed - Seed for random number generation
-     * @returns {Array} Shuffled array
-     */
-    deterministicShuffle(array, seed) {
-        const shuffled = [...array];
-        let seedNum = this.hashCode(seed);
-        
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            // Generate pseudo-random number based on seed
-            seedNum = (seedNum * 9301 + 49297) % 233280;
-            const j = Math.floor((seedNum / 233280) * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        
-        return shuffled;
-    }
-    
-    /**
-     * Random shuffle for fallback when no seed available
-     * @param {Array} array - Array to shuffle
-     * @returns {Array} Shuffled array
-     */
-    randomShuffle(array) {
-        const shuffled = [...array];
-        for (let i = shuffled.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-        }
-        return shuffled;
-    }
-    
-    /**
-     * Generate hash code from string for seed-based randomization
-     * @param {string} str - String to hash
-     * @returns {number} Hash code
-     */
-    hashCode(str) {
-        let hash = 0;
-        if (str.length === 0) return hash;
-        for (let i = 0; i < str.length; i++) {
-            const char = str.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32-bit integer
-        }
-        return Math.abs(hash);
-    }
-
     /**
      * Get the current card to display
      * @returns {Object|null} Current card object
@@ -327,12 +712,19 @@ class ServerSessionManager {
                         id: card.card_template_id,
                         subject_name: card.subject_name,
                         // deck_name no longer needed - cards are globally accessible
-                        tags: card.tags
+                        tags: card.tags,
+                        attachments: card.attachments || { question: [], answer: [] },
+                        // Siblings (reverse pair, cloze note) share a group; the server puts at most one per session
+                        sibling_group: card.sibling_group || card.card_template_id,
+                        // Shuffled options for multiple-choice cards, null for flip cards
+                        choices: card.choices || null
                     },
                     stability: card.stability || 1.0,
                     difficulty: card.difficulty || 5.0,
                     state: card.state || 'new',
                     total_reviews: card.total_reviews || 0,
+                    reps: card.reps || 0,
+                    lapses: card.lapses || 0,
                     due_at: card.due_at,
                     last_reviewed_at: card.last_reviewed_at
                 };
@@ -342,6 +734,80 @@ class ServerSessionManager {
         return null; // No more cards or session complete
     }
 
+    /**
+     * Get the session cards after the current one, for preloading
+     * @param {number} count - Maximum number of cards
+     * @returns {Array<Object>} Raw session cards
+     */
+    getUpcomingCards(count = 1) {
+        if (!this.sessionData || !this.sessionData.cards) {
+            return [];
+        }
+
+        const start = this.sessionData.currentCardIndex + 1;
+        return this.sessionData.cards.slice(start, start + count);
+    }
+
+    /**
+     * Attach image and audio attachments to the session cards.
+     * A failure leaves the cards text-only rather than failing the session.
+     */
+    async loadAttachments() {
+        try {
+            const byCard = await cardMediaService.getAttachments(
+                this.sessionData.cards.map(card => card.card_template_id)
+            );
+            for (const card of this.sessionData.cards) {
+                card.attachments = byCard.get(card.card_template_id) || { question: [], answer: [] };
+            }
+            if (byCard.size > 0) {
+                console.log(`📎 ServerSessionManager: Loaded attachments for ${byCard.size} cards`);
+            }
+        } catch (error) {
+            console.warn('⚠️ ServerSessionManager: Failed to load card attachments:', error.message);
+        }
+    }
+
+    /**
+     * Build the options of the session's multiple-choice cards. Candidates
+     * and options are ordered with the session seed, so a resumed session
+     * shows the same choices in the same order. A card that can't get at
+     * least two options, or any failure, leaves cards as flip cards.
+     */
+    async loadChoices() {
+        try {
+            const cards = this.sessionData.cards;
+            const choiceCards = await multipleChoiceService.getChoiceCards(cards.map(card => card.card_template_id));
+            if (choiceCards.size === 0) return;
+
+            const optionCount = MULTIPLE_CHOICE_CONFIG.OPTION_COUNT;
+            const pool = await multipleChoiceService.getPathAnswers(
+                [...choiceCards.values()]
+                    .filter(choiceCard => choiceCard.distractors.length < optionCount - 1)
+                    .map(choiceCard => choiceCard.path)
+            );
+
+            for (const card of cards) {
+                const choiceCard = choiceCards.get(card.card_template_id);
+                if (!choiceCard) continue;
+
+                const seed = `${this.sessionData.seed || ''}:${card.card_template_id}`;
+                // Siblings' answers would give the answer away (a reverse card's answer is this question)
+                const candidates = (pool.get(choiceCard.path) || [])
+                    .filter(candidate => candidate.sibling_group !== choiceCard.sibling_group)
+                    .map(candidate => candidate.answer);
+
+                const options = arrangeChoices(card.answer, choiceCard.distractors, candidates, seed, optionCount);
+                if (options.length < 2) continue;
+
+                card.choices = options;
+            }
+            console.log(`🔘 ServerSessionManager: Built choices for ${choiceCards.size} multiple-choice cards`);
+        } catch (error) {
+            console.warn('⚠️ ServerSessionManager: Failed to load multiple-choice options:', error.message);
+        }
+    }
+
     /**
      * Check if the session is complete
      * @returns {boolean} True if all cards in session have been completed
@@ -375,6 +841,25 @@ class ServerSessionManager {
         };
     }
 
+    /**
+     * The session's custom study mode
+     * @returns {string|null} A key of CUSTOM_SESSION_CONFIG.TYPES, or null for a regular session
+     */
+    getSessionMode() {
+        const type = this.sessionData?.sessionType;
+        return type && CUSTOM_SESSION_CONFIG.TYPES[type] ? type : null;
+    }
+
+    /**
+     * Whether ratings in this session update the cards' FSRS schedule
+     * (false only in cram sessions, whose ratings are just logged)
+     * @returns {boolean}
+     */
+    updatesSchedule() {
+        const mode = this.getSessionMode();
+        return mode ? CUSTOM_SESSION_CONFIG.TYPES[mode].updatesSchedule : true;
+    }
+
     /**
      * Get all session data for compatibility with existing code
      * @returns {Object} Complete session data
@@ -392,6 +877,11 @@ class ServerSessionManager {
             console.warn('Cannot load ratings: missing required data');
             return;
         }
+
+        // The server doesn't have queued ratings yet; the local ones are complete
+        if (this.pendingReviewCount > 0) {
+            return;
+        }
         
         try {
             console.log('🔍 ServerSessionManager: Loading ratings from reviews for session display');
@@ -404,15 +894,22 @@ class ServerSessionManager {
                 return;
             }
             
-            // Query reviews from today for cards in this session
+            // Query reviews from today for cards in this session; cram ratings
+            // are only in the session's practice log
             const supabase = await this.dbService.getSupabase();
-            const { data: reviews, error } = await supabase
-                .from('reviews')
-                .select('card_template_id, rating, response_time_ms, reviewed_at')
-                .eq('user_id', this.userId)
-                .in('card_template_id', sessionCardIds)
-                .gte('reviewed_at', new Date().toISOString().split('T')[0] + 'T00:00:00Z') // Today
-                .order('reviewed_at', { ascending: true });
+            const { data: reviews, error } = this.updatesSchedule()
+                ? await supabase
+                    .from('reviews')
+                    .select('card_template_id, rating, response_time_ms, reviewed_at')
+                    .eq('user_id', this.userId)
+                    .in('card_template_id', sessionCardIds)
+                    .gte('reviewed_at', new Date().toISOString().split('T')[0] + 'T00:00:00Z') // Today
+                    .order('reviewed_at', { ascending: true })
+                : await supabase
+                    .from('practice_reviews')
+                    .select('card_template_id, rating, response_time_ms, reviewed_at')
+                    .eq('session_id', this.currentSessionId)
+                    .order('reviewed_at', { ascending: true });
                 
             if (error) {
                 console.error('Error loading ratings from reviews:', error);
@@ -453,14 +950,28 @@ class ServerSessionManager {
         }
     }
 
+    /**
+     * Drop this device's copy of the session, e.g. once it is complete, so a
+     * reload starts a new one. The session stays in memory: its last rating
+     * can still be undone, which caches it again.
+     */
+    uncacheSession() {
+        if (!this.userId) return;
+        offlineStore.deleteSession(this.userId).catch(error => {
+            console.warn('⚠️ ServerSessionManager: Failed to clear cached session:', error.message);
+        });
+    }
+
     /**
      * Clear the current session (server sessions persist, but clear local state)
      */
     clearSession() {
+        this.uncacheSession();
         this.sessionData = null;
         this.currentSessionId = null;
         this.userId = null;
         this.dbService = null;
+        this.lastRating = null;
     }
 
     // Compatibility methods for existing code that expects client-side session management
@@ -181,9 +181,9 @@ For the best experience, consider using Safari in normal mode or another browser
      */
     async loadSessionCards(userId, dbService, deckId = null) {
         try {
-            // Fixed 10-card sessions for both general and deck-specific modes
+            // The user's session length (10 cards unless a paid user chose otherwise)
             const strictDeckMode = deckId !== null;
-            const sessionSize = SESSION_CONFIG.CARDS_PER_SESSION; // Always use 10 cards per session
+            const { sessionSize } = await dbService.getSessionSettings(userId);
             
             console.log(`🎯 Session size target: ${sessionSize} (strict deck mode: ${strictDeckMode})`);
             
@@ -0,0 +1,312 @@
+/**
+ * Session card ordering
+ * Orders a new session's cards (user_sessions.cards_data) before
+ * finalize_session_order stores the order. Every function is pure and
+ * returns a new array; ties and shuffles come from the session seed, so
+ * ordering the same session again gives the same result.
+ *
+ * Options (profiles.study_preferences):
+ * - session_order: shuffle | interleave | retrievability | due
+ * - new_card_order: mixed (wherever session_order puts them) | spread | front
+ * - separate_related: keep cards on the same or sibling paths apart
+ */
+
+import { calculateRetrievability } from './fsrs.js';
+
+const ORDER_STRATEGIES = ['shuffle', 'interleave', 'retrievability', 'due'];
+
+const NEW_CARD_PLACEMENTS = ['mixed', 'spread', 'front'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a seed string to a non-negative integer
+ * @param {string} str - Seed
+ * @returns {number} Hash
+ */
+function hashSeed(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+        hash = ((hash << 5) - hash) + str.charCodeAt(i);
+        hash = hash & hash; // Convert to 32-bit integer
+    }
+    return Math.abs(hash);
+}
+
+/**
+ * Shuffle with a seeded generator, so the same seed gives the same order
+ * @param {Array} items - Items to shuffle
+ * @param {string} seed - Seed
+ * @returns {Array} Shuffled copy
+ */
+function seededShuffle(items, seed) {
+    const shuffled = [...items];
+    let seedNum = hashSeed(String(seed ?? ''));
+
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        seedNum = (seedNum * 9301 + 49297) % 233280;
+        const j = Math.floor((seedNum / 233280) * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+
+    return shuffled;
+}
+
+/**
+ * Whether a card has never been studied
+ * @param {Object} card - Session card
+ * @returns {boolean}
+ */
+function isNewCard(card) {
+    return (card.state || 'new') === 'new';
+}
+
+/**
+ * A card's retrievability now, or null for a card never reviewed
+ * @param {Object} card - Session card (stability, last_reviewed_at)
+ * @param {Date} now - Current time
+ * @returns {number|null} Retrievability (0-1)
+ */
+function cardRetrievability(card, now) {
+    if (!card.last_reviewed_at) return null;
+    const elapsedDays = Math.max(0, (now.getTime() - new Date(card.last_reviewed_at).getTime()) / DAY_MS);
+    return calculateRetrievability(elapsedDays, Number(card.stability) || 0);
+}
+
+/**
+ * Merge lists so each list's items are spaced evenly through the result,
+ * keeping each list's own order. Earlier lists win ties.
+ * @param {Array<Array>} lists - Lists to merge
+ * @returns {Array} Merged list
+ */
+function spreadEvenly(lists) {
+    return lists
+        .flatMap((list, listIndex) => list.map((item, i) => ({
+            item,
+            listIndex,
+            position: (i + 0.5) / list.length
+        })))
+        .sort((a, b) => a.position - b.position || a.listIndex - b.listIndex)
+        .map(entry => entry.item);
+}
+
+/**
+ * Sort by a key, lowest first; cards without a key go last. Ties keep
+ * the seeded shuffle's order.
+ * @param {Array<Object>} cards - Session cards
+ * @param {Function} key - card -> number|null
+ * @param {string} seed - Session seed
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortByKey(cards, key, seed) {
+    return seededShuffle(cards, seed)
+        .map(card => ({ card, value: key(card) }))
+        .sort((a, b) => {
+            if (a.value === null || b.value === null) {
+                return (a.value === null) - (b.value === null);
+            }
+            return a.value - b.value;
+        })
+        .map(entry => entry.card);
+}
+
+/**
+ * Alternate subjects: cards of each subject path are spaced evenly through
+ * the session instead of arriving in runs
+ * @param {Array<Object>} cards - Session cards
+ * @param {string} seed - Session seed
+ * @returns {Array<Object>} Ordered copy
+ */
+function interleaveBySubject(cards, seed) {
+    const subjects = new Map();
+    for (const card of seededShuffle(cards, seed)) {
+        const path = card.subject_path || '';
+        if (!subjects.has(path)) subjects.set(path, []);
+        subjects.get(path).push(card);
+    }
+    return spreadEvenly([...subjects.values()]);
+}
+
+/**
+ * Least-remembered first; cards never reviewed go last
+ * @param {Array<Object>} cards - Session cards
+ * @param {string} seed - Session seed
+ * @param {Date} [now=new Date()] - Current time
+ * @returns {Array<Object>} Ordered copy
+ */
+function orderByRetrievability(cards, seed, now = new Date()) {
+    return sortByKey(cards, card => cardRetrievability(card, now), seed);
+}
+
+/**
+ * Earliest due first; cards without a due date go last
+ * @param {Array<Object>} cards - Session cards
+ * @param {string} seed - Session seed
+ * @returns {Array<Object>} Ordered copy
+ */
+function orderByDueDate(cards, seed) {
+    return sortByKey(cards, card => (card.due_at ? new Date(card.due_at).getTime() : null), seed);
+}
+
+/**
+ * Space new cards evenly between the other cards, keeping both orders
+ * @param {Array<Object>} cards - Ordered session cards
+ * @returns {Array<Object>} Ordered copy
+ */
+function spreadNewCards(cards) {
+    return spreadEvenly([
+        cards.filter(card => !isNewCard(card)),
+        cards.filter(isNewCard)
+    ]);
+}
+
+/**
+ * Move new cards to the start, keeping both orders
+ * @param {Array<Object>} cards - Ordered session cards
+ * @returns {Array<Object>} Ordered copy
+ */
+function frontLoadNewCards(cards) {
+    return [...cards.filter(isNewCard), ...cards.filter(card => !isNewCard(card))];
+}
+
+/**
+ * Parent of an LTREE path ('' for a top-level path)
+ * @param {string} path - LTREE path
+ * @returns {string} Parent path
+ */
+function parentPath(path) {
+    const index = path.lastIndexOf('.');
+    return index === -1 ? '' : path.slice(0, index);
+}
+
+/**
+ * Whether two cards share a subject path or sit on sibling paths
+ * (1.7.2 and 1.7.3). Top-level subjects are not related.
+ * @param {Object} a - Session card
+ * @param {Object} b - Session card
+ * @returns {boolean}
+ */
+function areRelated(a, b) {
+    const pathA = a.subject_path || '';
+    const pathB = b.subject_path || '';
+    if (!pathA || !pathB) return false;
+    if (pathA === pathB) return true;
+    const parent = parentPath(pathA);
+    return parent !== '' && parent === parentPath(pathB);
+}
+
+/**
+ * Group of a card for areRelated: cards are related exactly when their keys
+ * match. Siblings share their parent's key; a top-level subject is its own.
+ * @param {Object} card - Session card
+ * @returns {string|null} Key, or null for a card without a path (related to none)
+ */
+function relationKey(card) {
+    const path = card.subject_path || '';
+    if (!path) return null;
+    const parent = parentPath(path);
+    return parent === '' ? path : `${parent}.*`;
+}
+
+/**
+ * Keep related cards apart: each card is followed by the next card in the
+ * order that is unrelated to it and still leaves the remaining cards room
+ * to be kept apart (no group needing more than every other place). When no
+ * card does, the next unrelated card, else the next card.
+ * @param {Array<Object>} cards - Ordered session cards
+ * @returns {Array<Object>} Ordered copy
+ */
+function separateRelatedCards(cards) {
+    const remaining = [...cards];
+    const ordered = [];
+    const groupSizes = new Map();
+    remaining.map(relationKey).filter(Boolean).forEach(key => {
+        groupSizes.set(key, (groupSizes.get(key) || 0) + 1);
+    });
+
+    // After taking a card of this group, the rest must not need two of its
+    // group in a row, nor start with one
+    const leavesRoom = key => {
+        const left = remaining.length - 1;
+        for (const [groupKey, size] of groupSizes) {
+            const limit = groupKey === key ? Math.floor(left / 2) + 1 : Math.ceil(left / 2);
+            if (size > limit) return false;
+        }
+        return true;
+    };
+
+    while (remaining.length > 0) {
+        const previous = ordered[ordered.length - 1];
+        const candidates = remaining
+            .map((card, index) => index)
+            .filter(index => !previous || !areRelated(previous, remaining[index]));
+        const index = candidates.find(i => leavesRoom(relationKey(remaining[i]))) ?? candidates[0] ?? 0;
+
+        const [card] = remaining.splice(index, 1);
+        const key = relationKey(card);
+        if (key) groupSizes.set(key, groupSizes.get(key) - 1);
+        ordered.push(card);
+    }
+
+    return ordered;
+}
+
+/**
+ * Order a new session's cards
+ * @param {Array<Object>} cards - Session cards (cards_data)
+ * @param {Object} [options]
+ * @param {string} [options.strategy='shuffle'] - One of ORDER_STRATEGIES
+ * @param {string} [options.newCards='mixed'] - One of NEW_CARD_PLACEMENTS
+ * @param {boolean} [options.separateRelated=false] - Keep related cards apart (applied last)
+ * @param {string} [options.seed=''] - Session seed
+ * @param {Date} [options.now=new Date()] - Current time (retrievability)
+ * @returns {Array<Object>} Ordered copy
+ */
+function orderSessionCards(cards, options = {}) {
+    const {
+        strategy = 'shuffle',
+        newCards = 'mixed',
+        separateRelated = false,
+        seed = '',
+        now = new Date()
+    } = options;
+
+    let ordered;
+    switch (strategy) {
+        case 'interleave':
+            ordered = interleaveBySubject(cards, seed);
+            break;
+        case 'retrievability':
+            ordered = orderByRetrievability(cards, seed, now);
+            break;
+        case 'due':
+            ordered = orderByDueDate(cards, seed);
+            break;
+        default:
+            ordered = seededShuffle(cards, seed);
+    }
+
+    if (newCards === 'spread') {
+        ordered = spreadNewCards(ordered);
+    } else if (newCards === 'front') {
+        ordered = frontLoadNewCards(ordered);
+    }
+
+    return separateRelated ? separateRelatedCards(ordered) : ordered;
+}
+
+export {
+    ORDER_STRATEGIES,
+    NEW_CARD_PLACEMENTS,
+    seededShuffle,
+    cardRetrievability,
+    interleaveBySubject,
+    orderByRetrievability,
+    orderByDueDate,
+    spreadNewCards,
+    frontLoadNewCards,
+    areRelated,
+    separateRelatedCards,
+    orderSessionCards
+};
+
@@ -99,6 +99,9 @@ export class SlideMenu {
                 <a href="dashboard.html" class="slide-menu-item ${currentPage === 'dashboard' ? 'current-page' : ''}" data-page="dashboard">
                     Dashboard
                 </a>
+                <a href="cards.html" class="slide-menu-item ${currentPage === 'cards' ? 'current-page' : ''}" data-page="cards">
+                    Cards
+                </a>
                 <a href="profile.html" class="slide-menu-item ${currentPage === 'profile' ? 'current-page' : ''}" data-page="profile">
                     Profile
                 </a>
@@ -370,6 +373,7 @@ export class SlideMenu {
         const filename = path.split('/').pop() || 'index.html';
         
         if (filename.includes('dashboard')) return 'dashboard';
+        if (filename === 'cards.html') return 'cards';
         if (filename.includes('admin')) return 'admin';
         if (filename.includes('profile')) return 'profile';
         if (filename.includes('deck-selection')) return 'deck-selection';
@@ -264,6 +264,73 @@ export class Validator {
             .replace(/'/g, '&#39;');
     }
 
+    /**
+     * Validate required card text (question or answer)
+     * @param {any} text - Text to validate
+     * @param {number} maxLength - Maximum allowed length
+     * @param {string} fieldName - Name of field for error message
+     * @param {string} context - Context for error message
+     * @returns {boolean} True if valid
+     * @throws {Error} If invalid
+     */
+    static validateCardText(text, maxLength, fieldName = 'text', context = 'card') {
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw new Error(`${fieldName} is required for ${context}.`);
+        }
+        
+        if (text.length > maxLength) {
+            throw new Error(`${fieldName} too long for ${context}. Maximum ${maxLength} characters, got ${text.length}.`);
+        }
+        
+        return true;
+    }
+
+    /**
+     * Validate a list of tags
+     * @param {any} tags - Tags to validate
+     * @param {number} maxTags - Maximum number of tags
+     * @param {number} maxTagLength - Maximum length of each tag
+     * @param {string} context - Context for error message
+     * @returns {boolean} True if valid
+     * @throws {Error} If invalid
+     */
+    static validateTags(tags, maxTags, maxTagLength, context = 'card') {
+        if (!Array.isArray(tags)) {
+            throw new Error(`Tags must be a list for ${context}.`);
+        }
+        
+        if (tags.length > maxTags) {
+            throw new Error(`Too many tags for ${context}. Maximum ${maxTags}, got ${tags.length}.`);
+        }
+        
+        const longTag = tags.find(tag => typeof tag !== 'string' || tag.length > maxTagLength);
+        if (longTag !== undefined) {
+            throw new Error(`Tag "${longTag}" is too long for ${context}. Maximum ${maxTagLength} characters.`);
+        }
+        
+        return true;
+    }
+
+    /**
+     * Validate an LTREE path (dot-separated labels of letters, digits and underscores)
+     * @param {any} path - Path to validate
+     * @param {string} context - Context for error message
+     * @returns {boolean} True if valid
+     * @throws {Error} If invalid
+     */
+    static validateLtreePath(path, context = 'operation') {
+        if (!path || typeof path !== 'string') {
+            throw new Error(`Path is required for ${context}.`);
+        }
+        
+        const ltreeRegex = /^[A-Za-z0-9_]{1,256}(\.[A-Za-z0-9_]{1,256})*$/;
+        if (!ltreeRegex.test(path)) {
+            throw new Error(`Invalid path "${path}" for ${context}. Use dot-separated labels such as 1.7.2.`);
+        }
+        
+        return true;
+    }
+
     /**
      * Validate object has required properties
      * @param {any} obj - Object to validate
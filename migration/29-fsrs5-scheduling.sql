@@ -0,0 +1,718 @@
+-- ============================================================================
+-- Migration 29: FSRS-5 Scheduling in record_review
+-- ============================================================================
+-- Replaces the placeholder stability multipliers in record_review with the
+-- same FSRS-5 state machine as scheduleCard() in js/fsrs.js, so the interval
+-- previews on the rating buttons match what the server actually schedules.
+-- Also moves the fsrs_params weight default from the legacy bound values to
+-- the FSRS-5 defaults used by the client.
+-- ============================================================================
+
+-- Step 1: FSRS-5 default weights
+-- ============================================================================
+-- The legacy default stored clamp bounds in w12-w15 (0, 100, 1, 10), which are
+-- not valid FSRS-5 weights. Rows still holding that exact default are moved to
+-- the FSRS-5 defaults; personalised weights are left alone.
+
+ALTER TABLE fsrs_params ALTER COLUMN weights SET DEFAULT '{
+    "w0": 0.4872,  "w1": 1.4003,  "w2": 3.1145,  "w3": 15.69,
+    "w4": 7.1434,  "w5": 0.6477,  "w6": 1.0007,  "w7": 0.0674,
+    "w8": 1.6597,  "w9": 0.1712,  "w10": 1.1178, "w11": 2.0225,
+    "w12": 0.0904, "w13": 0.3025, "w14": 2.1214, "w15": 0.2498,
+    "w16": 2.9466, "w17": 0.4891, "w18": 0.6468
+}'::jsonb;
+
+UPDATE fsrs_params
+SET
+    weights = DEFAULT,
+    updated_at = NOW()
+WHERE weights = '{
+    "w0": 0.4197,  "w1": 1.1829,  "w2": 3.1262,  "w3": 15.4722,
+    "w4": 7.2102,  "w5": 0.5316,  "w6": 1.0651,  "w7": 0.0234,
+    "w8": 1.616,   "w9": 0.0721,  "w10": 0.1284, "w11": 1.0824,
+    "w12": 0.0,    "w13": 100.0,  "w14": 1.0,    "w15": 10.0,
+    "w16": 2.9013, "w17": 0.0,    "w18": 0.0
+}'::jsonb;
+
+-- Step 2: FSRS-5 formula helpers
+-- ============================================================================
+-- Ratings are 0-3 (Again/Hard/Good/Easy); the FSRS grade G is rating + 1.
+
+-- Weight wN from a weights JSONB, falling back to the FSRS-5 default
+CREATE OR REPLACE FUNCTION fsrs_weight(p_weights JSONB, p_index INTEGER)
+RETURNS DOUBLE PRECISION
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT COALESCE(
+        (p_weights->>('w' || p_index))::DOUBLE PRECISION,
+        (ARRAY[
+            0.4872, 1.4003, 3.1145, 15.69, 7.1434, 0.6477, 1.0007, 0.0674, 1.6597, 0.1712,
+            1.1178, 2.0225, 0.0904, 0.3025, 2.1214, 0.2498, 2.9466, 0.4891, 0.6468
+        ]::DOUBLE PRECISION[])[p_index + 1]
+    );
+$$;
+
+-- Difficulty clamped to [1, 10]
+CREATE OR REPLACE FUNCTION fsrs_clamp_difficulty(p_difficulty DOUBLE PRECISION)
+RETURNS DOUBLE PRECISION
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT LEAST(GREATEST(p_difficulty, 1.0), 10.0);
+$$;
+
+-- D0(G) = w4 - e^(w5 * (G - 1)) + 1, optionally unclamped (mean-reversion target)
+CREATE OR REPLACE FUNCTION fsrs_initial_difficulty(
+    p_weights JSONB,
+    p_rating INTEGER,
+    p_clamp BOOLEAN DEFAULT TRUE
+)
+RETURNS DOUBLE PRECISION
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_difficulty DOUBLE PRECISION;
+BEGIN
+    v_difficulty := fsrs_weight(p_weights, 4) - EXP(fsrs_weight(p_weights, 5) * p_rating) + 1;
+    IF p_clamp THEN
+        RETURN fsrs_clamp_difficulty(v_difficulty);
+    END IF;
+    RETURN v_difficulty;
+END;
+$$;
+
+-- S0(G) = w[G-1], floored at 0.1 days
+CREATE OR REPLACE FUNCTION fsrs_initial_stability(p_weights JSONB, p_rating INTEGER)
+RETURNS DOUBLE PRECISION
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT GREATEST(0.1, fsrs_weight(p_weights, p_rating));
+$$;
+
+-- D' = w7 * D0(Easy) + (1 - w7) * (D - w6 * (G - 3) * (10 - D) / 9)
+CREATE OR REPLACE FUNCTION fsrs_next_difficulty(
+    p_weights JSONB,
+    p_difficulty DOUBLE PRECISION,
+    p_rating INTEGER
+)
+RETURNS DOUBLE PRECISION
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_difficulty DOUBLE PRECISION := fsrs_clamp_difficulty(p_difficulty);
+    v_damped DOUBLE PRECISION;
+    v_w7 DOUBLE PRECISION := fsrs_weight(p_weights, 7);
+BEGIN
+    v_damped := v_difficulty - fsrs_weight(p_weights, 6) * (p_rating - 2) * (10 - v_difficulty) / 9;
+    RETURN fsrs_clamp_difficulty(
+        v_w7 * fsrs_initial_difficulty(p_weights, 3, FALSE) + (1 - v_w7) * v_damped
+    );
+END;
+$$;
+
+-- Stability after a review: short-term formula for same-day reviews,
+-- otherwise recall (Hard/Good/Easy) or forget (Again), clamped to [0.01, 36500]
+CREATE OR REPLACE FUNCTION fsrs_next_stability(
+    p_weights JSONB,
+    p_stability DOUBLE PRECISION,
+    p_difficulty DOUBLE PRECISION,
+    p_rating INTEGER,
+    p_elapsed_days DOUBLE PRECISION
+)
+RETURNS DOUBLE PRECISION
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_stability DOUBLE PRECISION := GREATEST(0.01, p_stability);
+    v_difficulty DOUBLE PRECISION := fsrs_clamp_difficulty(p_difficulty);
+    v_elapsed DOUBLE PRECISION := GREATEST(0, p_elapsed_days);
+    v_retrievability DOUBLE PRECISION;
+    v_new_stability DOUBLE PRECISION;
+BEGIN
+    IF v_elapsed < 1 THEN
+        v_new_stability := v_stability * EXP(fsrs_weight(p_weights, 17) * (p_rating - 2 + fsrs_weight(p_weights, 18)));
+    ELSE
+        v_retrievability := POWER(1 + (19.0 / 81.0) * v_elapsed / v_stability, -0.5);
+        IF p_rating = 0 THEN
+            v_new_stability := LEAST(
+                fsrs_weight(p_weights, 11)
+                    * POWER(v_difficulty, -fsrs_weight(p_weights, 12))
+                    * (POWER(v_stability + 1, fsrs_weight(p_weights, 13)) - 1)
+                    * EXP(fsrs_weight(p_weights, 14) * (1 - v_retrievability)),
+                v_stability / EXP(fsrs_weight(p_weights, 17) * fsrs_weight(p_weights, 18))
+            );
+        ELSE
+            v_new_stability := v_stability * (
+                EXP(fsrs_weight(p_weights, 8))
+                    * (11 - v_difficulty)
+                    * POWER(v_stability, -fsrs_weight(p_weights, 9))
+                    * (EXP(fsrs_weight(p_weights, 10) * (1 - v_retrievability)) - 1)
+                    * CASE WHEN p_rating = 1 THEN fsrs_weight(p_weights, 15) ELSE 1 END
+                    * CASE WHEN p_rating = 3 THEN fsrs_weight(p_weights, 16) ELSE 1 END
+                + 1
+            );
+        END IF;
+    END IF;
+
+    RETURN LEAST(GREATEST(0.01, v_new_stability), 36500);
+END;
+$$;
+
+-- I(R_d) = (S / F) * (R_d^(1/C) - 1), rounded and clamped to [min, max] days
+CREATE OR REPLACE FUNCTION fsrs_interval(
+    p_stability DOUBLE PRECISION,
+    p_desired_retention DOUBLE PRECISION,
+    p_minimum_interval_days INTEGER,
+    p_maximum_interval_days INTEGER
+)
+RETURNS INTEGER
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE
+        WHEN p_stability <= 0 THEN p_minimum_interval_days
+        ELSE LEAST(
+            GREATEST(
+                p_minimum_interval_days,
+                -- FLOOR(x + 0.5) rounds halves up like Math.round()
+                FLOOR(p_stability / (19.0 / 81.0) * (POWER(p_desired_retention, 1 / -0.5) - 1) + 0.5)::INTEGER
+            ),
+            p_maximum_interval_days
+        )
+    END;
+$$;
+
+-- Step 3: Card scheduling state machine
+-- ============================================================================
+-- Port of scheduleCard() in js/fsrs.js. user_cards has no step column, so the
+-- learning/relearning step is inferred from the delay between last_reviewed_at
+-- and due_at, exactly as the client does for its preview.
+
+CREATE OR REPLACE FUNCTION fsrs_schedule_card(
+    p_card user_cards,
+    p_rating INTEGER,
+    p_now TIMESTAMPTZ,
+    p_params fsrs_params
+)
+RETURNS TABLE (
+    state card_state,
+    stability DOUBLE PRECISION,
+    difficulty DOUBLE PRECISION,
+    due_at TIMESTAMPTZ,
+    elapsed_days DOUBLE PRECISION,
+    scheduled_days DOUBLE PRECISION,
+    reps INTEGER,
+    lapses INTEGER
+)
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+    v_weights JSONB := p_params.weights;
+    v_retention DOUBLE PRECISION := COALESCE(p_params.desired_retention, 0.9);
+    v_min_interval INTEGER := COALESCE(p_params.minimum_interval_days, 1);
+    v_max_interval INTEGER := COALESCE(p_params.maximum_interval_days, 36500);
+    v_state card_state := COALESCE(p_card.state, 'new');
+    v_relearning BOOLEAN;
+    v_steps INTEGER[];
+    v_step INTEGER := 0;
+    v_scheduled_minutes DOUBLE PRECISION;
+    v_previous_interval DOUBLE PRECISION;
+    v_delay_minutes DOUBLE PRECISION;
+    v_delay_days INTEGER;
+    v_graduate_floor INTEGER;
+    v_hard_interval INTEGER;
+    v_good_interval INTEGER;
+    v_easy_interval INTEGER;
+    v_lapsed BOOLEAN := FALSE;
+BEGIN
+    IF p_rating IS NULL OR p_rating NOT IN (0, 1, 2, 3) THEN
+        RAISE EXCEPTION 'Invalid rating: %', p_rating;
+    END IF;
+
+    IF v_state IN ('buried', 'suspended') THEN
+        RAISE EXCEPTION 'Cannot schedule a % card', v_state;
+    END IF;
+
+    elapsed_days := 0;
+    IF v_state <> 'new' AND p_card.last_reviewed_at IS NOT NULL THEN
+        elapsed_days := GREATEST(0, EXTRACT(EPOCH FROM (p_now - p_card.last_reviewed_at)) / 86400.0);
+    END IF;
+
+    -- Memory state
+    IF v_state = 'new' THEN
+        stability := fsrs_initial_stability(v_weights, p_rating);
+        difficulty := fsrs_initial_difficulty(v_weights, p_rating);
+    ELSE
+        stability := fsrs_next_stability(v_weights, p_card.stability, p_card.difficulty, p_rating, elapsed_days);
+        difficulty := fsrs_next_difficulty(v_weights, p_card.difficulty, p_rating);
+    END IF;
+
+    IF v_state = 'review' THEN
+        IF p_rating = 0 THEN
+            v_lapsed := TRUE;
+            v_steps := COALESCE(p_params.relearning_steps_minutes, ARRAY[10]);
+            IF cardinality(v_steps) > 0 THEN
+                state := 'relearning';
+                v_delay_minutes := v_steps[1];
+            ELSE
+                -- No relearning steps: previous interval scaled by lapse_multiplier,
+                -- never longer than FSRS would schedule
+                IF p_card.due_at IS NOT NULL AND p_card.last_reviewed_at IS NOT NULL THEN
+                    v_previous_interval := EXTRACT(EPOCH FROM (p_card.due_at - p_card.last_reviewed_at)) / 86400.0;
+                ELSE
+                    v_previous_interval := COALESCE(p_card.scheduled_days, 0);
+                END IF;
+                state := 'review';
+                v_delay_days := GREATEST(
+                    COALESCE(p_params.lapse_minimum_interval_days, 1),
+                    LEAST(
+                        fsrs_interval(stability, v_retention, v_min_interval, v_max_interval),
+                        FLOOR(v_previous_interval * COALESCE(p_params.lapse_multiplier, 0.5) + 0.5)::INTEGER
+                    )
+                );
+            END IF;
+        ELSE
+            -- Keep Hard <= Good < Easy so a better answer never schedules sooner
+            v_hard_interval := fsrs_interval(
+                fsrs_next_stability(v_weights, p_card.stability, p_card.difficulty, 1, elapsed_days),
+                v_retention, v_min_interval, v_max_interval
+            );
+            v_good_interval := fsrs_interval(
+                fsrs_next_stability(v_weights, p_card.stability, p_card.difficulty, 2, elapsed_days),
+                v_retention, v_min_interval, v_max_interval
+            );
+            v_easy_interval := fsrs_interval(
+                fsrs_next_stability(v_weights, p_card.stability, p_card.difficulty, 3, elapsed_days),
+                v_retention, v_min_interval, v_max_interval
+            );
+            v_hard_interval := LEAST(v_hard_interval, v_good_interval);
+            v_good_interval := LEAST(GREATEST(v_good_interval, v_hard_interval + 1), v_max_interval);
+            v_easy_interval := LEAST(GREATEST(v_easy_interval, v_good_interval + 1), v_max_interval);
+
+            state := 'review';
+            v_delay_days := CASE p_rating
+                WHEN 1 THEN v_hard_interval
+                WHEN 2 THEN v_good_interval
+                ELSE v_easy_interval
+            END;
+        END IF;
+    ELSE
+        -- NEW, LEARNING or RELEARNING: walk the step array
+        v_relearning := v_state = 'relearning';
+        IF v_relearning THEN
+            v_steps := COALESCE(p_params.relearning_steps_minutes, ARRAY[10]);
+            v_graduate_floor := COALESCE(p_params.minimum_relearning_interval_days, 1);
+        ELSE
+            v_steps := COALESCE(p_params.learning_steps_minutes, ARRAY[1, 10]);
+            v_graduate_floor := COALESCE(p_params.graduating_interval_days, 1);
+        END IF;
+
+        IF v_state <> 'new'
+            AND p_card.due_at IS NOT NULL
+            AND p_card.last_reviewed_at IS NOT NULL
+            AND cardinality(v_steps) > 0 THEN
+            v_scheduled_minutes := EXTRACT(EPOCH FROM (p_card.due_at - p_card.last_reviewed_at)) / 60.0;
+            FOR i IN 1..cardinality(v_steps) LOOP
+                IF ABS(v_steps[i] - v_scheduled_minutes) < ABS(v_steps[v_step + 1] - v_scheduled_minutes) THEN
+                    v_step := i - 1;
+                END IF;
+            END LOOP;
+        END IF;
+
+        state := CASE WHEN v_relearning THEN 'relearning'::card_state ELSE 'learning'::card_state END;
+
+        IF cardinality(v_steps) = 0 OR p_rating = 3 THEN
+            -- Easy (or no steps) graduates straight away
+            state := 'review';
+            v_delay_days := CASE
+                WHEN v_relearning THEN COALESCE(p_params.minimum_relearning_interval_days, 1)
+                ELSE COALESCE(p_params.easy_interval_days, 4)
+            END;
+        ELSIF p_rating = 0 THEN
+            v_delay_minutes := v_steps[1];
+        ELSIF p_rating = 1 THEN
+            IF v_step = 0 THEN
+                v_delay_minutes := CASE
+                    WHEN cardinality(v_steps) > 1 THEN (v_steps[1] + v_steps[2]) / 2.0
+                    ELSE v_steps[1] * 1.5
+                END;
+            ELSE
+                v_delay_minutes := v_steps[v_step + 1];
+            END IF;
+        ELSIF v_step + 1 >= cardinality(v_steps) THEN
+            -- Good on the last step graduates
+            state := 'review';
+            v_delay_days := v_graduate_floor;
+        ELSE
+            v_delay_minutes := v_steps[v_step + 2];
+        END IF;
+
+        -- Graduating intervals are floors on the FSRS interval
+        IF state = 'review' THEN
+            v_delay_days := LEAST(
+                GREATEST(v_delay_days, fsrs_interval(stability, v_retention, v_min_interval, v_max_interval)),
+                v_max_interval
+            );
+        END IF;
+    END IF;
+
+    IF v_delay_days IS NOT NULL THEN
+        scheduled_days := v_delay_days;
+    ELSE
+        scheduled_days := v_delay_minutes / 1440.0;
+    END IF;
+
+    due_at := p_now + make_interval(secs => scheduled_days * 86400);
+    reps := COALESCE(p_card.reps, 0) + 1;
+    lapses := COALESCE(p_card.lapses, 0) + CASE WHEN v_lapsed THEN 1 ELSE 0 END;
+
+    RETURN NEXT;
+END;
+$$;
+
+-- Step 4: record_review with FSRS-5 scheduling
+-- ============================================================================
+-- Same as migration 28 (ownership, daily limit, idempotency) with the
+-- placeholder CASE block replaced by fsrs_schedule_card(). user_cards now
+-- stores the interval that was just scheduled in scheduled_days.
+
+CREATE OR REPLACE FUNCTION record_review(
+    p_session_id UUID,
+    p_card_template_id UUID,
+    p_rating INTEGER,
+    p_response_time_ms INTEGER
+)
+RETURNS JSONB
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_user_id UUID;
+    v_session_record RECORD;
+    v_card_in_session BOOLEAN;
+    v_current_card user_cards;
+    v_params fsrs_params;
+    v_next RECORD;
+    v_now TIMESTAMPTZ := NOW();
+    v_review_id UUID;
+    v_elapsed_days DECIMAL;
+    v_scheduled_days DECIMAL;
+    v_new_stability DECIMAL;
+    v_new_difficulty DECIMAL;
+    v_new_due_at TIMESTAMPTZ;
+    v_new_state card_state;
+    v_new_reps INTEGER;
+    v_new_lapses INTEGER;
+    -- Daily limit check variables
+    v_user_tier public.user_tier;
+    v_reviews_today INTEGER;
+    v_daily_limit INTEGER;
+    v_last_review_date DATE;
+BEGIN
+    -- Get session details and validate ownership
+    SELECT
+        s.user_id,
+        s.status,
+        s.cards_data,
+        s.current_index,
+        s.submitted_count,
+        s.max_cards
+    INTO v_session_record
+    FROM user_sessions s
+    WHERE s.id = p_session_id;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'session_not_found',
+            'message', 'Session not found'
+        );
+    END IF;
+
+    -- Verify user owns this session
+    IF v_session_record.user_id != auth.uid() THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'unauthorized',
+            'message', 'Access denied'
+        );
+    END IF;
+
+    -- Verify session is active
+    IF v_session_record.status != 'active' THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_session_status',
+            'message', 'Session is not active'
+        );
+    END IF;
+
+    v_user_id := v_session_record.user_id;
+
+    -- Daily limit enforcement: Check before recording review
+    SELECT user_tier, reviews_today, last_review_date
+    INTO v_user_tier, v_reviews_today, v_last_review_date
+    FROM public.profiles
+    WHERE id = v_user_id;
+
+    -- Only enforce limits for free users
+    IF v_user_tier = 'free' THEN
+        -- Check if it's still the same day
+        IF v_last_review_date = CURRENT_DATE THEN
+            v_daily_limit := 10; -- Free user daily limit
+
+            -- Check if user has reached daily limit
+            IF v_reviews_today >= v_daily_limit THEN
+                RETURN jsonb_build_object(
+                    'success', false,
+                    'error', 'daily_limit_reached',
+                    'message', 'Daily review limit reached',
+                    'limit_info', jsonb_build_object(
+                        'tier', v_user_tier,
+                        'reviews_today', v_reviews_today,
+                        'limit', v_daily_limit
+                    )
+                );
+            END IF;
+        ELSE
+            -- Reset count for new day (this will be updated below anyway)
+            v_reviews_today := 0;
+        END IF;
+    END IF;
+
+    -- Verify card exists in session cards_data
+    SELECT EXISTS(
+        SELECT 1
+        FROM jsonb_array_elements(v_session_record.cards_data) AS card
+        WHERE (card->>'card_template_id')::uuid = p_card_template_id
+    ) INTO v_card_in_session;
+
+    IF NOT v_card_in_session THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'card_not_in_session',
+            'message', 'Card is not part of this session'
+        );
+    END IF;
+
+    -- Check for existing review (idempotency)
+    IF EXISTS(
+        SELECT 1 FROM reviews
+        WHERE session_id = p_session_id
+        AND card_template_id = p_card_template_id
+    ) THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'review_already_exists',
+            'message', 'Review already recorded for this card in this session'
+        );
+    END IF;
+
+    -- Get current card state (or create new user_card if doesn't exist)
+    SELECT * INTO v_current_card
+    FROM user_cards
+    WHERE user_id = v_user_id
+    AND card_template_id = p_card_template_id
+    FOR UPDATE; -- Lock for concurrent access protection
+
+    -- If card doesn't exist in user_cards, create it with defaults
+    IF NOT FOUND THEN
+        INSERT INTO user_cards (
+            user_id,
+            card_template_id,
+            deck_id, -- Legacy field, set to NULL
+            state,
+            stability,
+            difficulty,
+            due_at,
+            last_reviewed_at,
+            elapsed_days,
+            scheduled_days,
+            reps,
+            lapses,
+            total_reviews,
+            correct_reviews,
+            incorrect_reviews
+        ) VALUES (
+            v_user_id,
+            p_card_template_id,
+            NULL, -- No deck association in Phase 5
+            'new',
+            1.0,
+            5.0,
+            NULL,
+            NULL,
+            0.0,
+            0.0,
+            0,
+            0,
+            0,
+            0,
+            0
+        );
+
+        -- Fetch the newly created card
+        SELECT * INTO v_current_card
+        FROM user_cards
+        WHERE user_id = v_user_id
+        AND card_template_id = p_card_template_id;
+    END IF;
+
+    -- Get the user's FSRS parameters (relearning and lapse settings included)
+    SELECT * INTO v_params
+    FROM fsrs_params
+    WHERE user_id = v_user_id;
+
+    IF NOT FOUND THEN
+        PERFORM create_default_fsrs_params(v_user_id);
+        SELECT * INTO v_params
+        FROM fsrs_params
+        WHERE user_id = v_user_id;
+    END IF;
+
+    -- Interval that was scheduled before this review (for the review log)
+    IF v_current_card.due_at IS NOT NULL AND v_current_card.last_reviewed_at IS NOT NULL THEN
+        v_scheduled_days := EXTRACT(EPOCH FROM (v_current_card.due_at - v_current_card.last_reviewed_at)) / 86400.0;
+    ELSE
+        v_scheduled_days := 0;
+    END IF;
+
+    -- FSRS-5 scheduling (mirrors scheduleCard() in js/fsrs.js)
+    SELECT * INTO v_next
+    FROM fsrs_schedule_card(v_current_card, p_rating, v_now, v_params);
+
+    v_elapsed_days := v_next.elapsed_days;
+    v_new_state := v_next.state;
+    v_new_stability := v_next.stability;
+    v_new_difficulty := v_next.difficulty;
+    v_new_due_at := v_next.due_at;
+    v_new_reps := v_next.reps;
+    v_new_lapses := v_next.lapses;
+
+    -- Record the review in the reviews table
+    INSERT INTO reviews (
+        session_id,
+        user_id,
+        card_template_id,
+        deck_id, -- Legacy field, set to NULL
+        rating,
+        response_time_ms,
+        state_before,
+        stability_before,
+        difficulty_before,
+        due_at_before,
+        state_after,
+        stability_after,
+        difficulty_after,
+        due_at_after,
+        elapsed_days,
+        scheduled_days,
+        reps_before,
+        lapses_before
+    ) VALUES (
+        p_session_id,
+        v_user_id,
+        p_card_template_id,
+        NULL, -- No deck in Phase 5
+        p_rating,
+        p_response_time_ms,
+        v_current_card.state,
+        v_current_card.stability,
+        v_current_card.difficulty,
+        v_current_card.due_at,
+        v_new_state,
+        v_new_stability,
+        v_new_difficulty,
+        v_new_due_at,
+        v_elapsed_days,
+        v_scheduled_days,
+        v_current_card.reps,
+        v_current_card.lapses
+    )
+    RETURNING id INTO v_review_id;
+
+    -- Update the user_card with new FSRS state
+    UPDATE user_cards
+    SET
+        state = v_new_state,
+        stability = v_new_stability,
+        difficulty = v_new_difficulty,
+        due_at = v_new_due_at,
+        last_reviewed_at = v_now,
+        elapsed_days = v_elapsed_days,
+        scheduled_days = v_next.scheduled_days,
+        reps = v_new_reps,
+        lapses = v_new_lapses,
+        last_rating = p_rating,
+        total_reviews = total_reviews + 1,
+        correct_reviews = correct_reviews + CASE WHEN p_rating >= 2 THEN 1 ELSE 0 END,
+        incorrect_reviews = incorrect_reviews + CASE WHEN p_rating < 2 THEN 1 ELSE 0 END,
+        average_response_time_ms = CASE
+            WHEN average_response_time_ms IS NULL THEN p_response_time_ms
+            ELSE (average_response_time_ms * total_reviews + p_response_time_ms) / (total_reviews + 1)
+        END,
+        updated_at = NOW()
+    WHERE user_id = v_user_id
+    AND card_template_id = p_card_template_id;
+
+    -- Update session progress
+    UPDATE user_sessions
+    SET
+        submitted_count = submitted_count + 1,
+        current_index = CASE
+            WHEN current_index < max_cards - 1 THEN current_index + 1
+            ELSE current_index
+        END,
+        status = CASE
+            WHEN submitted_count + 1 >= max_cards THEN 'completed'
+            ELSE status
+        END,
+        updated_at = NOW()
+    WHERE id = p_session_id;
+
+    -- Update user streak (call existing function)
+    PERFORM update_user_streak(v_user_id, 1);
+
+    -- Update profile reviews_today counter (with proper date handling)
+    UPDATE profiles
+    SET
+        reviews_today = CASE
+            WHEN last_review_date = CURRENT_DATE THEN reviews_today + 1
+            ELSE 1  -- Reset to 1 for new day
+        END,
+        last_review_date = CURRENT_DATE,
+        updated_at = NOW()
+    WHERE id = v_user_id;
+
+    -- Return success response
+    RETURN jsonb_build_object(
+        'success', true,
+        'review_id', v_review_id,
+        'session_id', p_session_id,
+        'new_state', v_new_state,
+        'new_due_at', v_new_due_at,
+        'session_progress', jsonb_build_object(
+            'submitted_count', v_session_record.submitted_count + 1,
+            'max_cards', v_session_record.max_cards,
+            'completed', (v_session_record.submitted_count + 1) >= v_session_record.max_cards
+        ),
+        'message', 'Review recorded successfully'
+    );
+END;
+$$;
+
+-- Grant execute permissions
+GRANT EXECUTE ON FUNCTION record_review(UUID, UUID, INTEGER, INTEGER) TO authenticated;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- record_review now schedules with the FSRS-5 state machine shared with the
+-- client (js/fsrs.js scheduleCard), so rating button previews match the
+-- intervals the server stores
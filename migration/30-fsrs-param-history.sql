@@ -0,0 +1,147 @@
+-- ============================================================================
+-- Migration 30: FSRS Parameter History
+-- ============================================================================
+-- Stores every change to a user's FSRS weights as a versioned snapshot so any
+-- earlier set can be restored, and logs scheduled batch optimization runs.
+--
+-- This migration:
+-- 1. Creates fsrs_param_history (one row per weight change, versioned per user)
+-- 2. Assigns versions with a BEFORE INSERT trigger
+-- 3. Adds RLS so users see their own history and admins see everyone's
+-- 4. Lets admins update fsrs_params (scheduled optimization and restores)
+-- 5. Creates fsrs_optimization_runs for scheduled batch summaries
+-- ============================================================================
+
+-- Step 1: Parameter history table
+-- Version N holds the weights that were active from that change onwards;
+-- old_weights of version 1 are the weights the user started with.
+CREATE TABLE IF NOT EXISTS fsrs_param_history (
+    id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+
+    -- What caused the change
+    trigger_type TEXT NOT NULL,
+    restored_from_version INTEGER, -- Set when the change restored an earlier version
+
+    -- Weight snapshots (w0-w18)
+    old_weights JSONB NOT NULL,
+    new_weights JSONB NOT NULL,
+
+    -- Optimizer output (log-loss/RMSE fit report, performance metrics)
+    metrics JSONB,
+    confidence DECIMAL(5,4),
+    reviews_analyzed INTEGER,
+
+    created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT fsrs_param_history_trigger_type_check CHECK (trigger_type IN ('manual', 'scheduled', 'admin')),
+    CONSTRAINT fsrs_param_history_version_check CHECK (version > 0),
+    CONSTRAINT fsrs_param_history_restored_from_version_check CHECK (restored_from_version IS NULL OR restored_from_version >= 0),
+    CONSTRAINT fsrs_param_history_confidence_check CHECK (confidence IS NULL OR (confidence >= 0 AND confidence <= 1)),
+    CONSTRAINT fsrs_param_history_user_version_unique UNIQUE (user_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fsrs_param_history_user_version
+ON fsrs_param_history(user_id, version DESC);
+
+-- Step 2: Version assignment
+-- Versions are per user and gapless; the advisory lock serializes concurrent
+-- inserts for the same user (e.g. a scheduled run racing a manual restore)
+CREATE OR REPLACE FUNCTION set_fsrs_param_history_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('fsrs_param_history:' || NEW.user_id::text));
+
+    SELECT COALESCE(MAX(version), 0) + 1
+    INTO NEW.version
+    FROM fsrs_param_history
+    WHERE user_id = NEW.user_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS fsrs_param_history_set_version ON fsrs_param_history;
+CREATE TRIGGER fsrs_param_history_set_version
+    BEFORE INSERT ON fsrs_param_history
+    FOR EACH ROW
+    EXECUTE FUNCTION set_fsrs_param_history_version();
+
+-- Step 3: RLS for parameter history (immutable: no UPDATE/DELETE policies)
+ALTER TABLE fsrs_param_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own FSRS parameter history" ON fsrs_param_history
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own FSRS parameter history" ON fsrs_param_history
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Admins can view all FSRS parameter history" ON fsrs_param_history
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    );
+
+CREATE POLICY "Admins can insert FSRS parameter history" ON fsrs_param_history
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    );
+
+-- Step 4: Allow admins to update any user's FSRS parameters
+-- Needed for scheduled optimization and admin restores
+CREATE POLICY "Admins can update all FSRS parameters" ON fsrs_params
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    );
+
+-- Step 5: Scheduled optimization run log
+CREATE TABLE IF NOT EXISTS fsrs_optimization_runs (
+    id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+    started_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ,
+    total_users INTEGER NOT NULL DEFAULT 0,
+    optimized_users INTEGER NOT NULL DEFAULT 0,
+    skipped_users INTEGER NOT NULL DEFAULT 0,
+    error_users INTEGER NOT NULL DEFAULT 0,
+    details JSONB NOT NULL DEFAULT '[]'::jsonb, -- Per-user status from processBatch
+    created_by UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_fsrs_optimization_runs_started_at
+ON fsrs_optimization_runs(started_at DESC);
+
+ALTER TABLE fsrs_optimization_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can view FSRS optimization runs" ON fsrs_optimization_runs
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    );
+
+CREATE POLICY "Admins can insert FSRS optimization runs" ON fsrs_optimization_runs
+    FOR INSERT WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    );
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- fsrs_param_history records every weight change with its trigger, metrics
+-- and confidence; restoring a version writes the old weights back through
+-- fsrs_params and logs the restore as a new version
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- Migration 31: Card Template External IDs
+-- ============================================================================
+-- Lets bulk imports identify their cards by a stable ID from the source file,
+-- so re-running an import updates the same card_templates rows instead of
+-- creating duplicates.
+--
+-- This migration:
+-- 1. Adds card_templates.external_id
+-- 2. Makes external_id unique (usable as the upsert conflict target)
+-- ============================================================================
+
+-- Step 1: External ID column (NULL for cards created in the app)
+ALTER TABLE card_templates
+ADD COLUMN IF NOT EXISTS external_id TEXT;
+
+COMMENT ON COLUMN card_templates.external_id IS 'Stable ID from a bulk import source; re-imports update the row with the same external_id';
+
+-- Step 2: Uniqueness and format
+-- A plain UNIQUE constraint (NULLs never conflict) so PostgREST upserts can
+-- use ON CONFLICT (external_id)
+ALTER TABLE card_templates
+ADD CONSTRAINT card_templates_external_id_unique UNIQUE (external_id);
+
+ALTER TABLE card_templates
+ADD CONSTRAINT card_templates_external_id_not_empty CHECK (external_id IS NULL OR length(trim(external_id)) > 0);
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Bulk imports upsert card_templates on external_id
@@ -0,0 +1,63 @@
+-- ============================================================================
+-- Migration 32: Card Template Content Hash
+-- ============================================================================
+-- Lets review history imports find a card by its question text when the
+-- source has no card_template_id or external_id. The hash is computed from
+-- the normalized question (lowercased, whitespace runs collapsed to one
+-- space, trimmed) so clients can compute the same value with SHA-256.
+--
+-- This migration:
+-- 1. Adds card_templates.content_hash
+-- 2. Keeps it current with a BEFORE INSERT/UPDATE trigger
+-- 3. Backfills existing rows
+-- 4. Indexes it for lookups
+-- ============================================================================
+
+-- Step 1: Hash column
+ALTER TABLE card_templates
+ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+COMMENT ON COLUMN card_templates.content_hash IS 'SHA-256 (hex) of the normalized question; used to match imported review history';
+
+-- Step 2: Trigger
+-- Normalization must match normalizeContent() in js/reviewHistoryImport.js
+CREATE OR REPLACE FUNCTION card_template_content_hash(p_question TEXT)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT encode(sha256(convert_to(
+        btrim(regexp_replace(lower(p_question), '[ \t\n\r\f\v]+', ' ', 'g'), ' '),
+        'UTF8'
+    )), 'hex');
+$$;
+
+CREATE OR REPLACE FUNCTION set_card_template_content_hash()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    NEW.content_hash := card_template_content_hash(NEW.question);
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS card_templates_content_hash ON card_templates;
+CREATE TRIGGER card_templates_content_hash
+    BEFORE INSERT OR UPDATE OF question ON card_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION set_card_template_content_hash();
+
+-- Step 3: Backfill
+UPDATE card_templates
+SET content_hash = card_template_content_hash(question)
+WHERE content_hash IS NULL;
+
+-- Step 4: Index
+CREATE INDEX IF NOT EXISTS idx_card_templates_content_hash
+ON card_templates(content_hash);
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- card_templates.content_hash is maintained automatically
@@ -0,0 +1,114 @@
+-- ============================================================================
+-- Migration 33: Card Attachments
+-- ============================================================================
+-- Images and audio clips on either face of a card template. Files live in the
+-- public `card-media` storage bucket; card_attachments references them.
+--
+-- This migration:
+-- 1. Creates the card-media storage bucket (public read, size/type limited)
+-- 2. Lets admins upload, replace and delete objects in the bucket
+-- 3. Creates card_attachments
+-- 4. Adds RLS: attachments are visible with their card, managed by admins
+-- ============================================================================
+
+-- Step 1: Storage bucket
+-- 10 MB limit covers audio clips; images are limited further client-side
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+    'card-media',
+    'card-media',
+    true,
+    10485760,
+    ARRAY['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/svg+xml',
+          'audio/mpeg', 'audio/ogg', 'audio/wav', 'audio/webm', 'audio/mp4']
+)
+ON CONFLICT (id) DO NOTHING;
+
+-- Step 2: Storage policies (reads go through the public bucket URL)
+CREATE POLICY "Admins can upload card media" ON storage.objects
+    FOR INSERT WITH CHECK (
+        bucket_id = 'card-media' AND
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    );
+
+CREATE POLICY "Admins can update card media" ON storage.objects
+    FOR UPDATE USING (
+        bucket_id = 'card-media' AND
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    );
+
+CREATE POLICY "Admins can delete card media" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'card-media' AND
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    );
+
+-- Step 3: Attachments table
+CREATE TABLE IF NOT EXISTS card_attachments (
+    id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+    card_template_id UUID NOT NULL REFERENCES card_templates(id) ON DELETE CASCADE,
+
+    -- Which face shows the attachment, and what it is
+    face TEXT NOT NULL,
+    media_type TEXT NOT NULL,
+    storage_path TEXT NOT NULL,
+    mime_type TEXT NOT NULL,
+    file_size INTEGER NOT NULL,
+    alt_text TEXT,
+
+    -- Display order within a face
+    position INTEGER NOT NULL DEFAULT 0,
+
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT card_attachments_face_check CHECK (face IN ('question', 'answer')),
+    CONSTRAINT card_attachments_media_type_check CHECK (media_type IN ('image', 'audio')),
+    CONSTRAINT card_attachments_storage_path_unique UNIQUE (storage_path),
+    CONSTRAINT card_attachments_file_size_check CHECK (file_size > 0),
+    CONSTRAINT card_attachments_position_check CHECK (position >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_card_attachments_card
+ON card_attachments(card_template_id, face, position);
+
+COMMENT ON TABLE card_attachments IS 'Images and audio shown on a card face; files are stored in the card-media bucket';
+
+-- Step 4: RLS
+ALTER TABLE card_attachments ENABLE ROW LEVEL SECURITY;
+
+-- Visible whenever the card itself is visible (card_templates RLS applies in the subquery)
+CREATE POLICY "Users can view attachments of visible cards" ON card_attachments
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM card_templates ct
+            WHERE ct.id = card_attachments.card_template_id
+        )
+    );
+
+CREATE POLICY "Admins can manage card attachments" ON card_attachments
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    ) WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    );
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Card templates can carry image and audio attachments per face
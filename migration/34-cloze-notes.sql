@@ -0,0 +1,176 @@
+-- ============================================================================
+-- Migration 34: Cloze Notes
+-- ============================================================================
+-- A cloze note is source text such as
+--   "The {{c1::mitochondria}} is the {{c2::powerhouse}} of the cell"
+-- that generates one card_templates row per cloze index. Each generated card
+-- is an ordinary template, so it gets its own user_cards FSRS state and works
+-- everywhere a card does. Saving a note updates the existing siblings in
+-- place (same card_template_id), so editing the text keeps review progress.
+--
+-- The client parses the text and renders each sibling (js/cloze.js);
+-- save_cloze_note writes the note and its siblings in one transaction.
+--
+-- This migration:
+-- 1. Creates cloze_notes
+-- 2. Links card_templates to their note and cloze index
+-- 3. Adds RLS: admins manage notes
+-- 4. Creates save_cloze_note()
+-- ============================================================================
+
+-- Step 1: Notes table
+CREATE TABLE IF NOT EXISTS cloze_notes (
+    id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+    text TEXT NOT NULL,
+    path ltree NOT NULL,
+    subject_id UUID REFERENCES subjects(id) ON DELETE SET NULL,
+    tags TEXT[],
+    is_public BOOLEAN NOT NULL DEFAULT false,
+    creator_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT cloze_notes_text_check CHECK (length(trim(text)) > 0)
+);
+
+COMMENT ON TABLE cloze_notes IS 'Cloze deletion source text; each cloze index generates one card_templates row';
+
+-- Step 2: Sibling cards
+ALTER TABLE card_templates
+ADD COLUMN IF NOT EXISTS cloze_note_id UUID REFERENCES cloze_notes(id) ON DELETE CASCADE,
+ADD COLUMN IF NOT EXISTS cloze_index SMALLINT;
+
+ALTER TABLE card_templates
+ADD CONSTRAINT card_templates_cloze_check CHECK (
+    (cloze_note_id IS NULL AND cloze_index IS NULL) OR
+    (cloze_note_id IS NOT NULL AND cloze_index > 0)
+);
+
+-- NULLs are distinct, so ordinary cards are unaffected
+ALTER TABLE card_templates
+ADD CONSTRAINT card_templates_cloze_note_index_unique UNIQUE (cloze_note_id, cloze_index);
+
+COMMENT ON COLUMN card_templates.cloze_note_id IS 'Cloze note this card was generated from (NULL for ordinary cards)';
+COMMENT ON COLUMN card_templates.cloze_index IS 'Cloze number (the N in {{cN::...}}) this card tests';
+
+-- Step 3: RLS
+ALTER TABLE cloze_notes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage cloze notes" ON cloze_notes
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    ) WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    );
+
+-- Step 4: Save a note and its siblings atomically
+-- p_cards: [{ "cloze_index": 1, "question": "...", "answer": "..." }, ...]
+-- Siblings whose index no longer appears in the text are deleted, together
+-- with their user_cards and reviews.
+CREATE OR REPLACE FUNCTION save_cloze_note(
+    p_note_id UUID,
+    p_text TEXT,
+    p_path ltree,
+    p_subject_id UUID,
+    p_tags TEXT[],
+    p_is_public BOOLEAN,
+    p_cards JSONB
+)
+RETURNS JSON AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_note_id UUID := p_note_id;
+    v_created INTEGER := 0;
+    v_updated INTEGER := 0;
+    v_removed INTEGER := 0;
+    v_card JSONB;
+    v_inserted BOOLEAN;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM profiles
+        WHERE id = v_user_id AND is_admin = TRUE
+    ) THEN
+        RAISE EXCEPTION 'Admin privileges required';
+    END IF;
+
+    IF jsonb_typeof(p_cards) != 'array' OR jsonb_array_length(p_cards) = 0 THEN
+        RAISE EXCEPTION 'A cloze note needs at least one cloze';
+    END IF;
+
+    IF v_note_id IS NULL THEN
+        INSERT INTO cloze_notes (text, path, subject_id, tags, is_public, creator_id)
+        VALUES (p_text, p_path, p_subject_id, p_tags, p_is_public, v_user_id)
+        RETURNING id INTO v_note_id;
+    ELSE
+        UPDATE cloze_notes
+        SET text = p_text,
+            path = p_path,
+            subject_id = p_subject_id,
+            tags = p_tags,
+            is_public = p_is_public,
+            updated_at = NOW()
+        WHERE id = v_note_id;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Cloze note % not found', v_note_id;
+        END IF;
+    END IF;
+
+    -- Remove siblings for clozes that were deleted from the text
+    DELETE FROM card_templates
+    WHERE cloze_note_id = v_note_id
+      AND cloze_index NOT IN (
+          SELECT (value->>'cloze_index')::SMALLINT FROM jsonb_array_elements(p_cards)
+      );
+    GET DIAGNOSTICS v_removed = ROW_COUNT;
+
+    -- Create new siblings and update existing ones in place
+    FOR v_card IN SELECT value FROM jsonb_array_elements(p_cards)
+    LOOP
+        INSERT INTO card_templates (
+            question, answer, path, subject_id, tags, is_public, creator_id,
+            cloze_note_id, cloze_index
+        )
+        VALUES (
+            v_card->>'question', v_card->>'answer', p_path, p_subject_id, p_tags, p_is_public, v_user_id,
+            v_note_id, (v_card->>'cloze_index')::SMALLINT
+        )
+        ON CONFLICT (cloze_note_id, cloze_index) DO UPDATE
+        SET question = EXCLUDED.question,
+            answer = EXCLUDED.answer,
+            path = EXCLUDED.path,
+            subject_id = EXCLUDED.subject_id,
+            tags = EXCLUDED.tags,
+            is_public = EXCLUDED.is_public,
+            updated_at = NOW()
+        RETURNING (xmax = 0) INTO v_inserted;
+
+        IF v_inserted THEN
+            v_created := v_created + 1;
+        ELSE
+            v_updated := v_updated + 1;
+        END IF;
+    END LOOP;
+
+    RETURN json_build_object(
+        'success', true,
+        'note_id', v_note_id,
+        'created', v_created,
+        'updated', v_updated,
+        'removed', v_removed
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION save_cloze_note(UUID, TEXT, ltree, UUID, TEXT[], BOOLEAN, JSONB) TO authenticated;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Cloze notes generate one card per cloze index and keep progress on edit
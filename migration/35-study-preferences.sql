@@ -0,0 +1,30 @@
+-- ============================================================================
+-- Migration 35: Study Preferences
+-- ============================================================================
+-- Per-user study options that change how cards are presented, stored as one
+-- JSON object so new options don't need a column each. Missing keys fall back
+-- to STUDY_PREFERENCES_DEFAULTS in js/config.js.
+--
+-- Current keys:
+--   typed_answer                 - type the answer before flipping
+--   typed_answer_ignore_case     - typed-answer check ignores letter case
+--   typed_answer_ignore_accents  - typed-answer check ignores accents
+--
+-- This migration:
+-- 1. Adds profiles.study_preferences
+-- ============================================================================
+
+-- Step 1: Preferences column (users already update their own profile row)
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS study_preferences JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE profiles
+ADD CONSTRAINT profiles_study_preferences_object_check
+CHECK (jsonb_typeof(study_preferences) = 'object');
+
+COMMENT ON COLUMN profiles.study_preferences IS 'Per-user study options (typed-answer mode, ...); defaults live in js/config.js';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- profiles.study_preferences stores per-user study options
@@ -0,0 +1,474 @@
+-- ============================================================================
+-- Migration 36: Reverse Cards and Sibling Burying
+-- ============================================================================
+-- A reverse card is a card_templates row with question and answer swapped,
+-- linked to its forward card by reverse_of. It has its own user_cards FSRS
+-- state but shares content: editing either card updates the other.
+--
+-- Reverse cards are created per card (create_reverse_card) or for every card
+-- of a subject (subjects.create_reverse_cards, applied to existing cards by
+-- set_subject_reverse_cards and to new cards by an insert trigger).
+--
+-- Cards generated from the same source are siblings: a forward card and its
+-- reverse, or the cards of one cloze note (migration 34). sibling_group
+-- identifies them, and get_or_create_user_session now puts at most one card
+-- of each sibling group into a session.
+--
+-- This migration:
+-- 1. Adds card_templates.reverse_of and card_templates.sibling_group
+-- 2. Adds subjects.create_reverse_cards
+-- 3. Keeps forward and reverse content in sync
+-- 4. Creates reverse cards for new cards in reverse-enabled subjects
+-- 5. Creates create_reverse_card() and set_subject_reverse_cards()
+-- 6. Rebuilds get_or_create_user_session() with sibling burying
+-- ============================================================================
+
+-- Step 1: Reverse link and sibling group
+ALTER TABLE card_templates
+ADD COLUMN IF NOT EXISTS reverse_of UUID REFERENCES card_templates(id) ON DELETE CASCADE;
+
+ALTER TABLE card_templates
+ADD CONSTRAINT card_templates_reverse_of_unique UNIQUE (reverse_of);
+
+ALTER TABLE card_templates
+ADD CONSTRAINT card_templates_reverse_of_check CHECK (
+    reverse_of IS NULL OR (reverse_of != id AND cloze_note_id IS NULL)
+);
+
+ALTER TABLE card_templates
+ADD COLUMN IF NOT EXISTS sibling_group UUID
+GENERATED ALWAYS AS (COALESCE(cloze_note_id, reverse_of, id)) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_card_templates_sibling_group
+ON card_templates(sibling_group);
+
+COMMENT ON COLUMN card_templates.reverse_of IS 'Forward card this card reverses (question and answer swapped)';
+COMMENT ON COLUMN card_templates.sibling_group IS 'Cards sharing a source (forward/reverse pair or cloze note); at most one per session';
+
+-- Step 2: Per-subject option
+ALTER TABLE subjects
+ADD COLUMN IF NOT EXISTS create_reverse_cards BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN subjects.create_reverse_cards IS 'Every card in this subject also gets a reverse card';
+
+-- Step 3: Content sync between forward and reverse cards
+-- pg_trigger_depth() stops the update of the other card from syncing back
+CREATE OR REPLACE FUNCTION sync_reverse_card_content()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF pg_trigger_depth() > 1 THEN
+        RETURN NEW;
+    END IF;
+
+    UPDATE card_templates
+    SET question = NEW.answer,
+        answer = NEW.question,
+        subject_id = NEW.subject_id,
+        path = NEW.path,
+        tags = NEW.tags,
+        is_public = NEW.is_public,
+        updated_at = NOW()
+    WHERE id = NEW.reverse_of      -- NEW is a reverse card: update its forward card
+       OR reverse_of = NEW.id;     -- NEW is a forward card: update its reverse
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS card_templates_sync_reverse ON card_templates;
+CREATE TRIGGER card_templates_sync_reverse
+    AFTER UPDATE OF question, answer, subject_id, path, tags, is_public ON card_templates
+    FOR EACH ROW
+    WHEN (
+        OLD.question IS DISTINCT FROM NEW.question OR
+        OLD.answer IS DISTINCT FROM NEW.answer OR
+        OLD.subject_id IS DISTINCT FROM NEW.subject_id OR
+        OLD.path IS DISTINCT FROM NEW.path OR
+        OLD.tags IS DISTINCT FROM NEW.tags OR
+        OLD.is_public IS DISTINCT FROM NEW.is_public
+    )
+    EXECUTE FUNCTION sync_reverse_card_content();
+
+-- Step 4: Reverse cards for new cards in reverse-enabled subjects
+CREATE OR REPLACE FUNCTION insert_reverse_card(p_card card_templates)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_reverse_id UUID;
+BEGIN
+    INSERT INTO card_templates (
+        question, answer, subject_id, path, tags, is_public, creator_id, reverse_of
+    )
+    VALUES (
+        p_card.answer, p_card.question, p_card.subject_id, p_card.path, p_card.tags,
+        p_card.is_public, p_card.creator_id, p_card.id
+    )
+    ON CONFLICT (reverse_of) DO NOTHING
+    RETURNING id INTO v_reverse_id;
+
+    RETURN v_reverse_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION create_reverse_for_subject_card()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM subjects
+        WHERE id = NEW.subject_id AND create_reverse_cards = TRUE
+    ) THEN
+        PERFORM insert_reverse_card(NEW);
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS card_templates_create_reverse ON card_templates;
+CREATE TRIGGER card_templates_create_reverse
+    AFTER INSERT ON card_templates
+    FOR EACH ROW
+    WHEN (NEW.reverse_of IS NULL AND NEW.cloze_note_id IS NULL)
+    EXECUTE FUNCTION create_reverse_for_subject_card();
+
+-- Step 5: Admin RPCs
+-- Create the reverse of one card; returns the existing reverse if there is one
+CREATE OR REPLACE FUNCTION create_reverse_card(p_card_template_id UUID)
+RETURNS JSON AS $$
+DECLARE
+    v_card card_templates;
+    v_reverse_id UUID;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM profiles
+        WHERE id = auth.uid() AND is_admin = TRUE
+    ) THEN
+        RAISE EXCEPTION 'Admin privileges required';
+    END IF;
+
+    SELECT * INTO v_card FROM card_templates WHERE id = p_card_template_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Card % not found', p_card_template_id;
+    END IF;
+
+    IF v_card.reverse_of IS NOT NULL OR v_card.cloze_note_id IS NOT NULL THEN
+        RETURN json_build_object('success', false, 'message', 'Reverse and cloze cards cannot be reversed');
+    END IF;
+
+    v_reverse_id := insert_reverse_card(v_card);
+    IF v_reverse_id IS NULL THEN
+        SELECT id INTO v_reverse_id FROM card_templates WHERE reverse_of = p_card_template_id;
+        RETURN json_build_object('success', true, 'reverse_id', v_reverse_id, 'created', false);
+    END IF;
+
+    RETURN json_build_object('success', true, 'reverse_id', v_reverse_id, 'created', true);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Turn a subject's reverse option on or off. Turning it on reverses the
+-- subject's existing cards; turning it off keeps existing reverse cards
+-- (and their progress) but stops creating new ones.
+CREATE OR REPLACE FUNCTION set_subject_reverse_cards(p_subject_id UUID, p_enabled BOOLEAN)
+RETURNS JSON AS $$
+DECLARE
+    v_card card_templates;
+    v_created INTEGER := 0;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM profiles
+        WHERE id = auth.uid() AND is_admin = TRUE
+    ) THEN
+        RAISE EXCEPTION 'Admin privileges required';
+    END IF;
+
+    UPDATE subjects
+    SET create_reverse_cards = p_enabled
+    WHERE id = p_subject_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Subject % not found', p_subject_id;
+    END IF;
+
+    IF p_enabled THEN
+        FOR v_card IN
+            SELECT ct.* FROM card_templates ct
+            WHERE ct.subject_id = p_subject_id
+              AND ct.reverse_of IS NULL
+              AND ct.cloze_note_id IS NULL
+              AND NOT EXISTS (SELECT 1 FROM card_templates r WHERE r.reverse_of = ct.id)
+        LOOP
+            IF insert_reverse_card(v_card) IS NOT NULL THEN
+                v_created := v_created + 1;
+            END IF;
+        END LOOP;
+    END IF;
+
+    RETURN json_build_object('success', true, 'created', v_created);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION create_reverse_card(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION set_subject_reverse_cards(UUID, BOOLEAN) TO authenticated;
+
+-- Step 6: Sessions with sibling burying
+-- Same flow as migration 26; due and new cards are now picked at most one
+-- per sibling group, and new cards skip groups already in the session.
+CREATE OR REPLACE FUNCTION get_or_create_user_session(
+    p_user_id UUID,
+    p_deck_id UUID DEFAULT NULL,  -- Legacy parameter for backward compatibility
+    p_subject_path TEXT DEFAULT NULL
+)
+RETURNS JSONB
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_user_tier public.user_tier;
+    v_sessions_today integer;
+    v_max_sessions_per_day integer;
+    v_session_id uuid;
+    v_cards_data jsonb;
+    v_existing_session record;
+    v_user_timezone text;
+    v_today_in_tz date;
+    v_session_seed text;
+    v_session_groups uuid[];
+BEGIN
+    -- Get user tier and timezone
+    SELECT user_tier, timezone INTO v_user_tier, v_user_timezone
+    FROM public.profiles
+    WHERE id = p_user_id;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'message', 'User profile not found'
+        );
+    END IF;
+
+    -- Calculate today in user's timezone
+    v_today_in_tz := (NOW() AT TIME ZONE COALESCE(v_user_timezone, 'UTC'))::date;
+
+    -- Set session limits based on user tier
+    CASE v_user_tier
+        WHEN 'free' THEN v_max_sessions_per_day := 1;
+        WHEN 'paid' THEN v_max_sessions_per_day := 999; -- Effectively unlimited
+        WHEN 'admin' THEN v_max_sessions_per_day := 999; -- Effectively unlimited
+        ELSE v_max_sessions_per_day := 1; -- Default to free limits
+    END CASE;
+
+    -- For FREE users only: Check for existing session and return it if incomplete
+    IF v_user_tier = 'free' THEN
+        SELECT * INTO v_existing_session
+        FROM public.user_sessions
+        WHERE user_id = p_user_id
+          AND session_date = v_today_in_tz
+          AND submitted_count < max_cards -- Not yet completed
+          AND status IN ('created', 'active') -- Not completed
+          AND (p_subject_path IS NULL OR subject_path = p_subject_path) -- Same subject filter
+        ORDER BY created_at DESC
+        LIMIT 1;
+
+        -- If we found an existing incomplete session, return it
+        IF FOUND THEN
+            RETURN jsonb_build_object(
+                'success', true,
+                'session_id', v_existing_session.id,
+                'cards_data', v_existing_session.cards_data,
+                'max_cards', v_existing_session.max_cards,
+                'current_index', v_existing_session.current_index,
+                'submitted_count', v_existing_session.submitted_count,
+                'session_type', COALESCE(v_existing_session.session_type, 'general'),
+                'subject_path', v_existing_session.subject_path,
+                'seed', v_existing_session.seed,
+                'status', v_existing_session.status,
+                'is_new_session', false
+            );
+        END IF;
+
+        -- Check if free user already has a completed session today
+        SELECT COUNT(*) INTO v_sessions_today
+        FROM public.user_sessions
+        WHERE user_id = p_user_id
+          AND session_date = v_today_in_tz;
+
+        IF v_sessions_today >= v_max_sessions_per_day THEN
+            RETURN jsonb_build_object(
+                'success', false,
+                'limit_reached', true,
+                'tier', v_user_tier,
+                'reviews_today', 0,
+                'limit', 10,
+                'message', 'Daily session limit reached. Come back tomorrow!'
+            );
+        END IF;
+    END IF;
+
+    -- Generate deterministic seed for reproducible card order
+    v_session_seed := substring(md5(random()::text || clock_timestamp()::text) for 8);
+
+    -- Up to 10 due cards, most overdue first, one per sibling group
+    SELECT
+        jsonb_agg(
+            jsonb_build_object(
+                'card_template_id', card_template_id,
+                'question', question,
+                'answer', answer,
+                'subject_name', subject_name,
+                'subject_path', subject_path,
+                'deck_name', 'Mixed Decks', -- Legacy compatibility
+                'tags', ARRAY[]::text[],
+                'sibling_group', sibling_group,
+                'stability', COALESCE(stability, 1.0),
+                'difficulty', COALESCE(difficulty, 5.0),
+                'state', COALESCE(state::text, 'new'),
+                'total_reviews', COALESCE(total_reviews, 0),
+                'due_at', due_at,
+                'last_reviewed_at', last_reviewed_at,
+                'reps', COALESCE(reps, 0),
+                'lapses', COALESCE(lapses, 0),
+                'correct_reviews', COALESCE(correct_reviews, 0),
+                'incorrect_reviews', COALESCE(incorrect_reviews, 0)
+            ) ORDER BY due_at ASC
+        ),
+        array_agg(sibling_group)
+    INTO v_cards_data, v_session_groups
+    FROM (
+        SELECT *
+        FROM (
+            SELECT DISTINCT ON (ct.sibling_group) d.*, ct.sibling_group
+            FROM public.v_due_user_cards d
+            JOIN public.card_templates ct ON ct.id = d.card_template_id
+            WHERE d.user_id = p_user_id
+              -- Subject path filtering (NULL means global session)
+              AND (p_subject_path IS NULL OR d.subject_path = p_subject_path)
+            ORDER BY ct.sibling_group, d.due_at ASC
+        ) one_per_group
+        ORDER BY due_at ASC
+        LIMIT 10
+    ) limited_cards;
+
+    -- If we got fewer than 10 due cards, fill with new cards
+    IF v_cards_data IS NULL OR jsonb_array_length(v_cards_data) < 10 THEN
+        DECLARE
+            v_due_count integer := COALESCE(jsonb_array_length(v_cards_data), 0);
+            v_new_cards_needed integer := 10 - v_due_count;
+            v_new_cards jsonb;
+        BEGIN
+            SELECT jsonb_agg(
+                jsonb_build_object(
+                    'card_template_id', card_template_id,
+                    'question', question,
+                    'answer', answer,
+                    'subject_name', subject_name,
+                    'subject_path', subject_path,
+                    'deck_name', 'Mixed Decks', -- Legacy compatibility
+                    'tags', ARRAY[]::text[],
+                    'sibling_group', sibling_group,
+                    'stability', COALESCE(stability, 1.0),
+                    'difficulty', COALESCE(difficulty, 5.0),
+                    'state', COALESCE(state::text, 'new'),
+                    'total_reviews', COALESCE(total_reviews, 0),
+                    'due_at', due_at,
+                    'last_reviewed_at', last_reviewed_at,
+                    'reps', COALESCE(reps, 0),
+                    'lapses', COALESCE(lapses, 0),
+                    'correct_reviews', COALESCE(correct_reviews, 0),
+                    'incorrect_reviews', COALESCE(incorrect_reviews, 0)
+                )
+            ) INTO v_new_cards
+            FROM (
+                SELECT *
+                FROM (
+                    -- One random card per sibling group not already in the session
+                    SELECT DISTINCT ON (ct.sibling_group) n.*, ct.sibling_group
+                    FROM get_new_user_cards(p_user_id) n
+                    JOIN public.card_templates ct ON ct.id = n.card_template_id
+                    WHERE (p_subject_path IS NULL OR n.subject_path = p_subject_path)
+                      AND NOT (ct.sibling_group = ANY (COALESCE(v_session_groups, ARRAY[]::uuid[])))
+                    ORDER BY ct.sibling_group, RANDOM()
+                ) one_per_group
+                ORDER BY RANDOM()  -- Randomize selection of new cards
+                LIMIT v_new_cards_needed
+            ) limited_new_cards;
+
+            -- Combine due and new cards
+            IF v_cards_data IS NULL THEN
+                v_cards_data := v_new_cards;
+            ELSIF v_new_cards IS NOT NULL THEN
+                v_cards_data := v_cards_data || v_new_cards;
+            END IF;
+        END;
+    END IF;
+
+    -- If still no cards found, return error
+    IF v_cards_data IS NULL OR jsonb_array_length(v_cards_data) = 0 THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'message', CASE
+                WHEN p_subject_path IS NOT NULL THEN
+                    'No cards available for subject "' || p_subject_path || '"'
+                ELSE
+                    'No cards available for session'
+            END
+        );
+    END IF;
+
+    -- Create new session
+    INSERT INTO public.user_sessions (
+        user_id,
+        session_type,
+        session_date,
+        deck_id,
+        subject_path,
+        seed,
+        status,
+        cards_data,
+        max_cards,
+        timezone
+    )
+    VALUES (
+        p_user_id,
+        CASE WHEN p_deck_id IS NOT NULL THEN 'deck_specific'
+             WHEN p_subject_path IS NOT NULL THEN 'subject_specific'
+             WHEN v_user_tier = 'free' THEN 'daily_free'
+             ELSE 'general_unlimited' END,
+        v_today_in_tz,
+        p_deck_id, -- Legacy field, kept for backward compatibility
+        p_subject_path,
+        v_session_seed,
+        'created', -- Start in created state, can be finalized later
+        v_cards_data,
+        LEAST(jsonb_array_length(v_cards_data), 10), -- Actual card count (may be < 10)
+        COALESCE(v_user_timezone, 'UTC')
+    )
+    RETURNING id INTO v_session_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'session_id', v_session_id,
+        'cards_data', v_cards_data,
+        'max_cards', LEAST(jsonb_array_length(v_cards_data), 10),
+        'current_index', 0,
+        'submitted_count', 0,
+        'session_type', CASE WHEN p_deck_id IS NOT NULL THEN 'deck_specific'
+                            WHEN p_subject_path IS NOT NULL THEN 'subject_specific'
+                            WHEN v_user_tier = 'free' THEN 'daily_free'
+                            ELSE 'general_unlimited' END,
+        'subject_path', p_subject_path,
+        'seed', v_session_seed,
+        'status', 'created',
+        'is_new_session', true
+    );
+END;
+$$;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Reverse cards share content with their forward card, and sessions bury siblings
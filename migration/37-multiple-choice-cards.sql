@@ -0,0 +1,45 @@
+-- ============================================================================
+-- Migration 37: Multiple-Choice Cards
+-- ============================================================================
+-- A multiple-choice card shows its answer among distractors instead of
+-- asking the user to recall it. Distractors are entered by an admin or, when
+-- fewer are stored than the session needs, drawn from the answers of other
+-- cards at the same path. The client builds and shuffles the options with the
+-- session seed (js/multipleChoice.js), so a resumed session shows the same
+-- order. Choosing grades the card: correct = Good, wrong = Again, recorded
+-- through record_review like any other rating.
+--
+-- This migration:
+-- 1. Adds card_templates.card_type
+-- 2. Adds card_templates.distractors
+-- ============================================================================
+
+-- Step 1: Card type
+ALTER TABLE card_templates
+ADD COLUMN IF NOT EXISTS card_type TEXT NOT NULL DEFAULT 'basic';
+
+ALTER TABLE card_templates
+ADD CONSTRAINT card_templates_card_type_check CHECK (
+    card_type IN ('basic', 'multiple_choice')
+);
+
+COMMENT ON COLUMN card_templates.card_type IS 'basic (recall and flip) or multiple_choice (pick the answer among distractors)';
+
+-- Step 2: Admin-entered distractors
+ALTER TABLE card_templates
+ADD COLUMN IF NOT EXISTS distractors TEXT[];
+
+ALTER TABLE card_templates
+ADD CONSTRAINT card_templates_distractors_check CHECK (
+    distractors IS NULL OR (
+        cardinality(distractors) <= 8 AND
+        array_position(distractors, NULL) IS NULL
+    )
+);
+
+COMMENT ON COLUMN card_templates.distractors IS 'Wrong options for multiple-choice cards; topped up from answers at the same path';
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Cards can be multiple choice with stored or path-drawn distractors
@@ -0,0 +1,161 @@
+-- ============================================================================
+-- Migration 39: Undo Last Review
+-- ============================================================================
+-- Lets a user take back a mis-tapped rating. Only the most recent review of
+-- the session can be undone, and only while it is still the card's latest
+-- review. The review row already stores the card's state before the review
+-- (state_before, stability_before, ...), so undoing restores user_cards from
+-- it, deletes the review and steps the session and daily counters back.
+--
+-- The streak update made by the review is left as is: the user rates the
+-- card again straight away, on the same day.
+--
+-- This migration:
+-- 1. Creates undo_last_review()
+-- ============================================================================
+
+-- Step 1: undo_last_review
+CREATE OR REPLACE FUNCTION undo_last_review(p_session_id UUID)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_session RECORD;
+    v_review reviews;
+    v_previous reviews;
+    v_submitted_count INTEGER;
+BEGIN
+    SELECT id, user_id, status, submitted_count, max_cards
+    INTO v_session
+    FROM user_sessions
+    WHERE id = p_session_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'session_not_found',
+            'message', 'Session not found'
+        );
+    END IF;
+
+    IF v_session.user_id != auth.uid() THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'unauthorized',
+            'message', 'Access denied'
+        );
+    END IF;
+
+    IF v_session.status NOT IN ('active', 'completed') THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_session_status',
+            'message', 'Session is not active'
+        );
+    END IF;
+
+    -- Most recent review in this session
+    SELECT * INTO v_review
+    FROM reviews
+    WHERE session_id = p_session_id
+    ORDER BY reviewed_at DESC, created_at DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'nothing_to_undo',
+            'message', 'No review to undo in this session'
+        );
+    END IF;
+
+    -- A later review of the card (e.g. in another session) was scheduled from
+    -- this one's result, so restoring the old state would lose it
+    IF EXISTS (
+        SELECT 1 FROM reviews
+        WHERE user_id = v_review.user_id
+          AND card_template_id = v_review.card_template_id
+          AND reviewed_at > v_review.reviewed_at
+    ) THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'not_latest_review',
+            'message', 'This card has been reviewed again since'
+        );
+    END IF;
+
+    -- The review before it, for the fields the review row doesn't keep
+    SELECT * INTO v_previous
+    FROM reviews
+    WHERE user_id = v_review.user_id
+      AND card_template_id = v_review.card_template_id
+      AND id != v_review.id
+    ORDER BY reviewed_at DESC
+    LIMIT 1;
+
+    UPDATE user_cards
+    SET
+        state = v_review.state_before,
+        stability = v_review.stability_before,
+        difficulty = v_review.difficulty_before,
+        due_at = v_review.due_at_before,
+        last_reviewed_at = v_previous.reviewed_at,
+        elapsed_days = COALESCE(v_previous.elapsed_days, 0),
+        scheduled_days = v_review.scheduled_days,
+        reps = v_review.reps_before,
+        lapses = v_review.lapses_before,
+        last_rating = v_previous.rating,
+        total_reviews = GREATEST(total_reviews - 1, 0),
+        correct_reviews = GREATEST(correct_reviews - CASE WHEN v_review.rating >= 2 THEN 1 ELSE 0 END, 0),
+        incorrect_reviews = GREATEST(incorrect_reviews - CASE WHEN v_review.rating < 2 THEN 1 ELSE 0 END, 0),
+        average_response_time_ms = CASE
+            WHEN total_reviews <= 1 THEN NULL
+            ELSE (average_response_time_ms * total_reviews - v_review.response_time_ms) / (total_reviews - 1)
+        END,
+        updated_at = NOW()
+    WHERE user_id = v_review.user_id
+      AND card_template_id = v_review.card_template_id;
+
+    DELETE FROM reviews WHERE id = v_review.id;
+
+    -- Step the session back one card (record_review keeps current_index
+    -- at the last card once it is reached)
+    v_submitted_count := GREATEST(v_session.submitted_count - 1, 0);
+
+    UPDATE user_sessions
+    SET
+        submitted_count = v_submitted_count,
+        current_index = LEAST(v_submitted_count, max_cards - 1),
+        status = 'active',
+        updated_at = NOW()
+    WHERE id = p_session_id;
+
+    UPDATE profiles
+    SET
+        reviews_today = GREATEST(reviews_today - 1, 0),
+        updated_at = NOW()
+    WHERE id = v_review.user_id
+      AND last_review_date = CURRENT_DATE;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'card_template_id', v_review.card_template_id,
+        'rating', v_review.rating,
+        'session_progress', jsonb_build_object(
+            'submitted_count', v_submitted_count,
+            'max_cards', v_session.max_cards,
+            'current_index', LEAST(v_submitted_count, v_session.max_cards - 1)
+        )
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION undo_last_review(UUID) TO authenticated;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- The most recent review of a session can be undone
@@ -0,0 +1,535 @@
+-- ============================================================================
+-- Migration 40: Bury, Suspend and Reschedule Cards
+-- ============================================================================
+-- The card_state enum has had 'buried' and 'suspended' since migration 01,
+-- but nothing put a card into them. This migration adds the user actions:
+--
+--   bury_card          - hide the card until the user's next day start
+--   suspend_card       - hide the card until it is unsuspended
+--   unsuspend_card     - return a suspended card to its previous state
+--   reset_card_to_new  - forget the card's schedule; it is studied as new
+--   set_card_due_date  - move the card's next review to a chosen day
+--
+-- Buried and suspended cards keep their FSRS memory state. The state they
+-- return to is stored in user_cards.resume_state. The due and new card
+-- surfaces only pick learning/review/relearning and new cards, so held cards
+-- are skipped by sessions without further changes. Each action also takes
+-- the card out of the user's open sessions, where it hasn't been reviewed
+-- yet.
+--
+-- Buried cards come back at the day start after they were buried
+-- (profiles.day_start_time in the user's timezone): unbury_cards() restores
+-- the current user's, and unbury_all_cards() every user's, for a scheduled
+-- job. Migration 49 makes the session RPCs unbury the user's cards before
+-- picking cards.
+--
+-- A card that has never been reviewed has no user_cards row. Burying or
+-- suspending it creates one with resume_state 'new', so user_cards rows in
+-- state 'new' (reset, unsuspended or undone cards) are now new cards too.
+--
+-- This migration:
+-- 1. Adds user_cards.resume_state and user_cards.buried_until
+-- 2. Creates helpers for the next day start and open-session removal
+-- 3. Creates the card action RPCs
+-- 4. Creates unbury_cards() and unbury_all_cards()
+-- 5. Rebuilds get_new_user_cards() to include user_cards rows in state 'new'
+-- ============================================================================
+
+-- Step 1: Hold state
+ALTER TABLE user_cards
+ADD COLUMN IF NOT EXISTS resume_state card_state;
+
+ALTER TABLE user_cards
+ADD COLUMN IF NOT EXISTS buried_until TIMESTAMPTZ;
+
+ALTER TABLE user_cards
+ADD CONSTRAINT user_cards_resume_state_check CHECK (
+    (state IN ('buried', 'suspended')) = (resume_state IS NOT NULL)
+    AND resume_state NOT IN ('buried', 'suspended')
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_cards_buried_until
+ON user_cards(buried_until)
+WHERE state = 'buried';
+
+COMMENT ON COLUMN user_cards.resume_state IS 'State a buried or suspended card returns to';
+COMMENT ON COLUMN user_cards.buried_until IS 'When a buried card is unburied (the user''s next day start)';
+
+-- Step 2: Helpers
+-- Start of the user's next day (profiles.day_start_time in their timezone)
+CREATE OR REPLACE FUNCTION next_day_start(p_user_id UUID)
+RETURNS TIMESTAMPTZ
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_timezone TEXT;
+    v_day_start_time TIME;
+    v_local TIMESTAMP;
+    v_next TIMESTAMP;
+BEGIN
+    SELECT COALESCE(timezone, 'UTC'), COALESCE(day_start_time, '04:00:00')
+    INTO v_timezone, v_day_start_time
+    FROM profiles
+    WHERE id = p_user_id;
+
+    v_timezone := COALESCE(v_timezone, 'UTC');
+    v_day_start_time := COALESCE(v_day_start_time, '04:00:00');
+
+    v_local := NOW() AT TIME ZONE v_timezone;
+    v_next := v_local::DATE + v_day_start_time;
+    IF v_next <= v_local THEN
+        v_next := v_next + INTERVAL '1 day';
+    END IF;
+
+    RETURN v_next AT TIME ZONE v_timezone;
+END;
+$$;
+
+-- Drop a card from the user's open sessions where it hasn't been reviewed
+-- yet. Unreviewed cards sit at or after current_index, so the positions of
+-- reviewed cards don't change. A session left with nothing to review is
+-- completed.
+CREATE OR REPLACE FUNCTION remove_card_from_open_sessions(p_user_id UUID, p_card_template_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    WITH changed AS (
+        SELECT
+            s.id,
+            COALESCE((
+                SELECT jsonb_agg(card ORDER BY position)
+                FROM jsonb_array_elements(s.cards_data) WITH ORDINALITY AS cards(card, position)
+                WHERE (card->>'card_template_id')::uuid != p_card_template_id
+            ), '[]'::jsonb) AS cards_data
+        FROM user_sessions s
+        WHERE s.user_id = p_user_id
+          AND s.status IN ('created', 'active')
+          AND s.cards_data @> jsonb_build_array(jsonb_build_object('card_template_id', p_card_template_id))
+          AND NOT EXISTS (
+              SELECT 1 FROM reviews r
+              WHERE r.session_id = s.id AND r.card_template_id = p_card_template_id
+          )
+    )
+    UPDATE user_sessions s
+    SET
+        cards_data = changed.cards_data,
+        max_cards = s.max_cards - 1,
+        current_index = GREATEST(LEAST(s.current_index, s.max_cards - 2), 0),
+        status = CASE WHEN s.submitted_count >= s.max_cards - 1 THEN 'completed' ELSE s.status END,
+        updated_at = NOW()
+    FROM changed
+    WHERE s.id = changed.id;
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$;
+
+-- Step 3: Card actions
+-- Put a card on hold (buried or suspended), creating its user_cards row if
+-- it has never been reviewed
+CREATE OR REPLACE FUNCTION hold_card(p_user_id UUID, p_card_template_id UUID, p_state card_state, p_buried_until TIMESTAMPTZ)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_card user_cards;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM card_templates WHERE id = p_card_template_id) THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'card_not_found',
+            'message', 'Card not found'
+        );
+    END IF;
+
+    SELECT * INTO v_card
+    FROM user_cards
+    WHERE user_id = p_user_id AND card_template_id = p_card_template_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        INSERT INTO user_cards (
+            user_id, card_template_id, deck_id, state, resume_state, buried_until,
+            stability, difficulty
+        )
+        VALUES (
+            p_user_id, p_card_template_id, NULL, p_state, 'new', p_buried_until,
+            1.0, 5.0
+        );
+    ELSIF v_card.state = 'suspended' AND p_state = 'buried' THEN
+        -- Suspension outlasts burying
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'card_suspended',
+            'message', 'Card is suspended'
+        );
+    ELSE
+        UPDATE user_cards
+        SET
+            state = p_state,
+            resume_state = CASE WHEN v_card.state IN ('buried', 'suspended') THEN v_card.resume_state ELSE v_card.state END,
+            buried_until = p_buried_until,
+            updated_at = NOW()
+        WHERE user_id = p_user_id AND card_template_id = p_card_template_id;
+    END IF;
+
+    PERFORM remove_card_from_open_sessions(p_user_id, p_card_template_id);
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'card_template_id', p_card_template_id,
+        'state', p_state,
+        'buried_until', p_buried_until
+    );
+END;
+$$;
+
+-- Hide a card until the user's next day start
+CREATE OR REPLACE FUNCTION bury_card(p_card_template_id UUID)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN hold_card(auth.uid(), p_card_template_id, 'buried', next_day_start(auth.uid()));
+END;
+$$;
+
+-- Hide a card until it is unsuspended
+CREATE OR REPLACE FUNCTION suspend_card(p_card_template_id UUID)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN hold_card(auth.uid(), p_card_template_id, 'suspended', NULL);
+END;
+$$;
+
+-- Return a suspended card to the state it had
+CREATE OR REPLACE FUNCTION unsuspend_card(p_card_template_id UUID)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_state card_state;
+BEGIN
+    UPDATE user_cards
+    SET
+        state = resume_state,
+        resume_state = NULL,
+        buried_until = NULL,
+        updated_at = NOW()
+    WHERE user_id = auth.uid()
+      AND card_template_id = p_card_template_id
+      AND state = 'suspended'
+    RETURNING state INTO v_state;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'not_suspended',
+            'message', 'Card is not suspended'
+        );
+    END IF;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'card_template_id', p_card_template_id,
+        'state', v_state
+    );
+END;
+$$;
+
+-- Forget a card's schedule: it comes back as a new card. Review counts and
+-- the review log are kept.
+CREATE OR REPLACE FUNCTION reset_card_to_new(p_card_template_id UUID)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    UPDATE user_cards
+    SET
+        state = 'new',
+        resume_state = NULL,
+        buried_until = NULL,
+        stability = 1.0,
+        difficulty = 5.0,
+        due_at = NULL,
+        last_reviewed_at = NULL,
+        elapsed_days = 0,
+        scheduled_days = 0,
+        reps = 0,
+        lapses = 0,
+        last_rating = NULL,
+        updated_at = NOW()
+    WHERE user_id = auth.uid()
+      AND card_template_id = p_card_template_id;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'card_is_new',
+            'message', 'Card has not been studied yet'
+        );
+    END IF;
+
+    PERFORM remove_card_from_open_sessions(auth.uid(), p_card_template_id);
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'card_template_id', p_card_template_id,
+        'state', 'new'
+    );
+END;
+$$;
+
+-- Move a card's next review to the start of a day (the user's day start
+-- time in their timezone). New cards have no schedule to move.
+CREATE OR REPLACE FUNCTION set_card_due_date(p_card_template_id UUID, p_due_date DATE)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_card user_cards;
+    v_timezone TEXT;
+    v_day_start_time TIME;
+    v_due_at TIMESTAMPTZ;
+    v_state card_state;
+BEGIN
+    IF p_due_date IS NULL THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_date',
+            'message', 'A due date is required'
+        );
+    END IF;
+
+    SELECT * INTO v_card
+    FROM user_cards
+    WHERE user_id = auth.uid() AND card_template_id = p_card_template_id
+    FOR UPDATE;
+
+    IF FOUND THEN
+        v_state := CASE WHEN v_card.state IN ('buried', 'suspended') THEN v_card.resume_state ELSE v_card.state END;
+    END IF;
+
+    IF v_state IS NULL OR v_state = 'new' THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'card_is_new',
+            'message', 'New cards have no schedule yet'
+        );
+    END IF;
+
+    SELECT COALESCE(timezone, 'UTC'), COALESCE(day_start_time, '04:00:00')
+    INTO v_timezone, v_day_start_time
+    FROM profiles
+    WHERE id = auth.uid();
+
+    v_due_at := (p_due_date + COALESCE(v_day_start_time, '04:00:00')) AT TIME ZONE COALESCE(v_timezone, 'UTC');
+
+    UPDATE user_cards
+    SET
+        due_at = v_due_at,
+        scheduled_days = CASE
+            WHEN last_reviewed_at IS NULL THEN scheduled_days
+            ELSE GREATEST(EXTRACT(EPOCH FROM (v_due_at - last_reviewed_at)) / 86400.0, 0)
+        END,
+        updated_at = NOW()
+    WHERE user_id = auth.uid()
+      AND card_template_id = p_card_template_id;
+
+    -- Moved to a later day: it no longer belongs in today's session
+    IF v_due_at > NOW() THEN
+        PERFORM remove_card_from_open_sessions(auth.uid(), p_card_template_id);
+    END IF;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'card_template_id', p_card_template_id,
+        'due_at', v_due_at
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION bury_card(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION suspend_card(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION unsuspend_card(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION reset_card_to_new(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION set_card_due_date(UUID, DATE) TO authenticated;
+
+-- Step 4: Unburying
+-- The current user's buried cards whose day has started
+CREATE OR REPLACE FUNCTION unbury_cards()
+RETURNS INTEGER
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    UPDATE user_cards
+    SET
+        state = resume_state,
+        resume_state = NULL,
+        buried_until = NULL,
+        updated_at = NOW()
+    WHERE user_id = auth.uid()
+      AND state = 'buried'
+      AND buried_until <= NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$;
+
+-- Every user's buried cards whose day has started (to be called by a
+-- scheduled job, e.g. hourly, so day starts in every timezone are covered)
+CREATE OR REPLACE FUNCTION unbury_all_cards()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    UPDATE user_cards
+    SET
+        state = resume_state,
+        resume_state = NULL,
+        buried_until = NULL,
+        updated_at = NOW()
+    WHERE state = 'buried'
+      AND buried_until <= NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION unbury_cards() TO authenticated;
+
+-- Step 5: New cards include user_cards rows in state 'new'
+-- Same as migration 25, except that a user_cards row only hides a card from
+-- the new surface once the card has left the 'new' state.
+CREATE OR REPLACE FUNCTION get_new_user_cards(target_user_id UUID DEFAULT auth.uid())
+RETURNS TABLE(
+    user_id UUID,
+    card_template_id UUID,
+    state card_state,
+    stability NUMERIC,
+    difficulty NUMERIC,
+    due_at TIMESTAMPTZ,
+    last_reviewed_at TIMESTAMPTZ,
+    elapsed_days NUMERIC,
+    scheduled_days NUMERIC,
+    reps INTEGER,
+    lapses INTEGER,
+    last_rating INTEGER,
+    total_reviews INTEGER,
+    correct_reviews INTEGER,
+    incorrect_reviews INTEGER,
+    average_response_time_ms INTEGER,
+    created_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ,
+    added_at TIMESTAMPTZ,
+    question TEXT,
+    answer TEXT,
+    subject_id UUID,
+    card_path LTREE,
+    subject_name VARCHAR,
+    subject_path TEXT,
+    overdue_seconds NUMERIC
+)
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    is_admin BOOLEAN := false;
+BEGIN
+    -- Check if current user is admin (for bypass capability)
+    SELECT p.is_admin INTO is_admin
+    FROM profiles p
+    WHERE p.id = auth.uid();
+
+    -- RLS enforcement: only allow access to own cards unless admin
+    IF NOT is_admin AND target_user_id != auth.uid() THEN
+        RAISE EXCEPTION 'Access denied: can only view own new cards';
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        target_user_id as user_id,
+        ct.id as card_template_id,
+        'new'::card_state as state,
+        1.0::NUMERIC as stability,
+        5.0::NUMERIC as difficulty,
+        NULL::TIMESTAMPTZ as due_at,
+        NULL::TIMESTAMPTZ as last_reviewed_at,
+        0.0::NUMERIC as elapsed_days,
+        0.0::NUMERIC as scheduled_days,
+        0 as reps,
+        0 as lapses,
+        NULL::INTEGER as last_rating,
+        0 as total_reviews,
+        0 as correct_reviews,
+        0 as incorrect_reviews,
+        NULL::INTEGER as average_response_time_ms,
+        NOW() as created_at,
+        NOW() as updated_at,
+        NOW() as added_at,
+
+        -- Card template data
+        ct.question,
+        ct.answer,
+        ct.subject_id,
+        ct.path as card_path,
+
+        -- Subject hierarchy data
+        s.name AS subject_name,
+        s.path::text AS subject_path,
+
+        -- New cards aren't overdue
+        0.0::NUMERIC as overdue_seconds
+
+    FROM card_templates ct
+    LEFT JOIN subjects s ON s.id = ct.subject_id
+
+    WHERE
+        -- Exclude cards the user has studied, buried or suspended
+        NOT EXISTS (
+            SELECT 1 FROM user_cards uc
+            WHERE uc.user_id = target_user_id
+            AND uc.card_template_id = ct.id
+            AND uc.state != 'new'
+        )
+
+        -- Only public unflagged cards (following existing RLS pattern)
+        AND ct.is_public = true
+        AND ct.flagged_for_review = false
+
+    ORDER BY ct.created_at ASC; -- Oldest cards first
+END;
+$$;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Cards can be buried, suspended, reset and rescheduled; buried cards return
+-- at the user's next day start
@@ -0,0 +1,194 @@
+-- ============================================================================
+-- Migration 41: Card Browser
+-- ============================================================================
+-- Backs the learner card browser (cards.html): a filtered, paged list of the
+-- user's user_cards joined to card_templates, and the review timeline of one
+-- card.
+--
+-- get_card_review_history() predates migration 20: it filters reviews by
+-- deck_id, which reviews no longer carry, and takes the user id as a
+-- parameter. It is replaced by a version for the signed-in user that also
+-- returns the intervals and due dates the card browser plots.
+--
+-- This migration:
+-- 1. Creates search_user_cards()
+-- 2. Creates get_user_card_tags()
+-- 3. Replaces get_card_review_history()
+-- ============================================================================
+
+-- Step 1: search_user_cards
+-- Every filter is optional (NULL = no filter). p_path matches the path and
+-- its descendants, p_tags requires all of the given tags and p_query is a
+-- full-text search of question and answer (web search syntax: quotes, OR, -).
+CREATE OR REPLACE FUNCTION search_user_cards(
+    p_query TEXT DEFAULT NULL,
+    p_path TEXT DEFAULT NULL,
+    p_states card_state[] DEFAULT NULL,
+    p_due_from TIMESTAMPTZ DEFAULT NULL,
+    p_due_to TIMESTAMPTZ DEFAULT NULL,
+    p_min_lapses INTEGER DEFAULT NULL,
+    p_min_difficulty NUMERIC DEFAULT NULL,
+    p_max_difficulty NUMERIC DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_sort TEXT DEFAULT 'due',
+    p_limit INTEGER DEFAULT 50,
+    p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE(
+    card_template_id UUID,
+    question TEXT,
+    answer TEXT,
+    path TEXT,
+    tags TEXT[],
+    subject_name TEXT,
+    state card_state,
+    due_at TIMESTAMPTZ,
+    buried_until TIMESTAMPTZ,
+    stability NUMERIC,
+    difficulty NUMERIC,
+    reps INTEGER,
+    lapses INTEGER,
+    last_reviewed_at TIMESTAMPTZ,
+    total_count BIGINT
+)
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_query tsquery;
+    v_path ltree;
+BEGIN
+    IF NULLIF(TRIM(p_query), '') IS NOT NULL THEN
+        v_query := websearch_to_tsquery('english', p_query);
+    END IF;
+
+    IF NULLIF(TRIM(p_path), '') IS NOT NULL THEN
+        v_path := TRIM(p_path)::ltree;
+    END IF;
+
+    RETURN QUERY
+    SELECT
+        uc.card_template_id,
+        ct.question,
+        ct.answer,
+        ct.path::TEXT,
+        ct.tags,
+        s.name::TEXT,
+        uc.state,
+        uc.due_at,
+        uc.buried_until,
+        uc.stability::NUMERIC,
+        uc.difficulty::NUMERIC,
+        uc.reps,
+        uc.lapses,
+        uc.last_reviewed_at,
+        COUNT(*) OVER () AS total_count
+    FROM user_cards uc
+    JOIN card_templates ct ON ct.id = uc.card_template_id
+    LEFT JOIN subjects s ON s.id = ct.subject_id
+    WHERE uc.user_id = auth.uid()
+      AND (v_path IS NULL OR ct.path <@ v_path)
+      AND (p_states IS NULL OR uc.state = ANY(p_states))
+      AND (p_due_from IS NULL OR uc.due_at >= p_due_from)
+      AND (p_due_to IS NULL OR uc.due_at < p_due_to)
+      AND (p_min_lapses IS NULL OR uc.lapses >= p_min_lapses)
+      AND (p_min_difficulty IS NULL OR uc.difficulty >= p_min_difficulty)
+      AND (p_max_difficulty IS NULL OR uc.difficulty <= p_max_difficulty)
+      AND (p_tags IS NULL OR ct.tags @> p_tags)
+      AND (
+          v_query IS NULL
+          OR to_tsvector('english', ct.question) @@ v_query
+          OR to_tsvector('english', ct.answer) @@ v_query
+      )
+    ORDER BY
+        CASE WHEN v_query IS NOT NULL AND p_sort = 'relevance'
+            THEN ts_rank(to_tsvector('english', ct.question || ' ' || ct.answer), v_query) END DESC NULLS LAST,
+        CASE WHEN p_sort = 'lapses' THEN uc.lapses END DESC NULLS LAST,
+        CASE WHEN p_sort = 'difficulty' THEN uc.difficulty END DESC NULLS LAST,
+        CASE WHEN p_sort = 'recent' THEN uc.last_reviewed_at END DESC NULLS LAST,
+        CASE WHEN p_sort = 'path' THEN ct.path END ASC NULLS LAST,
+        uc.due_at ASC NULLS LAST,
+        uc.card_template_id
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 50), 1), 200)
+    OFFSET GREATEST(COALESCE(p_offset, 0), 0);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION search_user_cards(TEXT, TEXT, card_state[], TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, NUMERIC, NUMERIC, TEXT[], TEXT, INTEGER, INTEGER) TO authenticated;
+
+-- Step 2: get_user_card_tags
+-- Tags used by the user's cards, for the browser's tag filter
+CREATE OR REPLACE FUNCTION get_user_card_tags()
+RETURNS TABLE(tag TEXT, card_count BIGINT)
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT t.tag, COUNT(*) AS card_count
+    FROM user_cards uc
+    JOIN card_templates ct ON ct.id = uc.card_template_id
+    CROSS JOIN LATERAL unnest(ct.tags) AS t(tag)
+    WHERE uc.user_id = auth.uid()
+    GROUP BY t.tag
+    ORDER BY t.tag;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_user_card_tags() TO authenticated;
+
+-- Step 3: get_card_review_history
+DROP FUNCTION IF EXISTS get_card_review_history(UUID, UUID, UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_card_review_history(
+    p_card_template_id UUID,
+    p_limit INTEGER DEFAULT 200
+)
+RETURNS TABLE(
+    id UUID,
+    reviewed_at TIMESTAMPTZ,
+    rating INTEGER,
+    response_time_ms INTEGER,
+    state_before card_state,
+    state_after card_state,
+    stability_before DECIMAL,
+    stability_after DECIMAL,
+    difficulty_before DECIMAL,
+    difficulty_after DECIMAL,
+    elapsed_days DECIMAL,
+    scheduled_days DECIMAL,
+    due_at_after TIMESTAMPTZ
+)
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT
+        r.id,
+        r.reviewed_at,
+        r.rating,
+        r.response_time_ms,
+        r.state_before,
+        r.state_after,
+        r.stability_before,
+        r.stability_after,
+        r.difficulty_before,
+        r.difficulty_after,
+        r.elapsed_days,
+        r.scheduled_days,
+        r.due_at_after
+    FROM reviews r
+    WHERE r.user_id = auth.uid()
+      AND r.card_template_id = p_card_template_id
+    ORDER BY r.reviewed_at DESC
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 200), 1), 1000);
+$$;
+
+GRANT EXECUTE ON FUNCTION get_card_review_history(UUID, INTEGER) TO authenticated;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Learners can search their cards and read each card's review timeline
@@ -0,0 +1,521 @@
+-- ============================================================================
+-- Migration 42: Leech Detection
+-- ============================================================================
+-- A leech is a card a user keeps forgetting. When a review takes a card's
+-- lapses to the user's leech threshold, the card is marked as a leech for
+-- that user (user_cards.is_leech) and, if the user chose to, suspended
+-- until they unsuspend it.
+--
+-- The settings live in profiles.study_preferences:
+--   leech_threshold     - lapses that make a leech (default 8, 0 = off)
+--   leech_auto_suspend  - suspend leeches (default false)
+--
+-- The policy runs in a trigger on user_cards.lapses, so every path that
+-- changes lapses is covered: a review marks the card, and undoing that
+-- review or resetting the card clears the mark again. record_review reports
+-- a new leech in its result so the study page can tell the user.
+--
+-- get_leech_report() lists the cards that are leeches for a large share of
+-- their learners, for admins to rewrite.
+--
+-- This migration:
+-- 1. Adds user_cards.is_leech and user_cards.leeched_at
+-- 2. Creates apply_leech_policy() and its trigger
+-- 3. Rebuilds record_review() to report new leeches
+-- 4. Creates get_leech_report()
+-- ============================================================================
+
+-- Step 1: Leech mark
+ALTER TABLE user_cards
+ADD COLUMN IF NOT EXISTS is_leech BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE user_cards
+ADD COLUMN IF NOT EXISTS leeched_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_user_cards_leeches
+ON user_cards(card_template_id)
+WHERE is_leech;
+
+COMMENT ON COLUMN user_cards.is_leech IS 'Card reached the user''s leech threshold (study_preferences.leech_threshold lapses)';
+COMMENT ON COLUMN user_cards.leeched_at IS 'Review time at which the card became a leech';
+
+-- Step 2: Leech policy
+CREATE OR REPLACE FUNCTION apply_leech_policy()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_preferences JSONB;
+    v_threshold INTEGER := 8;
+    v_auto_suspend BOOLEAN := FALSE;
+BEGIN
+    SELECT study_preferences INTO v_preferences
+    FROM profiles
+    WHERE id = NEW.user_id;
+
+    IF jsonb_typeof(v_preferences->'leech_threshold') = 'number' THEN
+        v_threshold := FLOOR((v_preferences->>'leech_threshold')::NUMERIC);
+    END IF;
+    IF jsonb_typeof(v_preferences->'leech_auto_suspend') = 'boolean' THEN
+        v_auto_suspend := (v_preferences->>'leech_auto_suspend')::BOOLEAN;
+    END IF;
+
+    IF NEW.lapses > OLD.lapses THEN
+        IF v_threshold > 0 AND NOT OLD.is_leech AND NEW.lapses >= v_threshold THEN
+            NEW.is_leech := TRUE;
+            NEW.leeched_at := COALESCE(NEW.last_reviewed_at, NOW());
+
+            IF v_auto_suspend AND NEW.state NOT IN ('buried', 'suspended') THEN
+                NEW.resume_state := NEW.state;
+                NEW.state := 'suspended';
+            END IF;
+        END IF;
+    ELSIF OLD.is_leech AND (v_threshold <= 0 OR NEW.lapses < v_threshold) THEN
+        -- The lapse that made the leech was undone, or the card was reset
+        NEW.is_leech := FALSE;
+        NEW.leeched_at := NULL;
+
+        -- Undo restores the state from before the review, which also lifts
+        -- an automatic suspension
+        IF NEW.state NOT IN ('buried', 'suspended') THEN
+            NEW.resume_state := NULL;
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS user_cards_leech ON user_cards;
+
+CREATE TRIGGER user_cards_leech
+BEFORE UPDATE OF lapses ON user_cards
+FOR EACH ROW
+WHEN (NEW.lapses IS DISTINCT FROM OLD.lapses)
+EXECUTE FUNCTION apply_leech_policy();
+
+-- Step 3: record_review reports new leeches
+-- ============================================================================
+-- Same as migration 38, plus the 'leech' field in the result.
+
+CREATE OR REPLACE FUNCTION record_review(
+    p_session_id UUID,
+    p_card_template_id UUID,
+    p_rating INTEGER,
+    p_response_time_ms INTEGER,
+    p_reviewed_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_user_id UUID;
+    v_session_record RECORD;
+    v_card_in_session BOOLEAN;
+    v_current_card user_cards;
+    v_params fsrs_params;
+    v_next RECORD;
+    v_now TIMESTAMPTZ := NOW();
+    v_review_id UUID;
+    v_elapsed_days DECIMAL;
+    v_scheduled_days DECIMAL;
+    v_new_stability DECIMAL;
+    v_new_difficulty DECIMAL;
+    v_new_due_at TIMESTAMPTZ;
+    v_new_state card_state;
+    v_new_reps INTEGER;
+    v_new_lapses INTEGER;
+    v_leech user_cards;
+    -- Daily limit check variables
+    v_user_tier public.user_tier;
+    v_reviews_today INTEGER;
+    v_daily_limit INTEGER;
+    v_last_review_date DATE;
+BEGIN
+    -- Get session details and validate ownership
+    SELECT
+        s.user_id,
+        s.status,
+        s.cards_data,
+        s.current_index,
+        s.submitted_count,
+        s.max_cards,
+        s.created_at
+    INTO v_session_record
+    FROM user_sessions s
+    WHERE s.id = p_session_id;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'session_not_found',
+            'message', 'Session not found'
+        );
+    END IF;
+
+    -- Verify user owns this session
+    IF v_session_record.user_id != auth.uid() THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'unauthorized',
+            'message', 'Access denied'
+        );
+    END IF;
+
+    -- Verify session is active
+    IF v_session_record.status != 'active' THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_session_status',
+            'message', 'Session is not active'
+        );
+    END IF;
+
+    v_user_id := v_session_record.user_id;
+
+    -- Daily limit enforcement: Check before recording review
+    SELECT user_tier, reviews_today, last_review_date
+    INTO v_user_tier, v_reviews_today, v_last_review_date
+    FROM public.profiles
+    WHERE id = v_user_id;
+
+    -- Only enforce limits for free users
+    IF v_user_tier = 'free' THEN
+        -- Check if it's still the same day
+        IF v_last_review_date = CURRENT_DATE THEN
+            v_daily_limit := 10; -- Free user daily limit
+
+            -- Check if user has reached daily limit
+            IF v_reviews_today >= v_daily_limit THEN
+                RETURN jsonb_build_object(
+                    'success', false,
+                    'error', 'daily_limit_reached',
+                    'message', 'Daily review limit reached',
+                    'limit_info', jsonb_build_object(
+                        'tier', v_user_tier,
+                        'reviews_today', v_reviews_today,
+                        'limit', v_daily_limit
+                    )
+                );
+            END IF;
+        ELSE
+            -- Reset count for new day (this will be updated below anyway)
+            v_reviews_today := 0;
+        END IF;
+    END IF;
+
+    -- Verify card exists in session cards_data
+    SELECT EXISTS(
+        SELECT 1
+        FROM jsonb_array_elements(v_session_record.cards_data) AS card
+        WHERE (card->>'card_template_id')::uuid = p_card_template_id
+    ) INTO v_card_in_session;
+
+    IF NOT v_card_in_session THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'card_not_in_session',
+            'message', 'Card is not part of this session'
+        );
+    END IF;
+
+    -- Check for existing review (idempotency)
+    IF EXISTS(
+        SELECT 1 FROM reviews
+        WHERE session_id = p_session_id
+        AND card_template_id = p_card_template_id
+    ) THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'review_already_exists',
+            'message', 'Review already recorded for this card in this session'
+        );
+    END IF;
+
+    -- Get current card state (or create new user_card if doesn't exist)
+    SELECT * INTO v_current_card
+    FROM user_cards
+    WHERE user_id = v_user_id
+    AND card_template_id = p_card_template_id
+    FOR UPDATE; -- Lock for concurrent access protection
+
+    -- If card doesn't exist in user_cards, create it with defaults
+    IF NOT FOUND THEN
+        INSERT INTO user_cards (
+            user_id,
+            card_template_id,
+            deck_id, -- Legacy field, set to NULL
+            state,
+            stability,
+            difficulty,
+            due_at,
+            last_reviewed_at,
+            elapsed_days,
+            scheduled_days,
+            reps,
+            lapses,
+            total_reviews,
+            correct_reviews,
+            incorrect_reviews
+        ) VALUES (
+            v_user_id,
+            p_card_template_id,
+            NULL, -- No deck association in Phase 5
+            'new',
+            1.0,
+            5.0,
+            NULL,
+            NULL,
+            0.0,
+            0.0,
+            0,
+            0,
+            0,
+            0,
+            0
+        );
+
+        -- Fetch the newly created card
+        SELECT * INTO v_current_card
+        FROM user_cards
+        WHERE user_id = v_user_id
+        AND card_template_id = p_card_template_id;
+    END IF;
+
+    -- Offline replays pass the time the card was actually rated. Keep it
+    -- between the session's start (or the card's previous review) and now,
+    -- so elapsed days are never negative.
+    IF p_reviewed_at IS NOT NULL THEN
+        v_now := GREATEST(
+            LEAST(p_reviewed_at, NOW()),
+            v_session_record.created_at,
+            v_current_card.last_reviewed_at
+        );
+    END IF;
+
+    -- Get the user's FSRS parameters (relearning and lapse settings included)
+    SELECT * INTO v_params
+    FROM fsrs_params
+    WHERE user_id = v_user_id;
+
+    IF NOT FOUND THEN
+        PERFORM create_default_fsrs_params(v_user_id);
+        SELECT * INTO v_params
+        FROM fsrs_params
+        WHERE user_id = v_user_id;
+    END IF;
+
+    -- Interval that was scheduled before this review (for the review log)
+    IF v_current_card.due_at IS NOT NULL AND v_current_card.last_reviewed_at IS NOT NULL THEN
+        v_scheduled_days := EXTRACT(EPOCH FROM (v_current_card.due_at - v_current_card.last_reviewed_at)) / 86400.0;
+    ELSE
+        v_scheduled_days := 0;
+    END IF;
+
+    -- FSRS-5 scheduling (mirrors scheduleCard() in js/fsrs.js)
+    SELECT * INTO v_next
+    FROM fsrs_schedule_card(v_current_card, p_rating, v_now, v_params);
+
+    v_elapsed_days := v_next.elapsed_days;
+    v_new_state := v_next.state;
+    v_new_stability := v_next.stability;
+    v_new_difficulty := v_next.difficulty;
+    v_new_due_at := v_next.due_at;
+    v_new_reps := v_next.reps;
+    v_new_lapses := v_next.lapses;
+
+    -- Record the review in the reviews table
+    INSERT INTO reviews (
+        session_id,
+        user_id,
+        card_template_id,
+        deck_id, -- Legacy field, set to NULL
+        rating,
+        response_time_ms,
+        reviewed_at,
+        state_before,
+        stability_before,
+        difficulty_before,
+        due_at_before,
+        state_after,
+        stability_after,
+        difficulty_after,
+        due_at_after,
+        elapsed_days,
+        scheduled_days,
+        reps_before,
+        lapses_before
+    ) VALUES (
+        p_session_id,
+        v_user_id,
+        p_card_template_id,
+        NULL, -- No deck in Phase 5
+        p_rating,
+        p_response_time_ms,
+        v_now,
+        v_current_card.state,
+        v_current_card.stability,
+        v_current_card.difficulty,
+        v_current_card.due_at,
+        v_new_state,
+        v_new_stability,
+        v_new_difficulty,
+        v_new_due_at,
+        v_elapsed_days,
+        v_scheduled_days,
+        v_current_card.reps,
+        v_current_card.lapses
+    )
+    RETURNING id INTO v_review_id;
+
+    -- Update the user_card with new FSRS state
+    UPDATE user_cards
+    SET
+        state = v_new_state,
+        stability = v_new_stability,
+        difficulty = v_new_difficulty,
+        due_at = v_new_due_at,
+        last_reviewed_at = v_now,
+        elapsed_days = v_elapsed_days,
+        scheduled_days = v_next.scheduled_days,
+        reps = v_new_reps,
+        lapses = v_new_lapses,
+        last_rating = p_rating,
+        total_reviews = total_reviews + 1,
+        correct_reviews = correct_reviews + CASE WHEN p_rating >= 2 THEN 1 ELSE 0 END,
+        incorrect_reviews = incorrect_reviews + CASE WHEN p_rating < 2 THEN 1 ELSE 0 END,
+        average_response_time_ms = CASE
+            WHEN average_response_time_ms IS NULL THEN p_response_time_ms
+            ELSE (average_response_time_ms * total_reviews + p_response_time_ms) / (total_reviews + 1)
+        END,
+        updated_at = NOW()
+    WHERE user_id = v_user_id
+    AND card_template_id = p_card_template_id
+    RETURNING * INTO v_leech;
+
+    -- Update session progress
+    UPDATE user_sessions
+    SET
+        submitted_count = submitted_count + 1,
+        current_index = CASE
+            WHEN current_index < max_cards - 1 THEN current_index + 1
+            ELSE current_index
+        END,
+        status = CASE
+            WHEN submitted_count + 1 >= max_cards THEN 'completed'
+            ELSE status
+        END,
+        updated_at = NOW()
+    WHERE id = p_session_id;
+
+    -- Update user streak (call existing function)
+    PERFORM update_user_streak(v_user_id, 1);
+
+    -- Update profile reviews_today counter (with proper date handling)
+    UPDATE profiles
+    SET
+        reviews_today = CASE
+            WHEN last_review_date = CURRENT_DATE THEN reviews_today + 1
+            ELSE 1  -- Reset to 1 for new day
+        END,
+        last_review_date = CURRENT_DATE,
+        updated_at = NOW()
+    WHERE id = v_user_id;
+
+    -- Return success response
+    RETURN jsonb_build_object(
+        'success', true,
+        'review_id', v_review_id,
+        'session_id', p_session_id,
+        'new_state', v_new_state,
+        'new_due_at', v_new_due_at,
+        -- Set when this review made the card a leech (see apply_leech_policy)
+        'leech', CASE
+            WHEN v_leech.is_leech AND NOT v_current_card.is_leech THEN jsonb_build_object(
+                'lapses', v_leech.lapses,
+                'suspended', v_leech.state = 'suspended'
+            )
+        END,
+        'session_progress', jsonb_build_object(
+            'submitted_count', v_session_record.submitted_count + 1,
+            'max_cards', v_session_record.max_cards,
+            'completed', (v_session_record.submitted_count + 1) >= v_session_record.max_cards
+        ),
+        'message', 'Review recorded successfully'
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_review(UUID, UUID, INTEGER, INTEGER, TIMESTAMPTZ) TO authenticated;
+
+-- Step 4: Leech report (admin only)
+-- Cards that are leeches for at least p_min_leech_percent of the learners who
+-- have reviewed them. p_min_learners keeps one struggling learner from
+-- putting a card at the top.
+CREATE OR REPLACE FUNCTION get_leech_report(
+    p_min_leech_percent NUMERIC DEFAULT 10,
+    p_min_learners INTEGER DEFAULT 3,
+    p_limit INTEGER DEFAULT 50
+)
+RETURNS TABLE(
+    card_template_id UUID,
+    question TEXT,
+    subject_name TEXT,
+    path TEXT,
+    learners BIGINT,
+    leeches BIGINT,
+    leech_percent NUMERIC,
+    average_lapses NUMERIC
+)
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+STABLE
+AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM profiles
+        WHERE id = auth.uid() AND is_admin = TRUE
+    ) THEN
+        RAISE EXCEPTION 'Admin privileges required';
+    END IF;
+
+    RETURN QUERY
+    WITH card_stats AS (
+        SELECT
+            uc.card_template_id,
+            COUNT(*) AS learners,
+            COUNT(*) FILTER (WHERE uc.is_leech) AS leeches,
+            AVG(uc.lapses) AS average_lapses
+        FROM user_cards uc
+        WHERE uc.total_reviews > 0 OR uc.is_leech
+        GROUP BY uc.card_template_id
+        HAVING COUNT(*) FILTER (WHERE uc.is_leech) > 0
+    )
+    SELECT
+        cs.card_template_id,
+        ct.question,
+        s.name::TEXT,
+        ct.path::TEXT,
+        cs.learners,
+        cs.leeches,
+        ROUND(cs.leeches * 100.0 / cs.learners, 1),
+        ROUND(cs.average_lapses, 1)
+    FROM card_stats cs
+    JOIN card_templates ct ON ct.id = cs.card_template_id
+    LEFT JOIN subjects s ON s.id = ct.subject_id
+    WHERE cs.learners >= GREATEST(COALESCE(p_min_learners, 1), 1)
+      AND cs.leeches * 100.0 / cs.learners >= COALESCE(p_min_leech_percent, 0)
+    ORDER BY cs.leeches * 1.0 / cs.learners DESC, cs.leeches DESC
+    LIMIT LEAST(GREATEST(COALESCE(p_limit, 50), 1), 500);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_leech_report(NUMERIC, INTEGER, INTEGER) TO authenticated;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Cards are marked (and optionally suspended) as leeches, and admins can
+-- list the cards most learners struggle with
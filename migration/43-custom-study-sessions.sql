@@ -0,0 +1,1025 @@
+-- ============================================================================
+-- Migration 43: Custom Study Sessions
+-- ============================================================================
+-- Besides the daily session, learners can start a custom session from the
+-- deck selection page. Each type says whether its ratings change the FSRS
+-- schedule:
+--
+--   cram          Cards under a path, studied or not, in random order.
+--                 Ratings are logged in practice_reviews only: user_cards
+--                 and reviews are not touched, so the schedule is unchanged.
+--   review_ahead  Cards due within the next N days (1-30), earliest first.
+--                 Normal reviews; FSRS accounts for the early review through
+--                 the shorter elapsed time.
+--   failed_today  Cards rated Again today (in the user's timezone), most
+--                 recently failed first. Normal reviews.
+--   tag_filtered  Due cards, then new cards, that have all of the given
+--                 tags. Normal reviews.
+--
+-- All types take an optional path, skip buried and suspended cards, and put
+-- at most one card per sibling group in the session. Ratings in any type
+-- count towards the daily review limit, streak and reviews_today, and a free
+-- user's custom session is their session for the day, as with
+-- get_or_create_user_session.
+--
+-- This migration:
+-- 1. Adds the custom session types and user_sessions.session_options
+-- 2. Creates practice_reviews for cram ratings
+-- 3. Creates create_custom_session()
+-- 4. Creates record_practice_review() and rebuilds record_review() to use it
+--    for cram sessions
+-- 5. Rebuilds undo_last_review() to undo cram ratings
+-- ============================================================================
+
+-- Step 1: Session types
+ALTER TABLE user_sessions
+DROP CONSTRAINT IF EXISTS user_sessions_session_type_check;
+
+ALTER TABLE user_sessions
+ADD CONSTRAINT user_sessions_session_type_check
+CHECK (session_type = ANY (ARRAY[
+    'daily_free'::text, 'general_unlimited'::text, 'deck_specific'::text, 'subject_specific'::text,
+    'cram'::text, 'review_ahead'::text, 'failed_today'::text, 'tag_filtered'::text
+]));
+
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS session_options JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN user_sessions.session_options IS 'Custom session parameters: days_ahead (review_ahead), tags (tag_filtered)';
+
+-- Step 2: Cram ratings
+CREATE TABLE IF NOT EXISTS practice_reviews (
+    id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    card_template_id UUID NOT NULL REFERENCES card_templates(id) ON DELETE CASCADE,
+    rating INTEGER NOT NULL CHECK (rating BETWEEN 0 AND 3),
+    response_time_ms INTEGER,
+    reviewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT practice_reviews_session_card_unique UNIQUE (session_id, card_template_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_practice_reviews_user_reviewed
+ON practice_reviews(user_id, reviewed_at DESC);
+
+COMMENT ON TABLE practice_reviews IS 'Ratings made in cram sessions; they never change user_cards';
+
+ALTER TABLE practice_reviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own practice reviews" ON practice_reviews
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Step 3: create_custom_session
+-- Returns the same fields as get_or_create_user_session, plus
+-- session_options and updates_schedule.
+CREATE OR REPLACE FUNCTION create_custom_session(
+    p_session_type TEXT,
+    p_path TEXT DEFAULT NULL,
+    p_days_ahead INTEGER DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_max_cards INTEGER DEFAULT 20
+)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_user_tier public.user_tier;
+    v_user_timezone TEXT;
+    v_today_in_tz DATE;
+    v_path ltree;
+    v_days_ahead INTEGER;
+    v_tags TEXT[];
+    v_options JSONB;
+    v_max_cards INTEGER := LEAST(GREATEST(COALESCE(p_max_cards, 20), 1), 100);
+    v_existing_session RECORD;
+    v_sessions_today INTEGER;
+    v_session_seed TEXT;
+    v_cards_data JSONB;
+    v_session_id UUID;
+BEGIN
+    IF p_session_type IS NULL OR p_session_type NOT IN ('cram', 'review_ahead', 'failed_today', 'tag_filtered') THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_session_type',
+            'message', 'Unknown custom session type'
+        );
+    END IF;
+
+    SELECT user_tier, timezone INTO v_user_tier, v_user_timezone
+    FROM profiles
+    WHERE id = v_user_id;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'message', 'User profile not found'
+        );
+    END IF;
+
+    v_user_timezone := COALESCE(v_user_timezone, 'UTC');
+    v_today_in_tz := (NOW() AT TIME ZONE v_user_timezone)::date;
+
+    IF NULLIF(TRIM(p_path), '') IS NOT NULL THEN
+        v_path := TRIM(p_path)::ltree;
+    ELSIF p_session_type = 'cram' THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'path_required',
+            'message', 'Choose a path to cram'
+        );
+    END IF;
+
+    IF p_session_type = 'review_ahead' THEN
+        v_days_ahead := LEAST(GREATEST(COALESCE(p_days_ahead, 1), 1), 30);
+    END IF;
+
+    IF p_session_type = 'tag_filtered' THEN
+        SELECT array_agg(DISTINCT TRIM(tag) ORDER BY TRIM(tag)) INTO v_tags
+        FROM unnest(p_tags) AS t(tag)
+        WHERE NULLIF(TRIM(tag), '') IS NOT NULL;
+
+        IF v_tags IS NULL THEN
+            RETURN jsonb_build_object(
+                'success', false,
+                'error', 'tags_required',
+                'message', 'Choose at least one tag'
+            );
+        END IF;
+    END IF;
+
+    v_options := jsonb_strip_nulls(jsonb_build_object(
+        'days_ahead', v_days_ahead,
+        'tags', to_jsonb(v_tags)
+    ));
+
+    -- Free users get one session a day: resume the same custom session if
+    -- it is unfinished, otherwise the day's session is used up
+    IF v_user_tier = 'free' THEN
+        SELECT * INTO v_existing_session
+        FROM user_sessions
+        WHERE user_id = v_user_id
+          AND session_date = v_today_in_tz
+          AND session_type = p_session_type
+          AND subject_path IS NOT DISTINCT FROM v_path::TEXT
+          AND session_options = v_options
+          AND submitted_count < max_cards
+          AND status IN ('created', 'active')
+        ORDER BY created_at DESC
+        LIMIT 1;
+
+        IF FOUND THEN
+            RETURN jsonb_build_object(
+                'success', true,
+                'session_id', v_existing_session.id,
+                'cards_data', v_existing_session.cards_data,
+                'max_cards', v_existing_session.max_cards,
+                'current_index', v_existing_session.current_index,
+                'submitted_count', v_existing_session.submitted_count,
+                'session_type', v_existing_session.session_type,
+                'session_options', v_existing_session.session_options,
+                'updates_schedule', v_existing_session.session_type != 'cram',
+                'subject_path', v_existing_session.subject_path,
+                'seed', v_existing_session.seed,
+                'status', v_existing_session.status,
+                'is_new_session', false
+            );
+        END IF;
+
+        SELECT COUNT(*) INTO v_sessions_today
+        FROM user_sessions
+        WHERE user_id = v_user_id
+          AND session_date = v_today_in_tz;
+
+        IF v_sessions_today >= 1 THEN
+            RETURN jsonb_build_object(
+                'success', false,
+                'limit_reached', true,
+                'tier', v_user_tier,
+                'reviews_today', 0,
+                'limit', 10,
+                'message', 'Daily session limit reached. Come back tomorrow!'
+            );
+        END IF;
+    END IF;
+
+    v_session_seed := substring(md5(random()::text || clock_timestamp()::text) for 8);
+
+    WITH failed AS (
+        SELECT r.card_template_id, MAX(r.reviewed_at) AS failed_at
+        FROM reviews r
+        WHERE p_session_type = 'failed_today'
+          AND r.user_id = v_user_id
+          AND r.rating = 0
+          AND (r.reviewed_at AT TIME ZONE v_user_timezone)::date = v_today_in_tz
+        GROUP BY r.card_template_id
+    ),
+    candidates AS (
+        SELECT
+            ct.id AS card_template_id,
+            ct.sibling_group,
+            -- tag_filtered puts due cards before new ones
+            CASE
+                WHEN p_session_type = 'tag_filtered' AND COALESCE(uc.state, 'new') = 'new' THEN 1
+                ELSE 0
+            END AS priority,
+            CASE p_session_type
+                WHEN 'cram' THEN RANDOM()
+                WHEN 'failed_today' THEN -EXTRACT(EPOCH FROM f.failed_at)
+                ELSE COALESCE(EXTRACT(EPOCH FROM uc.due_at), RANDOM())
+            END AS sort_key
+        FROM card_templates ct
+        LEFT JOIN user_cards uc
+            ON uc.card_template_id = ct.id
+           AND uc.user_id = v_user_id
+        LEFT JOIN failed f ON f.card_template_id = ct.id
+        WHERE (v_path IS NULL OR ct.path <@ v_path)
+          AND (v_tags IS NULL OR ct.tags @> v_tags)
+          -- Cards the user has, or public cards they haven't started
+          AND (uc.card_template_id IS NOT NULL OR (ct.is_public AND NOT ct.flagged_for_review))
+          AND COALESCE(uc.state, 'new') NOT IN ('buried', 'suspended')
+          AND CASE p_session_type
+              WHEN 'cram' THEN TRUE
+              WHEN 'review_ahead' THEN
+                  uc.state IN ('learning', 'review', 'relearning')
+                  AND uc.due_at <= NOW() + make_interval(days => v_days_ahead)
+              WHEN 'failed_today' THEN f.card_template_id IS NOT NULL
+              WHEN 'tag_filtered' THEN
+                  COALESCE(uc.state, 'new') = 'new' OR uc.due_at <= NOW()
+          END
+    ),
+    picked AS (
+        SELECT *
+        FROM (
+            SELECT DISTINCT ON (sibling_group) *
+            FROM candidates
+            ORDER BY sibling_group, priority, sort_key
+        ) one_per_group
+        ORDER BY priority, sort_key
+        LIMIT v_max_cards
+    )
+    SELECT jsonb_agg(
+        jsonb_build_object(
+            'card_template_id', ct.id,
+            'question', ct.question,
+            'answer', ct.answer,
+            'subject_name', s.name,
+            'subject_path', s.path::text,
+            'deck_name', 'Mixed Decks', -- Legacy compatibility
+            'tags', COALESCE(ct.tags, ARRAY[]::text[]),
+            'sibling_group', ct.sibling_group,
+            'stability', COALESCE(uc.stability, 1.0),
+            'difficulty', COALESCE(uc.difficulty, 5.0),
+            'state', COALESCE(uc.state::text, 'new'),
+            'total_reviews', COALESCE(uc.total_reviews, 0),
+            'due_at', uc.due_at,
+            'last_reviewed_at', uc.last_reviewed_at,
+            'reps', COALESCE(uc.reps, 0),
+            'lapses', COALESCE(uc.lapses, 0),
+            'correct_reviews', COALESCE(uc.correct_reviews, 0),
+            'incorrect_reviews', COALESCE(uc.incorrect_reviews, 0)
+        ) ORDER BY p.priority, p.sort_key
+    ) INTO v_cards_data
+    FROM picked p
+    JOIN card_templates ct ON ct.id = p.card_template_id
+    LEFT JOIN subjects s ON s.id = ct.subject_id
+    LEFT JOIN user_cards uc
+        ON uc.card_template_id = ct.id
+       AND uc.user_id = v_user_id;
+
+    IF v_cards_data IS NULL THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'message', CASE p_session_type
+                WHEN 'cram' THEN 'No cards available for path "' || v_path::TEXT || '"'
+                WHEN 'review_ahead' THEN 'No cards available due in the next ' || v_days_ahead || ' days'
+                WHEN 'failed_today' THEN 'No cards available: nothing was rated Again today'
+                ELSE 'No cards available with tags ' || array_to_string(v_tags, ', ')
+            END
+        );
+    END IF;
+
+    INSERT INTO user_sessions (
+        user_id,
+        session_type,
+        session_date,
+        subject_path,
+        session_options,
+        seed,
+        status,
+        cards_data,
+        max_cards,
+        timezone
+    )
+    VALUES (
+        v_user_id,
+        p_session_type,
+        v_today_in_tz,
+        v_path::TEXT,
+        v_options,
+        v_session_seed,
+        'created',
+        v_cards_data,
+        jsonb_array_length(v_cards_data),
+        v_user_timezone
+    )
+    RETURNING id INTO v_session_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'session_id', v_session_id,
+        'cards_data', v_cards_data,
+        'max_cards', jsonb_array_length(v_cards_data),
+        'current_index', 0,
+        'submitted_count', 0,
+        'session_type', p_session_type,
+        'session_options', v_options,
+        'updates_schedule', p_session_type != 'cram',
+        'subject_path', v_path::TEXT,
+        'seed', v_session_seed,
+        'status', 'created',
+        'is_new_session', true
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION create_custom_session(TEXT, TEXT, INTEGER, TEXT[], INTEGER) TO authenticated;
+
+-- Step 4: Cram ratings in record_review
+-- Logs a cram rating and moves the session on, without scheduling the card.
+-- Called by record_review once the session, limit and card checks passed.
+CREATE OR REPLACE FUNCTION record_practice_review(
+    p_session_id UUID,
+    p_user_id UUID,
+    p_card_template_id UUID,
+    p_rating INTEGER,
+    p_response_time_ms INTEGER,
+    p_reviewed_at TIMESTAMPTZ
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_session user_sessions;
+    v_review_id UUID;
+BEGIN
+    SELECT * INTO v_session
+    FROM user_sessions
+    WHERE id = p_session_id
+    FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM practice_reviews
+        WHERE session_id = p_session_id
+          AND card_template_id = p_card_template_id
+    ) THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'review_already_exists',
+            'message', 'Review already recorded for this card in this session'
+        );
+    END IF;
+
+    INSERT INTO practice_reviews (
+        session_id,
+        user_id,
+        card_template_id,
+        rating,
+        response_time_ms,
+        reviewed_at
+    ) VALUES (
+        p_session_id,
+        p_user_id,
+        p_card_template_id,
+        p_rating,
+        p_response_time_ms,
+        GREATEST(LEAST(COALESCE(p_reviewed_at, NOW()), NOW()), v_session.created_at)
+    )
+    RETURNING id INTO v_review_id;
+
+    UPDATE user_sessions
+    SET
+        submitted_count = submitted_count + 1,
+        current_index = CASE
+            WHEN current_index < max_cards - 1 THEN current_index + 1
+            ELSE current_index
+        END,
+        status = CASE
+            WHEN submitted_count + 1 >= max_cards THEN 'completed'
+            ELSE status
+        END,
+        updated_at = NOW()
+    WHERE id = p_session_id;
+
+    PERFORM update_user_streak(p_user_id, 1);
+
+    UPDATE profiles
+    SET
+        reviews_today = CASE
+            WHEN last_review_date = CURRENT_DATE THEN reviews_today + 1
+            ELSE 1
+        END,
+        last_review_date = CURRENT_DATE,
+        updated_at = NOW()
+    WHERE id = p_user_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'review_id', v_review_id,
+        'session_id', p_session_id,
+        'practice', true,
+        'leech', NULL,
+        'session_progress', jsonb_build_object(
+            'submitted_count', v_session.submitted_count + 1,
+            'max_cards', v_session.max_cards,
+            'completed', (v_session.submitted_count + 1) >= v_session.max_cards
+        ),
+        'message', 'Practice rating recorded'
+    );
+END;
+$$;
+
+-- Same as migration 42, except that cram sessions hand the rating to
+-- record_practice_review().
+CREATE OR REPLACE FUNCTION record_review(
+    p_session_id UUID,
+    p_card_template_id UUID,
+    p_rating INTEGER,
+    p_response_time_ms INTEGER,
+    p_reviewed_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_user_id UUID;
+    v_session_record RECORD;
+    v_card_in_session BOOLEAN;
+    v_current_card user_cards;
+    v_params fsrs_params;
+    v_next RECORD;
+    v_now TIMESTAMPTZ := NOW();
+    v_review_id UUID;
+    v_elapsed_days DECIMAL;
+    v_scheduled_days DECIMAL;
+    v_new_stability DECIMAL;
+    v_new_difficulty DECIMAL;
+    v_new_due_at TIMESTAMPTZ;
+    v_new_state card_state;
+    v_new_reps INTEGER;
+    v_new_lapses INTEGER;
+    v_leech user_cards;
+    -- Daily limit check variables
+    v_user_tier public.user_tier;
+    v_reviews_today INTEGER;
+    v_daily_limit INTEGER;
+    v_last_review_date DATE;
+BEGIN
+    -- Get session details and validate ownership
+    SELECT
+        s.user_id,
+        s.status,
+        s.cards_data,
+        s.current_index,
+        s.submitted_count,
+        s.max_cards,
+        s.created_at,
+        s.session_type
+    INTO v_session_record
+    FROM user_sessions s
+    WHERE s.id = p_session_id;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'session_not_found',
+            'message', 'Session not found'
+        );
+    END IF;
+
+    -- Verify user owns this session
+    IF v_session_record.user_id != auth.uid() THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'unauthorized',
+            'message', 'Access denied'
+        );
+    END IF;
+
+    -- Verify session is active
+    IF v_session_record.status != 'active' THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_session_status',
+            'message', 'Session is not active'
+        );
+    END IF;
+
+    v_user_id := v_session_record.user_id;
+
+    -- Daily limit enforcement: Check before recording review
+    SELECT user_tier, reviews_today, last_review_date
+    INTO v_user_tier, v_reviews_today, v_last_review_date
+    FROM public.profiles
+    WHERE id = v_user_id;
+
+    -- Only enforce limits for free users
+    IF v_user_tier = 'free' THEN
+        -- Check if it's still the same day
+        IF v_last_review_date = CURRENT_DATE THEN
+            v_daily_limit := 10; -- Free user daily limit
+
+            -- Check if user has reached daily limit
+            IF v_reviews_today >= v_daily_limit THEN
+                RETURN jsonb_build_object(
+                    'success', false,
+                    'error', 'daily_limit_reached',
+                    'message', 'Daily review limit reached',
+                    'limit_info', jsonb_build_object(
+                        'tier', v_user_tier,
+                        'reviews_today', v_reviews_today,
+                        'limit', v_daily_limit
+                    )
+                );
+            END IF;
+        ELSE
+            -- Reset count for new day (this will be updated below anyway)
+            v_reviews_today := 0;
+        END IF;
+    END IF;
+
+    -- Verify card exists in session cards_data
+    SELECT EXISTS(
+        SELECT 1
+        FROM jsonb_array_elements(v_session_record.cards_data) AS card
+        WHERE (card->>'card_template_id')::uuid = p_card_template_id
+    ) INTO v_card_in_session;
+
+    IF NOT v_card_in_session THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'card_not_in_session',
+            'message', 'Card is not part of this session'
+        );
+    END IF;
+
+    -- Cram ratings leave the card's schedule alone
+    IF v_session_record.session_type = 'cram' THEN
+        RETURN record_practice_review(
+            p_session_id,
+            v_user_id,
+            p_card_template_id,
+            p_rating,
+            p_response_time_ms,
+            p_reviewed_at
+        );
+    END IF;
+
+    -- Check for existing review (idempotency)
+    IF EXISTS(
+        SELECT 1 FROM reviews
+        WHERE session_id = p_session_id
+        AND card_template_id = p_card_template_id
+    ) THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'review_already_exists',
+            'message', 'Review already recorded for this card in this session'
+        );
+    END IF;
+
+    -- Get current card state (or create new user_card if doesn't exist)
+    SELECT * INTO v_current_card
+    FROM user_cards
+    WHERE user_id = v_user_id
+    AND card_template_id = p_card_template_id
+    FOR UPDATE; -- Lock for concurrent access protection
+
+    -- If card doesn't exist in user_cards, create it with defaults
+    IF NOT FOUND THEN
+        INSERT INTO user_cards (
+            user_id,
+            card_template_id,
+            deck_id, -- Legacy field, set to NULL
+            state,
+            stability,
+            difficulty,
+            due_at,
+            last_reviewed_at,
+            elapsed_days,
+            scheduled_days,
+            reps,
+            lapses,
+            total_reviews,
+            correct_reviews,
+            incorrect_reviews
+        ) VALUES (
+            v_user_id,
+            p_card_template_id,
+            NULL, -- No deck association in Phase 5
+            'new',
+            1.0,
+            5.0,
+            NULL,
+            NULL,
+            0.0,
+            0.0,
+            0,
+            0,
+            0,
+            0,
+            0
+        );
+
+        -- Fetch the newly created card
+        SELECT * INTO v_current_card
+        FROM user_cards
+        WHERE user_id = v_user_id
+        AND card_template_id = p_card_template_id;
+    END IF;
+
+    -- Offline replays pass the time the card was actually rated. Keep it
+    -- between the session's start (or the card's previous review) and now,
+    -- so elapsed days are never negative.
+    IF p_reviewed_at IS NOT NULL THEN
+        v_now := GREATEST(
+            LEAST(p_reviewed_at, NOW()),
+            v_session_record.created_at,
+            v_current_card.last_reviewed_at
+        );
+    END IF;
+
+    -- Get the user's FSRS parameters (relearning and lapse settings included)
+    SELECT * INTO v_params
+    FROM fsrs_params
+    WHERE user_id = v_user_id;
+
+    IF NOT FOUND THEN
+        PERFORM create_default_fsrs_params(v_user_id);
+        SELECT * INTO v_params
+        FROM fsrs_params
+        WHERE user_id = v_user_id;
+    END IF;
+
+    -- Interval that was scheduled before this review (for the review log)
+    IF v_current_card.due_at IS NOT NULL AND v_current_card.last_reviewed_at IS NOT NULL THEN
+        v_scheduled_days := EXTRACT(EPOCH FROM (v_current_card.due_at - v_current_card.last_reviewed_at)) / 86400.0;
+    ELSE
+        v_scheduled_days := 0;
+    END IF;
+
+    -- FSRS-5 scheduling (mirrors scheduleCard() in js/fsrs.js)
+    SELECT * INTO v_next
+    FROM fsrs_schedule_card(v_current_card, p_rating, v_now, v_params);
+
+    v_elapsed_days := v_next.elapsed_days;
+    v_new_state := v_next.state;
+    v_new_stability := v_next.stability;
+    v_new_difficulty := v_next.difficulty;
+    v_new_due_at := v_next.due_at;
+    v_new_reps := v_next.reps;
+    v_new_lapses := v_next.lapses;
+
+    -- Record the review in the reviews table
+    INSERT INTO reviews (
+        session_id,
+        user_id,
+        card_template_id,
+        deck_id, -- Legacy field, set to NULL
+        rating,
+        response_time_ms,
+        reviewed_at,
+        state_before,
+        stability_before,
+        difficulty_before,
+        due_at_before,
+        state_after,
+        stability_after,
+        difficulty_after,
+        due_at_after,
+        elapsed_days,
+        scheduled_days,
+        reps_before,
+        lapses_before
+    ) VALUES (
+        p_session_id,
+        v_user_id,
+        p_card_template_id,
+        NULL, -- No deck in Phase 5
+        p_rating,
+        p_response_time_ms,
+        v_now,
+        v_current_card.state,
+        v_current_card.stability,
+        v_current_card.difficulty,
+        v_current_card.due_at,
+        v_new_state,
+        v_new_stability,
+        v_new_difficulty,
+        v_new_due_at,
+        v_elapsed_days,
+        v_scheduled_days,
+        v_current_card.reps,
+        v_current_card.lapses
+    )
+    RETURNING id INTO v_review_id;
+
+    -- Update the user_card with new FSRS state
+    UPDATE user_cards
+    SET
+        state = v_new_state,
+        stability = v_new_stability,
+        difficulty = v_new_difficulty,
+        due_at = v_new_due_at,
+        last_reviewed_at = v_now,
+        elapsed_days = v_elapsed_days,
+        scheduled_days = v_next.scheduled_days,
+        reps = v_new_reps,
+        lapses = v_new_lapses,
+        last_rating = p_rating,
+        total_reviews = total_reviews + 1,
+        correct_reviews = correct_reviews + CASE WHEN p_rating >= 2 THEN 1 ELSE 0 END,
+        incorrect_reviews = incorrect_reviews + CASE WHEN p_rating < 2 THEN 1 ELSE 0 END,
+        average_response_time_ms = CASE
+            WHEN average_response_time_ms IS NULL THEN p_response_time_ms
+            ELSE (average_response_time_ms * total_reviews + p_response_time_ms) / (total_reviews + 1)
+        END,
+        updated_at = NOW()
+    WHERE user_id = v_user_id
+    AND card_template_id = p_card_template_id
+    RETURNING * INTO v_leech;
+
+    -- Update session progress
+    UPDATE user_sessions
+    SET
+        submitted_count = submitted_count + 1,
+        current_index = CASE
+            WHEN current_index < max_cards - 1 THEN current_index + 1
+            ELSE current_index
+        END,
+        status = CASE
+            WHEN submitted_count + 1 >= max_cards THEN 'completed'
+            ELSE status
+        END,
+        updated_at = NOW()
+    WHERE id = p_session_id;
+
+    -- Update user streak (call existing function)
+    PERFORM update_user_streak(v_user_id, 1);
+
+    -- Update profile reviews_today counter (with proper date handling)
+    UPDATE profiles
+    SET
+        reviews_today = CASE
+            WHEN last_review_date = CURRENT_DATE THEN reviews_today + 1
+            ELSE 1  -- Reset to 1 for new day
+        END,
+        last_review_date = CURRENT_DATE,
+        updated_at = NOW()
+    WHERE id = v_user_id;
+
+    -- Return success response
+    RETURN jsonb_build_object(
+        'success', true,
+        'review_id', v_review_id,
+        'session_id', p_session_id,
+        'new_state', v_new_state,
+        'new_due_at', v_new_due_at,
+        -- Set when this review made the card a leech (see apply_leech_policy)
+        'leech', CASE
+            WHEN v_leech.is_leech AND NOT v_current_card.is_leech THEN jsonb_build_object(
+                'lapses', v_leech.lapses,
+                'suspended', v_leech.state = 'suspended'
+            )
+        END,
+        'session_progress', jsonb_build_object(
+            'submitted_count', v_session_record.submitted_count + 1,
+            'max_cards', v_session_record.max_cards,
+            'completed', (v_session_record.submitted_count + 1) >= v_session_record.max_cards
+        ),
+        'message', 'Review recorded successfully'
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_review(UUID, UUID, INTEGER, INTEGER, TIMESTAMPTZ) TO authenticated;
+
+-- Step 5: Undo in cram sessions
+-- Deletes the session's latest cram rating and steps the session and daily
+-- counters back. Called by undo_last_review with the session row locked.
+CREATE OR REPLACE FUNCTION undo_practice_review(p_session_id UUID)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_session user_sessions;
+    v_review practice_reviews;
+    v_submitted_count INTEGER;
+BEGIN
+    SELECT * INTO v_session
+    FROM user_sessions
+    WHERE id = p_session_id;
+
+    DELETE FROM practice_reviews
+    WHERE id = (
+        SELECT id FROM practice_reviews
+        WHERE session_id = p_session_id
+        ORDER BY reviewed_at DESC, created_at DESC
+        LIMIT 1
+    )
+    RETURNING * INTO v_review;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'nothing_to_undo',
+            'message', 'No review to undo in this session'
+        );
+    END IF;
+
+    v_submitted_count := GREATEST(v_session.submitted_count - 1, 0);
+
+    UPDATE user_sessions
+    SET
+        submitted_count = v_submitted_count,
+        current_index = LEAST(v_submitted_count, max_cards - 1),
+        status = 'active',
+        updated_at = NOW()
+    WHERE id = p_session_id;
+
+    UPDATE profiles
+    SET
+        reviews_today = GREATEST(reviews_today - 1, 0),
+        updated_at = NOW()
+    WHERE id = v_review.user_id
+      AND last_review_date = CURRENT_DATE;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'card_template_id', v_review.card_template_id,
+        'rating', v_review.rating,
+        'session_progress', jsonb_build_object(
+            'submitted_count', v_submitted_count,
+            'max_cards', v_session.max_cards,
+            'current_index', LEAST(v_submitted_count, v_session.max_cards - 1)
+        )
+    );
+END;
+$$;
+
+-- Same as migration 39, except that cram sessions are handed to
+-- undo_practice_review().
+CREATE OR REPLACE FUNCTION undo_last_review(p_session_id UUID)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_session RECORD;
+    v_review reviews;
+    v_previous reviews;
+    v_submitted_count INTEGER;
+BEGIN
+    SELECT id, user_id, status, session_type, submitted_count, max_cards
+    INTO v_session
+    FROM user_sessions
+    WHERE id = p_session_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'session_not_found',
+            'message', 'Session not found'
+        );
+    END IF;
+
+    IF v_session.user_id != auth.uid() THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'unauthorized',
+            'message', 'Access denied'
+        );
+    END IF;
+
+    IF v_session.status NOT IN ('active', 'completed') THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_session_status',
+            'message', 'Session is not active'
+        );
+    END IF;
+
+    IF v_session.session_type = 'cram' THEN
+        RETURN undo_practice_review(p_session_id);
+    END IF;
+
+    -- Most recent review in this session
+    SELECT * INTO v_review
+    FROM reviews
+    WHERE session_id = p_session_id
+    ORDER BY reviewed_at DESC, created_at DESC
+    LIMIT 1;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'nothing_to_undo',
+            'message', 'No review to undo in this session'
+        );
+    END IF;
+
+    -- A later review of the card (e.g. in another session) was scheduled from
+    -- this one's result, so restoring the old state would lose it
+    IF EXISTS (
+        SELECT 1 FROM reviews
+        WHERE user_id = v_review.user_id
+          AND card_template_id = v_review.card_template_id
+          AND reviewed_at > v_review.reviewed_at
+    ) THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'not_latest_review',
+            'message', 'This card has been reviewed again since'
+        );
+    END IF;
+
+    -- The review before it, for the fields the review row doesn't keep
+    SELECT * INTO v_previous
+    FROM reviews
+    WHERE user_id = v_review.user_id
+      AND card_template_id = v_review.card_template_id
+      AND id != v_review.id
+    ORDER BY reviewed_at DESC
+    LIMIT 1;
+
+    UPDATE user_cards
+    SET
+        state = v_review.state_before,
+        stability = v_review.stability_before,
+        difficulty = v_review.difficulty_before,
+        due_at = v_review.due_at_before,
+        last_reviewed_at = v_previous.reviewed_at,
+        elapsed_days = COALESCE(v_previous.elapsed_days, 0),
+        scheduled_days = v_review.scheduled_days,
+        reps = v_review.reps_before,
+        lapses = v_review.lapses_before,
+        last_rating = v_previous.rating,
+        total_reviews = GREATEST(total_reviews - 1, 0),
+        correct_reviews = GREATEST(correct_reviews - CASE WHEN v_review.rating >= 2 THEN 1 ELSE 0 END, 0),
+        incorrect_reviews = GREATEST(incorrect_reviews - CASE WHEN v_review.rating < 2 THEN 1 ELSE 0 END, 0),
+        average_response_time_ms = CASE
+            WHEN total_reviews <= 1 THEN NULL
+            ELSE (average_response_time_ms * total_reviews - v_review.response_time_ms) / (total_reviews - 1)
+        END,
+        updated_at = NOW()
+    WHERE user_id = v_review.user_id
+      AND card_template_id = v_review.card_template_id;
+
+    DELETE FROM reviews WHERE id = v_review.id;
+
+    -- Step the session back one card (record_review keeps current_index
+    -- at the last card once it is reached)
+    v_submitted_count := GREATEST(v_session.submitted_count - 1, 0);
+
+    UPDATE user_sessions
+    SET
+        submitted_count = v_submitted_count,
+        current_index = LEAST(v_submitted_count, max_cards - 1),
+        status = 'active',
+        updated_at = NOW()
+    WHERE id = p_session_id;
+
+    UPDATE profiles
+    SET
+        reviews_today = GREATEST(reviews_today - 1, 0),
+        updated_at = NOW()
+    WHERE id = v_review.user_id
+      AND last_review_date = CURRENT_DATE;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'card_template_id', v_review.card_template_id,
+        'rating', v_review.rating,
+        'session_progress', jsonb_build_object(
+            'submitted_count', v_submitted_count,
+            'max_cards', v_session.max_cards,
+            'current_index', LEAST(v_submitted_count, v_session.max_cards - 1)
+        )
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION undo_last_review(UUID) TO authenticated;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Cram, review-ahead, failed-today and tag-filtered sessions can be started;
+-- cram ratings are logged without changing the schedule
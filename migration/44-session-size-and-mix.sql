@@ -0,0 +1,467 @@
+-- ============================================================================
+-- Migration 44: Session Size and New/Review Mix
+-- ============================================================================
+-- Paid users can choose, on the profile page:
+--   profiles.session_size          cards per session (5-100, NULL = 10)
+--   profiles.session_review_ratio  share of a session kept for due cards
+--                                  (0-1, NULL = adaptive, see below)
+--   profiles.daily_new_cards_limit new cards introduced per day (existing
+--                                  column, now enforced)
+--
+-- get_or_create_user_session() builds sessions from these. Free users keep
+-- the fixed 10-card session with the adaptive mix. Without a chosen ratio
+-- the mix follows the user's learning stage, as calculateAdaptiveRatios() in
+-- js/database.js does:
+--   fewer than 10 cards reviewed  new cards first
+--   10-49 cards reviewed          up to 80% due cards
+--   50+ cards reviewed            up to 70% due cards
+-- Slots one kind can't fill go to the other, so sessions stay full while
+-- cards are available. New cards never go past the daily new-card limit,
+-- counted from today's reviews of cards that were new.
+--
+-- This migration:
+-- 1. Adds profiles.session_size and profiles.session_review_ratio
+-- 2. Creates get_session_card_mix()
+-- 3. Creates update_session_settings()
+-- 4. Rebuilds get_or_create_user_session() with the user's size and mix
+-- ============================================================================
+
+-- Step 1: Settings
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS session_size INTEGER;
+
+ALTER TABLE profiles
+ADD COLUMN IF NOT EXISTS session_review_ratio NUMERIC(3,2);
+
+ALTER TABLE profiles
+DROP CONSTRAINT IF EXISTS profiles_session_size_check;
+
+ALTER TABLE profiles
+ADD CONSTRAINT profiles_session_size_check
+CHECK (session_size IS NULL OR session_size BETWEEN 5 AND 100);
+
+ALTER TABLE profiles
+DROP CONSTRAINT IF EXISTS profiles_session_review_ratio_check;
+
+ALTER TABLE profiles
+ADD CONSTRAINT profiles_session_review_ratio_check
+CHECK (session_review_ratio IS NULL OR session_review_ratio BETWEEN 0 AND 1);
+
+COMMENT ON COLUMN profiles.session_size IS 'Cards per study session (paid users; NULL = 10)';
+COMMENT ON COLUMN profiles.session_review_ratio IS 'Share of a session for due cards (paid users; NULL = adaptive by learning stage)';
+COMMENT ON COLUMN profiles.daily_new_cards_limit IS 'New cards introduced per day by get_or_create_user_session';
+
+-- Step 2: Session mix
+-- How many cards a session holds, how many of them should be new, and how
+-- many new cards the user may still start today.
+CREATE OR REPLACE FUNCTION get_session_card_mix(p_user_id UUID)
+RETURNS TABLE(
+    session_size INTEGER,
+    target_new INTEGER,
+    new_cards_allowed INTEGER,
+    ratio_mode TEXT
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_profile profiles;
+    v_timezone TEXT;
+    v_custom BOOLEAN;
+    v_size INTEGER := 10;
+    v_max_due INTEGER;
+    v_cards_reviewed INTEGER;
+    v_new_today INTEGER;
+BEGIN
+    SELECT * INTO v_profile
+    FROM profiles
+    WHERE id = p_user_id;
+
+    v_timezone := COALESCE(v_profile.timezone, 'UTC');
+    v_custom := v_profile.user_tier IN ('paid', 'admin');
+
+    IF v_custom AND v_profile.session_size IS NOT NULL THEN
+        v_size := v_profile.session_size;
+    END IF;
+
+    IF v_custom AND v_profile.session_review_ratio IS NOT NULL THEN
+        v_max_due := ROUND(v_size * v_profile.session_review_ratio);
+        ratio_mode := 'user';
+    ELSE
+        SELECT COUNT(*) INTO v_cards_reviewed
+        FROM user_cards
+        WHERE user_id = p_user_id
+          AND total_reviews > 0;
+
+        IF v_cards_reviewed < 10 THEN
+            v_max_due := 0;
+            ratio_mode := 'new_user';
+        ELSIF v_cards_reviewed < 50 THEN
+            v_max_due := FLOOR(v_size * 0.8);
+            ratio_mode := 'transitioning';
+        ELSE
+            v_max_due := FLOOR(v_size * 0.7);
+            ratio_mode := 'hybrid';
+        END IF;
+    END IF;
+
+    -- Cards first reviewed today
+    SELECT COUNT(DISTINCT card_template_id) INTO v_new_today
+    FROM reviews
+    WHERE user_id = p_user_id
+      AND state_before = 'new'
+      AND (reviewed_at AT TIME ZONE v_timezone)::date = (NOW() AT TIME ZONE v_timezone)::date;
+
+    session_size := v_size;
+    target_new := v_size - v_max_due;
+    new_cards_allowed := GREATEST(COALESCE(v_profile.daily_new_cards_limit, 20) - v_new_today, 0);
+    RETURN NEXT;
+END;
+$$;
+
+-- Step 3: Saving the settings
+-- NULL size or ratio goes back to the default. Paid users and admins only.
+CREATE OR REPLACE FUNCTION update_session_settings(
+    p_session_size INTEGER,
+    p_review_ratio NUMERIC,
+    p_daily_new_cards_limit INTEGER
+)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM profiles
+        WHERE id = auth.uid() AND user_tier IN ('paid', 'admin')
+    ) THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'paid_plan_required',
+            'message', 'Session settings are available on the paid plan'
+        );
+    END IF;
+
+    IF p_session_size IS NOT NULL AND p_session_size NOT BETWEEN 5 AND 100 THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_session_size',
+            'message', 'Session length must be from 5 to 100 cards'
+        );
+    END IF;
+
+    IF p_review_ratio IS NOT NULL AND p_review_ratio NOT BETWEEN 0 AND 1 THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_review_ratio',
+            'message', 'Review share must be from 0 to 100%'
+        );
+    END IF;
+
+    IF p_daily_new_cards_limit IS NULL OR p_daily_new_cards_limit NOT BETWEEN 0 AND 999 THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_new_cards_limit',
+            'message', 'New cards per day must be from 0 to 999'
+        );
+    END IF;
+
+    UPDATE profiles
+    SET
+        session_size = p_session_size,
+        session_review_ratio = p_review_ratio,
+        daily_new_cards_limit = p_daily_new_cards_limit,
+        updated_at = NOW()
+    WHERE id = auth.uid();
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'session_size', p_session_size,
+        'session_review_ratio', p_review_ratio,
+        'daily_new_cards_limit', p_daily_new_cards_limit
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION update_session_settings(INTEGER, NUMERIC, INTEGER) TO authenticated;
+
+-- Step 4: Sessions with the user's size and mix
+-- Same flow as migration 36. Due cards (most overdue first) and new cards
+-- (random) are gathered, one per sibling group and new cards skipping groups
+-- that have a due card, then split by get_session_card_mix().
+CREATE OR REPLACE FUNCTION get_or_create_user_session(
+    p_user_id UUID,
+    p_deck_id UUID DEFAULT NULL,  -- Legacy parameter for backward compatibility
+    p_subject_path TEXT DEFAULT NULL
+)
+RETURNS JSONB
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_user_tier public.user_tier;
+    v_sessions_today integer;
+    v_max_sessions_per_day integer;
+    v_session_id uuid;
+    v_cards_data jsonb;
+    v_existing_session record;
+    v_user_timezone text;
+    v_today_in_tz date;
+    v_session_seed text;
+    v_mix record;
+    v_due_cards jsonb;
+    v_new_cards jsonb;
+    v_due_groups uuid[];
+    v_take_due integer;
+    v_take_new integer;
+BEGIN
+    -- Get user tier and timezone
+    SELECT user_tier, timezone INTO v_user_tier, v_user_timezone
+    FROM public.profiles
+    WHERE id = p_user_id;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'message', 'User profile not found'
+        );
+    END IF;
+
+    -- Calculate today in user's timezone
+    v_today_in_tz := (NOW() AT TIME ZONE COALESCE(v_user_timezone, 'UTC'))::date;
+
+    -- Set session limits based on user tier
+    CASE v_user_tier
+        WHEN 'free' THEN v_max_sessions_per_day := 1;
+        WHEN 'paid' THEN v_max_sessions_per_day := 999; -- Effectively unlimited
+        WHEN 'admin' THEN v_max_sessions_per_day := 999; -- Effectively unlimited
+        ELSE v_max_sessions_per_day := 1; -- Default to free limits
+    END CASE;
+
+    -- For FREE users only: Check for existing session and return it if incomplete
+    IF v_user_tier = 'free' THEN
+        SELECT * INTO v_existing_session
+        FROM public.user_sessions
+        WHERE user_id = p_user_id
+          AND session_date = v_today_in_tz
+          AND submitted_count < max_cards -- Not yet completed
+          AND status IN ('created', 'active') -- Not completed
+          AND (p_subject_path IS NULL OR subject_path = p_subject_path) -- Same subject filter
+        ORDER BY created_at DESC
+        LIMIT 1;
+
+        -- If we found an existing incomplete session, return it
+        IF FOUND THEN
+            RETURN jsonb_build_object(
+                'success', true,
+                'session_id', v_existing_session.id,
+                'cards_data', v_existing_session.cards_data,
+                'max_cards', v_existing_session.max_cards,
+                'current_index', v_existing_session.current_index,
+                'submitted_count', v_existing_session.submitted_count,
+                'session_type', COALESCE(v_existing_session.session_type, 'general'),
+                'subject_path', v_existing_session.subject_path,
+                'seed', v_existing_session.seed,
+                'status', v_existing_session.status,
+                'is_new_session', false
+            );
+        END IF;
+
+        -- Check if free user already has a completed session today
+        SELECT COUNT(*) INTO v_sessions_today
+        FROM public.user_sessions
+        WHERE user_id = p_user_id
+          AND session_date = v_today_in_tz;
+
+        IF v_sessions_today >= v_max_sessions_per_day THEN
+            RETURN jsonb_build_object(
+                'success', false,
+                'limit_reached', true,
+                'tier', v_user_tier,
+                'reviews_today', 0,
+                'limit', 10,
+                'message', 'Daily session limit reached. Come back tomorrow!'
+            );
+        END IF;
+    END IF;
+
+    -- Generate deterministic seed for reproducible card order
+    v_session_seed := substring(md5(random()::text || clock_timestamp()::text) for 8);
+
+    SELECT * INTO v_mix
+    FROM get_session_card_mix(p_user_id);
+
+    -- Due cards, most overdue first, one per sibling group
+    SELECT
+        jsonb_agg(
+            jsonb_build_object(
+                'card_template_id', card_template_id,
+                'question', question,
+                'answer', answer,
+                'subject_name', subject_name,
+                'subject_path', subject_path,
+                'deck_name', 'Mixed Decks', -- Legacy compatibility
+                'tags', ARRAY[]::text[],
+                'sibling_group', sibling_group,
+                'stability', COALESCE(stability, 1.0),
+                'difficulty', COALESCE(difficulty, 5.0),
+                'state', COALESCE(state::text, 'new'),
+                'total_reviews', COALESCE(total_reviews, 0),
+                'due_at', due_at,
+                'last_reviewed_at', last_reviewed_at,
+                'reps', COALESCE(reps, 0),
+                'lapses', COALESCE(lapses, 0),
+                'correct_reviews', COALESCE(correct_reviews, 0),
+                'incorrect_reviews', COALESCE(incorrect_reviews, 0)
+            ) ORDER BY due_at ASC
+        ),
+        array_agg(sibling_group)
+    INTO v_due_cards, v_due_groups
+    FROM (
+        SELECT *
+        FROM (
+            SELECT DISTINCT ON (ct.sibling_group) d.*, ct.sibling_group
+            FROM public.v_due_user_cards d
+            JOIN public.card_templates ct ON ct.id = d.card_template_id
+            WHERE d.user_id = p_user_id
+              -- Subject path filtering (NULL means global session)
+              AND (p_subject_path IS NULL OR d.subject_path = p_subject_path)
+            ORDER BY ct.sibling_group, d.due_at ASC
+        ) one_per_group
+        ORDER BY due_at ASC
+        LIMIT v_mix.session_size
+    ) limited_cards;
+
+    -- New cards, up to what the daily new-card limit still allows
+    SELECT jsonb_agg(
+        jsonb_build_object(
+            'card_template_id', card_template_id,
+            'question', question,
+            'answer', answer,
+            'subject_name', subject_name,
+            'subject_path', subject_path,
+            'deck_name', 'Mixed Decks', -- Legacy compatibility
+            'tags', ARRAY[]::text[],
+            'sibling_group', sibling_group,
+            'stability', COALESCE(stability, 1.0),
+            'difficulty', COALESCE(difficulty, 5.0),
+            'state', COALESCE(state::text, 'new'),
+            'total_reviews', COALESCE(total_reviews, 0),
+            'due_at', due_at,
+            'last_reviewed_at', last_reviewed_at,
+            'reps', COALESCE(reps, 0),
+            'lapses', COALESCE(lapses, 0),
+            'correct_reviews', COALESCE(correct_reviews, 0),
+            'incorrect_reviews', COALESCE(incorrect_reviews, 0)
+        )
+    ) INTO v_new_cards
+    FROM (
+        SELECT *
+        FROM (
+            -- One random card per sibling group without a due card
+            SELECT DISTINCT ON (ct.sibling_group) n.*, ct.sibling_group
+            FROM get_new_user_cards(p_user_id) n
+            JOIN public.card_templates ct ON ct.id = n.card_template_id
+            WHERE (p_subject_path IS NULL OR n.subject_path = p_subject_path)
+              AND NOT (ct.sibling_group = ANY (COALESCE(v_due_groups, ARRAY[]::uuid[])))
+            ORDER BY ct.sibling_group, RANDOM()
+        ) one_per_group
+        ORDER BY RANDOM()  -- Randomize selection of new cards
+        LIMIT LEAST(v_mix.session_size, v_mix.new_cards_allowed)
+    ) limited_new_cards;
+
+    -- New cards get their share, or more when due cards run short; due
+    -- cards fill the rest
+    v_take_new := LEAST(
+        COALESCE(jsonb_array_length(v_new_cards), 0),
+        GREATEST(v_mix.target_new, v_mix.session_size - COALESCE(jsonb_array_length(v_due_cards), 0))
+    );
+    v_take_due := LEAST(
+        COALESCE(jsonb_array_length(v_due_cards), 0),
+        v_mix.session_size - v_take_new
+    );
+
+    SELECT jsonb_agg(card ORDER BY ord) INTO v_cards_data
+    FROM (
+        SELECT card, ord
+        FROM jsonb_array_elements(COALESCE(v_due_cards, '[]'::jsonb)) WITH ORDINALITY AS due_list(card, ord)
+        WHERE ord <= v_take_due
+        UNION ALL
+        SELECT card, v_take_due + ord
+        FROM jsonb_array_elements(COALESCE(v_new_cards, '[]'::jsonb)) WITH ORDINALITY AS new_list(card, ord)
+        WHERE ord <= v_take_new
+    ) picked;
+
+    -- If still no cards found, return error
+    IF v_cards_data IS NULL OR jsonb_array_length(v_cards_data) = 0 THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'message', CASE
+                WHEN p_subject_path IS NOT NULL THEN
+                    'No cards available for subject "' || p_subject_path || '"'
+                ELSE
+                    'No cards available for session'
+            END
+        );
+    END IF;
+
+    -- Create new session
+    INSERT INTO public.user_sessions (
+        user_id,
+        session_type,
+        session_date,
+        deck_id,
+        subject_path,
+        seed,
+        status,
+        cards_data,
+        max_cards,
+        timezone
+    )
+    VALUES (
+        p_user_id,
+        CASE WHEN p_deck_id IS NOT NULL THEN 'deck_specific'
+             WHEN p_subject_path IS NOT NULL THEN 'subject_specific'
+             WHEN v_user_tier = 'free' THEN 'daily_free'
+             ELSE 'general_unlimited' END,
+        v_today_in_tz,
+        p_deck_id, -- Legacy field, kept for backward compatibility
+        p_subject_path,
+        v_session_seed,
+        'created', -- Start in created state, can be finalized later
+        v_cards_data,
+        jsonb_array_length(v_cards_data), -- Actual card count (may be below the session size)
+        COALESCE(v_user_timezone, 'UTC')
+    )
+    RETURNING id INTO v_session_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'session_id', v_session_id,
+        'cards_data', v_cards_data,
+        'max_cards', jsonb_array_length(v_cards_data),
+        'current_index', 0,
+        'submitted_count', 0,
+        'session_type', CASE WHEN p_deck_id IS NOT NULL THEN 'deck_specific'
+                            WHEN p_subject_path IS NOT NULL THEN 'subject_specific'
+                            WHEN v_user_tier = 'free' THEN 'daily_free'
+                            ELSE 'general_unlimited' END,
+        'subject_path', p_subject_path,
+        'seed', v_session_seed,
+        'status', 'created',
+        'is_new_session', true,
+        'card_mix', jsonb_build_object(
+            'due', v_take_due,
+            'new', v_take_new,
+            'ratio_mode', v_mix.ratio_mode
+        )
+    );
+END;
+$$;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Paid users choose session length, review share and new cards per day;
+-- sessions follow them, or the adaptive mix by default
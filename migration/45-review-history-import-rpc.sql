@@ -0,0 +1,178 @@
+-- ============================================================================
+-- Migration 45: Review History Import RPC
+-- ============================================================================
+-- The review history import (js/reviewHistoryImport.js) wrote user_cards with
+-- a client-side upsert and the replayed reviews with separate inserts. The
+-- upsert replaced whole rows, so a card that was buried, suspended (migration
+-- 40) or marked as a leech (migration 42) lost that state, and a failed
+-- review insert left card state without the history behind it.
+--
+-- import_review_history() writes a batch of replayed cards for the signed-in
+-- user in one transaction. Per card:
+--
+--   - Cards with reviews, or with a schedule of their own (a user_cards row
+--     that is not new, also while held), are skipped and reported back.
+--   - A card without a user_cards row gets one with the replayed state.
+--   - A new card that already has a row gets the replayed FSRS columns. A
+--     held (buried or suspended) new card stays held and resumes into the
+--     replayed state; buried_until and the leech mark are kept.
+--   - The replayed reviews are inserted with the card.
+--
+-- This migration:
+-- 1. Creates import_review_history()
+-- ============================================================================
+
+-- Step 1: import_review_history
+-- p_cards: [{ card_template_id, card: { user_cards columns }, reviews: [{ reviews columns }] }]
+CREATE OR REPLACE FUNCTION import_review_history(p_cards JSONB)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_entry JSONB;
+    v_card JSONB;
+    v_template_id UUID;
+    v_existing user_cards;
+    v_has_row BOOLEAN;
+    v_state card_state;
+    v_review_count INTEGER;
+    v_cards INTEGER := 0;
+    v_reviews INTEGER := 0;
+    v_skipped UUID[] := ARRAY[]::UUID[];
+BEGIN
+    IF v_user_id IS NULL THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'unauthorized',
+            'message', 'Sign in to import review history'
+        );
+    END IF;
+
+    IF jsonb_typeof(p_cards) IS DISTINCT FROM 'array' THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_input',
+            'message', 'p_cards must be an array'
+        );
+    END IF;
+
+    FOR v_entry IN SELECT value FROM jsonb_array_elements(p_cards)
+    LOOP
+        v_template_id := (v_entry->>'card_template_id')::UUID;
+        v_card := v_entry->'card';
+        v_state := (v_card->>'state')::card_state;
+
+        SELECT * INTO v_existing
+        FROM user_cards
+        WHERE user_id = v_user_id AND card_template_id = v_template_id
+        FOR UPDATE;
+        v_has_row := FOUND;
+
+        -- Never replace history or a schedule the card already has here
+        IF (v_has_row AND COALESCE(v_existing.resume_state, v_existing.state) != 'new')
+           OR EXISTS (
+               SELECT 1 FROM reviews
+               WHERE user_id = v_user_id AND card_template_id = v_template_id
+           ) THEN
+            v_skipped := v_skipped || v_template_id;
+            CONTINUE;
+        END IF;
+
+        IF v_has_row THEN
+            UPDATE user_cards
+            SET
+                state = CASE WHEN state IN ('buried', 'suspended') THEN state ELSE v_state END,
+                resume_state = CASE WHEN state IN ('buried', 'suspended') THEN v_state ELSE resume_state END,
+                stability = (v_card->>'stability')::DECIMAL,
+                difficulty = (v_card->>'difficulty')::DECIMAL,
+                due_at = (v_card->>'due_at')::TIMESTAMPTZ,
+                last_reviewed_at = (v_card->>'last_reviewed_at')::TIMESTAMPTZ,
+                elapsed_days = (v_card->>'elapsed_days')::DECIMAL,
+                scheduled_days = (v_card->>'scheduled_days')::DECIMAL,
+                reps = (v_card->>'reps')::INTEGER,
+                lapses = (v_card->>'lapses')::INTEGER,
+                last_rating = (v_card->>'last_rating')::INTEGER,
+                total_reviews = (v_card->>'total_reviews')::INTEGER,
+                correct_reviews = (v_card->>'correct_reviews')::INTEGER,
+                incorrect_reviews = (v_card->>'incorrect_reviews')::INTEGER,
+                average_response_time_ms = (v_card->>'average_response_time_ms')::INTEGER,
+                updated_at = NOW()
+            WHERE user_id = v_user_id AND card_template_id = v_template_id;
+        ELSE
+            INSERT INTO user_cards (
+                user_id, card_template_id, state, stability, difficulty, due_at,
+                last_reviewed_at, elapsed_days, scheduled_days, reps, lapses, last_rating,
+                total_reviews, correct_reviews, incorrect_reviews, average_response_time_ms
+            ) VALUES (
+                v_user_id,
+                v_template_id,
+                v_state,
+                (v_card->>'stability')::DECIMAL,
+                (v_card->>'difficulty')::DECIMAL,
+                (v_card->>'due_at')::TIMESTAMPTZ,
+                (v_card->>'last_reviewed_at')::TIMESTAMPTZ,
+                (v_card->>'elapsed_days')::DECIMAL,
+                (v_card->>'scheduled_days')::DECIMAL,
+                (v_card->>'reps')::INTEGER,
+                (v_card->>'lapses')::INTEGER,
+                (v_card->>'last_rating')::INTEGER,
+                (v_card->>'total_reviews')::INTEGER,
+                (v_card->>'correct_reviews')::INTEGER,
+                (v_card->>'incorrect_reviews')::INTEGER,
+                (v_card->>'average_response_time_ms')::INTEGER
+            );
+        END IF;
+
+        INSERT INTO reviews (
+            user_id, card_template_id, reviewed_at, response_time_ms, rating,
+            state_before, stability_before, difficulty_before, due_at_before,
+            state_after, stability_after, difficulty_after, due_at_after,
+            elapsed_days, scheduled_days, reps_before, lapses_before
+        )
+        SELECT
+            v_user_id, v_template_id, r.reviewed_at, r.response_time_ms, r.rating,
+            r.state_before, r.stability_before, r.difficulty_before, r.due_at_before,
+            r.state_after, r.stability_after, r.difficulty_after, r.due_at_after,
+            r.elapsed_days, r.scheduled_days, r.reps_before, r.lapses_before
+        FROM jsonb_to_recordset(COALESCE(v_entry->'reviews', '[]'::jsonb)) AS r(
+            reviewed_at TIMESTAMPTZ,
+            response_time_ms INTEGER,
+            rating INTEGER,
+            state_before card_state,
+            stability_before DECIMAL,
+            difficulty_before DECIMAL,
+            due_at_before TIMESTAMPTZ,
+            state_after card_state,
+            stability_after DECIMAL,
+            difficulty_after DECIMAL,
+            due_at_after TIMESTAMPTZ,
+            elapsed_days DECIMAL,
+            scheduled_days DECIMAL,
+            reps_before INTEGER,
+            lapses_before INTEGER
+        );
+        GET DIAGNOSTICS v_review_count = ROW_COUNT;
+
+        v_cards := v_cards + 1;
+        v_reviews := v_reviews + v_review_count;
+    END LOOP;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'cards', v_cards,
+        'reviews', v_reviews,
+        'skipped', to_jsonb(v_skipped)
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION import_review_history(JSONB) TO authenticated;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Review history imports write each batch of cards and reviews together and
+-- leave cards with a schedule, hold or leech mark of their own untouched
@@ -0,0 +1,154 @@
+-- ============================================================================
+-- Migration 46: Cloze Sibling Removal Confirmation
+-- ============================================================================
+-- save_cloze_note (migration 34) deleted every sibling whose cloze index was
+-- no longer in the text, together with its user_cards and reviews, without
+-- asking. Renumbering {{c2::...}} to {{c3::...}} therefore wiped learners'
+-- progress on c2, and a save made from a stale preview could remove a
+-- sibling the admin never saw.
+--
+-- save_cloze_note now takes the indexes the admin agreed to remove. If the
+-- save would remove any other sibling it changes nothing and returns
+--   { success: false, error: 'confirm_removal', removed_indexes, learners }
+-- (learners = users with progress on those siblings), so the editor can ask
+-- again. The old signature is dropped so every caller has to confirm.
+--
+-- This migration:
+-- 1. Replaces save_cloze_note() with a version that takes p_confirm_removed
+-- ============================================================================
+
+-- Step 1: save_cloze_note with removal confirmation
+-- p_cards: [{ "cloze_index": 1, "question": "...", "answer": "..." }, ...]
+-- p_confirm_removed: cloze indexes the admin agreed to delete (NULL = none)
+DROP FUNCTION IF EXISTS save_cloze_note(UUID, TEXT, ltree, UUID, TEXT[], BOOLEAN, JSONB);
+
+CREATE OR REPLACE FUNCTION save_cloze_note(
+    p_note_id UUID,
+    p_text TEXT,
+    p_path ltree,
+    p_subject_id UUID,
+    p_tags TEXT[],
+    p_is_public BOOLEAN,
+    p_cards JSONB,
+    p_confirm_removed SMALLINT[] DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_note_id UUID := p_note_id;
+    v_created INTEGER := 0;
+    v_updated INTEGER := 0;
+    v_removed INTEGER := 0;
+    v_removed_indexes SMALLINT[];
+    v_learners INTEGER;
+    v_card JSONB;
+    v_inserted BOOLEAN;
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM profiles
+        WHERE id = v_user_id AND is_admin = TRUE
+    ) THEN
+        RAISE EXCEPTION 'Admin privileges required';
+    END IF;
+
+    IF jsonb_typeof(p_cards) != 'array' OR jsonb_array_length(p_cards) = 0 THEN
+        RAISE EXCEPTION 'A cloze note needs at least one cloze';
+    END IF;
+
+    IF v_note_id IS NOT NULL THEN
+        -- Lock the note so the siblings checked here are the ones removed
+        PERFORM 1 FROM cloze_notes WHERE id = v_note_id FOR UPDATE;
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'Cloze note % not found', v_note_id;
+        END IF;
+
+        SELECT COALESCE(array_agg(cloze_index ORDER BY cloze_index), ARRAY[]::SMALLINT[])
+        INTO v_removed_indexes
+        FROM card_templates
+        WHERE cloze_note_id = v_note_id
+          AND cloze_index NOT IN (
+              SELECT (value->>'cloze_index')::SMALLINT FROM jsonb_array_elements(p_cards)
+          );
+
+        IF NOT (v_removed_indexes <@ COALESCE(p_confirm_removed, ARRAY[]::SMALLINT[])) THEN
+            SELECT COUNT(DISTINCT uc.user_id) INTO v_learners
+            FROM user_cards uc
+            JOIN card_templates ct ON ct.id = uc.card_template_id
+            WHERE ct.cloze_note_id = v_note_id
+              AND ct.cloze_index = ANY(v_removed_indexes);
+
+            RETURN json_build_object(
+                'success', false,
+                'error', 'confirm_removal',
+                'message', 'Saving would delete cards that were not confirmed for removal',
+                'note_id', v_note_id,
+                'removed_indexes', v_removed_indexes,
+                'learners', v_learners
+            );
+        END IF;
+
+        UPDATE cloze_notes
+        SET text = p_text,
+            path = p_path,
+            subject_id = p_subject_id,
+            tags = p_tags,
+            is_public = p_is_public,
+            updated_at = NOW()
+        WHERE id = v_note_id;
+
+        -- Remove the confirmed siblings, with their user_cards and reviews
+        DELETE FROM card_templates
+        WHERE cloze_note_id = v_note_id
+          AND cloze_index = ANY(v_removed_indexes);
+        GET DIAGNOSTICS v_removed = ROW_COUNT;
+    ELSE
+        INSERT INTO cloze_notes (text, path, subject_id, tags, is_public, creator_id)
+        VALUES (p_text, p_path, p_subject_id, p_tags, p_is_public, v_user_id)
+        RETURNING id INTO v_note_id;
+    END IF;
+
+    -- Create new siblings and update existing ones in place
+    FOR v_card IN SELECT value FROM jsonb_array_elements(p_cards)
+    LOOP
+        INSERT INTO card_templates (
+            question, answer, path, subject_id, tags, is_public, creator_id,
+            cloze_note_id, cloze_index
+        )
+        VALUES (
+            v_card->>'question', v_card->>'answer', p_path, p_subject_id, p_tags, p_is_public, v_user_id,
+            v_note_id, (v_card->>'cloze_index')::SMALLINT
+        )
+        ON CONFLICT (cloze_note_id, cloze_index) DO UPDATE
+        SET question = EXCLUDED.question,
+            answer = EXCLUDED.answer,
+            path = EXCLUDED.path,
+            subject_id = EXCLUDED.subject_id,
+            tags = EXCLUDED.tags,
+            is_public = EXCLUDED.is_public,
+            updated_at = NOW()
+        RETURNING (xmax = 0) INTO v_inserted;
+
+        IF v_inserted THEN
+            v_created := v_created + 1;
+        ELSE
+            v_updated := v_updated + 1;
+        END IF;
+    END LOOP;
+
+    RETURN json_build_object(
+        'success', true,
+        'note_id', v_note_id,
+        'created', v_created,
+        'updated', v_updated,
+        'removed', v_removed,
+        'removed_indexes', COALESCE(v_removed_indexes, ARRAY[]::SMALLINT[])
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION save_cloze_note(UUID, TEXT, ltree, UUID, TEXT[], BOOLEAN, JSONB, SMALLINT[]) TO authenticated;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Cloze siblings are only deleted when the admin confirmed their removal
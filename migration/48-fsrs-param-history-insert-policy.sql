@@ -0,0 +1,43 @@
+-- ============================================================================
+-- Migration 48: FSRS Parameter History Insert Policy
+-- ============================================================================
+-- Migration 30 let users insert any fsrs_param_history row for themselves, so
+-- a user could record a change as 'scheduled' or 'admin' (or with another
+-- user as created_by) and the history view would show it as such.
+--
+-- Users may now only record their own 'manual' changes (their own
+-- optimizations and restores). 'scheduled' and 'admin' rows come from admins,
+-- whose policy is unchanged apart from created_by. created_by must be the
+-- inserting user in both policies.
+--
+-- This migration:
+-- 1. Restricts user inserts to manual changes made by the user
+-- 2. Requires admins to insert rows as themselves
+-- ============================================================================
+
+-- Step 1: Users record only their own manual changes
+DROP POLICY IF EXISTS "Users can insert their own FSRS parameter history" ON fsrs_param_history;
+
+CREATE POLICY "Users can insert their own FSRS parameter history" ON fsrs_param_history
+    FOR INSERT WITH CHECK (
+        auth.uid() = user_id
+        AND trigger_type = 'manual'
+        AND created_by = auth.uid()
+    );
+
+-- Step 2: Admins record changes as themselves
+DROP POLICY IF EXISTS "Admins can insert FSRS parameter history" ON fsrs_param_history;
+
+CREATE POLICY "Admins can insert FSRS parameter history" ON fsrs_param_history
+    FOR INSERT WITH CHECK (
+        created_by = auth.uid()
+        AND EXISTS (
+            SELECT 1 FROM profiles
+            WHERE id = auth.uid() AND is_admin = TRUE
+        )
+    );
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Only admins can record scheduled or admin FSRS parameter changes
@@ -0,0 +1,615 @@
+-- ============================================================================
+-- Migration 49: Unbury Cards When a Session Is Created
+-- ============================================================================
+-- Migration 40 gave buried cards a buried_until time (the user's next day
+-- start) but nothing on the server put them back: unbury_cards() was only
+-- called by the study page before it asked for a session, and a failed call
+-- was ignored, so a buried card could stay hidden for days.
+--
+-- The session RPCs now unbury the user's cards themselves before picking
+-- cards. unbury_cards() stays for clients, and unbury_all_cards() for a
+-- scheduled job.
+--
+-- This migration:
+-- 1. Creates unbury_user_cards() and rebuilds unbury_cards() on it
+-- 2. Rebuilds get_or_create_user_session() to unbury first
+-- 3. Rebuilds create_custom_session() to unbury first
+-- ============================================================================
+
+-- Step 1: Unburying one user's cards
+-- Buried cards of p_user_id whose day has started
+CREATE OR REPLACE FUNCTION unbury_user_cards(p_user_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    UPDATE user_cards
+    SET
+        state = resume_state,
+        resume_state = NULL,
+        buried_until = NULL,
+        updated_at = NOW()
+    WHERE user_id = p_user_id
+      AND state = 'buried'
+      AND buried_until <= NOW();
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$;
+
+-- The current user's buried cards whose day has started
+CREATE OR REPLACE FUNCTION unbury_cards()
+RETURNS INTEGER
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    RETURN unbury_user_cards(auth.uid());
+END;
+$$;
+
+-- Step 2: Daily sessions
+-- Same as migration 44, except that buried cards whose day has started are
+-- unburied before the cards are picked.
+CREATE OR REPLACE FUNCTION get_or_create_user_session(
+    p_user_id UUID,
+    p_deck_id UUID DEFAULT NULL,  -- Legacy parameter for backward compatibility
+    p_subject_path TEXT DEFAULT NULL
+)
+RETURNS JSONB
+SECURITY DEFINER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_user_tier public.user_tier;
+    v_sessions_today integer;
+    v_max_sessions_per_day integer;
+    v_session_id uuid;
+    v_cards_data jsonb;
+    v_existing_session record;
+    v_user_timezone text;
+    v_today_in_tz date;
+    v_session_seed text;
+    v_mix record;
+    v_due_cards jsonb;
+    v_new_cards jsonb;
+    v_due_groups uuid[];
+    v_take_due integer;
+    v_take_new integer;
+BEGIN
+    -- Get user tier and timezone
+    SELECT user_tier, timezone INTO v_user_tier, v_user_timezone
+    FROM public.profiles
+    WHERE id = p_user_id;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'message', 'User profile not found'
+        );
+    END IF;
+
+    -- Calculate today in user's timezone
+    v_today_in_tz := (NOW() AT TIME ZONE COALESCE(v_user_timezone, 'UTC'))::date;
+
+    -- Set session limits based on user tier
+    CASE v_user_tier
+        WHEN 'free' THEN v_max_sessions_per_day := 1;
+        WHEN 'paid' THEN v_max_sessions_per_day := 999; -- Effectively unlimited
+        WHEN 'admin' THEN v_max_sessions_per_day := 999; -- Effectively unlimited
+        ELSE v_max_sessions_per_day := 1; -- Default to free limits
+    END CASE;
+
+    -- For FREE users only: Check for existing session and return it if incomplete
+    IF v_user_tier = 'free' THEN
+        SELECT * INTO v_existing_session
+        FROM public.user_sessions
+        WHERE user_id = p_user_id
+          AND session_date = v_today_in_tz
+          AND submitted_count < max_cards -- Not yet completed
+          AND status IN ('created', 'active') -- Not completed
+          AND (p_subject_path IS NULL OR subject_path = p_subject_path) -- Same subject filter
+        ORDER BY created_at DESC
+        LIMIT 1;
+
+        -- If we found an existing incomplete session, return it
+        IF FOUND THEN
+            RETURN jsonb_build_object(
+                'success', true,
+                'session_id', v_existing_session.id,
+                'cards_data', v_existing_session.cards_data,
+                'max_cards', v_existing_session.max_cards,
+                'current_index', v_existing_session.current_index,
+                'submitted_count', v_existing_session.submitted_count,
+                'session_type', COALESCE(v_existing_session.session_type, 'general'),
+                'subject_path', v_existing_session.subject_path,
+                'seed', v_existing_session.seed,
+                'status', v_existing_session.status,
+                'is_new_session', false
+            );
+        END IF;
+
+        -- Check if free user already has a completed session today
+        SELECT COUNT(*) INTO v_sessions_today
+        FROM public.user_sessions
+        WHERE user_id = p_user_id
+          AND session_date = v_today_in_tz;
+
+        IF v_sessions_today >= v_max_sessions_per_day THEN
+            RETURN jsonb_build_object(
+                'success', false,
+                'limit_reached', true,
+                'tier', v_user_tier,
+                'reviews_today', 0,
+                'limit', 10,
+                'message', 'Daily session limit reached. Come back tomorrow!'
+            );
+        END IF;
+    END IF;
+
+    -- Buried cards whose day has started are due again
+    PERFORM unbury_user_cards(p_user_id);
+
+    -- Generate deterministic seed for reproducible card order
+    v_session_seed := substring(md5(random()::text || clock_timestamp()::text) for 8);
+
+    SELECT * INTO v_mix
+    FROM get_session_card_mix(p_user_id);
+
+    -- Due cards, most overdue first, one per sibling group
+    SELECT
+        jsonb_agg(
+            jsonb_build_object(
+                'card_template_id', card_template_id,
+                'question', question,
+                'answer', answer,
+                'subject_name', subject_name,
+                'subject_path', subject_path,
+                'deck_name', 'Mixed Decks', -- Legacy compatibility
+                'tags', ARRAY[]::text[],
+                'sibling_group', sibling_group,
+                'stability', COALESCE(stability, 1.0),
+                'difficulty', COALESCE(difficulty, 5.0),
+                'state', COALESCE(state::text, 'new'),
+                'total_reviews', COALESCE(total_reviews, 0),
+                'due_at', due_at,
+                'last_reviewed_at', last_reviewed_at,
+                'reps', COALESCE(reps, 0),
+                'lapses', COALESCE(lapses, 0),
+                'correct_reviews', COALESCE(correct_reviews, 0),
+                'incorrect_reviews', COALESCE(incorrect_reviews, 0)
+            ) ORDER BY due_at ASC
+        ),
+        array_agg(sibling_group)
+    INTO v_due_cards, v_due_groups
+    FROM (
+        SELECT *
+        FROM (
+            SELECT DISTINCT ON (ct.sibling_group) d.*, ct.sibling_group
+            FROM public.v_due_user_cards d
+            JOIN public.card_templates ct ON ct.id = d.card_template_id
+            WHERE d.user_id = p_user_id
+              -- Subject path filtering (NULL means global session)
+              AND (p_subject_path IS NULL OR d.subject_path = p_subject_path)
+            ORDER BY ct.sibling_group, d.due_at ASC
+        ) one_per_group
+        ORDER BY due_at ASC
+        LIMIT v_mix.session_size
+    ) limited_cards;
+
+    -- New cards, up to what the daily new-card limit still allows
+    SELECT jsonb_agg(
+        jsonb_build_object(
+            'card_template_id', card_template_id,
+            'question', question,
+            'answer', answer,
+            'subject_name', subject_name,
+            'subject_path', subject_path,
+            'deck_name', 'Mixed Decks', -- Legacy compatibility
+            'tags', ARRAY[]::text[],
+            'sibling_group', sibling_group,
+            'stability', COALESCE(stability, 1.0),
+            'difficulty', COALESCE(difficulty, 5.0),
+            'state', COALESCE(state::text, 'new'),
+            'total_reviews', COALESCE(total_reviews, 0),
+            'due_at', due_at,
+            'last_reviewed_at', last_reviewed_at,
+            'reps', COALESCE(reps, 0),
+            'lapses', COALESCE(lapses, 0),
+            'correct_reviews', COALESCE(correct_reviews, 0),
+            'incorrect_reviews', COALESCE(incorrect_reviews, 0)
+        )
+    ) INTO v_new_cards
+    FROM (
+        SELECT *
+        FROM (
+            -- One random card per sibling group without a due card
+            SELECT DISTINCT ON (ct.sibling_group) n.*, ct.sibling_group
+            FROM get_new_user_cards(p_user_id) n
+            JOIN public.card_templates ct ON ct.id = n.card_template_id
+            WHERE (p_subject_path IS NULL OR n.subject_path = p_subject_path)
+              AND NOT (ct.sibling_group = ANY (COALESCE(v_due_groups, ARRAY[]::uuid[])))
+            ORDER BY ct.sibling_group, RANDOM()
+        ) one_per_group
+        ORDER BY RANDOM()  -- Randomize selection of new cards
+        LIMIT LEAST(v_mix.session_size, v_mix.new_cards_allowed)
+    ) limited_new_cards;
+
+    -- New cards get their share, or more when due cards run short; due
+    -- cards fill the rest
+    v_take_new := LEAST(
+        COALESCE(jsonb_array_length(v_new_cards), 0),
+        GREATEST(v_mix.target_new, v_mix.session_size - COALESCE(jsonb_array_length(v_due_cards), 0))
+    );
+    v_take_due := LEAST(
+        COALESCE(jsonb_array_length(v_due_cards), 0),
+        v_mix.session_size - v_take_new
+    );
+
+    SELECT jsonb_agg(card ORDER BY ord) INTO v_cards_data
+    FROM (
+        SELECT card, ord
+        FROM jsonb_array_elements(COALESCE(v_due_cards, '[]'::jsonb)) WITH ORDINALITY AS due_list(card, ord)
+        WHERE ord <= v_take_due
+        UNION ALL
+        SELECT card, v_take_due + ord
+        FROM jsonb_array_elements(COALESCE(v_new_cards, '[]'::jsonb)) WITH ORDINALITY AS new_list(card, ord)
+        WHERE ord <= v_take_new
+    ) picked;
+
+    -- If still no cards found, return error
+    IF v_cards_data IS NULL OR jsonb_array_length(v_cards_data) = 0 THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'message', CASE
+                WHEN p_subject_path IS NOT NULL THEN
+                    'No cards available for subject "' || p_subject_path || '"'
+                ELSE
+                    'No cards available for session'
+            END
+        );
+    END IF;
+
+    -- Create new session
+    INSERT INTO public.user_sessions (
+        user_id,
+        session_type,
+        session_date,
+        deck_id,
+        subject_path,
+        seed,
+        status,
+        cards_data,
+        max_cards,
+        timezone
+    )
+    VALUES (
+        p_user_id,
+        CASE WHEN p_deck_id IS NOT NULL THEN 'deck_specific'
+             WHEN p_subject_path IS NOT NULL THEN 'subject_specific'
+             WHEN v_user_tier = 'free' THEN 'daily_free'
+             ELSE 'general_unlimited' END,
+        v_today_in_tz,
+        p_deck_id, -- Legacy field, kept for backward compatibility
+        p_subject_path,
+        v_session_seed,
+        'created', -- Start in created state, can be finalized later
+        v_cards_data,
+        jsonb_array_length(v_cards_data), -- Actual card count (may be below the session size)
+        COALESCE(v_user_timezone, 'UTC')
+    )
+    RETURNING id INTO v_session_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'session_id', v_session_id,
+        'cards_data', v_cards_data,
+        'max_cards', jsonb_array_length(v_cards_data),
+        'current_index', 0,
+        'submitted_count', 0,
+        'session_type', CASE WHEN p_deck_id IS NOT NULL THEN 'deck_specific'
+                            WHEN p_subject_path IS NOT NULL THEN 'subject_specific'
+                            WHEN v_user_tier = 'free' THEN 'daily_free'
+                            ELSE 'general_unlimited' END,
+        'subject_path', p_subject_path,
+        'seed', v_session_seed,
+        'status', 'created',
+        'is_new_session', true,
+        'card_mix', jsonb_build_object(
+            'due', v_take_due,
+            'new', v_take_new,
+            'ratio_mode', v_mix.ratio_mode
+        )
+    );
+END;
+$$;
+
+-- Step 3: Custom sessions
+-- Same as migration 43, except that buried cards whose day has started are
+-- unburied before the cards are picked.
+CREATE OR REPLACE FUNCTION create_custom_session(
+    p_session_type TEXT,
+    p_path TEXT DEFAULT NULL,
+    p_days_ahead INTEGER DEFAULT NULL,
+    p_tags TEXT[] DEFAULT NULL,
+    p_max_cards INTEGER DEFAULT 20
+)
+RETURNS JSONB
+SECURITY DEFINER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_user_id UUID := auth.uid();
+    v_user_tier public.user_tier;
+    v_user_timezone TEXT;
+    v_today_in_tz DATE;
+    v_path ltree;
+    v_days_ahead INTEGER;
+    v_tags TEXT[];
+    v_options JSONB;
+    v_max_cards INTEGER := LEAST(GREATEST(COALESCE(p_max_cards, 20), 1), 100);
+    v_existing_session RECORD;
+    v_sessions_today INTEGER;
+    v_session_seed TEXT;
+    v_cards_data JSONB;
+    v_session_id UUID;
+BEGIN
+    IF p_session_type IS NULL OR p_session_type NOT IN ('cram', 'review_ahead', 'failed_today', 'tag_filtered') THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'invalid_session_type',
+            'message', 'Unknown custom session type'
+        );
+    END IF;
+
+    SELECT user_tier, timezone INTO v_user_tier, v_user_timezone
+    FROM profiles
+    WHERE id = v_user_id;
+
+    IF NOT FOUND THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'message', 'User profile not found'
+        );
+    END IF;
+
+    v_user_timezone := COALESCE(v_user_timezone, 'UTC');
+    v_today_in_tz := (NOW() AT TIME ZONE v_user_timezone)::date;
+
+    IF NULLIF(TRIM(p_path), '') IS NOT NULL THEN
+        v_path := TRIM(p_path)::ltree;
+    ELSIF p_session_type = 'cram' THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'error', 'path_required',
+            'message', 'Choose a path to cram'
+        );
+    END IF;
+
+    IF p_session_type = 'review_ahead' THEN
+        v_days_ahead := LEAST(GREATEST(COALESCE(p_days_ahead, 1), 1), 30);
+    END IF;
+
+    IF p_session_type = 'tag_filtered' THEN
+        SELECT array_agg(DISTINCT TRIM(tag) ORDER BY TRIM(tag)) INTO v_tags
+        FROM unnest(p_tags) AS t(tag)
+        WHERE NULLIF(TRIM(tag), '') IS NOT NULL;
+
+        IF v_tags IS NULL THEN
+            RETURN jsonb_build_object(
+                'success', false,
+                'error', 'tags_required',
+                'message', 'Choose at least one tag'
+            );
+        END IF;
+    END IF;
+
+    v_options := jsonb_strip_nulls(jsonb_build_object(
+        'days_ahead', v_days_ahead,
+        'tags', to_jsonb(v_tags)
+    ));
+
+    -- Free users get one session a day: resume the same custom session if
+    -- it is unfinished, otherwise the day's session is used up
+    IF v_user_tier = 'free' THEN
+        SELECT * INTO v_existing_session
+        FROM user_sessions
+        WHERE user_id = v_user_id
+          AND session_date = v_today_in_tz
+          AND session_type = p_session_type
+          AND subject_path IS NOT DISTINCT FROM v_path::TEXT
+          AND session_options = v_options
+          AND submitted_count < max_cards
+          AND status IN ('created', 'active')
+        ORDER BY created_at DESC
+        LIMIT 1;
+
+        IF FOUND THEN
+            RETURN jsonb_build_object(
+                'success', true,
+                'session_id', v_existing_session.id,
+                'cards_data', v_existing_session.cards_data,
+                'max_cards', v_existing_session.max_cards,
+                'current_index', v_existing_session.current_index,
+                'submitted_count', v_existing_session.submitted_count,
+                'session_type', v_existing_session.session_type,
+                'session_options', v_existing_session.session_options,
+                'updates_schedule', v_existing_session.session_type != 'cram',
+                'subject_path', v_existing_session.subject_path,
+                'seed', v_existing_session.seed,
+                'status', v_existing_session.status,
+                'is_new_session', false
+            );
+        END IF;
+
+        SELECT COUNT(*) INTO v_sessions_today
+        FROM user_sessions
+        WHERE user_id = v_user_id
+          AND session_date = v_today_in_tz;
+
+        IF v_sessions_today >= 1 THEN
+            RETURN jsonb_build_object(
+                'success', false,
+                'limit_reached', true,
+                'tier', v_user_tier,
+                'reviews_today', 0,
+                'limit', 10,
+                'message', 'Daily session limit reached. Come back tomorrow!'
+            );
+        END IF;
+    END IF;
+
+    -- Buried cards whose day has started are due again
+    PERFORM unbury_user_cards(v_user_id);
+
+    v_session_seed := substring(md5(random()::text || clock_timestamp()::text) for 8);
+
+    WITH failed AS (
+        SELECT r.card_template_id, MAX(r.reviewed_at) AS failed_at
+        FROM reviews r
+        WHERE p_session_type = 'failed_today'
+          AND r.user_id = v_user_id
+          AND r.rating = 0
+          AND (r.reviewed_at AT TIME ZONE v_user_timezone)::date = v_today_in_tz
+        GROUP BY r.card_template_id
+    ),
+    candidates AS (
+        SELECT
+            ct.id AS card_template_id,
+            ct.sibling_group,
+            -- tag_filtered puts due cards before new ones
+            CASE
+                WHEN p_session_type = 'tag_filtered' AND COALESCE(uc.state, 'new') = 'new' THEN 1
+                ELSE 0
+            END AS priority,
+            CASE p_session_type
+                WHEN 'cram' THEN RANDOM()
+                WHEN 'failed_today' THEN -EXTRACT(EPOCH FROM f.failed_at)
+                ELSE COALESCE(EXTRACT(EPOCH FROM uc.due_at), RANDOM())
+            END AS sort_key
+        FROM card_templates ct
+        LEFT JOIN user_cards uc
+            ON uc.card_template_id = ct.id
+           AND uc.user_id = v_user_id
+        LEFT JOIN failed f ON f.card_template_id = ct.id
+        WHERE (v_path IS NULL OR ct.path <@ v_path)
+          AND (v_tags IS NULL OR ct.tags @> v_tags)
+          -- Cards the user has, or public cards they haven't started
+          AND (uc.card_template_id IS NOT NULL OR (ct.is_public AND NOT ct.flagged_for_review))
+          AND COALESCE(uc.state, 'new') NOT IN ('buried', 'suspended')
+          AND CASE p_session_type
+              WHEN 'cram' THEN TRUE
+              WHEN 'review_ahead' THEN
+                  uc.state IN ('learning', 'review', 'relearning')
+                  AND uc.due_at <= NOW() + make_interval(days => v_days_ahead)
+              WHEN 'failed_today' THEN f.card_template_id IS NOT NULL
+              WHEN 'tag_filtered' THEN
+                  COALESCE(uc.state, 'new') = 'new' OR uc.due_at <= NOW()
+          END
+    ),
+    picked AS (
+        SELECT *
+        FROM (
+            SELECT DISTINCT ON (sibling_group) *
+            FROM candidates
+            ORDER BY sibling_group, priority, sort_key
+        ) one_per_group
+        ORDER BY priority, sort_key
+        LIMIT v_max_cards
+    )
+    SELECT jsonb_agg(
+        jsonb_build_object(
+            'card_template_id', ct.id,
+            'question', ct.question,
+            'answer', ct.answer,
+            'subject_name', s.name,
+            'subject_path', s.path::text,
+            'deck_name', 'Mixed Decks', -- Legacy compatibility
+            'tags', COALESCE(ct.tags, ARRAY[]::text[]),
+            'sibling_group', ct.sibling_group,
+            'stability', COALESCE(uc.stability, 1.0),
+            'difficulty', COALESCE(uc.difficulty, 5.0),
+            'state', COALESCE(uc.state::text, 'new'),
+            'total_reviews', COALESCE(uc.total_reviews, 0),
+            'due_at', uc.due_at,
+            'last_reviewed_at', uc.last_reviewed_at,
+            'reps', COALESCE(uc.reps, 0),
+            'lapses', COALESCE(uc.lapses, 0),
+            'correct_reviews', COALESCE(uc.correct_reviews, 0),
+            'incorrect_reviews', COALESCE(uc.incorrect_reviews, 0)
+        ) ORDER BY p.priority, p.sort_key
+    ) INTO v_cards_data
+    FROM picked p
+    JOIN card_templates ct ON ct.id = p.card_template_id
+    LEFT JOIN subjects s ON s.id = ct.subject_id
+    LEFT JOIN user_cards uc
+        ON uc.card_template_id = ct.id
+       AND uc.user_id = v_user_id;
+
+    IF v_cards_data IS NULL THEN
+        RETURN jsonb_build_object(
+            'success', false,
+            'message', CASE p_session_type
+                WHEN 'cram' THEN 'No cards available for path "' || v_path::TEXT || '"'
+                WHEN 'review_ahead' THEN 'No cards available due in the next ' || v_days_ahead || ' days'
+                WHEN 'failed_today' THEN 'No cards available: nothing was rated Again today'
+                ELSE 'No cards available with tags ' || array_to_string(v_tags, ', ')
+            END
+        );
+    END IF;
+
+    INSERT INTO user_sessions (
+        user_id,
+        session_type,
+        session_date,
+        subject_path,
+        session_options,
+        seed,
+        status,
+        cards_data,
+        max_cards,
+        timezone
+    )
+    VALUES (
+        v_user_id,
+        p_session_type,
+        v_today_in_tz,
+        v_path::TEXT,
+        v_options,
+        v_session_seed,
+        'created',
+        v_cards_data,
+        jsonb_array_length(v_cards_data),
+        v_user_timezone
+    )
+    RETURNING id INTO v_session_id;
+
+    RETURN jsonb_build_object(
+        'success', true,
+        'session_id', v_session_id,
+        'cards_data', v_cards_data,
+        'max_cards', jsonb_array_length(v_cards_data),
+        'current_index', 0,
+        'submitted_count', 0,
+        'session_type', p_session_type,
+        'session_options', v_options,
+        'updates_schedule', p_session_type != 'cram',
+        'subject_path', v_path::TEXT,
+        'seed', v_session_seed,
+        'status', 'created',
+        'is_new_session', true
+    );
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION create_custom_session(TEXT, TEXT, INTEGER, TEXT[], INTEGER) TO authenticated;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- Buried cards come back in the first session created after their day start
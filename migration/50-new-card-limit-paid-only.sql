@@ -0,0 +1,93 @@
+-- ============================================================================
+-- Migration 50: Daily New-Card Limit for Paid Users Only
+-- ============================================================================
+-- Migration 44 capped new cards at profiles.daily_new_cards_limit for every
+-- tier. Free users can't change the limit (update_session_settings() is paid
+-- only), so they were held to the column default of 20 new cards a day
+-- without a setting to show for it. Their sessions are already limited to
+-- one fixed 10-card session a day.
+--
+-- get_session_card_mix() now applies the daily new-card limit to paid users
+-- and admins only. Free users' new cards are limited by the session size.
+--
+-- This migration:
+-- 1. Rebuilds get_session_card_mix() with the limit for paid users only
+-- ============================================================================
+
+-- Step 1: Session mix
+-- Same as migration 44, except that new_cards_allowed is the session size
+-- for free users.
+CREATE OR REPLACE FUNCTION get_session_card_mix(p_user_id UUID)
+RETURNS TABLE(
+    session_size INTEGER,
+    target_new INTEGER,
+    new_cards_allowed INTEGER,
+    ratio_mode TEXT
+)
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+    v_profile profiles;
+    v_timezone TEXT;
+    v_custom BOOLEAN;
+    v_size INTEGER := 10;
+    v_max_due INTEGER;
+    v_cards_reviewed INTEGER;
+    v_new_today INTEGER;
+BEGIN
+    SELECT * INTO v_profile
+    FROM profiles
+    WHERE id = p_user_id;
+
+    v_timezone := COALESCE(v_profile.timezone, 'UTC');
+    v_custom := v_profile.user_tier IN ('paid', 'admin');
+
+    IF v_custom AND v_profile.session_size IS NOT NULL THEN
+        v_size := v_profile.session_size;
+    END IF;
+
+    IF v_custom AND v_profile.session_review_ratio IS NOT NULL THEN
+        v_max_due := ROUND(v_size * v_profile.session_review_ratio);
+        ratio_mode := 'user';
+    ELSE
+        SELECT COUNT(*) INTO v_cards_reviewed
+        FROM user_cards
+        WHERE user_id = p_user_id
+          AND total_reviews > 0;
+
+        IF v_cards_reviewed < 10 THEN
+            v_max_due := 0;
+            ratio_mode := 'new_user';
+        ELSIF v_cards_reviewed < 50 THEN
+            v_max_due := FLOOR(v_size * 0.8);
+            ratio_mode := 'transitioning';
+        ELSE
+            v_max_due := FLOOR(v_size * 0.7);
+            ratio_mode := 'hybrid';
+        END IF;
+    END IF;
+
+    -- Cards first reviewed today
+    SELECT COUNT(DISTINCT card_template_id) INTO v_new_today
+    FROM reviews
+    WHERE user_id = p_user_id
+      AND state_before = 'new'
+      AND (reviewed_at AT TIME ZONE v_timezone)::date = (NOW() AT TIME ZONE v_timezone)::date;
+
+    session_size := v_size;
+    target_new := v_size - v_max_due;
+    -- Only paid users and admins can change the limit, so only they get it
+    IF v_custom THEN
+        new_cards_allowed := GREATEST(COALESCE(v_profile.daily_new_cards_limit, 20) - v_new_today, 0);
+    ELSE
+        new_cards_allowed := v_size;
+    END IF;
+    RETURN NEXT;
+END;
+$$;
+
+-- ============================================================================
+-- MIGRATION COMPLETE
+-- ============================================================================
+-- The daily new-card limit applies to the users who can set it
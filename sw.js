@@ -0,0 +1,96 @@
+/**
+ * Service worker: keeps the study page's app shell available offline.
+ * Pages, scripts, styles, fonts and config from this origin and the CDN are
+ * fetched from the network when possible and from cache otherwise. Supabase
+ * API calls are never cached - reviews made offline are queued by the page
+ * itself (js/offlineStore.js) and replayed through record_review.
+ */
+
+const CACHE_NAME = 'nanotopic-shell-v1';
+
+// Fetched at install so the study page opens offline even if it was only
+// visited once; everything else is cached as it is used
+const SHELL_URLS = [
+    './',
+    './index.html',
+    './css/styles.css?v=6',
+    './css/streak-styles.css?v=2',
+    './css/slide-menu.css?v=1',
+    './css/spinner.css?v=1',
+    './js/config-loader.js',
+    './js/script.js'
+];
+
+const CDN_ORIGINS = ['https://cdn.jsdelivr.net'];
+
+/**
+ * Whether a GET request is part of the app shell (as opposed to API data)
+ * @param {URL} url - Request URL
+ * @returns {boolean}
+ */
+function isCacheable(url) {
+    return url.origin === self.location.origin || CDN_ORIGINS.includes(url.origin);
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            // One missing file shouldn't stop the worker from installing
+            .then(cache => Promise.all(SHELL_URLS.map(url => cache.add(url).catch(() => null))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Network first so deploys show up immediately; the cache is the fallback
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (!isCacheable(url)) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok || response.type === 'opaque') {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreVary: true }).then(cached => {
+                if (cached) return cached;
+                // Navigations fall back to the study page shell
+                if (request.mode === 'navigate') return caches.match('./index.html');
+                return Response.error();
+            }))
+    );
+});
+
+// The page sends the URLs it loaded before this worker controlled it
+self.addEventListener('message', event => {
+    if (event.data?.type !== 'CACHE_URLS' || !Array.isArray(event.data.urls)) return;
+
+    const urls = event.data.urls.filter(url => {
+        try {
+            return isCacheable(new URL(url));
+        } catch {
+            return false;
+        }
+    });
+
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => Promise.all(urls.map(async url => {
+            if (await cache.match(url)) return;
+            await cache.add(url).catch(() => null);
+        })))
+    );
+});
@@ -0,0 +1,161 @@
+/**
+ * Anki note mapping
+ * Feeds collectionFromRows the rows readCollection reads from legacy and
+ * 2.1.28+ collections, then maps the notes with mapNotes. The module creates
+ * its Supabase client on load, so a window global is set only around the
+ * import.
+ */
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let ankiHtmlToText;
+let collectionFromRows;
+let defaultFieldMapping;
+let mapNotes;
+
+const SEP = '\x1f';
+
+// Legacy schema: note types and decks are JSON in the col row
+const LEGACY_ROWS = {
+    col: {
+        models: JSON.stringify({
+            1001: {
+                id: 1001,
+                name: 'Basic',
+                type: 0,
+                flds: [{ name: 'Back', ord: 1 }, { name: 'Front', ord: 0 }]
+            },
+            1002: {
+                id: 1002,
+                name: 'Cloze',
+                type: 1,
+                flds: [{ name: 'Text', ord: 0 }, { name: 'Back Extra', ord: 1 }]
+            }
+        }),
+        decks: JSON.stringify({
+            1: { id: 1, name: 'Default' },
+            20: { id: 20, name: 'Biology::Cells:: Organelles ' }
+        })
+    },
+    notes: [
+        { id: 11, mid: 1001, flds: `What is ATP?${SEP}Energy <b>currency</b>`, tags: ' bio  energy ', did: 20 },
+        { id: 12, mid: 1002, flds: `The {{c1::mitochondria}} makes ATP${SEP}`, tags: '', did: 1 },
+        { id: 13, mid: 1001, flds: `Label this <img src="cell.png">${SEP}Nucleus`, tags: '', did: null }
+    ]
+};
+
+// 2.1.28+ schema: separate notetypes/fields/decks tables, deck levels joined by \x1f
+const NEW_ROWS = {
+    notetypes: [{ id: 2001, name: 'Basic (and reversed card)' }, { id: 2002, name: 'Vocab' }],
+    fields: [
+        { ntid: 2001, ord: 0, name: 'Front' },
+        { ntid: 2001, ord: 1, name: 'Back' },
+        { ntid: 2002, ord: 0, name: 'Word' },
+        { ntid: 2002, ord: 1, name: 'Meaning' },
+        { ntid: 2002, ord: 2, name: 'Audio' }
+    ],
+    decks: [{ id: 30, name: `Languages${SEP}French` }],
+    notes: [
+        { id: 21, mid: 2001, flds: `Capital of France?${SEP}Paris`, tags: 'geo', did: 30 },
+        { id: 22, mid: 2002, flds: `chat${SEP}cat${SEP}[sound:chat.mp3]`, tags: '', did: 30 },
+        { id: 23, mid: 2001, flds: `{{c2::Lyon}} is in France${SEP}city`, tags: '', did: 30 },
+        { id: 24, mid: 9999, flds: `orphan${SEP}note`, tags: '', did: 30 }
+    ]
+};
+
+before(async () => {
+    globalThis.window = {
+        supabase: { createClient: () => ({ auth: { getSession: async () => ({ data: {} }) } }) },
+        supabaseConfig: { SUPABASE_URL: 'http://localhost:54321', SUPABASE_ANON_KEY: 'test-key' }
+    };
+    ({ ankiHtmlToText, collectionFromRows, defaultFieldMapping, mapNotes } = await import('../js/ankiImport.js'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    delete globalThis.window;
+});
+
+test('collectionFromRows: legacy col JSON gives ordered fields, cloze types and deck paths', () => {
+    const { models, notes } = collectionFromRows(LEGACY_ROWS);
+
+    assert.deepEqual(models[1001], { id: '1001', name: 'Basic', fields: ['Front', 'Back'], isCloze: false });
+    assert.deepEqual(models[1002], { id: '1002', name: 'Cloze', fields: ['Text', 'Back Extra'], isCloze: true });
+
+    assert.deepEqual(notes[0], {
+        id: '11',
+        modelId: '1001',
+        fields: ['What is ATP?', 'Energy <b>currency</b>'],
+        tags: ['bio', 'energy'],
+        deckPath: ['Biology', 'Cells', 'Organelles']
+    });
+    assert.deepEqual(notes[1].tags, []);
+    assert.deepEqual(notes[1].deckPath, ['Default']);
+    // A note without cards has no deck
+    assert.deepEqual(notes[2].deckPath, ['Default']);
+});
+
+test('collectionFromRows: new-schema tables give fields by ord and \\x1f deck paths', () => {
+    const { models, notes } = collectionFromRows(NEW_ROWS);
+
+    assert.deepEqual(models[2002], { id: '2002', name: 'Vocab', fields: ['Word', 'Meaning', 'Audio'], isCloze: false });
+    assert.deepEqual(notes[0].deckPath, ['Languages', 'French']);
+    assert.deepEqual(notes[0].fields, ['Capital of France?', 'Paris']);
+    assert.deepEqual(notes[0].tags, ['geo']);
+});
+
+test('defaultFieldMapping: Front/Back and cloze names, else the first two fields', () => {
+    assert.deepEqual(defaultFieldMapping({ fields: ['Front', 'Back'] }), { question: 0, answer: 1 });
+    assert.deepEqual(defaultFieldMapping({ fields: ['Back', 'Front'] }), { question: 1, answer: 0 });
+    assert.deepEqual(defaultFieldMapping({ fields: ['Text', 'Back Extra'] }), { question: 0, answer: 1 });
+    assert.deepEqual(defaultFieldMapping({ fields: ['Word', 'Meaning', 'Audio'] }), { question: 0, answer: 1 });
+    assert.deepEqual(defaultFieldMapping({ fields: ['Only'] }), { question: 0, answer: 0 });
+});
+
+test('mapNotes: legacy notes become drafts with plain text and flags', () => {
+    const drafts = mapNotes(collectionFromRows(LEGACY_ROWS));
+
+    assert.deepEqual(drafts[0], {
+        noteId: '11',
+        modelName: 'Basic',
+        question: 'What is ATP?',
+        answer: 'Energy currency',
+        deckPath: ['Biology', 'Cells', 'Organelles'],
+        tags: ['bio', 'energy'],
+        issues: []
+    });
+    // Cloze note types are flagged even though the text is imported as-is
+    assert.deepEqual(drafts[1].issues, ['cloze']);
+    assert.equal(drafts[1].question, 'The {{c1::mitochondria}} makes ATP');
+    assert.deepEqual(drafts[2].issues, ['media']);
+    assert.equal(drafts[2].question, 'Label this');
+});
+
+test('mapNotes: new-schema notes detect cloze markup, sound references and unknown types', () => {
+    const drafts = mapNotes(collectionFromRows(NEW_ROWS), { 2002: { question: 0, answer: 2 } });
+
+    assert.deepEqual(drafts[0].issues, []);
+    assert.equal(drafts[0].modelName, 'Basic (and reversed card)');
+
+    // Mapped to the Audio field, the answer is only a sound reference
+    assert.deepEqual(drafts[1].issues, ['media']);
+    assert.equal(drafts[1].answer, '');
+
+    // New-schema note types carry no cloze kind, so cloze is found in the text
+    assert.deepEqual(drafts[2].issues, ['cloze']);
+
+    assert.equal(drafts[3].modelName, 'Unknown');
+    assert.equal(drafts[3].question, 'orphan');
+    assert.equal(drafts[3].answer, '');
+});
+
+test('mapNotes: media only in a field that is not mapped is not flagged', () => {
+    const drafts = mapNotes(collectionFromRows(NEW_ROWS));
+    assert.deepEqual(drafts[1].issues, []);
+    assert.equal(drafts[1].answer, 'cat');
+});
+
+test('ankiHtmlToText: line breaks, entities and sound tags', () => {
+    assert.equal(ankiHtmlToText('<div>one</div><div>two<br>three</div>'), 'one\ntwo\nthree');
+    assert.equal(ankiHtmlToText('a &lt;b&gt; &amp;lt; &quot;c&quot; &#39;d&#39; &#8364;&nbsp;e'), 'a <b> &lt; "c" \'d\' € e');
+    assert.equal(ankiHtmlToText('word [sound:word.mp3]'), 'word');
+    assert.equal(ankiHtmlToText(null), '');
+});
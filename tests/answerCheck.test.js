@@ -0,0 +1,79 @@
+/**
+ * Typed-answer checking
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RATING } from '../js/fsrs.js';
+import { TYPED_ANSWER_CONFIG } from '../js/config.js';
+import { plainAnswerText, diffAnswer, checkTypedAnswer } from '../js/answerCheck.js';
+
+test('checkTypedAnswer: exact match ignoring case and accents suggests Good', () => {
+    const result = checkTypedAnswer('creme brulee', 'Crème Brûlée', { ignoreCase: true, ignoreAccents: true });
+    assert.equal(result.verdict, 'exact');
+    assert.equal(result.suggestedRating, RATING.GOOD);
+    assert.equal(result.expected, 'Crème Brûlée');
+});
+
+test('checkTypedAnswer: case and accents count when not ignored', () => {
+    assert.equal(checkTypedAnswer('creme', 'crème', { ignoreCase: true }).distance, 1);
+    assert.equal(checkTypedAnswer('Paris', 'paris').distance, 1);
+});
+
+test('checkTypedAnswer: extra spaces are not mistakes', () => {
+    assert.equal(checkTypedAnswer('  new   york ', 'new york').verdict, 'exact');
+});
+
+test('checkTypedAnswer: one typo in a long word suggests Hard', () => {
+    const result = checkTypedAnswer('mitochondira', 'mitochondria');
+    assert.equal(result.verdict, 'typo');
+    assert.equal(result.suggestedRating, RATING.HARD);
+});
+
+test('checkTypedAnswer: typos are capped at MAX_TYPO_DISTANCE', () => {
+    const answer = 'a'.repeat(40);
+    const typed = 'b'.repeat(TYPED_ANSWER_CONFIG.MAX_TYPO_DISTANCE + 1) + 'a'.repeat(40 - TYPED_ANSWER_CONFIG.MAX_TYPO_DISTANCE - 1);
+    assert.equal(checkTypedAnswer(typed, answer).verdict, 'wrong');
+});
+
+test('checkTypedAnswer: short answers allow no typos and blank is wrong', () => {
+    assert.equal(checkTypedAnswer('5', '4').verdict, 'wrong');
+    assert.equal(checkTypedAnswer('', 'anything').suggestedRating, RATING.AGAIN);
+});
+
+test('checkTypedAnswer: long answers are compared whole, without a diff', () => {
+    const answer = 'x'.repeat(TYPED_ANSWER_CONFIG.MAX_DIFF_LENGTH + 1);
+    const exact = checkTypedAnswer(answer.toUpperCase(), answer, { ignoreCase: true });
+    assert.equal(exact.verdict, 'exact');
+    assert.equal(exact.diff, null);
+    assert.equal(checkTypedAnswer(`${answer}y`, answer).verdict, 'wrong');
+});
+
+test('diffAnswer: merges runs and marks missing and extra characters', () => {
+    assert.deepEqual(diffAnswer('cat', 'cart').diff, [
+        { type: 'equal', text: 'ca' },
+        { type: 'extra', text: 'r' },
+        { type: 'equal', text: 't' }
+    ]);
+    assert.deepEqual(diffAnswer('cart', 'cat').diff, [
+        { type: 'equal', text: 'ca' },
+        { type: 'missing', text: 'r' },
+        { type: 'equal', text: 't' }
+    ]);
+});
+
+test('diffAnswer: a substitution shows the expected character as missing and the typed one as extra', () => {
+    const { distance, diff } = diffAnswer('dog', 'dig');
+    assert.equal(distance, 1);
+    assert.deepEqual(diff, [
+        { type: 'equal', text: 'd' },
+        { type: 'extra', text: 'i' },
+        { type: 'missing', text: 'o' },
+        { type: 'equal', text: 'g' }
+    ]);
+});
+
+test('plainAnswerText: strips emphasis, code markers, headings and list bullets', () => {
+    assert.equal(plainAnswerText('The **mitochondria** `ATP`'), 'The mitochondria ATP');
+    assert.equal(plainAnswerText('# Title\n- one\n2. two'), 'Title one two');
+});
@@ -0,0 +1,138 @@
+/**
+ * Bulk card import parsing and validation
+ * parseDelimited, parseCardFile and validateRecords are pure; the module
+ * creates its Supabase client on load, so a window global is set only
+ * around the import.
+ */
+
+import test, { before } from 'node:test';
+import assert from 'node:assert/strict';
+
+let parseDelimited;
+let parseCardFile;
+let validateRecords;
+
+const SUBJECTS = [
+    { id: 'subject-1', path: '1' },
+    { id: 'subject-1-7', path: '1.7' },
+    { id: 'subject-2', path: '2' }
+];
+
+before(async () => {
+    globalThis.window = {
+        supabase: { createClient: () => ({ auth: { getSession: async () => ({ data: {} }) } }) },
+        supabaseConfig: { SUPABASE_URL: 'http://localhost:54321', SUPABASE_ANON_KEY: 'test-key' }
+    };
+    ({ parseDelimited, parseCardFile, validateRecords } = await import('../js/cardImport.js'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    delete globalThis.window;
+});
+
+test('parseDelimited: RFC 4180 quoted fields, "" escapes and embedded newlines', () => {
+    const text = 'a,"b, with comma","say ""hi"""\n"line one\nline two",,"x"\n';
+    assert.deepEqual(parseDelimited(text, ','), [
+        ['a', 'b, with comma', 'say "hi"'],
+        ['line one\nline two', '', 'x']
+    ]);
+});
+
+test('parseDelimited: CRLF line endings, blank lines and a missing final newline', () => {
+    assert.deepEqual(parseDelimited('a,b\r\n\r\nc,d\r\n  ,  \r\ne,"f\r\ng"', ','), [
+        ['a', 'b'],
+        ['c', 'd'],
+        ['e', 'f\r\ng']
+    ]);
+});
+
+test('parseDelimited: a quote inside an unquoted cell is kept as text', () => {
+    assert.deepEqual(parseDelimited('5" screen,ok', ','), [['5" screen', 'ok']]);
+    assert.deepEqual(parseDelimited('a\t"b\tc"\td', '\t'), [['a', 'b\tc', 'd']]);
+});
+
+test('parseCardFile: .csv splits on commas, .tsv and .txt on tabs', () => {
+    const csv = 'question,answer,path\nQ1,"A, B",1.7';
+    assert.deepEqual(parseCardFile(csv, 'cards.CSV'), [{ rowNumber: 1, question: 'Q1', answer: 'A, B', path: '1.7' }]);
+
+    const tsv = 'question\tanswer\tpath\nQ1\tA, B\t1.7';
+    const expected = [{ rowNumber: 1, question: 'Q1', answer: 'A, B', path: '1.7' }];
+    assert.deepEqual(parseCardFile(tsv, 'cards.tsv'), expected);
+    assert.deepEqual(parseCardFile(tsv, 'cards.txt'), expected);
+
+    // A tab-separated file named .csv is one unknown column, not three
+    assert.throws(() => parseCardFile(tsv, 'cards.csv'), /Missing required column\(s\): question, answer, path/);
+});
+
+test('parseCardFile: strips a BOM and matches headers case-insensitively', () => {
+    const text = '\uFEFFQuestion, Answer ,PATH,Tags,notes\r\nQ,A,2,a;b,ignored\r\nQ2,A2,2\r\n';
+    assert.deepEqual(parseCardFile(text, 'cards.csv'), [
+        { rowNumber: 1, question: 'Q', answer: 'A', path: '2', tags: 'a;b' },
+        { rowNumber: 2, question: 'Q2', answer: 'A2', path: '2', tags: '' }
+    ]);
+});
+
+test('parseCardFile: empty files and missing columns are rejected', () => {
+    assert.throws(() => parseCardFile('', 'cards.csv'), /The file is empty/);
+    assert.throws(() => parseCardFile('\uFEFF\n\n', 'cards.csv'), /The file is empty/);
+    assert.throws(() => parseCardFile('question,path\nQ,1', 'cards.csv'), /Missing required column\(s\): answer\./);
+});
+
+test('parseCardFile: JSON arrays and { cards: [...] } objects', () => {
+    const cards = [{ question: 'Q', answer: 'A', path: '1', tags: ['x'], is_public: true }];
+    const expected = [{ rowNumber: 1, question: 'Q', answer: 'A', path: '1', tags: ['x'], is_public: true }];
+    assert.deepEqual(parseCardFile(JSON.stringify(cards), 'cards.json'), expected);
+    assert.deepEqual(parseCardFile(`\uFEFF${JSON.stringify({ cards })}`, 'cards.json'), expected);
+
+    assert.throws(() => parseCardFile('{"items": []}', 'cards.json'), /must be an array of cards/);
+    assert.throws(() => parseCardFile('[{"question": ', 'cards.json'), SyntaxError);
+});
+
+test('validateRecords: builds card rows and resolves the deepest subject', () => {
+    const records = parseCardFile(
+        'question,answer,path,tags,is_public,external_id\n'
+        + ' Q1 , A1 ,1.7.3,a; b ;,yes,ext-1\n'
+        + 'Q2,A2,2.4,,,\n',
+        'cards.csv'
+    );
+    const { valid, errors } = validateRecords(records, SUBJECTS);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(valid, [
+        {
+            rowNumber: 1,
+            card: { question: 'Q1', answer: 'A1', path: '1.7.3', subject_id: 'subject-1-7', tags: ['a', 'b'], is_public: true, external_id: 'ext-1' }
+        },
+        {
+            rowNumber: 2,
+            card: { question: 'Q2', answer: 'A2', path: '2.4', subject_id: 'subject-2', tags: null, is_public: false, external_id: null }
+        }
+    ]);
+});
+
+test('validateRecords: reports every problem per row and keeps the good rows', () => {
+    const records = [
+        { rowNumber: 1, question: '', answer: 'A', path: '1', is_public: 'maybe' },
+        { rowNumber: 2, question: 'Q', answer: 'x'.repeat(2001), path: '1..2' },
+        { rowNumber: 3, question: 'Q', answer: 'A', path: '9.1', tags: Array.from({ length: 21 }, (_, i) => `t${i}`) },
+        { rowNumber: 4, question: 'Q', answer: 'A', path: '1', external_id: 7 },
+        { rowNumber: 5, question: 'Q', answer: 'A', path: '2', external_id: ' 7 ' }
+    ];
+    const { valid, errors } = validateRecords(records, SUBJECTS);
+
+    assert.deepEqual(valid.map(row => row.rowNumber), [4]);
+    assert.equal(valid[0].card.external_id, '7');
+    assert.deepEqual(errors.map(row => row.rowNumber), [1, 2, 3, 5]);
+
+    assert.equal(errors[0].errors.length, 2);
+    assert.match(errors[0].errors[0], /Question is required for row 1/);
+    assert.match(errors[0].errors[1], /is_public must be true or false, got "maybe"/);
+
+    assert.equal(errors[1].errors.length, 2);
+    assert.match(errors[1].errors[0], /Answer too long for row 2/);
+    assert.match(errors[1].errors[1], /Invalid path "1\.\.2" for row 2/);
+
+    assert.equal(errors[2].errors.length, 2);
+    assert.match(errors[2].errors[0], /Too many tags for row 3/);
+    assert.equal(errors[2].errors[1], 'No subject found for path "9.1".');
+
+    assert.deepEqual(errors[3].errors, ['external_id "7" is also used on row 4.']);
+});
@@ -0,0 +1,130 @@
+/**
+ * Burying cards (migrations 40 and 49)
+ * Buries cards with bury_card and creates sessions in PGlite. NOW() can't be
+ * moved, so a day start passing is simulated by moving buried_until back a
+ * day: next_day_start() is at most a day away, so that puts it in the past.
+ */
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStudyDatabase, rpc, sessionCardIds } from './helpers/studyDatabase.js';
+
+const USER = '00000000-0000-4000-8000-000000000001';
+const CARD = n => `00000000-0000-4000-8000-1000000000${String(n).padStart(2, '0')}`;
+
+let db;
+
+/**
+ * A user_cards row in review state, due an hour ago
+ * @param {number} n - Card number
+ */
+const reviewCard = (n) => db.query(
+    `INSERT INTO user_cards (user_id, card_template_id, state, stability, difficulty, due_at, last_reviewed_at, reps, total_reviews, correct_reviews)
+     VALUES ($1, $2, 'review', 3, 5, NOW() - INTERVAL '1 hour', NOW() - INTERVAL '3 days', 2, 2, 2)`,
+    [USER, CARD(n)]
+);
+
+/**
+ * Move a buried card's unbury time past, as if its day start had come
+ * @param {number} n - Card number
+ */
+const passDayStart = (n) => db.query(
+    `UPDATE user_cards SET buried_until = buried_until - INTERVAL '1 day' WHERE user_id = $1 AND card_template_id = $2`,
+    [USER, CARD(n)]
+);
+
+const userCard = async (n) =>
+    (await db.query('SELECT * FROM user_cards WHERE user_id = $1 AND card_template_id = $2', [USER, CARD(n)])).rows[0];
+
+before(async () => {
+    db = await createStudyDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+beforeEach(async () => {
+    await db.exec(`
+        TRUNCATE reviews, user_sessions, user_cards, card_templates, profiles, auth.users CASCADE;
+        INSERT INTO auth.users (id) VALUES ('${USER}');
+        INSERT INTO profiles (id, user_tier) VALUES ('${USER}', 'paid');
+    `);
+    for (const n of [1, 2, 3]) {
+        await db.query(`INSERT INTO card_templates (id, question, answer, path, tags) VALUES ($1, $2, 'A', '1.2', ARRAY['bio'])`, [CARD(n), `Q${n}`]);
+    }
+});
+
+test('bury_card: hides the card until the user\'s next day start', async () => {
+    await reviewCard(1);
+    await reviewCard(2);
+
+    const result = await rpc(db, USER, 'bury_card', { p_card_template_id: CARD(1) });
+    assert.equal(result.success, true);
+
+    const card = await userCard(1);
+    assert.equal(card.state, 'buried');
+    assert.equal(card.resume_state, 'review');
+    const [{ next }] = (await db.query('SELECT next_day_start($1) AS next', [USER])).rows;
+    assert.equal(card.buried_until.getTime(), next.getTime());
+
+    // Creating a session before the day start leaves the card buried
+    const session = await rpc(db, USER, 'get_or_create_user_session', { p_user_id: USER });
+    assert.deepEqual(sessionCardIds(session).sort(), [CARD(2), CARD(3)]);
+    assert.equal((await userCard(1)).state, 'buried');
+});
+
+test('get_or_create_user_session: a due card buried yesterday is back in the next session', async () => {
+    await reviewCard(1);
+    await reviewCard(2);
+    await rpc(db, USER, 'bury_card', { p_card_template_id: CARD(1) });
+    await passDayStart(1);
+
+    const session = await rpc(db, USER, 'get_or_create_user_session', { p_user_id: USER });
+
+    assert.deepEqual(sessionCardIds(session).sort(), [CARD(1), CARD(2), CARD(3)]);
+    const card = await userCard(1);
+    assert.equal(card.state, 'review');
+    assert.equal(card.resume_state, null);
+    assert.equal(card.buried_until, null);
+});
+
+test('get_or_create_user_session: a buried card that was never studied comes back as new', async () => {
+    await rpc(db, USER, 'bury_card', { p_card_template_id: CARD(1) });
+
+    let session = await rpc(db, USER, 'get_or_create_user_session', { p_user_id: USER });
+    assert.deepEqual(sessionCardIds(session).sort(), [CARD(2), CARD(3)]);
+
+    await passDayStart(1);
+    session = await rpc(db, USER, 'get_or_create_user_session', { p_user_id: USER });
+
+    assert.deepEqual(sessionCardIds(session).sort(), [CARD(1), CARD(2), CARD(3)]);
+    assert.equal((await userCard(1)).state, 'new');
+});
+
+test('create_custom_session: unburies before picking cards', async () => {
+    await reviewCard(1);
+    await rpc(db, USER, 'bury_card', { p_card_template_id: CARD(1) });
+
+    let session = await rpc(db, USER, 'create_custom_session', { p_session_type: 'review_ahead', p_days_ahead: 1 });
+    assert.equal(session.success, false);
+
+    await passDayStart(1);
+    session = await rpc(db, USER, 'create_custom_session', { p_session_type: 'review_ahead', p_days_ahead: 1 });
+
+    assert.equal(session.success, true);
+    assert.deepEqual(sessionCardIds(session), [CARD(1)]);
+    assert.equal((await userCard(1)).state, 'review');
+});
+
+test('unbury_cards: restores only the cards whose day has started', async () => {
+    await reviewCard(1);
+    await reviewCard(2);
+    await rpc(db, USER, 'bury_card', { p_card_template_id: CARD(1) });
+    await rpc(db, USER, 'bury_card', { p_card_template_id: CARD(2) });
+    await passDayStart(1);
+
+    assert.equal(await rpc(db, USER, 'unbury_cards'), 1);
+    assert.equal((await userCard(1)).state, 'review');
+    assert.equal((await userCard(2)).state, 'buried');
+});
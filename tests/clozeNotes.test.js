@@ -0,0 +1,136 @@
+/**
+ * save_cloze_note (migration 46)
+ * Runs migration 34's tables and migration 46's function in PGlite. The other
+ * tables hold only the columns the function touches; auth.uid() returns the
+ * test.user_id setting.
+ */
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { PGlite } from '@electric-sql/pglite';
+import { ltree } from '@electric-sql/pglite/contrib/ltree';
+
+const ADMIN = '00000000-0000-4000-8000-000000000001';
+const LEARNER = '00000000-0000-4000-8000-000000000002';
+
+const SCHEMA = `
+    CREATE EXTENSION ltree;
+    CREATE ROLE authenticated;
+    CREATE SCHEMA auth;
+    CREATE TABLE auth.users (id UUID PRIMARY KEY);
+    CREATE FUNCTION auth.uid() RETURNS UUID LANGUAGE sql STABLE AS $$
+        SELECT NULLIF(current_setting('test.user_id', true), '')::UUID
+    $$;
+
+    CREATE TABLE profiles (id UUID PRIMARY KEY, is_admin BOOLEAN NOT NULL DEFAULT FALSE);
+    CREATE TABLE subjects (id UUID PRIMARY KEY DEFAULT gen_random_uuid());
+
+    CREATE TABLE card_templates (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        question TEXT NOT NULL,
+        answer TEXT NOT NULL,
+        path ltree,
+        subject_id UUID,
+        tags TEXT[],
+        is_public BOOLEAN NOT NULL DEFAULT FALSE,
+        creator_id UUID,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE user_cards (
+        user_id UUID NOT NULL,
+        card_template_id UUID NOT NULL REFERENCES card_templates(id) ON DELETE CASCADE,
+        PRIMARY KEY (user_id, card_template_id)
+    );
+`;
+
+let db;
+
+before(async () => {
+    db = new PGlite({ extensions: { ltree } });
+    await db.exec(SCHEMA);
+    await db.query('INSERT INTO auth.users (id) VALUES ($1), ($2)', [ADMIN, LEARNER]);
+    await db.query('INSERT INTO profiles (id, is_admin) VALUES ($1, TRUE), ($2, FALSE)', [ADMIN, LEARNER]);
+
+    // Tables, link columns and RLS from migration 34 (its function is replaced by 46)
+    const migration34 = fs.readFileSync(new URL('../migration/34-cloze-notes.sql', import.meta.url), 'utf8');
+    await db.exec(migration34.slice(migration34.indexOf('-- Step 1:'), migration34.indexOf('-- Step 4:')));
+    await db.exec(fs.readFileSync(new URL('../migration/46-cloze-sibling-removal-confirmation.sql', import.meta.url), 'utf8'));
+});
+
+after(async () => {
+    await db.close();
+});
+
+beforeEach(async () => {
+    await db.exec(`DELETE FROM card_templates; DELETE FROM cloze_notes; SET test.user_id = '${ADMIN}';`);
+});
+
+/**
+ * @param {string|null} noteId - Note to update, or null to create one
+ * @param {Array<number>} indexes - Cloze indexes in the text
+ * @param {Array<number>|null} confirmRemoved - p_confirm_removed
+ * @returns {Promise<Object>} save_cloze_note result
+ */
+async function save(noteId, indexes, confirmRemoved = null) {
+    const cards = indexes.map(index => ({ cloze_index: index, question: `Q${index} [...]`, answer: `A${index}` }));
+    const { rows } = await db.query(
+        `SELECT save_cloze_note($1, $2, '1.2'::ltree, NULL, NULL, TRUE, $3, $4) AS result`,
+        [noteId, `note with ${indexes.join(', ')}`, JSON.stringify(cards), confirmRemoved]
+    );
+    return rows[0].result;
+}
+
+const siblings = async noteId =>
+    (await db.query('SELECT cloze_index, question FROM card_templates WHERE cloze_note_id = $1 ORDER BY cloze_index', [noteId])).rows;
+
+test('save_cloze_note: creates and updates siblings in place', async () => {
+    const created = await save(null, [1, 2]);
+    assert.equal(created.success, true);
+    assert.equal(created.created, 2);
+
+    const { rows: [before] } = await db.query('SELECT id FROM card_templates WHERE cloze_index = 1');
+    const updated = await save(created.note_id, [1, 2, 3]);
+    assert.deepEqual([updated.created, updated.updated, updated.removed], [1, 2, 0]);
+    const { rows: [after] } = await db.query('SELECT id FROM card_templates WHERE cloze_index = 1');
+    assert.equal(after.id, before.id);
+});
+
+test('save_cloze_note: an unconfirmed removal changes nothing and reports the siblings', async () => {
+    const { note_id: noteId } = await save(null, [1, 2, 3]);
+    await db.query(
+        `INSERT INTO user_cards (user_id, card_template_id)
+         SELECT $1, id FROM card_templates WHERE cloze_index IN (2, 3)`,
+        [LEARNER]
+    );
+
+    // c2 and c3 renumbered to c4: c2 and c3 would be deleted
+    const result = await save(noteId, [1, 4], [3]);
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'confirm_removal');
+    assert.deepEqual(result.removed_indexes, [2, 3]);
+    assert.equal(result.learners, 1);
+
+    assert.deepEqual((await siblings(noteId)).map(row => row.cloze_index), [1, 2, 3]);
+    const { rows: [note] } = await db.query('SELECT text FROM cloze_notes WHERE id = $1', [noteId]);
+    assert.equal(note.text, 'note with 1, 2, 3');
+    assert.equal((await db.query('SELECT count(*)::int AS n FROM user_cards')).rows[0].n, 2);
+});
+
+test('save_cloze_note: confirmed siblings are removed with their progress', async () => {
+    const { note_id: noteId } = await save(null, [1, 2, 3]);
+    await db.query(`INSERT INTO user_cards (user_id, card_template_id) SELECT $1, id FROM card_templates`, [LEARNER]);
+
+    const result = await save(noteId, [1, 4], [2, 3]);
+    assert.equal(result.success, true);
+    assert.equal(result.removed, 2);
+    assert.deepEqual(result.removed_indexes, [2, 3]);
+    assert.deepEqual((await siblings(noteId)).map(row => row.cloze_index), [1, 4]);
+    assert.equal((await db.query('SELECT count(*)::int AS n FROM user_cards')).rows[0].n, 1);
+});
+
+test('save_cloze_note: admins only', async () => {
+    await db.exec(`SET test.user_id = '${LEARNER}'`);
+    await assert.rejects(save(null, [1]), /Admin privileges required/);
+});
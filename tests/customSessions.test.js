@@ -0,0 +1,168 @@
+/**
+ * Custom study sessions (migration 43, card selection from 49)
+ * Creates cram, review-ahead, failed-today and tag-filtered sessions in
+ * PGlite, and checks cram ratings go to practice_reviews without touching
+ * the schedule.
+ */
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStudyDatabase, rpc, startSession, sessionCardIds } from './helpers/studyDatabase.js';
+
+const USER = '00000000-0000-4000-8000-000000000001';
+const CARD = n => `00000000-0000-4000-8000-1000000000${String(n).padStart(2, '0')}`;
+
+// Path, tags and, for studied cards, when the card is due
+const CARDS = [
+    { n: 1, path: '1.2', tags: ['bio', 'cell'], due: '-1 hour' },
+    { n: 2, path: '1.2', tags: ['bio'], due: '3 days' },
+    { n: 3, path: '1.3', tags: ['bio'], due: '10 days' },
+    { n: 4, path: '1.2', tags: ['bio'] },
+    { n: 5, path: '2.1', tags: ['chem'] }
+];
+
+let db;
+
+const createCustomSession = (args) => rpc(db, USER, 'create_custom_session', args);
+
+const review = (session, cardId, rating = 2) => rpc(db, USER, 'record_review', {
+    p_session_id: session.session_id,
+    p_card_template_id: cardId,
+    p_rating: rating,
+    p_response_time_ms: 1500
+});
+
+/**
+ * A review logged earlier
+ * @param {number} n - Card number
+ * @param {number} rating - Rating
+ * @param {string} reviewedAt - SQL timestamp expression
+ */
+const logReview = (n, rating, reviewedAt) => db.query(
+    `INSERT INTO reviews (user_id, card_template_id, reviewed_at, response_time_ms, rating, state_before, stability_before, difficulty_before,
+                          state_after, stability_after, difficulty_after, elapsed_days, scheduled_days, reps_before, lapses_before)
+     VALUES ($1, $2, ${reviewedAt}, 1000, $3, 'review', 3, 5, 'review', 3, 5, 1, 1, 2, 0)`,
+    [USER, CARD(n), rating]
+);
+
+const userCards = async () => (await db.query('SELECT * FROM user_cards ORDER BY card_template_id')).rows;
+
+const count = async (table) => (await db.query(`SELECT count(*)::int AS n FROM ${table}`)).rows[0].n;
+
+before(async () => {
+    db = await createStudyDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+beforeEach(async () => {
+    await db.exec(`
+        TRUNCATE practice_reviews, reviews, user_sessions, user_cards, card_templates, profiles, auth.users CASCADE;
+        INSERT INTO auth.users (id) VALUES ('${USER}');
+        INSERT INTO profiles (id, user_tier) VALUES ('${USER}', 'paid');
+    `);
+    for (const card of CARDS) {
+        await db.query(
+            `INSERT INTO card_templates (id, question, answer, path, tags) VALUES ($1, $2, 'A', $3, $4)`,
+            [CARD(card.n), `Q${card.n}`, card.path, card.tags]
+        );
+        if (card.due) {
+            await db.query(
+                `INSERT INTO user_cards (user_id, card_template_id, state, stability, difficulty, due_at, last_reviewed_at, reps, total_reviews, correct_reviews)
+                 VALUES ($1, $2, 'review', 3, 5, NOW() + $3::interval, NOW() - INTERVAL '3 days', 2, 2, 2)`,
+                [USER, CARD(card.n), card.due]
+            );
+        }
+    }
+});
+
+test('create_custom_session: checks the session type and its options', async () => {
+    assert.equal((await createCustomSession({ p_session_type: 'general' })).error, 'invalid_session_type');
+    assert.equal((await createCustomSession({ p_session_type: 'cram' })).error, 'path_required');
+    assert.equal((await createCustomSession({ p_session_type: 'tag_filtered', p_tags: [' '] })).error, 'tags_required');
+
+    const empty = await createCustomSession({ p_session_type: 'cram', p_path: '9' });
+    assert.equal(empty.success, false);
+    assert.equal(await count('user_sessions'), 0);
+});
+
+test('cram: ratings go to practice_reviews and leave the schedule alone', async () => {
+    const session = await createCustomSession({ p_session_type: 'cram', p_path: '1.2' });
+    assert.equal(session.success, true);
+    assert.equal(session.updates_schedule, false);
+    // Every card under the path, due or not, studied or not
+    assert.deepEqual(sessionCardIds(session).sort(), [CARD(1), CARD(2), CARD(4)]);
+
+    const schedule = await userCards();
+    await startSession(db, USER, session);
+    for (const [index, cardId] of sessionCardIds(session).entries()) {
+        const result = await review(session, cardId, index === 0 ? 0 : 3);
+        assert.equal(result.success, true);
+        assert.equal(result.practice, true);
+    }
+
+    assert.deepEqual(await userCards(), schedule);
+    assert.equal(await count('reviews'), 0);
+    const { rows: practice } = await db.query('SELECT card_template_id, rating FROM practice_reviews ORDER BY reviewed_at, created_at');
+    assert.deepEqual(practice, sessionCardIds(session).map((cardId, index) => ({ card_template_id: cardId, rating: index === 0 ? 0 : 3 })));
+    const { rows: [row] } = await db.query('SELECT status, submitted_count FROM user_sessions WHERE id = $1', [session.session_id]);
+    assert.deepEqual(row, { status: 'completed', submitted_count: 3 });
+    assert.equal((await db.query('SELECT reviews_today FROM profiles')).rows[0].reviews_today, 3);
+
+    // Undo takes back the practice rating only
+    const undone = await rpc(db, USER, 'undo_last_review', { p_session_id: session.session_id });
+    assert.equal(undone.success, true);
+    assert.equal(undone.card_template_id, sessionCardIds(session)[2]);
+    assert.equal(await count('practice_reviews'), 2);
+    assert.deepEqual(await userCards(), schedule);
+    assert.equal((await db.query('SELECT reviews_today FROM profiles')).rows[0].reviews_today, 2);
+});
+
+test('review_ahead: studied cards due within the window, soonest first', async () => {
+    const window = async (args) => sessionCardIds(await createCustomSession({ p_session_type: 'review_ahead', ...args }));
+
+    assert.deepEqual(await window({ p_days_ahead: 1 }), [CARD(1)]);
+    assert.deepEqual(await window({ p_days_ahead: 5 }), [CARD(1), CARD(2)]);
+    assert.deepEqual(await window({ p_days_ahead: 30 }), [CARD(1), CARD(2), CARD(3)]);
+    assert.deepEqual(await window({ p_days_ahead: 30, p_path: '1.3' }), [CARD(3)]);
+
+    // The ratings schedule the cards as usual
+    const session = await createCustomSession({ p_session_type: 'review_ahead', p_days_ahead: 5 });
+    assert.equal(session.updates_schedule, true);
+    await startSession(db, USER, session);
+    const before2 = (await userCards())[1];
+    assert.equal((await review(session, CARD(2))).success, true);
+    const after2 = (await userCards())[1];
+    assert.equal(after2.reps, before2.reps + 1);
+    assert.ok(after2.due_at > before2.due_at);
+    assert.equal(await count('reviews'), 1);
+});
+
+test('failed_today: cards rated Again today, most recently failed first', async () => {
+    assert.equal((await createCustomSession({ p_session_type: 'failed_today' })).success, false);
+
+    const startOfToday = `date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`;
+    await logReview(2, 0, startOfToday);
+    await logReview(3, 0, 'NOW()');
+    await logReview(1, 2, 'NOW()');
+    await logReview(5, 0, `NOW() - INTERVAL '2 days'`);
+
+    const session = await createCustomSession({ p_session_type: 'failed_today' });
+
+    assert.equal(session.success, true);
+    assert.deepEqual(sessionCardIds(session), [CARD(3), CARD(2)]);
+});
+
+test('tag_filtered: due and new cards with every tag, due first', async () => {
+    const tagged = async (tags, args = {}) =>
+        sessionCardIds(await createCustomSession({ p_session_type: 'tag_filtered', p_tags: tags, ...args }));
+
+    // Cards 2 and 3 aren't due yet
+    assert.deepEqual(await tagged(['bio']), [CARD(1), CARD(4)]);
+    assert.deepEqual(await tagged(['bio', ' cell ']), [CARD(1)]);
+    assert.deepEqual(await tagged(['chem']), [CARD(5)]);
+    assert.deepEqual(await tagged(['bio'], { p_max_cards: 1 }), [CARD(1)]);
+    assert.deepEqual(await tagged(['bio'], { p_path: '1.3' }), []);
+});
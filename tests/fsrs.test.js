@@ -0,0 +1,105 @@
+/**
+ * FSRS-5 golden values
+ * Expected stability, difficulty and intervals were computed with the ts-fsrs
+ * 4.7.1 reference implementation (FSRS-5, fuzz off) using the DEFAULT_PARAMS
+ * weights, not with js/fsrs.js. The scheduleCard sequence feeds the same
+ * reference formulas through this app's learning steps ([1, 10] minutes,
+ * relearning [10]).
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    RATING,
+    calculateRetrievability,
+    calculateInitialStability,
+    calculateInitialDifficulty,
+    calculateInterval,
+    updateStability,
+    updateDifficulty,
+    scheduleCard
+} from '../js/fsrs.js';
+
+const RATINGS = [RATING.AGAIN, RATING.HARD, RATING.GOOD, RATING.EASY];
+
+/**
+ * Assert two numbers agree to within the reference's rounding (ts-fsrs
+ * rounds intermediate values such as R to 8 d.p.)
+ * @param {number} actual - Value from js/fsrs.js
+ * @param {number} expected - ts-fsrs value
+ * @param {string} message - Failure message
+ */
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) <= 1e-7 * Math.max(1, Math.abs(expected)), `${message}: expected ${expected}, got ${actual}`);
+}
+
+test('calculateInitialStability: S0(G) = w[G-1]', () => {
+    const expected = [0.4872, 1.4003, 3.1145, 15.69];
+    RATINGS.forEach(r => assertClose(calculateInitialStability(r), expected[r], `rating ${r}`));
+});
+
+test('calculateInitialDifficulty: D0(G) = w4 - e^(w5(G-1)) + 1', () => {
+    const expected = [7.1434, 6.23225985, 4.49094334, 1.16304343];
+    RATINGS.forEach(r => assertClose(calculateInitialDifficulty(r), expected[r], `rating ${r}`));
+});
+
+test('updateDifficulty: linear damping and mean reversion (w6, w7)', () => {
+    const expected = [5.77833671, 5.25986291, 4.74138913, 4.22291534];
+    RATINGS.forEach(r => assertClose(updateDifficulty(5, r), expected[r], `rating ${r}`));
+    assertClose(updateDifficulty(10, RATING.AGAIN), 9.40438913, 'Again at the ceiling');
+    assert.equal(updateDifficulty(1, RATING.EASY), 1);
+});
+
+test('updateStability: recall (w8-w10, w15, w16) and forget (w11-w14) after 3 days', () => {
+    const expected = [1.14677676, 5.42443547, 12.3616396, 30.36212154];
+    RATINGS.forEach(r => assertClose(updateStability(3.1145, 5, r, 3), expected[r], `rating ${r}`));
+});
+
+test('updateStability: long interval on a harder card', () => {
+    const expected = [2.61963508, 17.65146002, 40.63034437, 100.25537271];
+    RATINGS.forEach(r => assertClose(updateStability(10, 7, r, 20), expected[r], `rating ${r}`));
+});
+
+test('updateStability: same-day reviews use short-term stability (w17, w18)', () => {
+    const expected = [1.60675803, 2.6203778, 4.27343736, 6.9693259];
+    RATINGS.forEach(r => assertClose(updateStability(3.1145, 5, r, 0), expected[r], `rating ${r}`));
+});
+
+test('calculateRetrievability and calculateInterval', () => {
+    assertClose(calculateRetrievability(10, 10), 0.9, 'R(10, 10)');
+    assert.equal(calculateInterval(10), 10);
+    assert.equal(calculateInterval(10, 0.8), 24);
+    assert.equal(calculateInterval(1), 1);
+    assert.equal(calculateInterval(100), 100);
+    assert.equal(calculateInterval(3.1145), 3);
+});
+
+test('scheduleCard: learning steps, graduation, lapse and relearning', () => {
+    const start = new Date('2026-01-01T00:00:00Z');
+    const steps = [
+        [RATING.GOOD, 'learning', 3.1145, 4.49094334, '2026-01-01T00:10:00.000Z', 0],
+        [RATING.GOOD, 'review', 4.27343736, 4.26664289, '2026-01-05T00:10:00.000Z', 0],
+        [RATING.GOOD, 'review', 17.415139, 4.05746029, '2026-01-22T00:10:00.000Z', 0],
+        [RATING.AGAIN, 'relearning', 3.10142699, 5.09479703, '2026-01-22T00:20:00.000Z', 1],
+        [RATING.GOOD, 'review', 4.25549975, 4.82979684, '2026-01-26T00:20:00.000Z', 1],
+        [RATING.EASY, 'review', 39.75212005, 4.0465347, '2026-03-07T00:20:00.000Z', 1]
+    ];
+
+    let card = { state: 'new', reps: 0, lapses: 0 };
+    steps.forEach(([rating, state, stability, difficulty, due, lapses], i) => {
+        card = scheduleCard(card, rating, card.due_at || start);
+        assert.equal(card.state, state, `step ${i + 1} state`);
+        assertClose(card.stability, stability, `step ${i + 1} stability`);
+        assertClose(card.difficulty, difficulty, `step ${i + 1} difficulty`);
+        assert.equal(card.due_at.toISOString(), due, `step ${i + 1} due`);
+        assert.equal(card.reps, i + 1);
+        assert.equal(card.lapses, lapses);
+    });
+});
+
+test('scheduleCard: Hard on the first learning step waits between the first two steps', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    const card = scheduleCard({ state: 'new' }, RATING.HARD, now);
+    assert.equal(card.state, 'learning');
+    assert.equal(card.due_at - now, 5.5 * 60 * 1000);
+});
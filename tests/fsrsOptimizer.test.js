@@ -0,0 +1,110 @@
+/**
+ * FSRS-5 optimizer
+ * Fits weights to a synthetic review log whose cards are remembered far
+ * better than the default weights predict.
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS, WEIGHT_BOUNDS } from '../js/fsrs.js';
+import {
+    buildTrainingSet,
+    splitHistories,
+    evaluateWeights,
+    optimizeWeights
+} from '../js/fsrsOptimizer.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 60 cards first answered Good, then reviewed at intervals that grow 4x
+ * after each recall; one review in ten is forgotten
+ * @returns {Array} reviews rows
+ */
+function syntheticReviews() {
+    const reviews = [];
+    for (let c = 0; c < 60; c++) {
+        let at = Date.UTC(2026, 0, 1);
+        let interval = 2;
+        reviews.push({ card_template_id: `card-${c}`, rating: 2, elapsed_days: 0, state_before: 'new', reviewed_at: new Date(at).toISOString() });
+        for (let r = 0; r < 6; r++) {
+            at += interval * MS_PER_DAY;
+            const recalled = (c * 7 + r * 3) % 10 !== 0;
+            reviews.push({
+                card_template_id: `card-${c}`,
+                rating: recalled ? 2 : 0,
+                elapsed_days: interval,
+                state_before: 'review',
+                reviewed_at: new Date(at).toISOString()
+            });
+            interval = recalled ? interval * 4 : 1;
+        }
+    }
+    return reviews;
+}
+
+test('buildTrainingSet: groups by card, sorts by time and skips truncated histories', () => {
+    const histories = buildTrainingSet([
+        { card_template_id: 'a', rating: 2, elapsed_days: 3, state_before: 'review', reviewed_at: '2026-01-04T00:00:00Z' },
+        { card_template_id: 'a', rating: 2, elapsed_days: 0, state_before: 'new', reviewed_at: '2026-01-01T00:00:00Z' },
+        { card_template_id: 'b', rating: 0, elapsed_days: 5, state_before: 'review', reviewed_at: '2026-01-02T00:00:00Z' }
+    ]);
+    assert.equal(histories.length, 1);
+    assert.deepEqual(histories[0].reviews.map(r => r.elapsedDays), [0, 3]);
+});
+
+test('splitHistories: deterministic and disjoint', () => {
+    const histories = buildTrainingSet(syntheticReviews());
+    const first = splitHistories(histories, 0.2);
+    const second = splitHistories(histories, 0.2);
+    assert.deepEqual(first.test.map(h => h.cardId), second.test.map(h => h.cardId));
+    assert.equal(first.train.length + first.test.length, histories.length);
+    assert.ok(first.test.length > 0 && first.train.length > 0);
+});
+
+test('evaluateWeights: scores only reviews a day or more apart', () => {
+    const histories = buildTrainingSet([
+        { card_template_id: 'a', rating: 2, elapsed_days: 0, state_before: 'new', reviewed_at: '2026-01-01T00:00:00Z' },
+        { card_template_id: 'a', rating: 2, elapsed_days: 0.01, state_before: 'learning', reviewed_at: '2026-01-01T00:10:00Z' },
+        { card_template_id: 'a', rating: 0, elapsed_days: 4, state_before: 'review', reviewed_at: '2026-01-05T00:10:00Z' }
+    ]);
+    const metrics = evaluateWeights(histories, DEFAULT_PARAMS);
+    assert.equal(metrics.count, 1);
+    assert.ok(metrics.logLoss > 0);
+});
+
+test('optimizeWeights: lowers log-loss and keeps weights within WEIGHT_BOUNDS', async () => {
+    const result = await optimizeWeights(syntheticReviews(), DEFAULT_PARAMS, { maxEpochs: 40 });
+
+    assert.equal(result.success, true);
+    assert.ok(result.after.train.logLoss < result.before.train.logLoss,
+        `train log-loss ${result.before.train.logLoss} -> ${result.after.train.logLoss}`);
+    assert.ok(result.after.test.logLoss <= result.before.test.logLoss,
+        `test log-loss ${result.before.test.logLoss} -> ${result.after.test.logLoss}`);
+    assert.deepEqual(Object.keys(result.weights), Object.keys(WEIGHT_BOUNDS));
+    Object.entries(result.weights).forEach(([key, value]) => {
+        assert.ok(value >= WEIGHT_BOUNDS[key].min && value <= WEIGHT_BOUNDS[key].max, `${key} = ${value}`);
+    });
+});
+
+test('optimizeWeights: starting weights outside WEIGHT_BOUNDS are clamped', async () => {
+    const result = await optimizeWeights(syntheticReviews(), { ...DEFAULT_PARAMS, w4: 50, w9: -3 }, { maxEpochs: 2 });
+    assert.equal(result.success, true);
+    assert.ok(result.weights.w4 <= WEIGHT_BOUNDS.w4.max);
+    assert.ok(result.weights.w9 >= WEIGHT_BOUNDS.w9.min);
+});
+
+test('optimizeWeights: lets other tasks run while fitting', async () => {
+    let timerRan = false;
+    setTimeout(() => { timerRan = true; }, 0);
+    const fit = optimizeWeights(syntheticReviews(), DEFAULT_PARAMS, { maxEpochs: 1, yieldEveryMs: 0 });
+    assert.equal(timerRan, false);
+    await fit;
+    assert.equal(timerRan, true);
+});
+
+test('optimizeWeights: refuses to fit too little data', async () => {
+    const result = await optimizeWeights([], DEFAULT_PARAMS);
+    assert.equal(result.success, false);
+    assert.match(result.reason, /Need at least 20/);
+});
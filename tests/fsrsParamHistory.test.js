@@ -0,0 +1,262 @@
+/**
+ * FSRS parameter history (migrations 30 and 48)
+ * Runs FSRSParametersService.recordParameterChange and restoreParameterVersion
+ * against PGlite as the authenticated role, so the fsrs_params and
+ * fsrs_param_history RLS policies apply. The client below implements only the
+ * query-builder calls the service makes; auth.uid() returns the test.user_id
+ * setting.
+ */
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { PGlite } from '@electric-sql/pglite';
+import { FSRSParametersService } from '../js/fsrsParameters.js';
+
+const USER = '00000000-0000-4000-8000-000000000001';
+const OTHER_USER = '00000000-0000-4000-8000-000000000002';
+const ADMIN = '00000000-0000-4000-8000-000000000003';
+
+const SCHEMA = `
+    CREATE ROLE authenticated;
+    CREATE SCHEMA auth;
+    CREATE FUNCTION auth.uid() RETURNS UUID LANGUAGE sql STABLE AS $$
+        SELECT NULLIF(current_setting('test.user_id', true), '')::UUID
+    $$;
+    CREATE TABLE auth.users (id UUID PRIMARY KEY);
+    GRANT USAGE ON SCHEMA auth TO authenticated;
+
+    CREATE TABLE profiles (
+        id UUID PRIMARY KEY,
+        is_admin BOOLEAN NOT NULL DEFAULT FALSE
+    );
+
+    CREATE FUNCTION set_updated_at() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+    BEGIN
+        NEW.updated_at = NOW();
+        RETURN NEW;
+    END;
+    $$;
+`;
+
+const weightsWith = (w0) => ({ ...new FSRSParametersService().defaultParams.weights, w0 });
+
+let db;
+
+/**
+ * Minimal Supabase client over PGlite: from().select/insert/update, eq,
+ * order, limit and single, run as the authenticated role
+ * @param {PGlite} database - Database
+ * @returns {Object} Client
+ */
+function createClient(database) {
+    const encode = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : value);
+
+    return {
+        from(table) {
+            const query = { action: 'select', columns: '*', filters: [], orderBy: null, limit: null, values: null };
+            const run = async () => {
+                const params = [];
+                const placeholder = (value) => `$${params.push(encode(value))}`;
+                const where = query.filters.length > 0
+                    ? ` WHERE ${query.filters.map(([column, value]) => `${column} = ${placeholder(value)}`).join(' AND ')}`
+                    : '';
+                let sql;
+                if (query.action === 'insert') {
+                    const columns = Object.keys(query.values);
+                    sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => placeholder(query.values[c])).join(', ')}) RETURNING ${query.columns}`;
+                } else if (query.action === 'update') {
+                    const set = Object.entries(query.values).map(([column, value]) => `${column} = ${placeholder(value)}`).join(', ');
+                    sql = `UPDATE ${table} SET ${set}${where} RETURNING ${query.columns}`;
+                } else {
+                    sql = `SELECT ${query.columns} FROM ${table}${where}`
+                        + (query.orderBy ? ` ORDER BY ${query.orderBy}` : '')
+                        + (query.limit ? ` LIMIT ${query.limit}` : '');
+                }
+                try {
+                    const result = await database.transaction(async tx => {
+                        await tx.exec('SET LOCAL ROLE authenticated');
+                        return tx.query(sql, params);
+                    });
+                    return { data: result.rows, error: null };
+                } catch (error) {
+                    return { data: null, error: { message: error.message, code: error.code } };
+                }
+            };
+
+            const builder = {
+                select(columns = '*') {
+                    query.columns = columns;
+                    return builder;
+                },
+                insert(values) {
+                    query.action = 'insert';
+                    query.values = values;
+                    return builder;
+                },
+                update(values) {
+                    query.action = 'update';
+                    query.values = values;
+                    return builder;
+                },
+                eq(column, value) {
+                    query.filters.push([column, value]);
+                    return builder;
+                },
+                order(column, { ascending = true } = {}) {
+                    query.orderBy = `${column} ${ascending ? 'ASC' : 'DESC'}`;
+                    return builder;
+                },
+                limit(count) {
+                    query.limit = count;
+                    return builder;
+                },
+                async single() {
+                    const { data, error } = await run();
+                    if (error) return { data: null, error };
+                    if (data.length !== 1) {
+                        return { data: null, error: { code: 'PGRST116', message: `Expected 1 row, got ${data.length}` } };
+                    }
+                    return { data: data[0], error: null };
+                },
+                then(resolve, reject) {
+                    return run().then(resolve, reject);
+                }
+            };
+            return builder;
+        }
+    };
+}
+
+/**
+ * A service whose queries run as the given user
+ * @param {string} userId - auth.uid() for the queries
+ * @returns {Promise<FSRSParametersService>} Service
+ */
+async function serviceFor(userId) {
+    await db.exec(`SET test.user_id = '${userId}'`);
+    const service = new FSRSParametersService();
+    const client = createClient(db);
+    service.getSupabase = async () => client;
+    return service;
+}
+
+const history = async (userId) =>
+    (await db.query('SELECT * FROM fsrs_param_history WHERE user_id = $1 ORDER BY version', [userId])).rows;
+
+before(async () => {
+    db = new PGlite();
+    await db.exec(SCHEMA);
+
+    const params = fs.readFileSync(new URL('../migration/07-fsrs-params.sql', import.meta.url), 'utf8');
+    await db.exec(params.slice(params.indexOf('CREATE TABLE fsrs_params'), params.indexOf('-- INDEXES')).replace(/-- =+\s*$/, ''));
+    const paramHistory = fs.readFileSync(new URL('../migration/30-fsrs-param-history.sql', import.meta.url), 'utf8');
+    await db.exec(paramHistory.slice(paramHistory.indexOf('-- Step 1:'), paramHistory.indexOf('-- Step 5:')));
+    await db.exec(fs.readFileSync(new URL('../migration/48-fsrs-param-history-insert-policy.sql', import.meta.url), 'utf8'));
+
+    await db.exec(`
+        GRANT SELECT, INSERT, UPDATE ON fsrs_params, fsrs_param_history TO authenticated;
+        GRANT SELECT ON profiles TO authenticated;
+    `);
+});
+
+after(async () => {
+    await db.close();
+});
+
+beforeEach(async () => {
+    await db.exec(`
+        DELETE FROM fsrs_param_history; DELETE FROM fsrs_params; DELETE FROM profiles; DELETE FROM auth.users;
+        INSERT INTO auth.users (id) VALUES ('${USER}'), ('${OTHER_USER}'), ('${ADMIN}');
+        INSERT INTO profiles (id, is_admin) VALUES ('${USER}', FALSE), ('${OTHER_USER}', FALSE), ('${ADMIN}', TRUE);
+        INSERT INTO fsrs_params (user_id, weights) VALUES ('${USER}', '${JSON.stringify(weightsWith(0.4))}');
+    `);
+});
+
+test('recordParameterChange: numbers a user\'s manual changes as versions', async () => {
+    const service = await serviceFor(USER);
+
+    const first = await service.recordParameterChange(USER, {
+        trigger: 'manual',
+        oldWeights: weightsWith(0.4),
+        newWeights: weightsWith(0.5),
+        metrics: { fit: { logLoss: 0.3 } },
+        confidence: 0.8,
+        reviewsAnalyzed: 420
+    });
+    const second = await service.recordParameterChange(USER, {
+        trigger: 'manual',
+        oldWeights: weightsWith(0.5),
+        newWeights: weightsWith(0.6)
+    });
+
+    assert.equal(first.version, 1);
+    assert.equal(second.version, 2);
+    assert.equal(first.created_by, USER);
+    assert.equal(Number(first.confidence), 0.8);
+    assert.equal(first.reviews_analyzed, 420);
+    assert.equal(second.metrics, null);
+});
+
+test('recordParameterChange: users cannot record scheduled, admin or other users\' changes', async () => {
+    const service = await serviceFor(USER);
+    const change = { oldWeights: weightsWith(0.4), newWeights: weightsWith(9), confidence: 1 };
+
+    for (const trigger of ['scheduled', 'admin']) {
+        await assert.rejects(service.recordParameterChange(USER, { ...change, trigger }), { code: '42501' });
+    }
+    await assert.rejects(service.recordParameterChange(OTHER_USER, { ...change, trigger: 'manual' }), { code: '42501' });
+    assert.deepEqual(await history(USER), []);
+    assert.deepEqual(await history(OTHER_USER), []);
+});
+
+test('recordParameterChange: admins record scheduled changes for any user', async () => {
+    const service = await serviceFor(ADMIN);
+    const row = await service.recordParameterChange(OTHER_USER, {
+        trigger: 'scheduled',
+        oldWeights: weightsWith(0.4),
+        newWeights: weightsWith(0.45),
+        confidence: 0.6,
+        reviewsAnalyzed: 1200
+    });
+
+    assert.equal(row.version, 1);
+    assert.equal(row.trigger_type, 'scheduled');
+    assert.equal(row.created_by, ADMIN);
+});
+
+test('restoreParameterVersion: restores weights and records the restore as one new version', async () => {
+    const service = await serviceFor(USER);
+    await service.recordParameterChange(USER, { trigger: 'manual', oldWeights: weightsWith(0.4), newWeights: weightsWith(0.5) });
+    await service.updateParameters(USER, { weights: weightsWith(0.5) });
+    await service.recordParameterChange(USER, { trigger: 'manual', oldWeights: weightsWith(0.5), newWeights: weightsWith(0.6) });
+    await service.updateParameters(USER, { weights: weightsWith(0.6) });
+
+    const restored = await service.restoreParameterVersion(USER, 1);
+    assert.equal(restored.w0, 0.5);
+
+    const rows = await history(USER);
+    assert.deepEqual(rows.map(row => [row.version, row.trigger_type, row.restored_from_version]), [
+        [1, 'manual', null],
+        [2, 'manual', null],
+        [3, 'manual', 1]
+    ]);
+    assert.equal(rows[2].old_weights.w0, 0.6);
+    assert.equal(rows[2].new_weights.w0, 0.5);
+    assert.equal(rows[2].created_by, USER);
+
+    // Version 0 is the weight set before the first recorded change
+    const original = await service.restoreParameterVersion(USER, 0);
+    assert.equal(original.w0, 0.4);
+    const [{ weights }] = (await db.query('SELECT weights FROM fsrs_params WHERE user_id = $1', [USER])).rows;
+    assert.equal(weights.w0, 0.4);
+    assert.equal((await history(USER)).at(-1).restored_from_version, 0);
+});
+
+test('restoreParameterVersion: users cannot restore as admin', async () => {
+    const service = await serviceFor(USER);
+    await service.recordParameterChange(USER, { trigger: 'manual', oldWeights: weightsWith(0.4), newWeights: weightsWith(0.5) });
+
+    await assert.rejects(service.restoreParameterVersion(USER, 1, 'admin'), { code: '42501' });
+    assert.equal((await history(USER)).length, 1);
+});
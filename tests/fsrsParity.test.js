@@ -0,0 +1,221 @@
+/**
+ * Client/server scheduler parity
+ * Runs scheduleCard() from js/fsrs.js and fsrs_schedule_card() from
+ * migration 29 (in PGlite, an in-process Postgres) on the same cards, ratings,
+ * times and parameters, and expects the same next state. The tables hold only
+ * the columns the SQL function reads, with the production column types.
+ */
+
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { PGlite } from '@electric-sql/pglite';
+import { RATING, scheduleCard } from '../js/fsrs.js';
+import fsrsParametersService from '../js/fsrsParameters.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+const SCHEMA = `
+    CREATE TYPE card_state AS ENUM ('new', 'learning', 'review', 'relearning', 'buried', 'suspended');
+
+    CREATE TABLE user_cards (
+        id INTEGER PRIMARY KEY,
+        state card_state,
+        stability DOUBLE PRECISION,
+        difficulty DOUBLE PRECISION,
+        due_at TIMESTAMPTZ,
+        last_reviewed_at TIMESTAMPTZ,
+        scheduled_days DOUBLE PRECISION,
+        reps INTEGER,
+        lapses INTEGER
+    );
+
+    CREATE TABLE fsrs_params (
+        id INTEGER PRIMARY KEY,
+        weights JSONB,
+        learning_steps_minutes INTEGER[],
+        graduating_interval_days INTEGER,
+        easy_interval_days INTEGER,
+        maximum_interval_days INTEGER,
+        minimum_interval_days INTEGER,
+        relearning_steps_minutes INTEGER[],
+        minimum_relearning_interval_days INTEGER,
+        lapse_minimum_interval_days INTEGER,
+        lapse_multiplier NUMERIC,
+        desired_retention NUMERIC
+    );
+`;
+
+// fsrs_params rows; missing columns are NULL (SQL COALESCE / JS defaults)
+const PARAM_SETS = {
+    defaults: {},
+    custom: {
+        weights: {
+            w0: 0.3, w1: 1.1, w2: 2.8, w3: 12.5, w4: 6.2, w5: 0.9, w6: 1.4, w7: 0.02,
+            w8: 1.3, w9: 0.2, w10: 0.9, w11: 1.8, w12: 0.15, w13: 0.4, w14: 1.6,
+            w15: 0.35, w16: 2.2, w17: 0.7, w18: 0.3
+        },
+        learning_steps_minutes: [2, 15, 60],
+        graduating_interval_days: 2,
+        easy_interval_days: 5,
+        maximum_interval_days: 400,
+        minimum_interval_days: 1,
+        relearning_steps_minutes: [],
+        minimum_relearning_interval_days: 2,
+        lapse_minimum_interval_days: 1,
+        lapse_multiplier: 0.3,
+        desired_retention: 0.85
+    },
+    zeroMinimum: {
+        minimum_interval_days: 0,
+        maximum_interval_days: 30,
+        desired_retention: 0.95
+    }
+};
+
+// Ratings in order, and how late (ms after due_at) each review happens
+const SEQUENCES = [
+    [[RATING.GOOD, RATING.GOOD, RATING.GOOD, RATING.AGAIN, RATING.GOOD, RATING.EASY], [0, 0, 0, 0, 0, 0]],
+    [[RATING.HARD, RATING.HARD, RATING.GOOD, RATING.HARD, RATING.AGAIN, RATING.HARD, RATING.GOOD], [0, 3 * MS_PER_HOUR, 0, 2 * MS_PER_DAY, 0, 0, 5 * MS_PER_DAY]],
+    [[RATING.EASY, RATING.AGAIN, RATING.AGAIN, RATING.GOOD, RATING.GOOD, RATING.EASY], [0, 10 * MS_PER_DAY, 0, 0, -6 * MS_PER_HOUR, 30 * MS_PER_DAY]],
+    [[RATING.AGAIN, RATING.AGAIN, RATING.HARD, RATING.GOOD, RATING.GOOD, RATING.AGAIN, RATING.GOOD], [0, 0, 0, 0, 0, 0, 0]]
+];
+
+// Review-state cards rated out of sequence, e.g. low stability reviewed early
+const REVIEW_CARDS = [
+    { stability: 0.3, difficulty: 5, lastReviewedAgo: 2 * MS_PER_HOUR, dueIn: MS_PER_DAY },
+    { stability: 2.5, difficulty: 8.5, lastReviewedAgo: 9 * MS_PER_DAY, dueIn: -6 * MS_PER_DAY },
+    { stability: 120, difficulty: 2, lastReviewedAgo: 200 * MS_PER_DAY, dueIn: -60 * MS_PER_DAY }
+];
+
+let db;
+
+before(async () => {
+    db = new PGlite();
+    await db.exec(SCHEMA);
+
+    const migration = fs.readFileSync(new URL('../migration/29-fsrs5-scheduling.sql', import.meta.url), 'utf8');
+    await db.exec(migration.slice(migration.indexOf('-- Step 2:'), migration.indexOf('-- Step 4:')));
+
+    const ids = Object.keys(PARAM_SETS);
+    for (const [index, name] of ids.entries()) {
+        const row = PARAM_SETS[name];
+        await db.query(
+            `INSERT INTO fsrs_params (
+                id, weights, learning_steps_minutes, graduating_interval_days, easy_interval_days,
+                maximum_interval_days, minimum_interval_days, relearning_steps_minutes,
+                minimum_relearning_interval_days, lapse_minimum_interval_days, lapse_multiplier, desired_retention
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+            [
+                index + 1, row.weights ?? null, row.learning_steps_minutes ?? null,
+                row.graduating_interval_days ?? null, row.easy_interval_days ?? null,
+                row.maximum_interval_days ?? null, row.minimum_interval_days ?? null,
+                row.relearning_steps_minutes ?? null, row.minimum_relearning_interval_days ?? null,
+                row.lapse_minimum_interval_days ?? null, row.lapse_multiplier ?? null, row.desired_retention ?? null
+            ]
+        );
+    }
+});
+
+after(async () => {
+    await db.close();
+});
+
+/**
+ * Client-side params for a PARAM_SETS row, loaded the way the app loads them
+ * @param {Object} row - fsrs_params row
+ * @returns {Object} FSRS parameters
+ */
+function clientParams(row) {
+    return fsrsParametersService.formatParameters(row);
+}
+
+/**
+ * Run fsrs_schedule_card on a card
+ * @param {Object} card - user_cards state
+ * @param {number} rating - Rating (0-3)
+ * @param {Date} now - Review time
+ * @param {number} paramsId - fsrs_params row
+ * @returns {Promise<Object>} Server result
+ */
+async function scheduleOnServer(card, rating, now, paramsId) {
+    await db.query('DELETE FROM user_cards');
+    await db.query(
+        `INSERT INTO user_cards (id, state, stability, difficulty, due_at, last_reviewed_at, scheduled_days, reps, lapses)
+         VALUES (1, $1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+            card.state, card.stability ?? null, card.difficulty ?? null, card.due_at ?? null,
+            card.last_reviewed_at ?? null, card.scheduled_days ?? null, card.reps ?? 0, card.lapses ?? 0
+        ]
+    );
+    const { rows } = await db.query(
+        `SELECT s.*
+         FROM user_cards c, fsrs_params p, fsrs_schedule_card(c, $1, $2, p) s
+         WHERE c.id = 1 AND p.id = $3`,
+        [rating, now, paramsId]
+    );
+    return rows[0];
+}
+
+/**
+ * Assert client and server agree on the next state
+ * @param {Object} client - scheduleCard result
+ * @param {Object} server - fsrs_schedule_card row
+ * @param {string} label - Failure context
+ */
+function assertSameSchedule(client, server, label) {
+    const close = (a, b) => Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(b));
+    assert.equal(client.state, server.state, `${label}: state`);
+    assert.ok(close(client.stability, server.stability), `${label}: stability ${client.stability} vs ${server.stability}`);
+    assert.ok(close(client.difficulty, server.difficulty), `${label}: difficulty ${client.difficulty} vs ${server.difficulty}`);
+    assert.ok(close(client.scheduled_days, server.scheduled_days), `${label}: scheduled_days ${client.scheduled_days} vs ${server.scheduled_days}`);
+    assert.ok(close(client.elapsed_days, server.elapsed_days), `${label}: elapsed_days ${client.elapsed_days} vs ${server.elapsed_days}`);
+    // Postgres keeps microseconds, JS milliseconds
+    assert.ok(Math.abs(client.due_at - server.due_at) <= 1, `${label}: due_at ${client.due_at.toISOString()} vs ${server.due_at.toISOString()}`);
+    assert.equal(client.reps, server.reps, `${label}: reps`);
+    assert.equal(client.lapses, server.lapses, `${label}: lapses`);
+}
+
+Object.entries(PARAM_SETS).forEach(([name, row], index) => {
+    const paramsId = index + 1;
+    const params = clientParams(row);
+
+    test(`parity (${name} params): review sequences from a new card`, async () => {
+        for (const [sequenceIndex, [ratings, lateness]] of SEQUENCES.entries()) {
+            let card = { state: 'new', reps: 0, lapses: 0 };
+            let now = new Date('2026-01-01T08:00:00Z');
+
+            for (const [i, rating] of ratings.entries()) {
+                const server = await scheduleOnServer(card, rating, now, paramsId);
+                const client = scheduleCard(card, rating, now, params);
+                assertSameSchedule(client, server, `sequence ${sequenceIndex + 1}, review ${i + 1}`);
+
+                card = client;
+                now = new Date(card.due_at.getTime() + (lateness[i + 1] ?? 0));
+            }
+        }
+    });
+
+    test(`parity (${name} params): every rating on review cards`, async () => {
+        const now = new Date('2026-03-01T12:00:00Z');
+        for (const [cardIndex, source] of REVIEW_CARDS.entries()) {
+            const lastReviewed = new Date(now.getTime() - source.lastReviewedAgo);
+            const card = {
+                state: 'review',
+                stability: source.stability,
+                difficulty: source.difficulty,
+                last_reviewed_at: lastReviewed,
+                due_at: new Date(now.getTime() + source.dueIn),
+                scheduled_days: (source.lastReviewedAgo + source.dueIn) / MS_PER_DAY,
+                reps: 5,
+                lapses: 1
+            };
+            for (const rating of [RATING.AGAIN, RATING.HARD, RATING.GOOD, RATING.EASY]) {
+                const server = await scheduleOnServer(card, rating, now, paramsId);
+                const client = scheduleCard(card, rating, now, params);
+                assertSameSchedule(client, server, `card ${cardIndex + 1}, rating ${rating}`);
+            }
+        }
+    });
+});
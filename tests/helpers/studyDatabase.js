@@ -0,0 +1,228 @@
+/**
+ * Study session database for PGlite tests
+ * Hand-written base tables with the production columns the session, review
+ * and card-action RPCs use, then those RPCs loaded from the migrations in
+ * order. Tables the RPCs only touch in passing (streaks, decks) are left out:
+ * update_user_streak() is a no-op here. auth.uid() returns the test.user_id
+ * setting, and every query runs as the database owner.
+ */
+
+import fs from 'node:fs';
+import { PGlite } from '@electric-sql/pglite';
+import { ltree } from '@electric-sql/pglite/contrib/ltree';
+
+const BASE_SCHEMA = `
+    CREATE EXTENSION ltree;
+    CREATE ROLE authenticated;
+    CREATE SCHEMA auth;
+    CREATE TABLE auth.users (id UUID PRIMARY KEY);
+    CREATE FUNCTION auth.uid() RETURNS UUID LANGUAGE sql STABLE AS $$
+        SELECT NULLIF(current_setting('test.user_id', true), '')::UUID
+    $$;
+
+    CREATE TYPE user_tier AS ENUM ('free', 'paid', 'admin');
+    CREATE TYPE card_state AS ENUM ('new', 'learning', 'review', 'relearning', 'buried', 'suspended');
+
+    CREATE FUNCTION set_updated_at() RETURNS TRIGGER LANGUAGE plpgsql AS $$
+    BEGIN
+        NEW.updated_at = NOW();
+        RETURN NEW;
+    END;
+    $$;
+
+    CREATE FUNCTION update_user_streak(p_user_id UUID, p_cards_reviewed INTEGER)
+    RETURNS BOOLEAN LANGUAGE sql AS $$ SELECT TRUE $$;
+
+    CREATE TABLE profiles (
+        id UUID NOT NULL PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+        user_tier user_tier NOT NULL DEFAULT 'free',
+        is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+        timezone VARCHAR DEFAULT 'UTC',
+        day_start_time TIME DEFAULT '04:00:00',
+        daily_new_cards_limit INTEGER NOT NULL DEFAULT 20,
+        daily_review_limit INTEGER NOT NULL DEFAULT 100,
+        reviews_today INTEGER NOT NULL DEFAULT 0,
+        last_review_date DATE DEFAULT CURRENT_DATE,
+        study_preferences JSONB NOT NULL DEFAULT '{}'::jsonb,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE subjects (
+        id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+        name VARCHAR NOT NULL,
+        path ltree,
+        is_public BOOLEAN NOT NULL DEFAULT TRUE,
+        is_active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE card_templates (
+        id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+        question TEXT NOT NULL,
+        answer TEXT NOT NULL,
+        subject_id UUID REFERENCES subjects(id) ON DELETE SET NULL,
+        path ltree,
+        tags TEXT[],
+        creator_id UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+        is_public BOOLEAN NOT NULL DEFAULT TRUE,
+        flagged_for_review BOOLEAN NOT NULL DEFAULT FALSE,
+        cloze_note_id UUID,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE user_cards (
+        user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+        card_template_id UUID NOT NULL REFERENCES card_templates(id) ON DELETE CASCADE,
+        deck_id UUID,
+        state card_state NOT NULL DEFAULT 'new',
+        stability DECIMAL(10,4) NOT NULL DEFAULT 0.0000,
+        difficulty DECIMAL(10,4) NOT NULL DEFAULT 5.0000,
+        due_at TIMESTAMPTZ,
+        last_reviewed_at TIMESTAMPTZ,
+        elapsed_days DECIMAL(10,4) NOT NULL DEFAULT 0.0000,
+        scheduled_days DECIMAL(10,4) NOT NULL DEFAULT 0.0000,
+        reps INTEGER NOT NULL DEFAULT 0,
+        lapses INTEGER NOT NULL DEFAULT 0,
+        last_rating INTEGER,
+        total_reviews INTEGER NOT NULL DEFAULT 0,
+        correct_reviews INTEGER NOT NULL DEFAULT 0,
+        incorrect_reviews INTEGER NOT NULL DEFAULT 0,
+        average_response_time_ms INTEGER DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, card_template_id)
+    );
+
+    CREATE TABLE user_sessions (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+        session_type TEXT NOT NULL DEFAULT 'general',
+        session_date DATE,
+        deck_id UUID,
+        subject_path TEXT,
+        seed TEXT,
+        status TEXT DEFAULT 'active' CHECK (status IN ('created', 'active', 'completed')),
+        max_cards INTEGER NOT NULL DEFAULT 10,
+        current_index INTEGER NOT NULL DEFAULT 0,
+        submitted_count INTEGER NOT NULL DEFAULT 0,
+        cards_data JSONB NOT NULL DEFAULT '[]'::jsonb,
+        timezone TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE reviews (
+        id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+        session_id UUID REFERENCES user_sessions(id) ON DELETE SET NULL,
+        user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+        card_template_id UUID NOT NULL REFERENCES card_templates(id) ON DELETE CASCADE,
+        deck_id UUID,
+        reviewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        response_time_ms INTEGER NOT NULL CHECK (response_time_ms > 0),
+        rating INTEGER NOT NULL CHECK (rating >= 0 AND rating <= 3),
+        state_before card_state NOT NULL,
+        stability_before DECIMAL(10,4) NOT NULL,
+        difficulty_before DECIMAL(10,4) NOT NULL,
+        due_at_before TIMESTAMPTZ,
+        state_after card_state NOT NULL,
+        stability_after DECIMAL(10,4) NOT NULL,
+        difficulty_after DECIMAL(10,4) NOT NULL,
+        due_at_after TIMESTAMPTZ,
+        elapsed_days DECIMAL(10,4) NOT NULL,
+        scheduled_days DECIMAL(10,4) NOT NULL,
+        reps_before INTEGER NOT NULL,
+        lapses_before INTEGER NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+    );
+`;
+
+/**
+ * Read a migration file
+ * @param {string} name - File name in migration/
+ * @returns {string} SQL
+ */
+const readMigration = (name) => fs.readFileSync(new URL(`../../migration/${name}`, import.meta.url), 'utf8');
+
+/**
+ * Part of a migration, from one marker up to (not including) another
+ * @param {string} name - File name in migration/
+ * @param {string} from - Start marker
+ * @param {string} [to] - End marker (default: end of file)
+ * @returns {string} SQL
+ */
+function migrationSlice(name, from, to) {
+    const sql = readMigration(name);
+    return sql.slice(sql.indexOf(from), to ? sql.indexOf(to) : undefined);
+}
+
+// Loaded in order over BASE_SCHEMA; later migrations replace earlier functions
+const MIGRATIONS = [
+    () => migrationSlice('07-fsrs-params.sql', 'CREATE TABLE fsrs_params', '-- INDEXES').replace(/-- =+\s*$/, ''),
+    () => migrationSlice('07-fsrs-params.sql', 'CREATE OR REPLACE FUNCTION create_default_fsrs_params', '-- Function to get FSRS weight by name'),
+    () => migrationSlice('25-phase3-candidate-surfaces.sql', '-- Step 2:', '-- Step 3:'),
+    () => migrationSlice('26-phase4-sessions-v2.sql', '-- Step 4:', '-- Step 5:'),
+    () => migrationSlice('29-fsrs5-scheduling.sql', '-- Step 1:', '-- Step 4:'),
+    () => migrationSlice('36-reverse-cards-and-sibling-burying.sql', '-- Step 1:'),
+    () => readMigration('39-undo-last-review.sql'),
+    () => readMigration('40-card-bury-suspend-reschedule.sql'),
+    () => readMigration('42-leech-detection.sql'),
+    () => readMigration('43-custom-study-sessions.sql'),
+    () => readMigration('44-session-size-and-mix.sql'),
+    () => readMigration('49-unbury-on-session-create.sql'),
+    () => readMigration('50-new-card-limit-paid-only.sql')
+];
+
+/**
+ * A new in-memory database with the study schema and RPCs
+ * @returns {Promise<PGlite>} Database
+ */
+export async function createStudyDatabase() {
+    const db = new PGlite({ extensions: { ltree } });
+    await db.exec(BASE_SCHEMA);
+    for (const migration of MIGRATIONS) {
+        await db.exec(migration());
+    }
+    return db;
+}
+
+/**
+ * Call a function as a user, with named arguments
+ * @param {PGlite} db - Database
+ * @param {string} userId - auth.uid() for the call
+ * @param {string} name - Function name
+ * @param {Object} [args] - Arguments by parameter name
+ * @returns {Promise<*>} The function's result
+ */
+export async function rpc(db, userId, name, args = {}) {
+    await db.query(`SELECT set_config('test.user_id', $1, false)`, [userId]);
+    const names = Object.keys(args);
+    const { rows } = await db.query(
+        `SELECT ${name}(${names.map((arg, index) => `${arg} => $${index + 1}`).join(', ')}) AS result`,
+        names.map(arg => args[arg])
+    );
+    return rows[0].result;
+}
+
+/**
+ * Start a session as the study page does, keeping the server's card order
+ * @param {PGlite} db - Database
+ * @param {string} userId - Session owner
+ * @param {Object} session - get_or_create_user_session / create_custom_session result
+ * @returns {Promise<Object>} finalize_session_order result
+ */
+export function startSession(db, userId, session) {
+    return rpc(db, userId, 'finalize_session_order', {
+        p_session_id: session.session_id,
+        p_ordered_card_ids: session.cards_data.map(card => card.card_template_id)
+    });
+}
+
+/**
+ * Card ids in a session, in order
+ * @param {Object} session - Session RPC result
+ * @returns {Array<string>} card_template_ids
+ */
+export const sessionCardIds = (session) => (session.cards_data || []).map(card => card.card_template_id);
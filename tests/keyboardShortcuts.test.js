@@ -0,0 +1,99 @@
+/**
+ * Study page keyboard shortcuts
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    keyFromEvent,
+    resolveShortcuts,
+    changedShortcuts,
+    actionForKey,
+    findShortcutConflict,
+    formatShortcutKey,
+    isTypingTarget,
+    shortcutActionForEvent
+} from '../js/keyboardShortcuts.js';
+
+const CARD = { tagName: 'DIV' };
+
+test('keyFromEvent: lowercases letters and ignores modifier combinations', () => {
+    assert.equal(keyFromEvent({ key: 'U' }), 'u');
+    assert.equal(keyFromEvent({ key: 'Spacebar' }), ' ');
+    assert.equal(keyFromEvent({ key: 'z', ctrlKey: true }), null);
+    assert.equal(keyFromEvent({ key: 'Escape' }), null);
+});
+
+test('resolveShortcuts: overrides replace defaults, invalid entries are ignored', () => {
+    const shortcuts = resolveShortcuts({ undo: 'Z', flag: 'Tab', bogus: 'x', edit: 5 });
+    assert.equal(shortcuts.undo, 'z');
+    assert.equal(shortcuts.flag, 'f');
+    assert.equal(shortcuts.edit, 'e');
+    assert.equal(shortcuts.bogus, undefined);
+});
+
+test('changedShortcuts: keeps only keys that differ from the defaults', () => {
+    assert.deepEqual(changedShortcuts(resolveShortcuts({ undo: 'z' })), { undo: 'z' });
+    assert.deepEqual(changedShortcuts(resolveShortcuts()), {});
+});
+
+test('actionForKey and findShortcutConflict', () => {
+    const shortcuts = resolveShortcuts();
+    assert.equal(actionForKey(shortcuts, ' '), 'flip');
+    assert.equal(actionForKey(shortcuts, 'x'), null);
+    assert.equal(findShortcutConflict(shortcuts, 'undo', 'f'), 'flag');
+    assert.equal(findShortcutConflict(shortcuts, 'flag', 'f'), null);
+});
+
+test('formatShortcutKey: readable key names', () => {
+    assert.equal(formatShortcutKey(' '), 'Space');
+    assert.equal(formatShortcutKey('u'), 'U');
+    assert.equal(formatShortcutKey('ArrowLeft'), 'ArrowLeft');
+});
+
+test('isTypingTarget: form fields and editable elements', () => {
+    assert.equal(isTypingTarget({ tagName: 'INPUT' }), true);
+    assert.equal(isTypingTarget({ tagName: 'TEXTAREA' }), true);
+    assert.equal(isTypingTarget({ tagName: 'DIV', isContentEditable: true }), true);
+    assert.equal(isTypingTarget(CARD), false);
+    assert.equal(isTypingTarget(null), false);
+});
+
+test('shortcutActionForEvent: routes default and rebound keys', () => {
+    const defaults = resolveShortcuts();
+    assert.equal(shortcutActionForEvent({ key: ' ', target: CARD }, defaults), 'flip');
+    assert.equal(shortcutActionForEvent({ key: '3', target: CARD }, defaults), 'rate_3');
+    assert.equal(shortcutActionForEvent({ key: 'F', target: CARD }, defaults), 'flag');
+    assert.equal(shortcutActionForEvent({ key: 'x', target: CARD }, defaults), null);
+
+    const rebound = resolveShortcuts({ undo: 'z', flip: 'j' });
+    assert.equal(shortcutActionForEvent({ key: 'z', target: CARD }, rebound), 'undo');
+    assert.equal(shortcutActionForEvent({ key: 'j', target: CARD }, rebound), 'flip');
+    assert.equal(shortcutActionForEvent({ key: 'u', target: CARD }, rebound), null);
+    assert.equal(shortcutActionForEvent({ key: ' ', target: CARD }, rebound), null);
+});
+
+test('shortcutActionForEvent: Ctrl/Cmd+Z undoes, other modifier combinations pass through', () => {
+    const shortcuts = resolveShortcuts();
+    assert.equal(shortcutActionForEvent({ key: 'z', ctrlKey: true, target: CARD }, shortcuts), 'undo');
+    assert.equal(shortcutActionForEvent({ key: 'Z', metaKey: true, target: CARD }, shortcuts), 'undo');
+    assert.equal(shortcutActionForEvent({ key: 'Z', ctrlKey: true, shiftKey: true, target: CARD }, shortcuts), null);
+    assert.equal(shortcutActionForEvent({ key: 'f', ctrlKey: true, target: CARD }, shortcuts), null);
+});
+
+test('shortcutActionForEvent: off while typing, in dialogs and on key repeat', () => {
+    const shortcuts = resolveShortcuts();
+    assert.equal(shortcutActionForEvent({ key: 'u', target: { tagName: 'INPUT' } }, shortcuts), null);
+    assert.equal(shortcutActionForEvent({ key: 'z', ctrlKey: true, target: { tagName: 'TEXTAREA' } }, shortcuts), null);
+    assert.equal(shortcutActionForEvent({ key: 'u', target: CARD }, shortcuts, { dialogOpen: true }), null);
+    assert.equal(shortcutActionForEvent({ key: ' ', repeat: true, target: CARD }, shortcuts), null);
+});
+
+test('shortcutActionForEvent: the help overlay only listens for its closing keys', () => {
+    const shortcuts = resolveShortcuts({ help: 'h' });
+    const helpOpen = { helpOpen: true };
+    assert.equal(shortcutActionForEvent({ key: 'Escape', target: CARD }, shortcuts, helpOpen), 'close_help');
+    assert.equal(shortcutActionForEvent({ key: 'h', target: CARD }, shortcuts, helpOpen), 'close_help');
+    assert.equal(shortcutActionForEvent({ key: ' ', target: CARD }, shortcuts, helpOpen), null);
+    assert.equal(shortcutActionForEvent({ key: 'h', target: CARD }, shortcuts), 'help');
+});
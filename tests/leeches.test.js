@@ -0,0 +1,187 @@
+/**
+ * Leech detection (migration 42)
+ * Lapses cards with record_review in PGlite and checks apply_leech_policy's
+ * mark and suspension, undoing them, and get_leech_report.
+ */
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStudyDatabase, rpc, startSession } from './helpers/studyDatabase.js';
+
+const USER = n => `00000000-0000-4000-8000-0000000000${String(n).padStart(2, '0')}`;
+const ADMIN = USER(99);
+const CARD = n => `00000000-0000-4000-8000-1000000000${String(n).padStart(2, '0')}`;
+const SUBJECT = '00000000-0000-4000-8000-200000000001';
+const LEARNERS = 12;
+
+let db;
+
+const setPreferences = (preferences) =>
+    db.query('UPDATE profiles SET study_preferences = $2 WHERE id = $1', [USER(1), preferences]);
+
+/**
+ * Give users a card they have studied
+ * @param {number} card - Card number
+ * @param {Array<number>} users - User numbers
+ * @param {number} [lapses] - Lapses so far
+ */
+const study = (card, users, lapses = 0) => db.query(
+    `INSERT INTO user_cards (user_id, card_template_id, state, stability, difficulty, due_at, last_reviewed_at, reps, lapses, total_reviews)
+     SELECT user_id, $2, 'review', 3, 5, NOW() - INTERVAL '1 hour', NOW() - INTERVAL '3 days', 4, $3, 10
+     FROM unnest($1::uuid[]) AS user_id`,
+    [users.map(USER), CARD(card), lapses]
+);
+
+/**
+ * Lapse a card for users, as reviews do, through the leech trigger
+ * @param {number} card - Card number
+ * @param {Array<number>} users - User numbers
+ * @param {number} lapses - New lapse count
+ */
+const lapse = (card, users, lapses) => db.query(
+    'UPDATE user_cards SET lapses = $3 WHERE user_id = ANY($1::uuid[]) AND card_template_id = $2',
+    [users.map(USER), CARD(card), lapses]
+);
+
+const userCard = async (n) =>
+    (await db.query('SELECT * FROM user_cards WHERE user_id = $1 AND card_template_id = $2', [USER(1), CARD(n)])).rows[0];
+
+/**
+ * Rate card 1 Again in a new session
+ * @returns {Promise<{session: Object, result: Object}>} Session and record_review result
+ */
+async function forgetCard() {
+    const session = await rpc(db, USER(1), 'get_or_create_user_session', { p_user_id: USER(1) });
+    await startSession(db, USER(1), session);
+    const result = await rpc(db, USER(1), 'record_review', {
+        p_session_id: session.session_id,
+        p_card_template_id: CARD(1),
+        p_rating: 0,
+        p_response_time_ms: 4000
+    });
+    assert.equal(result.success, true);
+    return { session, result };
+}
+
+/**
+ * get_leech_report rows, as the admin
+ * @param {Object} [args] - Arguments by parameter name
+ * @returns {Promise<Array<Object>>} Report rows
+ */
+async function leechReport(args = {}) {
+    await db.query(`SELECT set_config('test.user_id', $1, false)`, [ADMIN]);
+    const names = Object.keys(args);
+    const { rows } = await db.query(
+        `SELECT * FROM get_leech_report(${names.map((arg, index) => `${arg} => $${index + 1}`).join(', ')})`,
+        Object.values(args)
+    );
+    return rows;
+}
+
+before(async () => {
+    db = await createStudyDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+beforeEach(async () => {
+    await db.exec(`
+        TRUNCATE reviews, user_sessions, user_cards, card_templates, subjects, profiles, auth.users CASCADE;
+        INSERT INTO auth.users (id) SELECT ('00000000-0000-4000-8000-0000000000' || lpad(i::text, 2, '0'))::uuid FROM generate_series(1, ${LEARNERS}) AS i;
+        INSERT INTO auth.users (id) VALUES ('${ADMIN}');
+        INSERT INTO profiles (id, user_tier) SELECT id, 'paid' FROM auth.users;
+        UPDATE profiles SET is_admin = TRUE WHERE id = '${ADMIN}';
+        INSERT INTO subjects (id, name, path) VALUES ('${SUBJECT}', 'Anatomy', '1');
+    `);
+    for (const n of [1, 2, 3]) {
+        await db.query(`INSERT INTO card_templates (id, question, answer, subject_id, path) VALUES ($1, $2, 'A', $3, '1.4')`, [CARD(n), `Q${n}`, SUBJECT]);
+    }
+});
+
+test('apply_leech_policy: the lapse that reaches the threshold marks the card', async () => {
+    await setPreferences({ leech_threshold: 3 });
+    await study(1, [1], 2);
+
+    const { result } = await forgetCard();
+
+    assert.deepEqual(result.leech, { lapses: 3, suspended: false });
+    const card = await userCard(1);
+    assert.equal(card.is_leech, true);
+    assert.equal(card.state, 'relearning');
+    assert.equal(card.leeched_at.getTime(), card.last_reviewed_at.getTime());
+
+    // Later lapses don't report it again
+    await db.query(`UPDATE user_cards SET state = 'review', due_at = NOW() - INTERVAL '1 minute' WHERE card_template_id = $1`, [CARD(1)]);
+    await db.exec(`UPDATE user_sessions SET status = 'completed'`);
+    assert.equal((await forgetCard()).result.leech, null);
+    assert.equal((await userCard(1)).lapses, 4);
+});
+
+test('apply_leech_policy: suspends leeches when the user chose to, and undo lifts it', async () => {
+    await setPreferences({ leech_threshold: 3, leech_auto_suspend: true });
+    await study(1, [1], 2);
+
+    const { session, result } = await forgetCard();
+
+    assert.deepEqual(result.leech, { lapses: 3, suspended: true });
+    let card = await userCard(1);
+    assert.equal(card.state, 'suspended');
+    assert.equal(card.resume_state, 'relearning');
+
+    assert.equal((await rpc(db, USER(1), 'undo_last_review', { p_session_id: session.session_id })).success, true);
+
+    card = await userCard(1);
+    assert.equal(card.is_leech, false);
+    assert.equal(card.leeched_at, null);
+    assert.equal(card.state, 'review');
+    assert.equal(card.resume_state, null);
+    assert.equal(card.lapses, 2);
+});
+
+test('apply_leech_policy: the threshold defaults to 8 and 0 turns it off', async () => {
+    await study(1, [1], 6);
+    await study(2, [1], 6);
+
+    await lapse(1, [1], 7);
+    assert.equal((await userCard(1)).is_leech, false);
+    await lapse(1, [1], 8);
+    assert.equal((await userCard(1)).is_leech, true);
+    // Suspending is opt-in
+    assert.equal((await userCard(1)).state, 'review');
+    // Resetting the card clears the mark
+    await lapse(1, [1], 0);
+    assert.equal((await userCard(1)).is_leech, false);
+
+    await setPreferences({ leech_threshold: 0 });
+    await lapse(2, [1], 20);
+    assert.equal((await userCard(2)).is_leech, false);
+});
+
+test('get_leech_report: cards that are leeches for enough of their learners', async () => {
+    const everyone = Array.from({ length: LEARNERS }, (_, index) => index + 1);
+    // Card 1: 3 of 12 learners (25%); card 2: 1 of 12 (8.3%); card 3: 1 of 1
+    await study(1, everyone);
+    await lapse(1, [1, 2, 3], 8);
+    await study(2, everyone);
+    await lapse(2, [1], 8);
+    await study(3, [1]);
+    await lapse(3, [1], 8);
+
+    let report = await leechReport();
+    assert.deepEqual(report.map(row => row.card_template_id), [CARD(1)]);
+    const [row] = report;
+    assert.equal(row.question, 'Q1');
+    assert.equal(row.subject_name, 'Anatomy');
+    assert.equal(row.path, '1.4');
+    assert.equal(Number(row.learners), LEARNERS);
+    assert.equal(Number(row.leeches), 3);
+    assert.equal(Number(row.leech_percent), 25);
+    assert.equal(Number(row.average_lapses), 2);
+
+    report = await leechReport({ p_min_leech_percent: 5, p_min_learners: 1 });
+    assert.deepEqual(report.map(row => row.card_template_id), [CARD(3), CARD(1), CARD(2)]);
+
+    await assert.rejects(rpc(db, USER(1), 'get_leech_report'), /Admin privileges required/);
+});
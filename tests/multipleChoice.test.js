@@ -0,0 +1,64 @@
+/**
+ * Multiple-choice options and grading
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RATING } from '../js/fsrs.js';
+import { buildChoices, arrangeChoices, ratingForChoice } from '../js/multipleChoice.js';
+
+const CANDIDATES = ['Nice', 'Lille', 'Metz', 'Brest', 'Lyon', 'Dijon', 'Caen', 'Pau'];
+
+test('buildChoices: answer first, then distractors, then candidates', () => {
+    assert.deepEqual(buildChoices('Paris', ['Lyon'], ['Nice', 'Lille', 'Metz'], 4), [
+        { text: 'Paris', correct: true },
+        { text: 'Lyon', correct: false },
+        { text: 'Nice', correct: false },
+        { text: 'Lille', correct: false }
+    ]);
+});
+
+test('buildChoices: skips blanks and repeats of earlier options', () => {
+    const options = buildChoices('Paris', [' paris ', ''], ['Lyon', 'lyon'], 4);
+    assert.deepEqual(options.map(option => option.text), ['Paris', 'Lyon']);
+});
+
+test('arrangeChoices: the same seed gives the same options in the same order', () => {
+    const first = arrangeChoices('Paris', [], CANDIDATES, 'session-1:card-1', 4);
+    const again = arrangeChoices('Paris', [], [...CANDIDATES], 'session-1:card-1', 4);
+    assert.deepEqual(again, first);
+});
+
+test('arrangeChoices: exactly one correct option, no repeats', () => {
+    for (let i = 0; i < 20; i++) {
+        const options = arrangeChoices('Paris', ['Lyon'], CANDIDATES, `seed-${i}`, 4);
+        assert.equal(options.length, 4);
+        assert.equal(options.filter(option => option.correct).length, 1);
+        assert.equal(options.find(option => option.correct).text, 'Paris');
+        assert.equal(new Set(options.map(option => option.text)).size, 4);
+        assert.ok(options.some(option => option.text === 'Lyon'), 'stored distractor kept');
+    }
+});
+
+test('arrangeChoices: different seeds move the answer and draw different candidates', () => {
+    const positions = new Set();
+    const drawn = new Set();
+    for (let i = 0; i < 40; i++) {
+        const options = arrangeChoices('Paris', [], CANDIDATES, `seed-${i}`, 4);
+        positions.add(options.findIndex(option => option.correct));
+        options.filter(option => !option.correct).forEach(option => drawn.add(option.text));
+    }
+    assert.deepEqual([...positions].sort(), [0, 1, 2, 3]);
+    assert.ok(drawn.size > 3, `only drew ${[...drawn].join(', ')}`);
+});
+
+test('arrangeChoices: leaves the candidate list untouched', () => {
+    const candidates = [...CANDIDATES];
+    arrangeChoices('Paris', [], candidates, 'seed', 4);
+    assert.deepEqual(candidates, CANDIDATES);
+});
+
+test('ratingForChoice: correct is Good, wrong is Again', () => {
+    assert.equal(ratingForChoice(true), RATING.GOOD);
+    assert.equal(ratingForChoice(false), RATING.AGAIN);
+});
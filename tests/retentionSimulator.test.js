@@ -0,0 +1,83 @@
+/**
+ * Desired-retention simulator
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PARAMS } from '../js/fsrs.js';
+import { simulateRetentionTargets } from '../js/retentionSimulator.js';
+
+const NOW = new Date('2026-01-01T00:00:00Z');
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Review cards with a spread of stability, difficulty and due dates
+ * @param {number} count - Number of cards
+ * @returns {Array} user_cards rows
+ */
+function makeCards(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        state: 'review',
+        stability: 2 + (i % 20),
+        difficulty: 3 + (i % 6),
+        due_at: new Date(NOW.getTime() + (i % 10) * MS_PER_DAY).toISOString(),
+        last_reviewed_at: new Date(NOW.getTime() - MS_PER_DAY).toISOString(),
+        average_response_time_ms: 6000
+    }));
+}
+
+test('simulateRetentionTargets: higher retention costs more reviews and retains more', () => {
+    const { results } = simulateRetentionTargets(makeCards(300), DEFAULT_PARAMS, { now: NOW, days: 180 });
+    const low = results.find(r => r.retention === 0.7);
+    const high = results.find(r => r.retention === 0.97);
+    assert.ok(high.totalReviews > low.totalReviews, `${high.totalReviews} > ${low.totalReviews}`);
+    assert.ok(high.expectedRetained > low.expectedRetained, `${high.expectedRetained} > ${low.expectedRetained}`);
+});
+
+test('simulateRetentionTargets: deterministic, includes the current target and suggests one of them', () => {
+    const params = { ...DEFAULT_PARAMS, desired_retention: 0.88 };
+    const a = simulateRetentionTargets(makeCards(100), params, { now: NOW, days: 90 });
+    const b = simulateRetentionTargets(makeCards(100), params, { now: NOW, days: 90 });
+    assert.deepEqual(a, b);
+    const retentions = a.results.map(r => r.retention);
+    assert.ok(retentions.includes(0.88));
+    assert.ok(retentions.includes(a.suggested));
+    assert.equal(a.results[0].dailyReviews.length, 90);
+});
+
+test('simulateRetentionTargets: a different seed changes the draws', () => {
+    const a = simulateRetentionTargets(makeCards(100), DEFAULT_PARAMS, { now: NOW, days: 90, seed: 1 });
+    const b = simulateRetentionTargets(makeCards(100), DEFAULT_PARAMS, { now: NOW, days: 90, seed: 2 });
+    assert.notDeepEqual(a.results.map(r => r.lapses), b.results.map(r => r.lapses));
+});
+
+test('simulateRetentionTargets: daily totals add up and overdue cards are due on day 0', () => {
+    const overdue = [{
+        state: 'review',
+        stability: 5,
+        difficulty: 5,
+        due_at: new Date(NOW.getTime() - 3 * MS_PER_DAY).toISOString(),
+        last_reviewed_at: new Date(NOW.getTime() - 8 * MS_PER_DAY).toISOString(),
+        average_response_time_ms: 6000
+    }];
+    const { results } = simulateRetentionTargets(overdue, DEFAULT_PARAMS, { now: NOW, days: 30, retentionTargets: [0.9] });
+    const [result] = results;
+    assert.ok(result.dailyReviews[0] >= 1);
+    assert.equal(result.dailyReviews.reduce((sum, n) => sum + n, 0), result.totalReviews);
+    assert.ok(Math.abs(result.dailyMinutes.reduce((sum, n) => sum + n, 0) - result.totalMinutes) < 1e-9);
+});
+
+test('simulateRetentionTargets: a zero minimum interval still advances by whole days', () => {
+    const params = { ...DEFAULT_PARAMS, minimum_interval_days: 0 };
+    const cards = [{ state: 'review', stability: 0.05, difficulty: 9, due_at: NOW.toISOString(), last_reviewed_at: NOW.toISOString() }];
+    const { results } = simulateRetentionTargets(cards, params, { now: NOW, days: 10, retentionTargets: [0.97] });
+    assert.ok(results[0].totalReviews <= 10 * (1 + DEFAULT_PARAMS.relearning_steps_minutes.length));
+});
+
+test('simulateRetentionTargets: new and suspended cards are skipped', () => {
+    const cards = [{ state: 'new', stability: 0 }, { state: 'suspended', stability: 10, difficulty: 5 }];
+    const simulation = simulateRetentionTargets(cards, DEFAULT_PARAMS, { now: NOW });
+    assert.equal(simulation.cardCount, 0);
+    assert.deepEqual(simulation.results, []);
+    assert.equal(simulation.suggested, null);
+});
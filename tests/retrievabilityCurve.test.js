@@ -0,0 +1,61 @@
+/**
+ * Retrievability curve
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateRetrievability } from '../js/fsrs.js';
+import { buildRetrievabilityCurve } from '../js/retrievabilityCurve.js';
+
+const at = iso => new Date(iso).getTime();
+
+test('buildRetrievabilityCurve: no usable reviews gives no points', () => {
+    assert.deepEqual(buildRetrievabilityCurve([]), []);
+    assert.deepEqual(buildRetrievabilityCurve(null), []);
+    assert.deepEqual(buildRetrievabilityCurve([
+        { reviewed_at: '2026-01-01T00:00:00Z', stability_after: 0 },
+        { reviewed_at: 'not a date', stability_after: 5 },
+        { reviewed_at: '2026-01-02T00:00:00Z', stability_after: null }
+    ]), []);
+});
+
+test('buildRetrievabilityCurve: decays from 1 and resets at each review', () => {
+    const points = buildRetrievabilityCurve([
+        { reviewed_at: '2026-01-11T00:00:00Z', stability_after: 20 },
+        { reviewed_at: '2026-01-01T00:00:00Z', stability_after: 10 }
+    ], { until: '2026-01-31T00:00:00Z', samplesPerSegment: 2 });
+
+    assert.deepEqual(points.map(p => p.review), [true, false, false, true, false, false]);
+    assert.equal(points[0].retrievability, 1);
+    assert.equal(points[1].at, at('2026-01-06T00:00:00Z'));
+    // 10 days after a review with stability 10, R = 0.9 by definition of stability
+    assert.ok(Math.abs(points[2].retrievability - 0.9) < 1e-9);
+    assert.equal(points[2].at, points[3].at);
+    assert.equal(points[3].retrievability, 1);
+    assert.equal(points[5].retrievability, calculateRetrievability(20, 20));
+    assert.equal(points[5].at, at('2026-01-31T00:00:00Z'));
+});
+
+test('buildRetrievabilityCurve: points are in time order and R falls within a segment', () => {
+    const points = buildRetrievabilityCurve([
+        { reviewed_at: '2026-01-01T00:00:00Z', stability_after: '3.5' },
+        { reviewed_at: '2026-01-04T00:00:00Z', stability_after: '9' }
+    ], { until: '2026-02-01T00:00:00Z' });
+
+    assert.equal(points.length, 2 * 17);
+    for (let i = 1; i < points.length; i++) {
+        assert.ok(points[i].at >= points[i - 1].at, `point ${i} out of order`);
+        if (!points[i].review) {
+            assert.ok(points[i].retrievability < points[i - 1].retrievability, `point ${i} does not decay`);
+            assert.ok(points[i].retrievability > 0);
+        }
+    }
+});
+
+test('buildRetrievabilityCurve: a review after until ends at the review', () => {
+    const points = buildRetrievabilityCurve(
+        [{ reviewed_at: '2026-01-01T00:00:00Z', stability_after: 5 }],
+        { until: '2025-12-01T00:00:00Z' }
+    );
+    assert.deepEqual(points, [{ at: at('2026-01-01T00:00:00Z'), retrievability: 1, review: true }]);
+});
@@ -0,0 +1,453 @@
+/**
+ * Review history import
+ * Parses review logs, matches and replays them with js/reviewHistoryImport.js,
+ * and runs import_review_history (migrations 45 and 47) in PGlite on the
+ * replayed output. The tables hold only the columns the function reads and
+ * writes; auth.uid() returns the test.user_id setting.
+ */
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { PGlite } from '@electric-sql/pglite';
+import { RATING, DEFAULT_PARAMS, scheduleCard } from '../js/fsrs.js';
+
+const USER = '00000000-0000-4000-8000-000000000001';
+const OTHER_USER = '00000000-0000-4000-8000-000000000002';
+const CARD = n => `00000000-0000-4000-8000-1000000000${String(n).padStart(2, '0')}`;
+
+const SCHEMA = `
+    CREATE ROLE authenticated;
+    CREATE SCHEMA auth;
+    CREATE FUNCTION auth.uid() RETURNS UUID LANGUAGE sql STABLE AS $$
+        SELECT NULLIF(current_setting('test.user_id', true), '')::UUID
+    $$;
+
+    CREATE TABLE profiles (
+        id UUID PRIMARY KEY,
+        is_admin BOOLEAN NOT NULL DEFAULT FALSE
+    );
+
+    CREATE TABLE card_templates (
+        id UUID PRIMARY KEY,
+        question TEXT NOT NULL DEFAULT '',
+        creator_id UUID,
+        is_public BOOLEAN NOT NULL DEFAULT TRUE,
+        flagged_for_review BOOLEAN NOT NULL DEFAULT FALSE
+    );
+
+    CREATE TYPE card_state AS ENUM ('new', 'learning', 'review', 'relearning', 'buried', 'suspended');
+
+    CREATE TABLE user_cards (
+        user_id UUID NOT NULL,
+        card_template_id UUID NOT NULL,
+        state card_state NOT NULL DEFAULT 'new',
+        resume_state card_state,
+        buried_until TIMESTAMPTZ,
+        is_leech BOOLEAN NOT NULL DEFAULT FALSE,
+        leeched_at TIMESTAMPTZ,
+        stability DECIMAL(10,4) NOT NULL DEFAULT 0,
+        difficulty DECIMAL(10,4) NOT NULL DEFAULT 5,
+        due_at TIMESTAMPTZ,
+        last_reviewed_at TIMESTAMPTZ,
+        elapsed_days DECIMAL(10,4) NOT NULL DEFAULT 0,
+        scheduled_days DECIMAL(10,4) NOT NULL DEFAULT 0,
+        reps INTEGER NOT NULL DEFAULT 0,
+        lapses INTEGER NOT NULL DEFAULT 0,
+        last_rating INTEGER,
+        total_reviews INTEGER NOT NULL DEFAULT 0,
+        correct_reviews INTEGER NOT NULL DEFAULT 0,
+        incorrect_reviews INTEGER NOT NULL DEFAULT 0,
+        average_response_time_ms INTEGER DEFAULT 0,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, card_template_id),
+        CONSTRAINT user_cards_resume_state_check CHECK (
+            (state IN ('buried', 'suspended')) = (resume_state IS NOT NULL)
+            AND resume_state NOT IN ('buried', 'suspended')
+        )
+    );
+
+    CREATE TABLE reviews (
+        id SERIAL PRIMARY KEY,
+        user_id UUID NOT NULL,
+        card_template_id UUID NOT NULL,
+        reviewed_at TIMESTAMPTZ NOT NULL,
+        response_time_ms INTEGER NOT NULL CHECK (response_time_ms > 0),
+        rating INTEGER NOT NULL CHECK (rating >= 0 AND rating <= 3),
+        state_before card_state NOT NULL,
+        stability_before DECIMAL(10,4) NOT NULL,
+        difficulty_before DECIMAL(10,4) NOT NULL,
+        due_at_before TIMESTAMPTZ,
+        state_after card_state NOT NULL,
+        stability_after DECIMAL(10,4) NOT NULL,
+        difficulty_after DECIMAL(10,4) NOT NULL,
+        due_at_after TIMESTAMPTZ,
+        elapsed_days DECIMAL(10,4) NOT NULL,
+        scheduled_days DECIMAL(10,4) NOT NULL,
+        reps_before INTEGER NOT NULL,
+        lapses_before INTEGER NOT NULL
+    );
+`;
+
+let db;
+let replayReviewHistory;
+let parseReviewLog;
+let groupHistories;
+let hashContent;
+let ReviewHistoryImportService;
+
+before(async () => {
+    db = new PGlite();
+    await db.exec(SCHEMA);
+    await db.exec(fs.readFileSync(new URL('../migration/45-review-history-import-rpc.sql', import.meta.url), 'utf8'));
+    await db.exec(fs.readFileSync(new URL('../migration/47-review-history-import-visibility.sql', import.meta.url), 'utf8'));
+    const contentHash = fs.readFileSync(new URL('../migration/32-card-template-content-hash.sql', import.meta.url), 'utf8');
+    await db.exec(contentHash.slice(contentHash.indexOf('CREATE OR REPLACE FUNCTION card_template_content_hash'), contentHash.indexOf('CREATE OR REPLACE FUNCTION set_card_template_content_hash')));
+
+    // reviewHistoryImport.js creates a Supabase client on load. PGlite takes
+    // a window global for a browser, so it is set only around the import.
+    globalThis.window = {
+        supabase: { createClient: () => ({ auth: { getSession: async () => ({ data: {} }) } }) },
+        supabaseConfig: { SUPABASE_URL: 'http://localhost:54321', SUPABASE_ANON_KEY: 'test-key' }
+    };
+    ({
+        replayReviewHistory,
+        parseReviewLog,
+        groupHistories,
+        hashContent,
+        ReviewHistoryImportService
+    } = await import('../js/reviewHistoryImport.js'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    delete globalThis.window;
+});
+
+after(async () => {
+    await db.close();
+});
+
+beforeEach(async () => {
+    await db.exec(`
+        DELETE FROM reviews; DELETE FROM user_cards; DELETE FROM card_templates; DELETE FROM profiles;
+        INSERT INTO card_templates (id) VALUES ('${CARD(1)}'), ('${CARD(2)}'), ('${CARD(3)}'), ('${CARD(4)}');
+        SET test.user_id = '${USER}';
+    `);
+});
+
+/**
+ * import_review_history payload entry for a card reviewed Good, Good, Again
+ * @param {string} templateId - Card template ID
+ * @returns {Object} Entry
+ */
+function importedCard(templateId) {
+    const { card, reviews } = replayReviewHistory([
+        { reviewedAt: new Date('2025-06-01T10:00:00Z'), rating: RATING.GOOD, responseTimeMs: 4000 },
+        { reviewedAt: new Date('2025-06-05T10:00:00Z'), rating: RATING.GOOD, responseTimeMs: 0 },
+        { reviewedAt: new Date('2025-07-01T10:00:00Z'), rating: RATING.AGAIN, responseTimeMs: 9000 }
+    ]);
+    return { card_template_id: templateId, card, reviews };
+}
+
+/**
+ * @param {Array<Object>} cards - Payload entries
+ * @returns {Promise<Object>} RPC result
+ */
+async function importCards(cards) {
+    const { rows } = await db.query('SELECT import_review_history($1) AS result', [JSON.stringify(cards)]);
+    return rows[0].result;
+}
+
+const userCard = async templateId =>
+    (await db.query('SELECT * FROM user_cards WHERE card_template_id = $1', [templateId])).rows[0];
+const reviewCount = async templateId =>
+    (await db.query('SELECT count(*)::int AS n FROM reviews WHERE card_template_id = $1', [templateId])).rows[0].n;
+
+test('import_review_history: creates the card and its reviews', async () => {
+    const result = await importCards([importedCard(CARD(1))]);
+    assert.deepEqual(result, { success: true, cards: 1, reviews: 3, skipped: [] });
+
+    const row = await userCard(CARD(1));
+    assert.equal(row.state, 'relearning');
+    assert.equal(row.reps, 3);
+    assert.equal(row.lapses, 1);
+    assert.equal(row.total_reviews, 3);
+    assert.equal(row.average_response_time_ms, 6500);
+    assert.equal(await reviewCount(CARD(1)), 3);
+});
+
+test('import_review_history: a new card keeps its hold and leech mark', async () => {
+    await db.query(
+        `INSERT INTO user_cards (user_id, card_template_id, state, resume_state, is_leech, leeched_at)
+         VALUES ($1, $2, 'suspended', 'new', TRUE, '2025-01-01T00:00:00Z'),
+                ($1, $3, 'buried', 'new', FALSE, NULL)`,
+        [USER, CARD(1), CARD(2)]
+    );
+    await db.query(`UPDATE user_cards SET buried_until = '2025-08-01T04:00:00Z' WHERE card_template_id = $1`, [CARD(2)]);
+
+    const result = await importCards([importedCard(CARD(1)), importedCard(CARD(2))]);
+    assert.equal(result.cards, 2);
+
+    const suspended = await userCard(CARD(1));
+    assert.equal(suspended.state, 'suspended');
+    assert.equal(suspended.resume_state, 'relearning');
+    assert.equal(suspended.is_leech, true);
+    assert.equal(suspended.leeched_at.toISOString(), '2025-01-01T00:00:00.000Z');
+    assert.equal(suspended.reps, 3);
+
+    const buried = await userCard(CARD(2));
+    assert.equal(buried.state, 'buried');
+    assert.equal(buried.resume_state, 'relearning');
+    assert.equal(buried.buried_until.toISOString(), '2025-08-01T04:00:00.000Z');
+});
+
+test('import_review_history: skips cards with a schedule or reviews of their own', async () => {
+    await db.query(
+        `INSERT INTO user_cards (user_id, card_template_id, state, stability, reps)
+         VALUES ($1, $2, 'review', 12, 4),
+                ($1, $3, 'new', 0, 0)`,
+        [USER, CARD(1), CARD(2)]
+    );
+    await db.query(
+        `INSERT INTO user_cards (user_id, card_template_id, state, resume_state, reps)
+         VALUES ($1, $2, 'suspended', 'review', 6)`,
+        [USER, CARD(3)]
+    );
+    // Reset to new, but with history here
+    await db.query(
+        `INSERT INTO reviews (user_id, card_template_id, reviewed_at, response_time_ms, rating, state_before,
+             stability_before, difficulty_before, state_after, stability_after, difficulty_after,
+             elapsed_days, scheduled_days, reps_before, lapses_before)
+         VALUES ($1, $2, NOW(), 1000, 2, 'new', 0, 5, 'learning', 3, 5, 0, 0, 0, 0)`,
+        [USER, CARD(2)]
+    );
+
+    const result = await importCards([importedCard(CARD(1)), importedCard(CARD(2)), importedCard(CARD(3)), importedCard(CARD(4))]);
+    assert.deepEqual(result, { success: true, cards: 1, reviews: 3, skipped: [CARD(1), CARD(2), CARD(3)] });
+
+    const review = await userCard(CARD(1));
+    assert.equal(review.state, 'review');
+    assert.equal(review.reps, 4);
+    assert.equal(Number(review.stability), 12);
+    assert.equal(await reviewCount(CARD(1)), 0);
+    assert.equal((await userCard(CARD(2))).state, 'new');
+    assert.equal(await reviewCount(CARD(2)), 1);
+    assert.equal((await userCard(CARD(3))).resume_state, 'review');
+    assert.equal(await reviewCount(CARD(4)), 3);
+});
+
+test('import_review_history: a failing review rolls back the whole batch', async () => {
+    const broken = importedCard(CARD(2));
+    broken.reviews[1].rating = 7;
+
+    await assert.rejects(importCards([importedCard(CARD(1)), broken]), /reviews_rating_check/);
+    assert.equal(await userCard(CARD(1)), undefined);
+    assert.equal(await userCard(CARD(2)), undefined);
+    assert.equal(await reviewCount(CARD(1)), 0);
+});
+
+test('import_review_history: requires a signed-in user', async () => {
+    await db.exec(`SET test.user_id = ''`);
+    const result = await importCards([importedCard(CARD(1))]);
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'unauthorized');
+    assert.equal(await userCard(CARD(1)), undefined);
+});
+
+test('import_review_history: skips cards the user cannot read', async () => {
+    await db.query(
+        `INSERT INTO card_templates (id, creator_id, is_public, flagged_for_review)
+         VALUES ($1, $2, FALSE, FALSE), ($3, NULL, TRUE, TRUE), ($4, $5, FALSE, FALSE)`,
+        [CARD(10), OTHER_USER, CARD(11), CARD(12), USER]
+    );
+
+    const result = await importCards([importedCard(CARD(10)), importedCard(CARD(11)), importedCard(CARD(12)), importedCard(CARD(13))]);
+    // Private to another user, flagged, and missing are skipped; the user's own private card is imported
+    assert.deepEqual(result, { success: true, cards: 1, reviews: 3, skipped: [CARD(10), CARD(11), CARD(13)] });
+    assert.equal(await userCard(CARD(10)), undefined);
+    assert.equal(await reviewCount(CARD(11)), 0);
+    assert.equal((await userCard(CARD(12))).reps, 3);
+
+    // Admins can read every card
+    await db.query('INSERT INTO profiles (id, is_admin) VALUES ($1, TRUE)', [OTHER_USER]);
+    await db.exec(`SET test.user_id = '${OTHER_USER}'`);
+    const admin = await importCards([importedCard(CARD(11))]);
+    assert.deepEqual(admin.skipped, []);
+    assert.equal(admin.cards, 1);
+});
+
+test('parseReviewLog: FSRS revlog CSV with epoch and ISO times', () => {
+    const csv = [
+        'card_id,review_time,review_rating,review_duration',
+        '1,1717236000000,3,4000',
+        '1,1717322400,4,',
+        '1,1717408800,0,0',
+        '2,2024-06-01T10:00:00Z,5,1000',
+        ',2024-06-01T10:00:00Z,1,1000',
+        '3,yesterday,1,1000'
+    ].join('\n');
+    const { format, entries, errors, skipped } = parseReviewLog(csv, 'revlog.csv');
+
+    assert.equal(format, 'revlog');
+    // Rating 0 is a manual entry, not a review
+    assert.equal(skipped, 1);
+    assert.deepEqual(entries, [
+        {
+            sourceId: '1',
+            key: { templateId: null, externalId: '1', question: null },
+            reviewedAt: new Date(1717236000000),
+            rating: RATING.GOOD,
+            responseTimeMs: 4000
+        },
+        {
+            sourceId: '1',
+            key: { templateId: null, externalId: '1', question: null },
+            reviewedAt: new Date(1717322400 * 1000),
+            rating: RATING.EASY,
+            responseTimeMs: null
+        }
+    ]);
+    assert.deepEqual(errors, [
+        { rowNumber: 4, errors: ['Rating must be 1-4, got "5".'] },
+        { rowNumber: 5, errors: ['No card identifier (card_id, card_template_id, external_id or question).'] },
+        { rowNumber: 6, errors: ['Invalid review time.'] }
+    ]);
+});
+
+test('parseReviewLog: Anki revlog TSV, card identifier columns and manual reschedules', () => {
+    const tsv = [
+        'id\tcid\tease\ttime\ttype\tcard_template_id\tquestion',
+        `1717236000000\t55\t1\t5000\t1\t${CARD(1)}\t`,
+        '1717236100000\t56\t3\t0\t4\t\t',
+        '1717236200000\t57\t2\t2500\t2\t\tWhat is ATP?'
+    ].join('\n');
+    const { entries, errors, skipped } = parseReviewLog(tsv, 'revlog.txt');
+
+    assert.deepEqual(errors, []);
+    assert.equal(skipped, 1);
+    assert.deepEqual(entries.map(entry => [entry.sourceId, entry.key, entry.rating, entry.responseTimeMs]), [
+        ['55', { templateId: CARD(1), externalId: '55', question: null }, RATING.AGAIN, 5000],
+        ['57', { templateId: null, externalId: '57', question: 'What is ATP?' }, RATING.HARD, 2500]
+    ]);
+});
+
+test('parseReviewLog: data export archives and unrecognized files', () => {
+    const archive = {
+        format: 'nanotopic-user-export',
+        reviews: [
+            { card_template_id: CARD(1), reviewed_at: '2025-06-01T10:00:00Z', rating: 0, response_time_ms: 3000 },
+            { card_template_id: CARD(1), reviewed_at: '2025-06-02T10:00:00Z', rating: 4 }
+        ]
+    };
+    const { format, entries, errors } = parseReviewLog(`\uFEFF${JSON.stringify(archive)}`, 'export.json');
+
+    assert.equal(format, 'export');
+    assert.deepEqual(entries, [{
+        sourceId: CARD(1),
+        key: { templateId: CARD(1), externalId: null, question: null },
+        reviewedAt: new Date('2025-06-01T10:00:00Z'),
+        rating: RATING.AGAIN,
+        responseTimeMs: 3000
+    }]);
+    assert.equal(errors[0].rowNumber, 2);
+
+    assert.throws(() => parseReviewLog('{"reviews": []}', 'export.json'), /not a nanotopic data export/);
+    assert.throws(() => parseReviewLog('question,answer\nQ,A', 'cards.csv'), /Unrecognized review log/);
+});
+
+test('groupHistories: one chronological history per source card with merged identifiers', () => {
+    const entry = (sourceId, day, key = {}) => ({
+        sourceId,
+        key: { templateId: null, externalId: sourceId, question: null, ...key },
+        reviewedAt: new Date(`2025-06-0${day}T10:00:00Z`),
+        rating: RATING.GOOD,
+        responseTimeMs: null
+    });
+    const histories = groupHistories([
+        entry('a', 3),
+        entry('b', 1),
+        entry('a', 1, { question: 'Q' }),
+        entry('a', 2, { templateId: CARD(1) })
+    ]);
+
+    assert.deepEqual(histories.map(h => h.sourceId), ['a', 'b']);
+    assert.deepEqual(histories[0].key, { templateId: CARD(1), externalId: 'a', question: 'Q' });
+    assert.deepEqual(histories[0].reviews.map(r => r.reviewedAt.getUTCDate()), [1, 2, 3]);
+});
+
+test('replayReviewHistory: chains scheduleCard states into reviews rows', () => {
+    const reviews = [
+        { reviewedAt: new Date('2025-06-01T10:00:00Z'), rating: RATING.GOOD, responseTimeMs: 4000 },
+        { reviewedAt: new Date('2025-06-01T10:10:00Z'), rating: RATING.GOOD, responseTimeMs: null },
+        { reviewedAt: new Date('2025-06-09T10:00:00Z'), rating: RATING.AGAIN, responseTimeMs: 8000 }
+    ];
+    const { card, reviews: rows } = replayReviewHistory(reviews);
+
+    let expected = { state: 'new', stability: 0, difficulty: 5, due_at: null, last_reviewed_at: null, scheduled_days: 0, reps: 0, lapses: 0 };
+    reviews.forEach((review, index) => {
+        const next = scheduleCard(expected, review.rating, review.reviewedAt, DEFAULT_PARAMS);
+        assert.equal(rows[index].state_before, expected.state);
+        assert.equal(rows[index].reps_before, expected.reps);
+        assert.equal(rows[index].state_after, next.state);
+        assert.equal(rows[index].stability_after, next.stability);
+        assert.equal(rows[index].due_at_after, next.due_at.toISOString());
+        expected = next;
+    });
+
+    assert.equal(rows[0].due_at_before, null);
+    assert.equal(rows[1].due_at_before, rows[0].due_at_after);
+    // Unknown durations are stored as 1 ms and left out of the average
+    assert.equal(rows[1].response_time_ms, 1);
+    assert.deepEqual(
+        { state: card.state, reps: card.reps, lapses: card.lapses, last_rating: card.last_rating },
+        { state: expected.state, reps: 3, lapses: 1, last_rating: RATING.AGAIN }
+    );
+    assert.equal(card.correct_reviews, 2);
+    assert.equal(card.incorrect_reviews, 1);
+    assert.equal(card.average_response_time_ms, 6000);
+    assert.equal(card.last_reviewed_at, '2025-06-09T10:00:00.000Z');
+});
+
+test('hashContent: matches card_template_content_hash (migration 32)', async () => {
+    for (const question of ['What is ATP?', '  What\tis\n\nATP?  ', 'Crème BRÛLÉE', '']) {
+        const { rows } = await db.query('SELECT card_template_content_hash($1) AS hash', [question]);
+        assert.equal(await hashContent(question), rows[0].hash, JSON.stringify(question));
+    }
+});
+
+test('previewImport: matches by template ID, then external ID, then unique question', async () => {
+    const templates = [
+        { id: CARD(1), external_id: 'ext-1', content_hash: await hashContent('Shared') },
+        { id: CARD(2), external_id: 'ext-2', content_hash: await hashContent('Shared') },
+        { id: CARD(3), external_id: null, content_hash: await hashContent('Only here') },
+        { id: CARD(4), external_id: 'ext-4', content_hash: null }
+    ];
+    const service = new ReviewHistoryImportService();
+    service.findTemplates = async (column, values) => templates.filter(row => values.includes(row[column]));
+    service.getScheduledTemplateIds = async () => new Set([CARD(4)]);
+
+    const csv = [
+        'card_id,review_time,review_rating,review_duration,card_template_id,question',
+        `a,2025-06-01T10:00:00Z,3,1000,${CARD(2)},`,
+        'ext-1,2025-06-01T10:00:00Z,3,1000,,',
+        'c,2025-06-01T10:00:00Z,3,1000,,ONLY  here',
+        'd,2025-06-01T10:00:00Z,3,1000,,shared',
+        'e,2025-06-01T10:00:00Z,3,1000,,Nothing',
+        `f,2025-06-01T10:00:00Z,3,1000,${CARD(3)},`,
+        'ext-4,2025-06-01T10:00:00Z,3,1000,,',
+        'ext-4,2025-06-02T10:00:00Z,3,1000,,'
+    ].join('\n');
+    const plan = await service.previewImport({ name: 'revlog.csv', text: async () => csv }, USER);
+
+    assert.deepEqual(plan.cards.map(card => [card.sourceId, card.templateId, card.matchedBy]), [
+        ['a', CARD(2), 'card_template_id'],
+        ['ext-1', CARD(1), 'external_id'],
+        ['c', CARD(3), 'content']
+    ]);
+    assert.deepEqual(plan.unmatched, [
+        { sourceId: 'd', reviews: 1, reason: 'Question matches more than one card' },
+        { sourceId: 'e', reviews: 1, reason: 'No matching card' },
+        { sourceId: 'f', reviews: 1, reason: 'Same card as source card c' }
+    ]);
+    // Already scheduled here, so left out of the plan
+    assert.equal(plan.alreadyReviewed, 1);
+    assert.equal(plan.reviewCount, 8);
+});
@@ -0,0 +1,151 @@
+/**
+ * Offline review queue sync
+ * Runs ServerSessionManager.syncPendingReviews against a fake record_review
+ * RPC. Without IndexedDB the offline store keeps the queue in memory.
+ */
+
+import test, { before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const USER = 'user-1';
+
+let ServerSessionManager;
+let offlineStore;
+
+before(async () => {
+    // The services imported alongside the manager create a Supabase client on load
+    globalThis.window = {
+        addEventListener() {},
+        supabase: { createClient: () => ({ auth: { getSession: async () => ({ data: {} }) } }) },
+        supabaseConfig: { SUPABASE_URL: 'http://localhost:54321', SUPABASE_ANON_KEY: 'test-key' }
+    };
+    ({ default: ServerSessionManager } = await import('../js/serverSessionManager.js'));
+    ({ default: offlineStore } = await import('../js/offlineStore.js'));
+});
+
+beforeEach(() => {
+    offlineStore.memory.reviews.clear();
+});
+
+/**
+ * A manager for USER whose record_review answers with respond(review params)
+ * @param {Function} respond - params -> { data, error }
+ * @returns {{manager: ServerSessionManager, statuses: Array, failures: Array, calls: Array}}
+ */
+function createManager(respond) {
+    const calls = [];
+    const manager = new ServerSessionManager();
+    manager.syncUserId = USER;
+    manager.dbService = {
+        getSupabase: async () => ({
+            rpc: async (name, params) => {
+                calls.push(params.p_card_template_id);
+                return respond(params);
+            }
+        })
+    };
+    manager.scheduleSync = () => {};
+
+    const statuses = [];
+    const failures = [];
+    manager.onSyncStatusChange = status => statuses.push(status);
+    manager.onSyncFailed = failure => failures.push(failure);
+    return { manager, statuses, failures, calls };
+}
+
+/**
+ * Queue ratings for the given cards, in order
+ * @param {Array<string>} cardIds - Card template IDs
+ */
+async function queue(cardIds) {
+    for (const cardTemplateId of cardIds) {
+        await offlineStore.enqueueReview({
+            userId: USER,
+            sessionId: 'session-1',
+            cardTemplateId,
+            rating: 2,
+            responseTime: 1000,
+            reviewedAt: '2026-01-01T00:00:00Z'
+        });
+    }
+}
+
+const queuedCards = async () => (await offlineStore.getQueuedReviews(USER)).map(review => review.cardTemplateId);
+
+test('syncPendingReviews: removes recorded and already-recorded ratings', async () => {
+    await queue(['a', 'b']);
+    const { manager, calls } = createManager(({ p_card_template_id: id }) => ({
+        data: id === 'a' ? { success: true } : { success: false, error: 'review_already_exists' },
+        error: null
+    }));
+
+    await manager.syncPendingReviews();
+
+    assert.deepEqual(calls, ['a', 'b']);
+    assert.deepEqual(await queuedCards(), []);
+    assert.equal(manager.pendingReviewCount, 0);
+    assert.equal(manager.failedReviewCount, 0);
+});
+
+test('syncPendingReviews: keeps ratings the server turns down and reports them', async () => {
+    await queue(['a', 'b', 'c']);
+    const { manager, statuses, failures, calls } = createManager(({ p_card_template_id: id }) => ({
+        data: id === 'b'
+            ? { success: false, error: 'daily_limit_reached', message: 'Daily limit reached' }
+            : { success: true },
+        error: null
+    }));
+
+    await manager.syncPendingReviews();
+
+    assert.deepEqual(calls, ['a', 'b', 'c'], 'later ratings still sync');
+    const [kept] = await offlineStore.getQueuedReviews(USER);
+    assert.equal(kept.cardTemplateId, 'b');
+    assert.equal(kept.failure.error, 'daily_limit_reached');
+    assert.equal(manager.pendingReviewCount, 0);
+    assert.equal(manager.failedReviewCount, 1);
+    assert.deepEqual(statuses.at(-1), { pending: 0, failed: 1, offline: false });
+    assert.deepEqual(failures, [{ count: 1, reasons: ['Daily limit reached'] }]);
+
+    // A failed rating isn't sent again on the next sync
+    await manager.syncPendingReviews();
+    assert.deepEqual(calls, ['a', 'b', 'c']);
+});
+
+test('syncPendingReviews: a network failure pauses and keeps the rest queued', async () => {
+    await queue(['a', 'b']);
+    const { manager, calls } = createManager(() => ({ data: null, error: { message: 'Failed to fetch' } }));
+
+    await manager.syncPendingReviews();
+
+    assert.deepEqual(calls, ['a']);
+    assert.deepEqual(await queuedCards(), ['a', 'b']);
+    assert.equal(manager.pendingReviewCount, 2);
+    assert.equal(manager.failedReviewCount, 0);
+});
+
+test('retryFailedReviews and discardFailedReviews', async () => {
+    await queue(['a', 'b']);
+    let limitReached = true;
+    const { manager, calls } = createManager(() => ({
+        data: limitReached ? { success: false, error: 'daily_limit_reached' } : { success: true },
+        error: null
+    }));
+
+    await manager.syncPendingReviews();
+    assert.equal(manager.failedReviewCount, 2);
+
+    limitReached = false;
+    await manager.retryFailedReviews();
+    assert.deepEqual(calls, ['a', 'b', 'a', 'b']);
+    assert.deepEqual(await queuedCards(), []);
+    assert.equal(manager.failedReviewCount, 0);
+
+    await queue(['d']);
+    limitReached = true;
+    await manager.syncPendingReviews();
+    assert.equal(manager.failedReviewCount, 1);
+    await manager.discardFailedReviews();
+    assert.deepEqual(await queuedCards(), []);
+    assert.equal(manager.failedReviewCount, 0);
+});
@@ -0,0 +1,184 @@
+/**
+ * Undoing reviews (migrations 39 and 43)
+ * Records reviews with record_review in PGlite and undoes them with
+ * undo_last_review, checking the card, session and daily counters go back.
+ */
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStudyDatabase, rpc, startSession, sessionCardIds } from './helpers/studyDatabase.js';
+
+const USER = '00000000-0000-4000-8000-000000000001';
+const OTHER_USER = '00000000-0000-4000-8000-000000000002';
+const CARD = n => `00000000-0000-4000-8000-1000000000${String(n).padStart(2, '0')}`;
+
+// Columns record_review changes and undo_last_review puts back
+const SCHEDULE_COLUMNS = ['state', 'stability', 'difficulty', 'due_at', 'reps', 'lapses', 'total_reviews', 'correct_reviews', 'incorrect_reviews'];
+
+let db;
+
+/**
+ * A card's schedule columns
+ * @param {number} n - Card number
+ * @returns {Promise<Object>} Column values
+ */
+async function schedule(n) {
+    const { rows } = await db.query(
+        `SELECT ${SCHEDULE_COLUMNS.join(', ')} FROM user_cards WHERE user_id = $1 AND card_template_id = $2`,
+        [USER, CARD(n)]
+    );
+    return rows[0];
+}
+
+const sessionRow = async (id) => (await db.query('SELECT * FROM user_sessions WHERE id = $1', [id])).rows[0];
+
+const reviewsToday = async () => (await db.query('SELECT reviews_today FROM profiles WHERE id = $1', [USER])).rows[0].reviews_today;
+
+/**
+ * A started session of cards 1 and 2 (due) and 3 (new)
+ * @returns {Promise<Object>} get_or_create_user_session result
+ */
+async function startStudying() {
+    const session = await rpc(db, USER, 'get_or_create_user_session', { p_user_id: USER });
+    assert.deepEqual(sessionCardIds(session), [CARD(1), CARD(2), CARD(3)]);
+    await startSession(db, USER, session);
+    return session;
+}
+
+const review = (session, n, rating = 2) => rpc(db, USER, 'record_review', {
+    p_session_id: session.session_id,
+    p_card_template_id: CARD(n),
+    p_rating: rating,
+    p_response_time_ms: 1500
+});
+
+const undo = (session, userId = USER) => rpc(db, userId, 'undo_last_review', { p_session_id: session.session_id });
+
+before(async () => {
+    db = await createStudyDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+beforeEach(async () => {
+    await db.exec(`
+        TRUNCATE reviews, user_sessions, user_cards, card_templates, profiles, auth.users CASCADE;
+        INSERT INTO auth.users (id) VALUES ('${USER}'), ('${OTHER_USER}');
+        INSERT INTO profiles (id, user_tier, reviews_today) VALUES ('${USER}', 'paid', 4), ('${OTHER_USER}', 'paid', 0);
+    `);
+    for (const n of [1, 2, 3]) {
+        await db.query(`INSERT INTO card_templates (id, question, answer) VALUES ($1, $2, 'A')`, [CARD(n), `Q${n}`]);
+    }
+    // Cards 1 and 2 are due, card 1 the more overdue
+    await db.query(
+        `INSERT INTO user_cards (user_id, card_template_id, state, stability, difficulty, due_at, last_reviewed_at, reps, lapses, total_reviews, correct_reviews, incorrect_reviews)
+         VALUES ($1, $2, 'review', 3, 5, NOW() - INTERVAL '2 hours', NOW() - INTERVAL '3 days', 3, 1, 4, 3, 1),
+                ($1, $3, 'review', 8, 4, NOW() - INTERVAL '1 hour', NOW() - INTERVAL '8 days', 5, 0, 5, 5, 0)`,
+        [USER, CARD(1), CARD(2)]
+    );
+});
+
+test('undo_last_review: puts the card, session and daily count back', async () => {
+    const session = await startStudying();
+    const original = await schedule(1);
+
+    const result = await review(session, 1, 0);
+    assert.equal(result.success, true);
+    const rated = await schedule(1);
+    assert.equal(rated.state, 'relearning');
+    assert.equal(rated.lapses, 2);
+    assert.equal(await reviewsToday(), 5);
+
+    const undone = await undo(session);
+
+    assert.equal(undone.success, true);
+    assert.equal(undone.card_template_id, CARD(1));
+    assert.equal(undone.rating, 0);
+    assert.deepEqual(await schedule(1), original);
+    assert.equal((await db.query('SELECT count(*)::int AS n FROM reviews')).rows[0].n, 0);
+    const row = await sessionRow(session.session_id);
+    assert.equal(row.submitted_count, 0);
+    assert.equal(row.current_index, 0);
+    assert.equal(await reviewsToday(), 4);
+});
+
+test('undo_last_review: undoes only the most recent review, one at a time', async () => {
+    const session = await startStudying();
+    const original1 = await schedule(1);
+    const original2 = await schedule(2);
+    await review(session, 1);
+    await review(session, 2);
+    const rated1 = await schedule(1);
+
+    assert.equal((await undo(session)).card_template_id, CARD(2));
+    assert.deepEqual(await schedule(2), original2);
+    assert.deepEqual(await schedule(1), rated1);
+    assert.equal((await sessionRow(session.session_id)).submitted_count, 1);
+
+    assert.equal((await undo(session)).card_template_id, CARD(1));
+    assert.deepEqual(await schedule(1), original1);
+
+    const nothing = await undo(session);
+    assert.equal(nothing.success, false);
+    assert.equal(nothing.error, 'nothing_to_undo');
+    assert.equal(await reviewsToday(), 4);
+});
+
+test('undo_last_review: reopens a completed session at its last card', async () => {
+    const session = await startStudying();
+    for (const n of [1, 2, 3]) {
+        await review(session, n);
+    }
+    assert.equal((await sessionRow(session.session_id)).status, 'completed');
+
+    const undone = await undo(session);
+
+    assert.equal(undone.success, true);
+    assert.equal(undone.card_template_id, CARD(3));
+    const row = await sessionRow(session.session_id);
+    assert.equal(row.status, 'active');
+    assert.equal(row.submitted_count, 2);
+    assert.equal(row.current_index, 2);
+    assert.equal((await schedule(3)).state, 'new');
+
+    // The card can be rated again
+    assert.equal((await review(session, 3, 3)).success, true);
+});
+
+test('undo_last_review: refuses other users\' and unstarted sessions', async () => {
+    const unstarted = await rpc(db, USER, 'get_or_create_user_session', { p_user_id: USER });
+    const notStarted = await undo(unstarted);
+    assert.equal(notStarted.success, false);
+    assert.equal(notStarted.error, 'invalid_session_status');
+
+    await startSession(db, USER, unstarted);
+    await review(unstarted, 1);
+    const original = await schedule(1);
+
+    const otherUser = await undo(unstarted, OTHER_USER);
+    assert.equal(otherUser.success, false);
+    assert.equal(otherUser.error, 'unauthorized');
+    assert.deepEqual(await schedule(1), original);
+});
+
+test('undo_last_review: refuses a review the card has had a later one since', async () => {
+    const session = await startStudying();
+    await review(session, 1);
+    // The card reviewed again elsewhere, e.g. synced from another device
+    await db.query(
+        `INSERT INTO reviews (user_id, card_template_id, reviewed_at, response_time_ms, rating, state_before, stability_before, difficulty_before,
+                              state_after, stability_after, difficulty_after, elapsed_days, scheduled_days, reps_before, lapses_before)
+         VALUES ($1, $2, NOW() + INTERVAL '1 minute', 1000, 2, 'review', 3, 5, 'review', 9, 5, 0, 9, 4, 1)`,
+        [USER, CARD(1)]
+    );
+    const original = await schedule(1);
+
+    const result = await undo(session);
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'not_latest_review');
+    assert.deepEqual(await schedule(1), original);
+    assert.equal((await sessionRow(session.session_id)).submitted_count, 1);
+});
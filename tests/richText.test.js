@@ -0,0 +1,125 @@
+/**
+ * Rich text rendering and sanitizing
+ * renderMarkdown runs without KaTeX/highlight.js (their fallback output);
+ * sanitizeHtml runs against jsdom's document.
+ */
+
+import test, { before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { renderMarkdown, sanitizeHtml } from '../js/richText.js';
+
+let dom;
+
+before(() => {
+    dom = new JSDOM('');
+    globalThis.document = dom.window.document;
+    globalThis.Node = dom.window.Node;
+});
+
+after(() => {
+    delete globalThis.document;
+    delete globalThis.Node;
+    dom.window.close();
+});
+
+/**
+ * Render and sanitize, as renderRichText does once renderers are loaded
+ * @param {string} text - Card text
+ * @returns {string} HTML
+ */
+const render = (text) => sanitizeHtml(renderMarkdown(text));
+
+test('renderMarkdown: emphasis, strikethrough and paragraphs', () => {
+    assert.equal(renderMarkdown('**bold** and *italic*'), '<p><strong>bold</strong> and <em>italic</em></p>');
+    assert.equal(renderMarkdown('__bold__ _italic_ ~~gone~~'), '<p><strong>bold</strong> <em>italic</em> <del>gone</del></p>');
+    assert.equal(renderMarkdown('line one\nline two\n\nnext'), '<p>line one<br>line two</p><p>next</p>');
+    assert.equal(renderMarkdown('snake_case_name'), '<p>snake_case_name</p>');
+});
+
+test('renderMarkdown: headings, lists, quotes, rules and tables', () => {
+    assert.equal(renderMarkdown('# Title'), '<h3>Title</h3>');
+    assert.equal(renderMarkdown('#### Deep'), '<h5>Deep</h5>');
+    assert.equal(renderMarkdown('- one\n- two\n  more'), '<ul><li>one</li><li>two<br>more</li></ul>');
+    assert.equal(renderMarkdown('1. first\n2) second'), '<ol><li>first</li><li>second</li></ol>');
+    assert.equal(renderMarkdown('> quoted\n> text'), '<blockquote><p>quoted<br>text</p></blockquote>');
+    assert.equal(renderMarkdown('---'), '<hr>');
+    assert.equal(
+        renderMarkdown('| a | b |\n|:-|-:|\n| 1 | `x|y` |'),
+        '<table><thead><tr><th>a</th><th class="align-right">b</th></tr></thead>'
+        + '<tbody><tr><td>1</td><td class="align-right"><code>x|y</code></td></tr></tbody></table>'
+    );
+});
+
+test('renderMarkdown: code spans and fences keep their content literal', () => {
+    assert.equal(renderMarkdown('use `**not bold**` here'), '<p>use <code>**not bold**</code> here</p>');
+    assert.equal(renderMarkdown('``a ` b``'), '<p><code>a ` b</code></p>');
+    assert.equal(renderMarkdown('`<b>`'), '<p><code>&lt;b&gt;</code></p>');
+    assert.equal(renderMarkdown('```js\nif (a < b) {}\n```'), '<pre><code class="hljs">if (a &lt; b) {}</code></pre>');
+    // An unclosed fence runs to the end of the card
+    assert.equal(renderMarkdown('```\n*x*'), '<pre><code class="hljs">*x*</code></pre>');
+});
+
+test('renderMarkdown: $...$ math passes through untouched by Markdown', () => {
+    assert.equal(renderMarkdown('$a_1 * b_2 * c$'), '<p><code class="math-source">$a_1 * b_2 * c$</code></p>');
+    assert.equal(renderMarkdown('$$x^2$$'), '<div class="math-display"><code class="math-source">$$x^2$$</code></div>');
+    assert.equal(renderMarkdown('$5 and $10'), '<p>$5 and $10</p>');
+    assert.equal(renderMarkdown('\\$x$'), '<p>$x$</p>');
+
+    const katex = { renderToString: (tex, options) => `<span class="katex">${tex}|${options.displayMode}</span>` };
+    assert.equal(renderMarkdown('$x<y$', { katex }), '<p><span class="katex">x<y|false</span></p>');
+});
+
+test('renderMarkdown: raw HTML in card text is escaped', () => {
+    assert.equal(renderMarkdown('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.equal(renderMarkdown('<img src=x onerror="alert(1)">'), '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>');
+    assert.equal(renderMarkdown('**<b>'), '<p>**&lt;b&gt;</p>');
+});
+
+test('renderMarkdown: only http(s) and mailto links become anchors', () => {
+    assert.equal(renderMarkdown('[docs](https://example.com/a?b=1&c=2)'), '<p><a href="https://example.com/a?b=1&amp;c=2">docs</a></p>');
+    assert.equal(renderMarkdown('[x](javascript:alert(1))'), '<p>[x](javascript:alert(1))</p>');
+    assert.equal(renderMarkdown('[x](data:text/html,hi)'), '<p>[x](data:text/html,hi)</p>');
+});
+
+test('sanitizeHtml: drops script-like elements with their content', () => {
+    assert.equal(sanitizeHtml('<p>a<script>alert(1)</script>b</p>'), '<p>ab</p>');
+    assert.equal(sanitizeHtml('<style>p{}</style><iframe src="https://x"></iframe><p>ok</p>'), '<p>ok</p>');
+    assert.equal(sanitizeHtml('<svg><foreignObject><p>x</p></foreignObject></svg>'), '<svg></svg>');
+});
+
+test('sanitizeHtml: removes event handlers and unlisted attributes', () => {
+    assert.equal(sanitizeHtml('<p onclick="alert(1)" id="x" class="note">hi</p>'), '<p class="note">hi</p>');
+    assert.equal(sanitizeHtml('<span style="color: red" onmouseover="x()">a</span>'), '<span style="color: red">a</span>');
+    assert.equal(sanitizeHtml('<span style="background: url(https://x)">a</span>'), '<span>a</span>');
+});
+
+test('sanitizeHtml: only safe link targets survive', () => {
+    assert.equal(
+        sanitizeHtml('<a href="https://example.com">x</a>'),
+        '<a href="https://example.com" target="_blank" rel="noopener noreferrer">x</a>'
+    );
+    assert.equal(sanitizeHtml('<a href="javascript:alert(1)">x</a>'), '<a target="_blank" rel="noopener noreferrer">x</a>');
+    assert.equal(sanitizeHtml('<a href=" JaVaScRiPt:alert(1)">x</a>'), '<a target="_blank" rel="noopener noreferrer">x</a>');
+    assert.equal(sanitizeHtml('<a href="data:text/html,x">x</a>'), '<a target="_blank" rel="noopener noreferrer">x</a>');
+});
+
+test('sanitizeHtml: images and other unknown elements do not survive', () => {
+    assert.equal(sanitizeHtml('<img src="javascript:alert(1)">'), '');
+    assert.equal(sanitizeHtml('<img src="data:image/svg+xml,x" onerror="alert(1)">'), '');
+    assert.equal(sanitizeHtml('<font color="red"><b>kept</b> text</font>'), 'kept text');
+    assert.equal(sanitizeHtml('<!-- note --><p>x</p>'), '<p>x</p>');
+});
+
+test('sanitizeHtml: nested and unclosed tags are normalized before filtering', () => {
+    assert.equal(sanitizeHtml('<div><p><em>open'), '<div><p><em>open</em></p></div>');
+    assert.equal(sanitizeHtml('<div><form><p>a<script>x</script></p></form></div>'), '<div><p>a</p></div>');
+    assert.equal(sanitizeHtml('<p>a<sc<script>ript>alert(1)</script></p>'), '<p>aript&gt;alert(1)</p>');
+    assert.equal(sanitizeHtml('<table><tr><td>1<td>2</table>'), '<table><tbody><tr><td>1</td><td>2</td></tr></tbody></table>');
+});
+
+test('renderRichText pipeline: Markdown output survives the sanitizer', () => {
+    const text = '# Q\n- **a** [link](https://x.org)\n\n| h |\n|-|\n| `c` |';
+    assert.equal(render(text), renderMarkdown(text).replace('<a href="https://x.org">', '<a href="https://x.org" target="_blank" rel="noopener noreferrer">'));
+    assert.equal(render('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+});
@@ -0,0 +1,186 @@
+/**
+ * Session size and new/review mix (migrations 44 and 50)
+ * Runs get_session_card_mix and get_or_create_user_session in PGlite for free
+ * and paid users, chosen and adaptive ratios, and the daily new-card limit.
+ */
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStudyDatabase, rpc } from './helpers/studyDatabase.js';
+
+const USER = '00000000-0000-4000-8000-000000000001';
+
+let db;
+
+/**
+ * Public cards the user hasn't studied
+ * @param {number} count - Number of cards
+ */
+const addNewCards = (count) => db.query(
+    `INSERT INTO card_templates (question, answer) SELECT 'New ' || i, 'A' FROM generate_series(1, $1) AS i`,
+    [count]
+);
+
+/**
+ * Reviewed cards, due an hour ago or in a week
+ * @param {number} count - Number of cards
+ * @param {boolean} [due] - Due now
+ */
+async function addReviewedCards(count, due = true) {
+    await db.query(
+        `WITH cards AS (
+            INSERT INTO card_templates (question, answer)
+            SELECT 'Reviewed ' || i, 'A' FROM generate_series(1, $2) AS i
+            RETURNING id
+        )
+        INSERT INTO user_cards (user_id, card_template_id, state, stability, difficulty, due_at, last_reviewed_at, reps, total_reviews, correct_reviews)
+        SELECT $1, id, 'review', 3, 5, NOW() + CASE WHEN $3 THEN INTERVAL '-1 hour' ELSE INTERVAL '7 days' END, NOW() - INTERVAL '3 days', 2, 2, 2
+        FROM cards`,
+        [USER, count, due]
+    );
+}
+
+/**
+ * Reviews today of cards that were new
+ * @param {number} count - Number of cards
+ */
+const reviewNewCardsToday = (count) => db.query(
+    `WITH cards AS (
+        INSERT INTO card_templates (question, answer, is_public)
+        SELECT 'Started ' || i, 'A', FALSE FROM generate_series(1, $2) AS i
+        RETURNING id
+    )
+    INSERT INTO reviews (
+        user_id, card_template_id, response_time_ms, rating, state_before, stability_before, difficulty_before,
+        state_after, stability_after, difficulty_after, elapsed_days, scheduled_days, reps_before, lapses_before
+    )
+    SELECT $1, id, 1000, 2, 'new', 1, 5, 'learning', 2, 5, 0, 0, 0, 0
+    FROM cards`,
+    [USER, count]
+);
+
+const setProfile = (fields) => db.query(
+    `UPDATE profiles SET ${Object.keys(fields).map((column, index) => `${column} = $${index + 2}`).join(', ')} WHERE id = $1`,
+    [USER, ...Object.values(fields)]
+);
+
+const cardMix = async () => (await db.query('SELECT * FROM get_session_card_mix($1)', [USER])).rows[0];
+
+const createSession = () => rpc(db, USER, 'get_or_create_user_session', { p_user_id: USER });
+
+/**
+ * Due and new cards in a session
+ * @param {Object} session - get_or_create_user_session result
+ * @returns {{due: number, new: number}} Counts
+ */
+const countStates = (session) => ({
+    due: session.cards_data.filter(card => card.state !== 'new').length,
+    new: session.cards_data.filter(card => card.state === 'new').length
+});
+
+before(async () => {
+    db = await createStudyDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+beforeEach(async () => {
+    await db.exec(`
+        TRUNCATE reviews, user_sessions, user_cards, card_templates, profiles, auth.users CASCADE;
+        INSERT INTO auth.users (id) VALUES ('${USER}');
+        INSERT INTO profiles (id) VALUES ('${USER}');
+    `);
+});
+
+test('get_session_card_mix: free users get 10 cards and no daily new-card limit', async () => {
+    // Settings left over from a paid plan don't apply
+    await setProfile({ session_size: 40, session_review_ratio: 0.5, daily_new_cards_limit: 2 });
+    await reviewNewCardsToday(5);
+
+    assert.deepEqual(await cardMix(), { session_size: 10, target_new: 10, new_cards_allowed: 10, ratio_mode: 'new_user' });
+
+    await addNewCards(15);
+    const session = await createSession();
+    assert.deepEqual(session.card_mix, { due: 0, new: 10, ratio_mode: 'new_user' });
+});
+
+test('get_session_card_mix: the adaptive ratio follows the number of cards reviewed', async () => {
+    await addReviewedCards(9, false);
+    assert.equal((await cardMix()).ratio_mode, 'new_user');
+
+    await addReviewedCards(1, false);
+    assert.deepEqual(await cardMix(), { session_size: 10, target_new: 2, new_cards_allowed: 10, ratio_mode: 'transitioning' });
+
+    await addReviewedCards(40, false);
+    assert.deepEqual(await cardMix(), { session_size: 10, target_new: 3, new_cards_allowed: 10, ratio_mode: 'hybrid' });
+
+    // Paid users without a chosen ratio get the same mix in their own size
+    await setProfile({ user_tier: 'paid', session_size: 20 });
+    assert.deepEqual(await cardMix(), { session_size: 20, target_new: 6, new_cards_allowed: 20, ratio_mode: 'hybrid' });
+});
+
+test('get_session_card_mix: paid users\' size, ratio and daily new-card limit', async () => {
+    await setProfile({ user_tier: 'paid', session_size: 8, session_review_ratio: 0.25, daily_new_cards_limit: 5 });
+    assert.deepEqual(await cardMix(), { session_size: 8, target_new: 6, new_cards_allowed: 5, ratio_mode: 'user' });
+
+    await reviewNewCardsToday(2);
+    assert.equal((await cardMix()).new_cards_allowed, 3);
+
+    await reviewNewCardsToday(4);
+    assert.equal((await cardMix()).new_cards_allowed, 0);
+});
+
+test('get_or_create_user_session: splits a paid session by the chosen ratio', async () => {
+    await setProfile({ user_tier: 'paid', session_size: 8, session_review_ratio: 0.25 });
+    await addReviewedCards(5);
+    await addNewCards(10);
+
+    const session = await createSession();
+
+    assert.equal(session.max_cards, 8);
+    assert.deepEqual(session.card_mix, { due: 2, new: 6, ratio_mode: 'user' });
+    assert.deepEqual(countStates(session), { due: 2, new: 6 });
+    // Due cards come first
+    assert.deepEqual(session.cards_data.map(card => card.state).slice(0, 2), ['review', 'review']);
+});
+
+test('get_or_create_user_session: the daily new-card limit gives its slots to due cards', async () => {
+    await setProfile({ user_tier: 'paid', session_size: 10, session_review_ratio: 0, daily_new_cards_limit: 5 });
+    await reviewNewCardsToday(2);
+    await addReviewedCards(12);
+    await addNewCards(10);
+
+    const session = await createSession();
+
+    assert.deepEqual(session.card_mix, { due: 7, new: 3, ratio_mode: 'user' });
+});
+
+test('get_or_create_user_session: slots one kind can\'t fill go to the other', async () => {
+    await setProfile({ user_tier: 'paid', session_size: 10, session_review_ratio: 0.8 });
+    await addReviewedCards(2);
+    await addNewCards(20);
+
+    assert.deepEqual((await createSession()).card_mix, { due: 2, new: 8, ratio_mode: 'user' });
+
+    await db.exec('TRUNCATE user_sessions, user_cards, card_templates CASCADE');
+    await setProfile({ session_review_ratio: 0.2 });
+    await addReviewedCards(20);
+    await addNewCards(1);
+
+    const session = await createSession();
+    assert.deepEqual(session.card_mix, { due: 9, new: 1, ratio_mode: 'user' });
+    assert.equal(session.max_cards, 10);
+});
+
+test('get_or_create_user_session: a small pool gives a short session', async () => {
+    await setProfile({ user_tier: 'paid', session_size: 30, session_review_ratio: 0.5 });
+    await addReviewedCards(4);
+    await addNewCards(3);
+
+    const session = await createSession();
+
+    assert.equal(session.max_cards, 7);
+    assert.deepEqual(session.card_mix, { due: 4, new: 3, ratio_mode: 'user' });
+});
@@ -0,0 +1,168 @@
+/**
+ * Session card ordering
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ORDER_STRATEGIES,
+    NEW_CARD_PLACEMENTS,
+    seededShuffle,
+    interleaveBySubject,
+    orderByRetrievability,
+    orderByDueDate,
+    spreadNewCards,
+    frontLoadNewCards,
+    areRelated,
+    separateRelatedCards,
+    orderSessionCards
+} from '../js/sessionOrder.js';
+
+const NOW = new Date('2026-01-11T00:00:00Z');
+
+const card = (id, fields = {}) => ({ card_template_id: id, state: 'review', subject_path: '1', ...fields });
+const ids = cards => cards.map(c => c.card_template_id);
+
+/**
+ * A session of review and new cards over six subjects, two of them siblings
+ * @returns {Array<Object>} Session cards
+ */
+function sessionCards() {
+    const paths = ['1.7.2', '1.7.3', '2.1', '3', '4.2', '5'];
+    const cards = [];
+    for (let i = 0; i < 12; i++) {
+        cards.push(card(`r${i}`, {
+            subject_path: paths[i % paths.length],
+            stability: 1 + i,
+            last_reviewed_at: new Date(NOW.getTime() - (i + 1) * 86400000).toISOString(),
+            due_at: new Date(NOW.getTime() + ((i * 7) % 12 - 6) * 86400000).toISOString()
+        }));
+    }
+    for (let i = 0; i < 4; i++) {
+        cards.push(card(`n${i}`, { state: 'new', subject_path: paths[i % paths.length], last_reviewed_at: null, due_at: null }));
+    }
+    return cards;
+}
+
+const isNew = c => c.state === 'new';
+
+for (const strategy of ORDER_STRATEGIES) {
+    for (const newCards of NEW_CARD_PLACEMENTS) {
+        test(`orderSessionCards (${strategy}, new cards ${newCards}): same seed, same order`, () => {
+            const cards = sessionCards();
+            const options = { strategy, newCards, seed: 'a1b2c3d4', now: NOW };
+            const ordered = orderSessionCards(cards, options);
+
+            assert.deepEqual(ids(orderSessionCards(sessionCards(), options)), ids(ordered));
+            assert.deepEqual([...ids(ordered)].sort(), [...ids(cards)].sort(), 'a permutation of the input');
+            assert.deepEqual(ids(cards), ids(sessionCards()), 'input untouched');
+        });
+    }
+
+    test(`orderSessionCards (${strategy}): new cards spread through the session`, () => {
+        const ordered = orderSessionCards(sessionCards(), { strategy, newCards: 'spread', seed: 's', now: NOW });
+        const positions = ordered.map((c, i) => (isNew(c) ? i : -1)).filter(i => i >= 0);
+        assert.equal(positions.length, 4);
+        // 12 review cards and 4 new: a new card in each quarter of the session
+        positions.forEach((position, quarter) => {
+            assert.ok(position >= quarter * 4 && position < (quarter + 1) * 4, `new card at ${position}`);
+        });
+    });
+
+    test(`orderSessionCards (${strategy}): new cards first`, () => {
+        const ordered = orderSessionCards(sessionCards(), { strategy, newCards: 'front', seed: 's', now: NOW });
+        assert.ok(ordered.slice(0, 4).every(isNew));
+        assert.ok(ordered.slice(4).every(c => !isNew(c)));
+    });
+
+    test(`orderSessionCards (${strategy}): related cards are separated`, () => {
+        for (const seed of ['s1', 's2', 's3', 's4', 's5']) {
+            const ordered = orderSessionCards(sessionCards(), { strategy, separateRelated: true, seed, now: NOW });
+            for (let i = 1; i < ordered.length; i++) {
+                assert.ok(!areRelated(ordered[i - 1], ordered[i]),
+                    `${ordered[i - 1].subject_path} then ${ordered[i].subject_path} at ${i} (seed ${seed})`);
+            }
+        }
+    });
+}
+
+test('orderSessionCards: different seeds give different shuffles', () => {
+    const orders = new Set(['s1', 's2', 's3', 's4'].map(seed => ids(orderSessionCards(sessionCards(), { seed })).join()));
+    assert.ok(orders.size > 1);
+});
+
+test('orderSessionCards: unknown strategy falls back to the seeded shuffle', () => {
+    const cards = [card('a'), card('b'), card('c'), card('d')];
+    assert.deepEqual(orderSessionCards(cards, { strategy: 'nope', seed: 's' }), seededShuffle(cards, 's'));
+});
+
+test('seededShuffle: same seed, same order; input untouched', () => {
+    const items = [1, 2, 3, 4, 5, 6, 7, 8];
+    assert.deepEqual(seededShuffle(items, 'a1b2c3d4'), seededShuffle(items, 'a1b2c3d4'));
+    assert.deepEqual([...seededShuffle(items, 'a1b2c3d4')].sort(), items);
+    assert.deepEqual(items, [1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('interleaveBySubject: spaces each subject through the session', () => {
+    const cards = [
+        card('a1', { subject_path: '1.1' }), card('a2', { subject_path: '1.1' }),
+        card('a3', { subject_path: '1.1' }), card('a4', { subject_path: '1.1' }),
+        card('b1', { subject_path: '2.1' }), card('b2', { subject_path: '2.1' })
+    ];
+    const paths = interleaveBySubject(cards, 'seed').map(c => c.subject_path);
+    for (let i = 1; i < paths.length; i++) {
+        assert.ok(!(paths[i] === '2.1' && paths[i - 1] === '2.1'), `2.1 twice at ${i}`);
+    }
+});
+
+test('orderByRetrievability: least remembered first, never reviewed last', () => {
+    const cards = [
+        card('fresh', { stability: 10, last_reviewed_at: '2026-01-10T00:00:00Z' }),
+        card('new', { state: 'new', last_reviewed_at: null }),
+        card('faded', { stability: 1, last_reviewed_at: '2026-01-01T00:00:00Z' })
+    ];
+    assert.deepEqual(ids(orderByRetrievability(cards, 'seed', NOW)), ['faded', 'fresh', 'new']);
+});
+
+test('orderByDueDate: earliest due first, no due date last', () => {
+    const cards = [
+        card('later', { due_at: '2026-01-05T00:00:00Z' }),
+        card('none', { due_at: null }),
+        card('sooner', { due_at: '2026-01-02T00:00:00Z' })
+    ];
+    assert.deepEqual(ids(orderByDueDate(cards, 'seed')), ['sooner', 'later', 'none']);
+});
+
+test('spreadNewCards / frontLoadNewCards: place new cards, keep both orders', () => {
+    const cards = [card('r1'), card('r2'), card('r3'), card('r4'), card('n1', { state: 'new' }), card('n2', { state: 'new' })];
+    assert.deepEqual(ids(spreadNewCards(cards)), ['r1', 'n1', 'r2', 'r3', 'n2', 'r4']);
+    assert.deepEqual(ids(frontLoadNewCards(cards)), ['n1', 'n2', 'r1', 'r2', 'r3', 'r4']);
+});
+
+test('areRelated: same path or sibling paths; top-level subjects are not', () => {
+    assert.equal(areRelated(card('a', { subject_path: '1.7.2' }), card('b', { subject_path: '1.7.2' })), true);
+    assert.equal(areRelated(card('a', { subject_path: '1.7.2' }), card('b', { subject_path: '1.7.3' })), true);
+    assert.equal(areRelated(card('a', { subject_path: '1.7' }), card('b', { subject_path: '1.7.3' })), false);
+    assert.equal(areRelated(card('a', { subject_path: '1' }), card('b', { subject_path: '2' })), false);
+});
+
+test('separateRelatedCards: pulls the next unrelated card forward', () => {
+    const cards = [
+        card('a1', { subject_path: '1.7.2' }), card('a2', { subject_path: '1.7.3' }),
+        card('b1', { subject_path: '2.1' }), card('a3', { subject_path: '1.7.2' })
+    ];
+    assert.deepEqual(ids(separateRelatedCards(cards)), ['a1', 'b1', 'a2', 'a3']);
+});
+
+test('separateRelatedCards: takes a related group early when it would otherwise end up together', () => {
+    const cards = [
+        card('x', { subject_path: '2.1' }), card('y', { subject_path: '3' }),
+        card('a1', { subject_path: '1.1' }), card('a2', { subject_path: '1.1' })
+    ];
+    assert.deepEqual(ids(separateRelatedCards(cards)), ['x', 'a1', 'y', 'a2']);
+});
+
+test('separateRelatedCards: still orders every card when related cards cannot all be kept apart', () => {
+    const cards = [card('a1', { subject_path: '1.1' }), card('a2', { subject_path: '1.1' }), card('a3', { subject_path: '1.2' }), card('b1', { subject_path: '2' })];
+    assert.deepEqual(ids(separateRelatedCards(cards)), ['a1', 'b1', 'a2', 'a3']);
+});
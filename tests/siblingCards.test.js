@@ -0,0 +1,170 @@
+/**
+ * Reverse cards and sibling burying (migration 36, sessions from 49)
+ * Creates reverse cards through the subject trigger and the admin RPC in
+ * PGlite, then checks sessions never hold two cards of one sibling group.
+ */
+
+import test, { before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStudyDatabase, rpc, sessionCardIds } from './helpers/studyDatabase.js';
+
+const USER = '00000000-0000-4000-8000-000000000001';
+const ADMIN = '00000000-0000-4000-8000-000000000002';
+const SUBJECT = '00000000-0000-4000-8000-200000000001';
+
+let db;
+
+/**
+ * Add a card
+ * @param {string} question - Question (and name) of the card
+ * @param {Object} [fields] - Other card_templates columns
+ * @returns {Promise<Object>} The card row
+ */
+async function addCard(question, fields = {}) {
+    const columns = ['question', 'answer', ...Object.keys(fields)];
+    const { rows } = await db.query(
+        `INSERT INTO card_templates (${columns.join(', ')})
+         VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+         RETURNING *`,
+        [question, `${question} answer`, ...Object.values(fields)]
+    );
+    return rows[0];
+}
+
+const cardsByGroup = async () => (await db.query(
+    'SELECT sibling_group, array_agg(id) AS ids FROM card_templates GROUP BY sibling_group'
+)).rows;
+
+/**
+ * Make cards due, the first most overdue
+ * @param {Array<string>} cardIds - card_template_ids
+ */
+async function makeDue(cardIds) {
+    for (const [index, cardId] of cardIds.entries()) {
+        await db.query(
+            `INSERT INTO user_cards (user_id, card_template_id, state, stability, difficulty, due_at, last_reviewed_at, reps, total_reviews, correct_reviews)
+             VALUES ($1, $2, 'review', 3, 5, NOW() - make_interval(hours => $3), NOW() - INTERVAL '3 days', 2, 2, 2)`,
+            [USER, cardId, cardIds.length - index]
+        );
+    }
+}
+
+const createSession = () => rpc(db, USER, 'get_or_create_user_session', { p_user_id: USER });
+
+/**
+ * Assert a session has at most one card per sibling group
+ * @param {Object} session - Session RPC result
+ */
+function assertOnePerGroup(session) {
+    const groups = session.cards_data.map(card => card.sibling_group);
+    assert.equal(new Set(groups).size, groups.length, `Siblings in one session: ${groups.join(', ')}`);
+}
+
+before(async () => {
+    db = await createStudyDatabase();
+});
+
+after(async () => {
+    await db.close();
+});
+
+beforeEach(async () => {
+    await db.exec(`
+        TRUNCATE reviews, user_sessions, user_cards, card_templates, subjects, profiles, auth.users CASCADE;
+        INSERT INTO auth.users (id) VALUES ('${USER}'), ('${ADMIN}');
+        INSERT INTO profiles (id, user_tier, is_admin) VALUES ('${USER}', 'paid', FALSE), ('${ADMIN}', 'admin', TRUE);
+        INSERT INTO subjects (id, name, path, create_reverse_cards) VALUES ('${SUBJECT}', 'Vocabulary', '1', TRUE);
+    `);
+});
+
+test('card_templates_create_reverse: cards in a reverse subject get a synced reverse card', async () => {
+    const card = await addCard('chat', { subject_id: SUBJECT, path: '1', tags: ['fr'] });
+
+    const { rows: [reverse] } = await db.query('SELECT * FROM card_templates WHERE reverse_of = $1', [card.id]);
+    assert.equal(reverse.question, 'chat answer');
+    assert.equal(reverse.answer, 'chat');
+    assert.deepEqual(reverse.tags, ['fr']);
+    assert.equal(reverse.sibling_group, card.id);
+    assert.equal(card.sibling_group, card.id);
+
+    // Edits to either card reach the other
+    await db.query(`UPDATE card_templates SET answer = 'cat' WHERE id = $1`, [card.id]);
+    assert.equal((await db.query('SELECT question FROM card_templates WHERE id = $1', [reverse.id])).rows[0].question, 'cat');
+
+    // Cards outside the subject aren't reversed
+    await addCard('hund');
+    assert.equal((await db.query('SELECT count(*)::int AS n FROM card_templates')).rows[0].n, 3);
+});
+
+test('create_reverse_card: admins reverse a card once, other users can\'t', async () => {
+    const card = await addCard('hund');
+
+    await assert.rejects(rpc(db, USER, 'create_reverse_card', { p_card_template_id: card.id }), /Admin privileges required/);
+
+    const created = await rpc(db, ADMIN, 'create_reverse_card', { p_card_template_id: card.id });
+    assert.equal(created.success, true);
+    assert.equal(created.created, true);
+
+    const again = await rpc(db, ADMIN, 'create_reverse_card', { p_card_template_id: card.id });
+    assert.deepEqual(again, { success: true, reverse_id: created.reverse_id, created: false });
+
+    const reversed = await rpc(db, ADMIN, 'create_reverse_card', { p_card_template_id: created.reverse_id });
+    assert.equal(reversed.success, false);
+});
+
+test('get_or_create_user_session: picks one new card of each forward/reverse pair', async () => {
+    for (const word of ['chat', 'chien', 'cheval', 'vache', 'oiseau']) {
+        await addCard(word, { subject_id: SUBJECT, path: '1' });
+    }
+    assert.equal((await cardsByGroup()).length, 5);
+
+    // New cards are picked at random, so try a few sessions
+    for (let attempt = 0; attempt < 5; attempt++) {
+        await db.exec('TRUNCATE user_sessions CASCADE');
+        const session = await createSession();
+        assert.equal(session.cards_data.length, 5);
+        assertOnePerGroup(session);
+    }
+});
+
+test('get_or_create_user_session: a due card keeps its due and new siblings out', async () => {
+    const first = await addCard('chat', { subject_id: SUBJECT, path: '1' });
+    const second = await addCard('chien', { subject_id: SUBJECT, path: '1' });
+    const reverseOf = async (card) => (await db.query('SELECT id FROM card_templates WHERE reverse_of = $1', [card.id])).rows[0].id;
+    const firstReverse = await reverseOf(first);
+
+    // Both cards of the first pair are due, the reverse more overdue; of the
+    // second pair only the forward card has been studied
+    await makeDue([firstReverse, first.id, second.id]);
+
+    const session = await createSession();
+
+    assertOnePerGroup(session);
+    assert.deepEqual(sessionCardIds(session).sort(), [firstReverse, second.id].sort());
+});
+
+test('get_or_create_user_session: one card per cloze note', async () => {
+    const note = '00000000-0000-4000-8000-300000000001';
+    for (const n of [1, 2, 3]) {
+        await addCard(`Cloze ${n}`, { cloze_note_id: note });
+    }
+    const single = await addCard('Single');
+
+    const session = await createSession();
+
+    assertOnePerGroup(session);
+    assert.equal(session.cards_data.length, 2);
+    assert.ok(sessionCardIds(session).includes(single.id));
+    assert.ok(session.cards_data.some(card => card.sibling_group === note));
+});
+
+test('create_custom_session: one card per sibling group', async () => {
+    const card = await addCard('chat', { subject_id: SUBJECT, path: '1', tags: ['fr'] });
+    const groups = await cardsByGroup();
+    await makeDue(groups.find(group => group.sibling_group === card.id).ids);
+
+    const session = await rpc(db, USER, 'create_custom_session', { p_session_type: 'tag_filtered', p_tags: ['fr'] });
+
+    assert.equal(session.success, true);
+    assert.equal(session.cards_data.length, 1);
+});